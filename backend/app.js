@@ -0,0 +1,56 @@
+import express from 'express';
+import cors from 'cors';
+import { resolveUser } from './middleware/auth.js';
+import healthRoutes from './routes/health.js';
+import authRoutes from './routes/auth.js';
+import hackathonRoutes from './routes/hackathons.js';
+import userRoutes from './routes/users.js';
+import onboardingRoutes from './routes/onboarding.js';
+import matchingRoutes from './routes/matching.js';
+import requestRoutes from './routes/requests.js';
+import teamRoutes from './routes/teams.js';
+import teamProposalRoutes from './routes/teamProposals.js';
+import chatRoutes from './routes/chat.js';
+import mentorRoutes from './routes/mentor.js';
+import githubRoutes from './routes/github.js';
+
+// Express app without a listener or database connection - server.js does both,
+// tests import this directly.
+const app = express();
+
+// Middleware
+app.use(cors({
+  origin: '*', // Allow all origins (or specify your frontend URL)
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition'] // Download file names (chat export)
+}));
+app.use(express.json({ limit: '100mb' })); // Increase limit for large PDF uploads
+app.use(express.urlencoded({ extended: true, limit: '100mb' }));
+app.use(resolveUser);
+
+// Routes
+app.use(healthRoutes);
+app.use(authRoutes);
+app.use(hackathonRoutes);
+app.use(userRoutes);
+app.use(onboardingRoutes);
+app.use(matchingRoutes);
+app.use(requestRoutes);
+app.use(teamRoutes);
+app.use(teamProposalRoutes);
+app.use(chatRoutes);
+app.use(mentorRoutes);
+app.use(githubRoutes);
+
+// 404 handler for undefined routes (must be after all routes)
+app.use((req, res) => {
+  console.log(`❌ 404 - Route not found: ${req.method} ${req.path}`);
+  res.status(404).json({
+    error: 'Route not found',
+    method: req.method,
+    path: req.path
+  });
+});
+
+export default app;
@@ -0,0 +1,45 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import User from '../models/User.js';
+
+// Authentication
+// Tokens are JWTs signed with JWT_SECRET. If it's not set we fall back to a random
+// per-process secret, which means every restart logs everyone out.
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  WARNING: JWT_SECRET not set - using a random secret, sessions will not survive a restart');
+}
+
+export function signToken(user) {
+  return jwt.sign({ sub: String(user._id) }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+}
+
+// Strip credentials before a user document goes over the wire
+export function toPublicUser(user) {
+  const plain = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+  delete plain.password_hash;
+  return plain;
+}
+
+// Resolve req.user from the "Authorization: Bearer <token>" header.
+// Never rejects on its own - routes that need a signed-in user use requireAuth.
+export async function resolveUser(req, res, next) {
+  req.user = null;
+
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return next();
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.user = await User.findOne({ _id: String(payload.sub) });
+  } catch (error) {
+    console.log(`⚠️ Invalid auth token: ${error.message}`);
+  }
+
+  next();
+}
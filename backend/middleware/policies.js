@@ -0,0 +1,226 @@
+// Authorization policies
+// Every policy is an Express middleware. The acting user always comes from the
+// session (req.user, set by resolveUser) - never from ids in the request body.
+// 401 = no signed-in user, 403 = signed in but not allowed, 404 = target missing.
+
+function deny(res, status, error) {
+  return res.status(status).json({ error });
+}
+
+function sameId(a, b) {
+  return a !== undefined && a !== null && b !== undefined && b !== null && String(a) === String(b);
+}
+
+// Reject requests without a signed-in user
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return deny(res, 401, 'Authentication required');
+  }
+  next();
+}
+
+// "Only yourself": getClaimedUserId(req) returns the user id the request acts on
+// (route param or a legacy body field). A missing id is allowed - routes fall back
+// to req.user - but a different one is rejected.
+export function requireSelf(getClaimedUserId) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return deny(res, 401, 'Authentication required');
+    }
+
+    const claimedId = getClaimedUserId(req);
+    if (claimedId !== undefined && claimedId !== null && claimedId !== '' && !sameId(claimedId, req.user._id)) {
+      return deny(res, 403, 'You can only act on your own account');
+    }
+    next();
+  };
+}
+
+// "Only team members": loadTeam(req) resolves the target team (or null).
+// The loaded team is stored on req.team for the route handler.
+export function requireTeamMember(loadTeam) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return deny(res, 401, 'Authentication required');
+    }
+
+    try {
+      const team = await loadTeam(req);
+      if (!team) {
+        return deny(res, 404, 'Team not found');
+      }
+
+      const memberIds = (team.members || []).map(id => id.toString());
+      if (!memberIds.includes(String(req.user._id))) {
+        return deny(res, 403, 'You are not a member of this team');
+      }
+
+      req.team = team;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// "Only the team lead": like requireTeamMember, but only the lead passes.
+// Teams without a lead_id are led by their first member.
+export function requireTeamLead(loadTeam) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return deny(res, 401, 'Authentication required');
+    }
+
+    try {
+      const team = await loadTeam(req);
+      if (!team) {
+        return deny(res, 404, 'Team not found');
+      }
+
+      const leadId = team.lead_id || team.members?.[0];
+      if (!leadId || !sameId(leadId, req.user._id)) {
+        return deny(res, 403, 'Only the team lead can do this');
+      }
+
+      req.team = team;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// "Only the request recipient": loadRequest(req) resolves the team request (or null).
+// The loaded request is stored on req.teamRequest for the route handler.
+export function requireRequestRecipient(loadRequest) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return deny(res, 401, 'Authentication required');
+    }
+
+    try {
+      const request = await loadRequest(req);
+      if (!request) {
+        return deny(res, 404, 'Request not found');
+      }
+
+      const toUserId = request.to_user_id;
+      if (!sameId(toUserId, req.user._id)) {
+        return deny(res, 403, 'Only the recipient can respond to this request');
+      }
+
+      req.teamRequest = request;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// "Only the request sender": same as requireRequestRecipient but for the from side
+// (e.g. withdrawing a request you sent).
+export function requireRequestSender(loadRequest) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return deny(res, 401, 'Authentication required');
+    }
+
+    try {
+      const request = await loadRequest(req);
+      if (!request) {
+        return deny(res, 404, 'Request not found');
+      }
+
+      const fromUserId = request.from_user_id;
+      if (!sameId(fromUserId, req.user._id)) {
+        return deny(res, 403, 'Only the sender can withdraw this request');
+      }
+
+      req.teamRequest = request;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// "Only hackathon organizers": loadHackathon(req) resolves the hackathon (or null).
+// The loaded hackathon is stored on req.hackathon for the route handler.
+export function requireHackathonOrganizer(loadHackathon) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return deny(res, 401, 'Authentication required');
+    }
+
+    try {
+      const hackathon = await loadHackathon(req);
+      if (!hackathon) {
+        return deny(res, 404, 'Hackathon not found');
+      }
+
+      if (!(hackathon.organizers || []).some(id => sameId(id, req.user._id))) {
+        return deny(res, 403, 'Only hackathon organizers can do this');
+      }
+
+      req.hackathon = hackathon;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// "Only proposed members": loadProposal(req) resolves the team proposal (or null).
+// The loaded proposal is stored on req.proposal for the route handler.
+export function requireProposalMember(loadProposal) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return deny(res, 401, 'Authentication required');
+    }
+
+    try {
+      const proposal = await loadProposal(req);
+      if (!proposal) {
+        return deny(res, 404, 'Team proposal not found');
+      }
+
+      if (!(proposal.members || []).some(id => sameId(id, req.user._id))) {
+        return deny(res, 403, 'You are not part of this team proposal');
+      }
+
+      req.proposal = proposal;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// "Only the message author": loadMessage(req) resolves the chat message (or null). With
+// { allowTeamLead: true } the lead of req.team (set by requireTeamMember) passes too.
+// The loaded message is stored on req.chatMessage for the route handler.
+export function requireMessageAuthor(loadMessage, { allowTeamLead = false } = {}) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return deny(res, 401, 'Authentication required');
+    }
+
+    try {
+      const message = await loadMessage(req);
+      if (!message) {
+        return deny(res, 404, 'Message not found');
+      }
+
+      const leadId = req.team ? req.team.lead_id || req.team.members?.[0] : null;
+      const isAuthor = sameId(message.senderId, req.user._id);
+      if (!isAuthor && !(allowTeamLead && sameId(leadId, req.user._id))) {
+        return deny(res, 403, allowTeamLead ? 'Only the author or the team lead can do this' : 'Only the author can do this');
+      }
+
+      req.chatMessage = message;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
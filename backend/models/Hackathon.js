@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Hackathon Schema - explicitly set collection name to 'hackathons'
+const HackathonSchema = new mongoose.Schema({
+  name: String,
+  startDate: Date,
+  endDate: Date,
+  location: String,
+  type: String,
+  url: String,
+  description: String,
+  imageUrl: String, // Add imageUrl field to schema
+  logo: String, // Also support logo field
+  isActive: { type: Boolean, default: true },
+  request_expiry_hours: Number, // How long team requests stay pending (falls back to REQUEST_EXPIRY_HOURS)
+  organizers: [String], // User ids allowed to run organizer operations (e.g. automatic team formation)
+  min_team_size: Number, // Smallest team automatic formation proposes (falls back to MIN_TEAM_SIZE, 2)
+  max_team_size: Number, // Members allowed per team (falls back to MAX_TEAM_SIZE, 4)
+  // Roles a complete team has, e.g. [{ role: 'Backend', count: 2 }] - teams' needed_roles are what's
+  // still missing (falls back to one Frontend, Backend, Design and DevOps)
+  target_composition: [{ role: String, count: Number }]
+}, { collection: 'hackathons' }); // Explicitly set collection name
+
+const Hackathon = mongoose.model('Hackathon', HackathonSchema);
+
+export default Hackathon;
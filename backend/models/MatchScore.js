@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// MatchScore Schema - cached POST /match-score results (see services/matchCache.js)
+// One document per (user, candidate, team composition, mode, perspective); `versions` records the
+// profile_version of everyone involved so edited profiles are recomputed.
+const MatchScoreSchema = new mongoose.Schema({
+  user_id: String,
+  candidate_id: String,
+  team_key: { type: String, default: '' }, // Sorted team member ids, '' when scoring user vs candidate
+  team_member_ids: [String],
+  mode: String, // 'ai' | 'rules'
+  is_current_user: { type: Boolean, default: false }, // Scored from the signed-in user's point of view
+  versions: String, // "id@profile_version" for the user, candidate and team members
+  result: mongoose.Schema.Types.Mixed, // calculateMatchScore output
+  computed_at: { type: Date, default: Date.now }
+});
+
+MatchScoreSchema.index({ user_id: 1, candidate_id: 1, team_key: 1, mode: 1, is_current_user: 1 }, { unique: true });
+
+const MatchScore = mongoose.model('MatchScore', MatchScoreSchema);
+
+export default MatchScore;
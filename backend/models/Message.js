@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Message Schema - one document per team chat message (they used to be embedded in Team.messages;
+// scripts/move-embedded-messages.js moves old ones over). Same fields the chat API always returned.
+const MessageSchema = new mongoose.Schema({
+  team_id: { type: String, required: true },
+  senderId: String, // User id, or 'ai_bot' / 'system_bot'
+  text: String,
+  timestamp: { type: Date, default: Date.now },
+  action: String, // Action type (e.g., 'CREATE_REPO')
+  actionType: String, // Action type (e.g., 'GITHUB_INIT')
+  github_action: { type: Boolean, default: false }, // Flag for GitHub action buttons (backward compatibility)
+  project_name: String, // Project name for GitHub repo
+  repoName: String, // Repository name for CREATE_REPO action
+  edited_at: Date, // Set when the author edits the text
+  deleted_at: Date, // Soft delete - the API shows a placeholder instead of the text
+  deleted_by: String,
+  reactions: [{ _id: false, emoji: String, user_id: String }], // One entry per (emoji, user)
+  mentions: [String], // Ids of the members @mentioned in the text
+  reply_to: { type: String, default: null }, // Thread replies: id of the message that started the thread
+  reply_count: { type: Number, default: 0 }, // On a thread's first message: how many replies it has
+  // Uploaded files (services/attachments.js) - key / thumbnail_key locate them in storage
+  attachments: [{
+    name: String,
+    content_type: String,
+    size: Number,
+    key: String,
+    thumbnail_key: String, // Images only
+    width: Number,
+    height: Number
+  }],
+  // Polls started with the /poll chat command - each member has at most one vote
+  poll: {
+    type: new mongoose.Schema({
+      question: String,
+      options: [{ _id: false, text: String, votes: [String] }] // votes: ids of the members who picked it
+    }, { _id: false }),
+    default: undefined
+  }
+});
+
+// Pages of a team's history, newest first
+MessageSchema.index({ team_id: 1, timestamp: -1, _id: -1 });
+
+const Message = mongoose.model('Message', MessageSchema);
+
+export default Message;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Request Schema
+// Field names are snake_case only - run scripts/normalize-field-names.js on older databases
+const RequestSchema = new mongoose.Schema({
+  type: { type: String, default: 'user' }, // user (user -> user) | invite (team -> user) | join (user -> team)
+  from_user_id: String,
+  to_user_id: String, // For join requests: the team lead when the request was sent
+  team_id: String, // Target team of invite and join requests
+  hackathon_id: String,
+  status: { type: String, default: 'pending' }, // pending | accepted | declined | withdrawn | expired | cancelled | rejected
+  message: String,
+  createdAt: { type: Date, default: Date.now },
+  expires_at: Date, // Pending requests past this date are marked expired and stop counting toward the quota
+  responded_at: Date, // When the request left the pending state
+  votes: [{ // Join requests only - team members approve or reject
+    user_id: String,
+    vote: String, // approve | reject
+    voted_at: { type: Date, default: Date.now }
+  }]
+});
+
+const Request = mongoose.model('Request', RequestSchema);
+
+export default Request;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Team Schema
+const TeamSchema = new mongoose.Schema({
+  hackathon_id: String,
+  name: String, // Team name (e.g., "Team 1", "Team 2")
+  members: [{ type: String, ref: 'User' }],
+  lead_id: { type: String, ref: 'User' }, // Team lead - teams created before leads existed fall back to members[0]
+  needed_roles: [String],
+  is_full: { type: Boolean, default: false },
+  // Chat messages live in the messages collection (models/Message.js)
+  github_repo: String, // Full repo name (owner/repo)
+  github_repo_url: String, // GitHub repository URL
+  replit_url: String, // Replit import URL
+  created_at: { type: Date, default: Date.now },
+  dissolved_at: Date, // Set when the team is dissolved - members move to former_members
+  former_members: [{ type: String, ref: 'User' }],
+  // How far each member has read the team chat - one entry per member, only ever moves forward
+  last_read: [{
+    _id: false,
+    user_id: String,
+    message_id: String,
+    timestamp: Date, // The message's timestamp - unread messages are the ones after (timestamp, message_id)
+    read_at: Date
+  }],
+  // Messages pinned to the top of the team chat, in the order they were pinned
+  pinned: [{ _id: false, message_id: String, pinned_by: String, pinned_at: Date }],
+  // Task list kept with the /task chat command - task_count hands out the numbers (#1, #2, ...)
+  task_count: { type: Number, default: 0 },
+  tasks: [{
+    _id: false,
+    number: Number,
+    text: String,
+    assignee_id: String, // First member @mentioned when the task was added
+    created_by: String,
+    created_at: Date,
+    done_at: Date,
+    done_by: String
+  }],
+  // Pending /remind reminders - posted to the chat and removed once remind_at has passed
+  reminders: [{ text: String, remind_at: Date, created_by: String, created_at: Date }]
+});
+
+// Due reminders are looked up by time (services/reminders.js)
+TeamSchema.index({ 'reminders.remind_at': 1 });
+
+const Team = mongoose.model('Team', TeamSchema);
+
+export default Team;
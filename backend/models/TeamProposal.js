@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// TeamProposal Schema - a team suggested by automatic team formation (services/teamFormation.js)
+// Written to the Team collection only once every member has accepted.
+const TeamProposalSchema = new mongoose.Schema({
+  hackathon_id: String,
+  members: [String],
+  responses: [{
+    user_id: String,
+    status: { type: String, default: 'pending' }, // pending | accepted | rejected
+    responded_at: Date
+  }],
+  status: { type: String, default: 'pending' }, // pending | accepted | rejected | superseded | cancelled
+  score: Number, // Average match score of the members (rule engine)
+  needed_roles: [String],
+  team_id: String, // Set when the proposal becomes a team
+  created_by: String, // Organizer who ran team formation
+  created_at: { type: Date, default: Date.now },
+  decided_at: Date // When the proposal left the pending state
+});
+
+const TeamProposal = mongoose.model('TeamProposal', TeamProposalSchema);
+
+export default TeamProposal;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// User Schema
+// Note: _id is explicitly defined as String since MongoDB stores IDs as strings in this database
+const UserSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  name: String,
+  email: { type: String, unique: true, sparse: true }, // The login - one account per address
+  role_preference: String,
+  skills: [String],
+  tech_stack: [String],
+  experience: [String],
+  num_hackathons: [String],
+  devpost: String,
+  github: String,
+  school: String,
+  location: String,
+  description: String,
+  bio: String, // Support both description and bio fields
+  registered_hackathons: [String], // Array of hackathon IDs
+  profile_version: { type: Number, default: 0 }, // Bumped on every profile save - invalidates cached match scores
+  password_hash: { type: String, select: false } // Only set for users who signed up with a password
+}, { _id: true }); // Explicitly enable _id field
+
+const User = mongoose.model('User', UserSchema);
+
+export default User;
@@ -0,0 +1,80 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import { signToken, toPublicUser } from '../middleware/auth.js';
+import { requireAuth } from '../middleware/policies.js';
+
+const router = express.Router();
+
+// POST /api/auth/signup - Create an account and return a session token
+router.post('/api/auth/signup', async (req, res) => {
+  try {
+    const { name, password } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'name, email and password are required' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const password_hash = await bcrypt.hash(password, 10);
+    const user = await User.create({
+      _id: new mongoose.Types.ObjectId().toString(), // Match the string ids already in the collection
+      name,
+      email,
+      password_hash,
+      registered_hackathons: []
+    });
+
+    console.log(`✅ New account created: ${user.name} (${user._id})`);
+    res.status(201).json({ token: signToken(user), user: toPublicUser(user) });
+  } catch (error) {
+    // Lost a race with another sign-up for the same address (unique index on email)
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    console.error('❌ Error in POST /api/auth/signup:', error);
+    res.status(500).json({ error: error.message || 'Sign up failed' });
+  }
+});
+
+// POST /api/auth/login - Exchange email/password for a session token
+router.post('/api/auth/login', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+
+    const user = await User.findOne({ email }).select('+password_hash');
+
+    // Same message for unknown email and wrong password
+    if (!user || !user.password_hash || !(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    console.log(`✅ User logged in: ${user.name} (${user._id})`);
+    res.json({ token: signToken(user), user: toPublicUser(user) });
+  } catch (error) {
+    console.error('❌ Error in POST /api/auth/login:', error);
+    res.status(500).json({ error: error.message || 'Login failed' });
+  }
+});
+
+// GET /api/auth/me - Return the signed-in user
+router.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json(toPublicUser(req.user));
+});
+
+export default router;
@@ -0,0 +1,369 @@
+import express from 'express';
+import { requireSelf } from '../middleware/policies.js';
+import { requireTeamMemberParam } from '../services/teams.js';
+import {
+  postTeamMessage,
+  publicMessage,
+  listTeamMessages,
+  findTeamMessage,
+  editTeamMessage,
+  mentionedMembers,
+  markTeamRead,
+  findThreadRoot,
+  pinTeamMessage,
+  unpinTeamMessage,
+  deleteTeamMessage,
+  setReaction,
+  votePoll,
+  requireMessageAuthorParam,
+  requireMessageAuthorOrLeadParam,
+  DEFAULT_PAGE_SIZE
+} from '../services/messages.js';
+import { subscribeToTeam, eventsSince } from '../services/chatEvents.js';
+import { searchTeamMessages, DEFAULT_SEARCH_LIMIT } from '../services/messageSearch.js';
+import { uploadAttachments, storeAttachments, removeAttachments, openAttachment } from '../services/attachments.js';
+import { exportTeamChat } from '../services/chatExport.js';
+import { listChatCommands, runChatCommand } from '../services/chatCommands.js';
+
+// Comment line sent on idle streams so proxies don't close them
+const HEARTBEAT_MS = 25 * 1000;
+
+const router = express.Router();
+
+// GET /chat/:teamId/messages - One page of the team's chat history, oldest first (thread replies
+// are left out - see /replies below)
+// Query: limit (default 50, max 200) and at most one cursor - before=<messageId> for older
+// messages, after=<messageId> for newer ones. Responds with { messages, has_more }.
+router.get('/chat/:teamId/messages', requireTeamMemberParam, async (req, res) => {
+  try {
+    const { before, after, limit } = req.query;
+    const page = await listTeamMessages(req.team._id, {
+      before: before || null,
+      after: after || null,
+      limit: limit ?? DEFAULT_PAGE_SIZE
+    });
+
+    console.log(`✅ Found ${page.messages.length} messages for team ${req.team._id}`);
+    res.json(page);
+  } catch (error) {
+    console.error('❌ Error fetching messages:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /chat/:teamId/search - Members: search the chat, newest first
+// Query: q (terms, "quoted phrase"), sender (user id or ai_bot), ai_only=true, from / to (dates),
+// limit (default 20, max 50), before=<messageId> for the next page.
+// Responds with { results: [{ _id, senderId, timestamp, reply_to, snippet, highlights }], has_more }.
+router.get('/chat/:teamId/search', requireTeamMemberParam, async (req, res) => {
+  try {
+    const { q, sender, ai_only, from, to, limit, before } = req.query;
+    const found = await searchTeamMessages(req.team._id, {
+      q,
+      sender: sender || null,
+      aiOnly: ai_only === 'true',
+      from,
+      to,
+      limit: limit ?? DEFAULT_SEARCH_LIMIT,
+      before: before || null
+    });
+    console.log(`🔎 Chat search in team ${req.team._id}: ${found.results.length} result(s)`);
+    res.json(found);
+  } catch (error) {
+    console.error('❌ Error searching chat:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /chat/:teamId/commands - Members: the slash commands, as [{ name, usage, description }]
+router.get('/chat/:teamId/commands', requireTeamMemberParam, (req, res) => {
+  res.json(listChatCommands());
+});
+
+// POST /chat/:teamId/commands - Members: run a slash command ({ input: "/task add Ship it" })
+// Responds with { command, notice, message, agent } - notice is for the caller only, message is
+// what the command posted to the chat (if anything). Bad commands or arguments get a 400.
+router.post('/chat/:teamId/commands', requireTeamMemberParam, async (req, res) => {
+  try {
+    const result = await runChatCommand(req.team, req.user, req.body?.input);
+    console.log(`⌨️ /${result.command} run in team ${req.team._id} by ${req.user._id}`);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error running chat command:', error.message);
+    res.status(error.status || 500).json({ error: error.message, ...(error.details && { details: error.details }) });
+  }
+});
+
+// GET /chat/:teamId/export - Members: download the whole chat as a transcript
+// Query: format = markdown (default), json or text. Sender names come from the users collection.
+router.get('/chat/:teamId/export', requireTeamMemberParam, async (req, res) => {
+  try {
+    const { filename, contentType, body } = await exportTeamChat(req.team, req.query.format || 'markdown');
+    console.log(`📦 Exported chat of team ${req.team._id} as ${filename}`);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('❌ Error exporting chat:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /chat/:teamId/messages/:messageId/replies - One page of a thread's replies, oldest first
+// Same query and response as the history above.
+router.get('/chat/:teamId/messages/:messageId/replies', requireTeamMemberParam, async (req, res) => {
+  try {
+    const root = await findTeamMessage(req.team._id, req.params.messageId);
+    if (!root) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const { before, after, limit } = req.query;
+    res.json(await listTeamMessages(req.team._id, {
+      before: before || null,
+      after: after || null,
+      limit: limit ?? DEFAULT_PAGE_SIZE,
+      thread: root._id
+    }));
+  } catch (error) {
+    console.error('❌ Error fetching replies:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /chat/:teamId/messages - Send a message (reply_to: <messageId> posts it in that message's thread)
+// JSON, or multipart/form-data with the same fields plus up to 5 files in "files" - a message
+// needs text, attachments or both.
+router.post('/chat/:teamId/messages', requireTeamMemberParam, uploadAttachments, requireSelf(req => req.body?.user_id), async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { user_name, message, reply_to } = req.body || {};
+    const files = req.files || [];
+    const user_id = String(req.user._id); // Sender is always the signed-in user
+    
+    console.log(`📨 POST /chat/:teamId/messages - teamId: ${teamId}, user_id: ${user_id}`);
+    console.log(`📋 Request body:`, { user_id, user_name, message: message?.substring(0, 50) });
+    
+    if (!message && files.length === 0) {
+      console.error('❌ Missing required fields:', { hasMessage: !!message });
+      return res.status(400).json({ error: 'message is required' });
+    }
+    
+    // Loaded and membership-checked by requireTeamMemberParam
+    const team = req.team;
+    
+    const threadRoot = reply_to ? await findThreadRoot(team._id, reply_to) : null;
+    const mentions = await mentionedMembers(team, message);
+    const attachments = await storeAttachments(team._id, files);
+    const messageObject = {
+      senderId: user_id,
+      text: message || '',
+      mentions,
+      reply_to: threadRoot ? String(threadRoot._id) : null,
+      attachments,
+      timestamp: new Date()
+    };
+    
+    // Files are stored first so the message can point at them - drop them if it isn't saved
+    const saved = await postTeamMessage(team._id, messageObject).catch(async (error) => {
+      await removeAttachments(attachments);
+      throw error;
+    });
+    
+    console.log(`✅ Message added to team ${team._id}`);
+    res.json(publicMessage(saved));
+  } catch (error) {
+    console.error('❌ Error sending message:', error);
+    console.error('❌ Error stack:', error.stack);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /chat/:teamId/messages/:messageId/attachments/:attachmentId - Members: download an attachment
+// (?thumbnail=true: the image's WebP thumbnail). Images are served inline, everything else as a download.
+router.get('/chat/:teamId/messages/:messageId/attachments/:attachmentId', requireTeamMemberParam, async (req, res) => {
+  try {
+    const message = await findTeamMessage(req.team._id, req.params.messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    const { attachment, stream, contentType } = await openAttachment(message, req.params.attachmentId, {
+      thumbnail: req.query.thumbnail === 'true'
+    });
+
+    const inline = contentType.startsWith('image/');
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      'Cache-Control': 'private, max-age=86400'
+    });
+    stream.on('error', (error) => {
+      console.error('❌ Error streaming attachment:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('❌ Error fetching attachment:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// PUT /chat/:teamId/messages/:messageId - Author: edit the text ({ message }); marks it edited_at
+// (@mentions are worked out again from the new text)
+router.put('/chat/:teamId/messages/:messageId', requireTeamMemberParam, requireMessageAuthorParam, async (req, res) => {
+  try {
+    const message = await editTeamMessage(req.chatMessage, req.body?.message, req.team);
+    console.log(`✏️ Message ${message._id} edited in team ${req.team._id}`);
+    res.json(message);
+  } catch (error) {
+    console.error('❌ Error editing message:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// DELETE /chat/:teamId/messages/:messageId - Author or team lead: soft-delete the message (and unpin it)
+router.delete('/chat/:teamId/messages/:messageId', requireTeamMemberParam, requireMessageAuthorOrLeadParam, async (req, res) => {
+  try {
+    const message = await deleteTeamMessage(req.chatMessage, req.user._id, req.team);
+    console.log(`🗑️ Message ${message._id} deleted in team ${req.team._id} by ${req.user._id}`);
+    res.json(message);
+  } catch (error) {
+    console.error('❌ Error deleting message:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /chat/:teamId/messages/:messageId/reactions - Any member: react with { emoji }
+// DELETE /chat/:teamId/messages/:messageId/reactions/:emoji - Take your reaction back
+async function react(req, res, emoji, on) {
+  try {
+    const target = await findTeamMessage(req.team._id, req.params.messageId);
+    if (!target) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(await setReaction(target, req.user._id, emoji, on));
+  } catch (error) {
+    console.error('❌ Error updating reaction:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+router.post('/chat/:teamId/messages/:messageId/reactions', requireTeamMemberParam, (req, res) => react(req, res, req.body?.emoji, true));
+router.delete('/chat/:teamId/messages/:messageId/reactions/:emoji', requireTeamMemberParam, (req, res) => react(req, res, req.params.emoji, false));
+
+// POST /chat/:teamId/messages/:messageId/poll/vote - Members: vote in a poll ({ option: index });
+// voting again moves the vote
+// DELETE /chat/:teamId/messages/:messageId/poll/vote - Take the vote back
+async function vote(req, res, option) {
+  try {
+    const message = await findTeamMessage(req.team._id, req.params.messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(await votePoll(message, req.user._id, option));
+  } catch (error) {
+    console.error('❌ Error voting:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+router.post('/chat/:teamId/messages/:messageId/poll/vote', requireTeamMemberParam, (req, res) => vote(req, res, req.body?.option ?? -1));
+router.delete('/chat/:teamId/messages/:messageId/poll/vote', requireTeamMemberParam, (req, res) => vote(req, res, null));
+
+// POST /chat/:teamId/messages/:messageId/pin - Members: pin the message to the team
+// DELETE /chat/:teamId/messages/:messageId/pin - Members: unpin it
+// Both respond with the team's pinned messages (also in GET /api/team/:teamId as pinned_messages).
+router.post('/chat/:teamId/messages/:messageId/pin', requireTeamMemberParam, async (req, res) => {
+  try {
+    const message = await findTeamMessage(req.team._id, req.params.messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    const pinned = await pinTeamMessage(req.team, message, req.user._id);
+    console.log(`📌 Message ${message._id} pinned in team ${req.team._id}`);
+    res.json(pinned);
+  } catch (error) {
+    console.error('❌ Error pinning message:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/chat/:teamId/messages/:messageId/pin', requireTeamMemberParam, async (req, res) => {
+  try {
+    res.json(await unpinTeamMessage(req.team, req.params.messageId));
+  } catch (error) {
+    console.error('❌ Error unpinning message:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /chat/:teamId/read - Members: mark the chat read up to { message_id } (never moves back)
+router.post('/chat/:teamId/read', requireTeamMemberParam, async (req, res) => {
+  try {
+    res.json(await markTeamRead(req.team, req.user._id, req.body?.message_id));
+  } catch (error) {
+    console.error('❌ Error marking chat read:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /chat/:teamId/events - Server-Sent Events stream of the team's chat
+// Sends 'ready' once connected, then one 'message' event per new message (user, ai_bot or system_bot)
+// and a 'message_updated' event with the whole message when one is edited, deleted or reacted to,
+// a 'read' event when a member's read position moves and 'pins_updated' (the whole pinned list)
+// when a message is pinned or unpinned. Thread replies are 'message' events with reply_to set.
+// Reconnecting clients pass the last event id they saw (Last-Event-ID header or ?last_event_id=)
+// and get the missed events replayed - or a 'resync' event when those are gone and the client
+// should refetch the team. The stream ends once the user is no longer a member (left, removed
+// or the team was dissolved).
+router.get('/chat/:teamId/events', requireTeamMemberParam, (req, res) => {
+  const teamId = String(req.team._id); // Loaded and membership-checked by requireTeamMemberParam
+  const userId = String(req.user._id);
+  const lastEventId = req.get('Last-Event-ID') ?? req.query.last_event_id;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = ({ id, type, data }) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write('retry: 3000\n\n');
+  send({ type: 'ready', data: { team_id: teamId } });
+  if (lastEventId !== undefined) {
+    const missed = eventsSince(teamId, lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      send({ type: 'resync', data: { team_id: teamId } });
+    }
+  }
+  // Replay and subscribe happen in the same tick, so nothing published in between is lost
+  const unsubscribe = subscribeToTeam(teamId, (event) => {
+    send(event);
+    if (event.type === 'membership' && !event.data.members.includes(userId)) {
+      res.end();
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  console.log(`📡 Chat stream opened for team ${teamId} by ${req.user._id}`);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`📴 Chat stream closed for team ${teamId}`);
+  });
+});
+
+export default router;
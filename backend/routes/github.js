@@ -0,0 +1,32 @@
+import express from 'express';
+import { requireTeamMember } from '../middleware/policies.js';
+import { findTeamById } from '../services/teams.js';
+import { createTeamRepository, isGitHubEnabled } from '../services/github.js';
+
+const router = express.Router();
+
+// POST /github/init - Initialize GitHub repository for team
+router.post('/github/init', requireTeamMember(req => findTeamById(req.body.teamId)), async (req, res) => {
+  try {
+    const { teamId, projectName } = req.body;
+    
+    console.log(`🔧 POST /github/init - teamId: ${teamId}, projectName: ${projectName}`);
+    
+    if (!isGitHubEnabled()) {
+      return res.status(503).json({ error: 'GitHub integration not configured. GITHUB_TOKEN not set in .env' });
+    }
+    
+    // Loaded and membership-checked by requireTeamMember
+    const result = await createTeamRepository(req.team, {
+      repoName: projectName,
+      description: projectName ? `Hackathon project: ${projectName}` : null
+    });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error initializing GitHub repository:', error);
+    res.status(error.status || 500).json({ error: error.message, ...(error.details && { details: error.details }) });
+  }
+});
+
+export default router;
@@ -0,0 +1,145 @@
+import express from 'express';
+import Hackathon from '../models/Hackathon.js';
+import {
+  requireOrganizerParam,
+  teamSizeLimits,
+  validateTeamSizeLimits,
+  targetComposition,
+  validateTargetComposition
+} from '../services/hackathons.js';
+import { syncHackathonTeams } from '../services/teams.js';
+
+const router = express.Router();
+
+// GET /hackathons - Fetch all hackathons from MongoDB
+router.get('/hackathons', async (req, res) => {
+  try {
+    console.log('Fetching hackathons from MongoDB...');
+    const hackathons = await Hackathon.find();
+    console.log(`Found ${hackathons.length} hackathons in database`);
+
+    // Map to frontend format
+    const formatted = hackathons.map(hackathon => {
+      let start_date = null;
+      let end_date = null;
+
+      if (hackathon.startDate) {
+        try {
+          start_date = new Date(hackathon.startDate).toISOString().split('T')[0];
+        } catch (e) {
+          console.warn('Invalid startDate format:', hackathon.startDate);
+        }
+      }
+
+      if (hackathon.endDate) {
+        try {
+          end_date = new Date(hackathon.endDate).toISOString().split('T')[0];
+        } catch (e) {
+          console.warn('Invalid endDate format:', hackathon.endDate);
+        }
+      }
+
+      const result = {
+        id: hackathon._id.toString(),
+        name: hackathon.name || 'Hackathon Event',
+        start_date: start_date,
+        end_date: end_date,
+        location: hackathon.location || 'Location TBD',
+        url: hackathon.url || 'https://mlh.io',
+        logo: hackathon.logo || null,
+        imageUrl: hackathon.imageUrl || null, // Include imageUrl field from MongoDB
+        description: hackathon.description || '',
+        type: hackathon.type || '',
+        organizers: hackathon.organizers || [],
+        min_team_size: teamSizeLimits(hackathon).min,
+        max_team_size: teamSizeLimits(hackathon).max,
+        target_composition: targetComposition(hackathon)
+        // Explicitly exclude 'day' field if it exists in MongoDB
+      };
+      
+      // Remove 'day' field if it exists (to prevent "(day: X)" from appearing)
+      if (result.day) {
+        delete result.day;
+      }
+      
+      // Debug: Log if imageUrl exists
+      if (hackathon.imageUrl) {
+        console.log(`✅ Backend: Found imageUrl for ${result.name}:`, hackathon.imageUrl);
+      }
+      
+      return result;
+    }).sort((a, b) => {
+      // Sort by start date, with null dates at the end
+      if (!a.start_date && !b.start_date) return 0;
+      if (!a.start_date) return 1;
+      if (!b.start_date) return -1;
+      return new Date(a.start_date) - new Date(b.start_date);
+    });
+
+    res.json(formatted);
+  } catch (error) {
+    console.error('Error fetching hackathons:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /hackathons/:hackathonId/team-size - Organizer: set min/max members per team
+// Every team's is_full is recomputed; teams that are now full get their pending requests cancelled
+router.put('/hackathons/:hackathonId/team-size', requireOrganizerParam, async (req, res) => {
+  try {
+    const hackathon = req.hackathon; // Loaded and organizer-checked by requireHackathonOrganizer
+    const current = teamSizeLimits(hackathon);
+    const min = req.body?.min_team_size ?? current.min;
+    const max = req.body?.max_team_size ?? current.max;
+
+    const validationError = validateTeamSizeLimits(min, max);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    hackathon.min_team_size = min;
+    hackathon.max_team_size = max;
+    await hackathon.save();
+    await syncHackathonTeams(String(hackathon._id));
+
+    console.log(`✅ Team size for hackathon ${hackathon._id} set to ${min}-${max}`);
+    res.json({ success: true, min_team_size: min, max_team_size: max });
+  } catch (error) {
+    console.error('Error updating team size:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /hackathons/:hackathonId/team-composition - Organizer: set the roles a complete team has
+// Body: { target_composition: [{ role, count }] }. Every team's needed_roles is recomputed.
+router.put('/hackathons/:hackathonId/team-composition', requireOrganizerParam, async (req, res) => {
+  try {
+    const hackathon = req.hackathon; // Loaded and organizer-checked by requireHackathonOrganizer
+    const composition = req.body?.target_composition;
+
+    const validationError = validateTargetComposition(composition);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    hackathon.target_composition = composition.map(({ role, count }) => ({ role, count }));
+    await hackathon.save();
+    await syncHackathonTeams(String(hackathon._id));
+
+    console.log(`✅ Target composition for hackathon ${hackathon._id} set to ${composition.map(c => `${c.count}x ${c.role}`).join(', ')}`);
+    res.json({ success: true, target_composition: targetComposition(hackathon) });
+  } catch (error) {
+    console.error('Error updating team composition:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /hackathons/mlh - Deprecated: All hackathons come from MongoDB via /hackathons
+router.get('/hackathons/mlh', async (req, res) => {
+  res.status(200).json({ 
+    message: 'This endpoint is deprecated. All hackathon data comes from MongoDB. Use GET /hackathons instead.',
+    redirect: '/hackathons'
+  });
+});
+
+export default router;
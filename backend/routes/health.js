@@ -0,0 +1,93 @@
+import express from 'express';
+import User from '../models/User.js';
+import { createGeminiProvider } from '../services/llm/index.js';
+
+const router = express.Router();
+
+// Flatten "METHOD /path" entries out of a router stack, descending into mounted routers
+function listRoutes(stack) {
+  return stack.flatMap((layer) => {
+    if (layer.route) {
+      const methods = Object.keys(layer.route.methods).map(m => m.toUpperCase()).join(', ');
+      const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+      return paths.map(path => `${methods} ${path}`);
+    }
+    return layer.handle?.stack ? listRoutes(layer.handle.stack) : [];
+  });
+}
+
+// Root endpoint
+router.get('/', (req, res) => {
+  res.json({ message: 'Hackathon Team Matcher API is running!' });
+});
+
+// Health check with route list
+router.get('/health', (req, res) => {
+  const routes = listRoutes(req.app.router.stack);
+  res.json({
+    status: 'ok',
+    routes: routes.filter(r => r.includes('match-score') || r.includes('team') || r.includes('/users'))
+  });
+});
+
+// Test endpoint to verify match-score route exists
+router.get('/test-match-score', (req, res) => {
+  res.json({ message: 'Match-score route is accessible', path: '/match-score' });
+});
+
+// Health check endpoint
+router.get('/api/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Test endpoint - Get all users
+router.get('/test', async (req, res) => {
+  const users = await User.find();
+  res.json(users);
+});
+
+// Test endpoint - Test Gemini API key and models
+router.get('/test-gemini', async (req, res) => {
+  try {
+    if (!process.env.GEMINI_API_KEY) {
+      return res.status(500).json({ 
+        error: 'GEMINI_API_KEY not set',
+        help: 'Add GEMINI_API_KEY to your .env file. Get one at https://aistudio.google.com/apikey'
+      });
+    }
+    
+    console.log('🔍 Testing Gemini API key...');
+    const testPrompt = 'Say "Hello"';
+    const modelsToTry = [
+      'gemini-2.5-flash',
+      'gemini-2.5-pro',
+      'gemini-1.5-pro', 
+      'gemini-pro'
+    ];
+    
+    const results = await createGeminiProvider().probeModels(modelsToTry, testPrompt);
+    for (const result of results) {
+      console.log(`${result.status === '✅ Working' ? '✅' : '❌'} ${result.model}: ${result.status}`);
+    }
+    
+    const workingModels = results.filter(r => r.status === '✅ Working');
+    if (workingModels.length === 0) {
+      return res.status(500).json({
+        error: 'No working models found',
+        results: results,
+        help: 'Your API key may be invalid or not have access to Gemini models. Get a new key at https://aistudio.google.com/apikey'
+      });
+    }
+    
+    res.json({
+      success: true,
+      workingModels: workingModels.map(m => m.model),
+      allResults: results,
+      message: `Found ${workingModels.length} working model(s)`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
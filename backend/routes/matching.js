@@ -0,0 +1,233 @@
+import express from 'express';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import { requireAuth } from '../middleware/policies.js';
+import { calculateMatchScore, getDefaultScoringMode, SCORING_MODES } from '../services/matching.js';
+import { getMatchScore, findCachedMatchScores } from '../services/matchCache.js';
+import { scoreRoster } from '../services/batchScoring.js';
+
+const router = express.Router();
+
+// POST /match-score - AI Matchmaking endpoint (signed-in users only - results are cached)
+router.post('/match-score', requireAuth, async (req, res) => {
+  try {
+    let { currentUser, targetUser, user1_id, user2_id, team_member_ids, hackathon_id, mode } = req.body;
+
+    // mode: 'ai' (LLM with rule-engine fallback) or 'rules' (rule engine only); defaults to MATCH_SCORING_MODE
+    if (mode !== undefined && !SCORING_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${SCORING_MODES.join(', ')}` });
+    }
+
+    console.log(`🔍 POST /match-score request received`);
+    console.log(`📋 Request body:`, { user1_id, user2_id, hasCurrentUser: !!currentUser, hasTargetUser: !!targetUser });
+
+    // 1. Resolve Users: Handle both Direct Objects (from Prompt) and IDs (from Frontend)
+    // Since _id is stored as String in the database, search directly as string
+    const findUser = async (id) => {
+      if (!id) {
+        console.log(`   ⚠️ No ID provided to findUser`);
+        return null;
+      }
+      
+      // Convert to string and search directly (no ObjectId conversion needed)
+      const stringId = String(id).trim();
+      console.log(`   🔍 Searching for ID as string: "${stringId}" (original type: ${typeof id}, original value: ${id})`);
+      
+      // Use findOne with string _id (since schema defines _id as String)
+      let user = await User.findOne({ _id: stringId }).lean();
+      
+      // If not found, try findById as fallback (Mongoose may still handle it)
+      if (!user) {
+        console.log(`   🔄 Trying findById with string...`);
+        user = await User.findById(stringId).lean();
+      }
+      
+      // If still not found, try without .lean() to get Mongoose document
+      if (!user) {
+        console.log(`   🔄 Trying without .lean()...`);
+        user = await User.findOne({ _id: stringId });
+        if (user) {
+          user = user.toObject();
+        }
+      }
+      
+      // If still not found, try exact match without any conversion
+      if (!user) {
+        console.log(`   🔄 Trying exact match...`);
+        user = await User.findOne({ _id: id }).lean();
+      }
+      
+      if (!user) {
+        console.log(`   ⚠️ User not found with ID: ${stringId}`);
+        // Debug: show what IDs exist in database
+        const sampleUsers = await User.find({}).limit(5).select('_id name').lean();
+        console.log(`   🔍 Sample user IDs in DB:`, sampleUsers.map(u => ({ 
+          id: String(u._id), 
+          idType: typeof u._id,
+          idConstructor: u._id?.constructor?.name,
+          name: u.name 
+        })));
+        console.log(`   🔍 Comparing: Looking for "${stringId}" vs DB has "${sampleUsers[0]?._id}" (match: ${String(sampleUsers[0]?._id) === stringId})`);
+      } else {
+        console.log(`   ✅ User found: ${user.name} (${user._id})`);
+      }
+      
+      return user;
+    };
+
+    if (!currentUser && user1_id) {
+      console.log(`🔍 Looking up user1_id: ${user1_id} (type: ${typeof user1_id})`);
+      currentUser = await findUser(user1_id);
+      console.log(`✅ User1 found: ${currentUser ? currentUser.name : 'NOT FOUND'}`);
+    }
+    
+    if (!targetUser && user2_id) {
+      console.log(`🔍 Looking up user2_id: ${user2_id} (type: ${typeof user2_id})`);
+      targetUser = await findUser(user2_id);
+      console.log(`✅ User2 found: ${targetUser ? targetUser.name : 'NOT FOUND'}`);
+    }
+
+    // Validation
+    if (!currentUser || !targetUser) {
+      console.error('❌ Missing users for matchmaking');
+      console.error(`   user1_id: ${user1_id}, found: ${!!currentUser}`);
+      console.error(`   user2_id: ${user2_id}, found: ${!!targetUser}`);
+      return res.status(404).json({ error: 'Users not found', details: 'Provide currentUser/targetUser objects OR user1_id/user2_id' });
+    }
+
+    console.log(`✅ Matchmaking for: ${currentUser.name} vs ${targetUser.name}`);
+
+    // 2. Get team members if team_member_ids provided
+    let teamMembers = null;
+    if (team_member_ids && team_member_ids.length > 0) {
+      teamMembers = await User.find({ _id: { $in: team_member_ids } });
+      console.log(`👥 Team members: ${teamMembers.length}`);
+    }
+
+    // 3. Score (team-based when team members were given). Users loaded by id go through the
+    // cache; raw currentUser/targetUser objects have no profile_version, so they're always computed.
+    const isCurrentUser = String(currentUser._id) === String(req.user._id);
+    const fromDatabase = !req.body.currentUser && !req.body.targetUser;
+    const matchData = fromDatabase
+      ? await getMatchScore(currentUser, targetUser, teamMembers, { isCurrentUser, mode })
+      : await calculateMatchScore(currentUser, targetUser, teamMembers, { isCurrentUser, mode });
+    
+    console.log(`📊 Match result: ${matchData.score}% - ${matchData.category} (${matchData.engine}${matchData.fallback ? ' fallback' : ''})`);
+    res.json(matchData);
+
+  } catch (error) {
+    console.error('❌ Error in POST /match-score:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The signed-in user, everyone else registered for the hackathon, and the user's team there
+async function loadRoster(userId, hackathonId) {
+  const [user, team, roster] = await Promise.all([
+    User.findById(userId).lean(),
+    Team.findOne({ members: userId, hackathon_id: hackathonId }),
+    User.find({ registered_hackathons: hackathonId, _id: { $ne: userId } }).lean()
+  ]);
+  const teamMembers = team ? await User.find({ _id: { $in: team.members } }).lean() : null;
+  return { user, roster, teamMembers };
+}
+
+// GET /hackathons/:hackathonId/match-scores - Cached scores for the signed-in user against the
+// hackathon roster, in one response. Nothing is computed here: candidates without a valid
+// cached score are listed in `missing` for the client to score via POST /match-score.
+router.get('/hackathons/:hackathonId/match-scores', requireAuth, async (req, res) => {
+  try {
+    const { hackathonId } = req.params;
+    const mode = req.query.mode || getDefaultScoringMode();
+    const userId = String(req.user._id);
+
+    if (!SCORING_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${SCORING_MODES.join(', ')}` });
+    }
+
+    const { user, roster, teamMembers } = await loadRoster(userId, hackathonId);
+
+    const { scores, missing } = await findCachedMatchScores(user, roster, teamMembers, { mode, isCurrentUser: true });
+    console.log(`📦 Cached match scores for ${userId} in ${hackathonId}: ${Object.keys(scores).length} hit, ${missing.length} missing`);
+
+    res.json({
+      hackathon_id: hackathonId,
+      mode,
+      team_member_ids: teamMembers ? teamMembers.map(m => String(m._id)) : [],
+      scores,
+      missing
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /hackathons/:hackathonId/match-scores:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /hackathons/:hackathonId/match-scores - Score the whole roster server-side.
+// Streams newline-delimited JSON so the client can fill in scores as they arrive:
+//   { type: 'start', total, team_member_ids, mode }
+//   { type: 'score', candidate_id, result }  (cached scores first)
+//   { type: 'error', candidate_id, error }
+//   { type: 'done', total, cached, scored, failed, fallback }
+router.post('/hackathons/:hackathonId/match-scores', requireAuth, async (req, res) => {
+  const { hackathonId } = req.params;
+  const mode = req.body?.mode || getDefaultScoringMode();
+  const userId = String(req.user._id);
+
+  if (!SCORING_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${SCORING_MODES.join(', ')}` });
+  }
+
+  let user, candidates, teamMembers;
+  try {
+    ({ user, roster: candidates, teamMembers } = await loadRoster(userId, hackathonId));
+  } catch (error) {
+    console.error('❌ Error in POST /hackathons/:hackathonId/match-scores:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  // Stop scheduling new LLM calls if the browser goes away
+  let disconnected = false;
+  res.on('close', () => {
+    disconnected = true;
+  });
+  const send = (event) => {
+    if (!disconnected) {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
+
+  res.status(200).set({
+    'Content-Type': 'application/x-ndjson',
+    'Cache-Control': 'no-cache'
+  });
+  res.flushHeaders();
+
+  console.log(`🧮 Batch scoring ${candidates.length} candidates for ${userId} in ${hackathonId} (${mode})`);
+  send({
+    type: 'start',
+    hackathon_id: hackathonId,
+    mode,
+    total: candidates.length,
+    team_member_ids: teamMembers ? teamMembers.map(m => String(m._id)) : []
+  });
+
+  try {
+    const summary = await scoreRoster({
+      user,
+      candidates,
+      teamMembers,
+      mode,
+      onEvent: send,
+      isCancelled: () => disconnected
+    });
+    console.log(`✅ Batch scoring done: ${summary.cached} cached, ${summary.scored} scored, ${summary.failed.length} failed`);
+    send({ type: 'done', ...summary });
+  } catch (error) {
+    console.error('❌ Batch scoring failed:', error);
+    send({ type: 'done', error: error.message });
+  }
+  res.end();
+});
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import Hackathon from '../models/Hackathon.js';
+import { buildMentorPrompt } from '../services/ai.js';
+import { getLLM } from '../services/llm/index.js';
+import { adviseTeam } from '../services/agents.js';
+import { findTeamMembers, requireTeamMemberParam } from '../services/teams.js';
+import { recentTeamMessages } from '../services/messages.js';
+
+const router = express.Router();
+
+// POST /api/ai-mentor/:teamId - AI Mentor for team (conversational, team-wide)
+router.post('/api/ai-mentor/:teamId', requireTeamMemberParam, async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { message, teamContext } = req.body;
+    
+    console.log(`🤖 POST /api/ai-mentor/:teamId - teamId: ${teamId}`);
+    
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    
+    // Loaded and membership-checked by requireTeamMemberParam
+    const team = req.team;
+    
+    // Get hackathon info
+    const hackathonId = team.hackathon_id;
+    const hackathon = hackathonId ? await Hackathon.findById(hackathonId) : null;
+    
+    // Get all team members' data
+    const members = teamContext?.memberDetails || await findTeamMembers(team);
+    
+    // Get recent conversation context
+    const recentMessages = (await recentTeamMessages(team._id, 15)).map(msg => {
+      const sender = msg.senderId === 'ai_bot' || msg.senderId === 'ai_mentor' ? 'AI Mentor' : 
+                     members.find(m => (m._id?.toString() || m._id) === msg.senderId)?.name || 'Team Member';
+      return `${sender}: ${msg.text}`;
+    }).join('\n');
+    
+    const mentorPrompt = buildMentorPrompt({ members, hackathon, recentMessages, message });
+
+    const llm = getLLM();
+    console.log(`🤖 Calling ${llm.name} provider for AI mentor...`);
+    
+    const aiResponse = await llm.generateText(mentorPrompt, {
+      task: 'mentor',
+      input: { members, hackathon, message }
+    });
+    
+    console.log(`✅ AI mentor response received (length: ${aiResponse.length})`);
+    
+    res.json({ response: aiResponse });
+  } catch (error) {
+    console.error('❌ Error getting AI mentor response:', error);
+    console.error('❌ Error stack:', error.stack);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /chat/:teamId/ai-advice - Get AI advice for the team
+router.post('/chat/:teamId/ai-advice', requireTeamMemberParam, async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { prompt, activeAgent } = req.body; // Optional: custom prompt and activeAgent
+    
+    console.log(`🤖 POST /chat/:teamId/ai-advice - teamId: ${teamId}`);
+    
+    // Loaded and membership-checked by requireTeamMemberParam
+    const saved = await adviseTeam(req.team, { prompt, activeAgent });
+    
+    res.json(saved);
+  } catch (error) {
+    console.error('❌ Error getting AI advice:', error);
+    console.error('❌ Error stack:', error.stack);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,175 @@
+import express from 'express';
+import User from '../models/User.js';
+import { requireAuth } from '../middleware/policies.js';
+import { buildProfilePrompt } from '../services/ai.js';
+import { getLLM } from '../services/llm/index.js';
+import { fetchGithubData } from '../services/github.js';
+import { invalidateMatchScores } from '../services/matchCache.js';
+
+const router = express.Router();
+
+// POST /api/onboarding/analyze - AI Profiler for GitHub/Resume
+router.post('/api/onboarding/analyze', async (req, res) => {
+  try {
+    console.log('🔍 POST /api/onboarding/analyze - Request received');
+    console.log('📋 Request body keys:', Object.keys(req.body));
+    
+    const { githubUrl, resumeText, resumeBase64 } = req.body;
+    
+    if (!githubUrl && !resumeText && !resumeBase64) {
+      console.error('❌ Missing required fields');
+      return res.status(400).json({ error: 'Either githubUrl, resumeText, or resumeBase64 is required' });
+    }
+    
+    let dataToAnalyze = '';
+    
+    // Handle GitHub URL
+    if (githubUrl) {
+      try {
+        // Extract username from GitHub URL
+        const username = githubUrl.replace(/https?:\/\/(www\.)?github\.com\//, '').split('/')[0].split('?')[0];
+        console.log('📋 Extracted username:', username);
+        
+        dataToAnalyze = await fetchGithubData(username);
+        console.log('✅ GitHub data fetched successfully');
+      } catch (githubError) {
+        console.error('❌ Error fetching GitHub data:', githubError);
+        return res.status(400).json({ error: githubError.message || 'Failed to fetch GitHub data. Check the URL.' });
+      }
+    }
+    
+    // Handle Resume (text or base64 PDF)
+    if (resumeText || resumeBase64) {
+      if (resumeBase64) {
+        try {
+          // Try to use pdf-parse if available, otherwise fallback to text extraction
+          let pdfParse;
+          try {
+            pdfParse = (await import('pdf-parse')).default;
+          } catch (e) {
+            console.log('⚠️ pdf-parse not available, using text fallback');
+            pdfParse = null;
+          }
+          
+          if (pdfParse) {
+            // Decode base64 and parse PDF
+            const pdfBuffer = Buffer.from(resumeBase64, 'base64');
+            const pdfData = await pdfParse(pdfBuffer);
+            dataToAnalyze = pdfData.text;
+            console.log('✅ PDF parsed successfully (length:', dataToAnalyze.length, ')');
+          } else {
+            // Fallback: try to extract text from base64
+            dataToAnalyze = resumeText || Buffer.from(resumeBase64, 'base64').toString('utf-8');
+            console.log('⚠️ Using text fallback for resume (length:', dataToAnalyze.length, ')');
+          }
+        } catch (pdfError) {
+          console.error('❌ Error parsing PDF:', pdfError);
+          // Fallback to text if PDF parsing fails
+          dataToAnalyze = resumeText || Buffer.from(resumeBase64, 'base64').toString('utf-8');
+        }
+      } else {
+        dataToAnalyze = resumeText;
+      }
+      console.log('📋 Analyzing resume text (length:', dataToAnalyze.length, ')');
+    }
+    
+    // Improved profiler prompt
+    const prompt = buildProfilePrompt(dataToAnalyze);
+
+    const llm = getLLM();
+    console.log(`🤖 Calling ${llm.name} provider...`);
+    console.log('📝 Prompt length:', prompt.length);
+    
+    let userData;
+    try {
+      userData = await llm.generateJSON(prompt, { task: 'profile', input: { text: dataToAnalyze } });
+      console.log('✅ AI profile analysis complete');
+      console.log('📋 Extracted data:', JSON.stringify(userData, null, 2));
+    } catch (parseError) {
+      if (!parseError.rawResponse) {
+        throw parseError;
+      }
+      console.error('❌ Failed to parse AI response:', parseError);
+      return res.status(500).json({ 
+        error: 'AI Analysis failed. Could not parse response.', 
+        details: parseError.rawResponse.substring(0, 500),
+        parseError: parseError.message
+      });
+    }
+    
+    res.json(userData);
+  } catch (error) {
+    console.error('❌ Error in /api/onboarding/analyze:', error);
+    console.error('Error name:', error.name);
+    console.error('Error message:', error.message);
+    console.error('Error stack:', error.stack);
+    
+    // Provide more specific error messages
+    let errorMessage = 'AI Analysis failed.';
+    if (error.message && error.message.includes('API_KEY')) {
+      errorMessage = 'Invalid or missing GEMINI_API_KEY. Please check your .env file.';
+    } else if (error.message && (error.message.includes('404') || error.message.includes('not found'))) {
+      errorMessage = 'Gemini model not found. The API may have changed.';
+    } else if (error.message && (error.message.includes('quota') || error.message.includes('limit'))) {
+      errorMessage = 'API quota exceeded. Please check your Google Cloud billing.';
+    } else {
+      errorMessage = error.message || 'AI Analysis failed. Check your API Key or Input.';
+    }
+    
+    res.status(500).json({ 
+      error: errorMessage,
+      details: error.message,
+      name: error.name
+    });
+  }
+});
+
+// POST /api/onboarding/save - Save the signed-in user's profile (backward compatibility)
+router.post('/api/onboarding/save', requireAuth, async (req, res) => {
+  try {
+    const { userData, selectedHackathons } = req.body;
+    
+    const userId = String(req.user._id);
+    
+    console.log('💾 Saving user profile (POST /api/onboarding/save)...');
+    console.log('📋 User data:', userData);
+    console.log('📋 Selected hackathons:', selectedHackathons);
+    
+    if (!userData || !userData.name) {
+      return res.status(400).json({ error: 'User data with name is required' });
+    }
+    
+    // Prepare update data (never let the client overwrite the id or credentials - the email is the login)
+    const { _id, password_hash, email, profile_version, ...profileData } = userData;
+    const updateData = {
+      ...profileData,
+      registered_hackathons: selectedHackathons || []
+    };
+    
+    // Use findByIdAndUpdate to save the form data
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      { $set: updateData, $inc: { profile_version: 1 } },
+      { new: true, runValidators: true }
+    );
+    
+    if (!updatedUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Scores computed from the old profile are stale now
+    await invalidateMatchScores(userId);
+    
+    console.log('✅ User profile saved successfully:', updatedUser._id);
+    res.json({ 
+      success: true, 
+      userId: updatedUser._id,
+      message: 'Profile saved successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error saving user profile:', error);
+    res.status(500).json({ error: error.message || 'Update failed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,503 @@
+import express from 'express';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import Team from '../models/Team.js';
+import { requireAuth, requireSelf } from '../middleware/policies.js';
+import { MAX_PENDING_REQUESTS, requireRecipientParam, requireSenderParam, checkRequestTransition, getRequestExpiryDate, expireStaleRequests } from '../services/requests.js';
+import { findTeamById, findTeamMembers, addTeamMembers, refreshTeamComposition, requireTeamMemberParam } from '../services/teams.js';
+import { postTeamMessage } from '../services/messages.js';
+import { createInvite, createJoinRequest, acceptInvite, castJoinVote, requireJoinRequestVoter } from '../services/teamRequests.js';
+
+const router = express.Router();
+
+// POST /requests - Send a team request (canonical endpoint)
+// POST /request and POST /api/request are kept as aliases for older clients
+router.post(['/requests', '/request', '/api/request'], requireSelf(req => req.body.from_user_id), async (req, res) => {
+  try {
+    // Sender is always the signed-in user
+    const from_user_id = String(req.user._id);
+    const to_user_id = req.body.to_user_id ? String(req.body.to_user_id) : null;
+    const hackathon_id = req.body.hackathon_id || null;
+    const message = req.body.message || '';
+
+    if (!to_user_id) {
+      return res.status(400).json({ error: 'to_user_id is required' });
+    }
+
+    // Validate that IDs are not placeholder values
+    if (to_user_id.includes('placeholder')) {
+      return res.status(400).json({ error: 'Invalid user ID: placeholder values are not allowed' });
+    }
+
+    if (to_user_id === from_user_id) {
+      return res.status(400).json({ error: 'You cannot send a request to yourself' });
+    }
+
+    const recipient = await User.findOne({ _id: to_user_id }).select('_id');
+    if (!recipient) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+
+    // Accepting would add someone to a team that has no room left
+    if (hackathon_id) {
+      const fullTeam = await Team.findOne({
+        hackathon_id,
+        is_full: true,
+        members: { $in: [from_user_id, to_user_id] }
+      }).select('members');
+      if (fullTeam) {
+        const whose = fullTeam.members.map(String).includes(from_user_id) ? 'Your' : "The recipient's";
+        return res.status(400).json({ error: `${whose} team is full` });
+      }
+    }
+
+    // Expired requests neither block a new request nor count toward the limit
+    await expireStaleRequests();
+
+    // Only one open request per sender/recipient pair for a hackathon
+    const existingRequest = await Request.findOne({
+      from_user_id,
+      to_user_id,
+      hackathon_id,
+      status: 'pending'
+    });
+
+    if (existingRequest) {
+      return res.status(400).json({ error: 'Request already sent' });
+    }
+
+    // Check request limit (5 pending per user per hackathon)
+    const requestCount = await Request.countDocuments({
+      from_user_id,
+      hackathon_id,
+      status: 'pending'
+    });
+
+    if (requestCount >= MAX_PENDING_REQUESTS) {
+      return res.status(400).json({ error: `Maximum of ${MAX_PENDING_REQUESTS} pending requests allowed` });
+    }
+
+    const newRequest = await Request.create({
+      from_user_id,
+      to_user_id,
+      hackathon_id,
+      message: message,
+      status: 'pending',
+      expires_at: await getRequestExpiryDate(hackathon_id)
+    });
+
+    res.status(201).json({
+      message: 'Request sent successfully',
+      request: newRequest
+    });
+  } catch (error) {
+    console.error('Error creating request:', error);
+    res.status(500).json({ error: error.message || 'Failed to create request' });
+  }
+});
+
+// GET /api/requests/:userId - Get user's sent requests count (the signed-in user only)
+router.get('/api/requests/:userId', requireSelf(req => req.params.userId), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    await expireStaleRequests();
+    const requestCount = await Request.countDocuments({
+      from_user_id: userId,
+      status: 'pending'
+    });
+    
+    res.json({
+      userId,
+      requestCount,
+      maxRequests: MAX_PENDING_REQUESTS
+    });
+  } catch (error) {
+    console.error('Error fetching requests:', error);
+    res.status(500).json({ error: 'Failed to fetch requests' });
+  }
+});
+
+// GET /api/requests/incoming/:userId - Get incoming requests for a user (the signed-in user only)
+router.get('/api/requests/incoming/:userId', requireSelf(req => req.params.userId), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    console.log(`📥 GET /api/requests/incoming/:userId - userId: ${userId}`);
+    console.log(`📥 userId type: ${typeof userId}, value: ${userId}`);
+    
+    // Drop overdue requests before listing what's still pending
+    await expireStaleRequests();
+    
+    // Join requests go to every member of the target team so they can vote
+    const myTeams = await Team.find({ members: userId.toString() }).select('_id name members lead_id').lean();
+    const teamsById = new Map(myTeams.map(t => [String(t._id), t]));
+
+    // Use .lean() to get raw MongoDB documents (not Mongoose documents)
+    const incomingRequests = await Request.find({
+      status: 'pending',
+      $or: [
+        { to_user_id: userId.toString(), type: { $ne: 'join' } },
+        { type: 'join', team_id: { $in: [...teamsById.keys()] } }
+      ]
+    }).lean();
+
+    // Invites name the team the user is invited to
+    const inviteTeamIds = incomingRequests.filter(r => r.type === 'invite').map(r => r.team_id);
+    if (inviteTeamIds.length > 0) {
+      const inviteTeams = await Team.find({ _id: { $in: inviteTeamIds } }).select('_id name members lead_id').lean();
+      inviteTeams.forEach(t => teamsById.set(String(t._id), t));
+    }
+    
+    console.log(`✅ Found ${incomingRequests.length} incoming requests`);
+    if (incomingRequests.length > 0) {
+      console.log(`📋 Request details:`, incomingRequests.map(r => ({
+        _id: r._id,
+        fromUserId: r.from_user_id,
+        toUserId: r.to_user_id,
+        status: r.status
+      })));
+    } else {
+      // Debug: Check what requests exist
+      const allRequests = await Request.find({});
+      console.log(`🔍 Total requests in DB: ${allRequests.length}`);
+      if (allRequests.length > 0) {
+        console.log(`📋 Sample request:`, {
+          _id: allRequests[0]._id,
+          fromUserId: allRequests[0].from_user_id,
+          toUserId: allRequests[0].to_user_id,
+          status: allRequests[0].status
+        });
+      }
+    }
+    
+    // Fetch user data for each request
+    const requestsWithUsers = await Promise.all(
+      incomingRequests.map(async (request) => {
+        // request is a plain object from .lean(), so access fields directly
+        const fromUserId = request.from_user_id;
+        console.log(`  📋 Request from user: ${fromUserId} (type: ${typeof fromUserId})`);
+        
+        if (!fromUserId) {
+          console.log(`  ⚠️ No fromUserId found in request!`);
+          console.log(`  📋 Full request object:`, JSON.stringify(request, null, 2));
+          return {
+            ...request,
+            _id: request._id?.toString ? request._id.toString() : String(request._id),
+            from_user_id: {
+              _id: 'unknown',
+              name: 'Unknown User',
+              skills: [],
+              tech_stack: []
+            }
+          };
+        }
+        
+        let user = null;
+        try {
+          // Since User schema has _id as String, use findOne with string
+          const userIdStr = String(fromUserId);
+          console.log(`  🔍 Looking up user with ID: ${userIdStr}`);
+          
+          user = await User.findOne({ _id: userIdStr });
+          
+          if (!user) {
+            // Try findById (Mongoose might handle string conversion)
+            user = await User.findById(userIdStr);
+          }
+          
+          if (!user) {
+            // Try without String conversion
+            user = await User.findOne({ _id: fromUserId });
+          }
+          
+          console.log(`  ${user ? '✅' : '❌'} User lookup: ${user ? `${user.name} (${user._id})` : 'NOT FOUND'} for ID: ${fromUserId}`);
+          
+          if (!user) {
+            // Debug: Check what users exist
+            const sampleUsers = await User.find({}).limit(3);
+            console.log(`  🔍 Sample user IDs in DB:`, sampleUsers.map(u => ({ _id: String(u._id), name: u.name })));
+          }
+        } catch (userError) {
+          console.log(`  ⚠️ Error finding user ${fromUserId}:`, userError.message);
+          console.log(`  ⚠️ Error stack:`, userError.stack);
+        }
+        
+        // Target team summary (and this user's vote) for invites and join requests
+        const targetTeam = request.team_id ? teamsById.get(String(request.team_id)) : null;
+        const teamSummary = targetTeam ? {
+          team: {
+            _id: String(targetTeam._id),
+            name: targetTeam.name,
+            member_count: targetTeam.members.length,
+            lead_id: targetTeam.lead_id || targetTeam.members[0] || null
+          },
+          my_vote: (request.votes || []).find(v => v.user_id === userId.toString())?.vote || null
+        } : {};
+
+        // request is already a plain object from .lean(), no need for toObject()
+        return {
+          ...request,
+          type: request.type || 'user',
+          ...teamSummary,
+          _id: request._id?.toString ? request._id.toString() : String(request._id), // Ensure _id is a string
+          from_user_id: user ? {
+            _id: user._id,
+            name: user.name,
+            email: user.email,
+            skills: user.skills,
+            tech_stack: user.tech_stack,
+            github: user.github,
+            devpost: user.devpost,
+            school: user.school,
+            location: user.location,
+            bio: user.bio,
+            experience: user.experience,
+            num_hackathons: user.num_hackathons,
+            role_preference: user.role_preference,
+            description: user.description
+          } : {
+            _id: fromUserId,
+            name: 'Unknown User',
+            skills: [],
+            tech_stack: []
+          }
+        };
+      })
+    );
+    
+    console.log(`✅ Returning ${requestsWithUsers.length} requests with user data`);
+    res.json(requestsWithUsers);
+  } catch (error) {
+    console.error('Error fetching incoming requests:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /requests/:requestId/accept - Accept a team request and create/update team
+router.post('/requests/:requestId/accept', requireSelf(req => req.body.current_user_id), requireRecipientParam, async (req, res) => {
+  try {
+    const current_user_id = String(req.user._id); // User accepting the request
+    
+    // Loaded and recipient-checked by requireRequestRecipient
+    const request = req.teamRequest;
+    
+    const transitionError = await checkRequestTransition(request, 'accepted');
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
+    }
+
+    if (request.type === 'join') {
+      return res.status(400).json({ error: 'Join requests are decided by a team vote - use /requests/:requestId/vote' });
+    }
+
+    if (request.type === 'invite') {
+      const { team } = await acceptInvite(request, current_user_id);
+      console.log(`✅ Invite ${request._id} accepted - ${current_user_id} joined team ${team._id}`);
+      return res.json({ success: true, team, message: 'Invite accepted' });
+    }
+    
+    const senderId = request.from_user_id;
+    const hackathonId = request.hackathon_id;
+    
+    // Check if current user already has a team for this hackathon
+    let team = await Team.findOne({
+      hackathon_id: hackathonId,
+      members: current_user_id.toString()
+    });
+
+    // Two people on different teams can't merge them by accepting a request
+    const senderTeam = await Team.findOne({
+      hackathon_id: hackathonId,
+      members: senderId.toString()
+    });
+    if (team && senderTeam && String(team._id) !== String(senderTeam._id)) {
+      return res.status(409).json({ error: 'You are both already on teams - invite them to your team instead' });
+    }
+    
+    try {
+      if (team) {
+        // Add sender to existing team (if not already a member)
+        team = await addTeamMembers(team, [senderId]);
+      } else {
+        // Join the sender's team if they have one
+        if (senderTeam) {
+          // Join sender's existing team
+          team = await addTeamMembers(senderTeam, [current_user_id]);
+        } else {
+          // Create new team with both users
+          const teamCount = await Team.countDocuments({ hackathon_id: hackathonId });
+          const teamName = `Team ${teamCount + 1}`;
+
+          team = await refreshTeamComposition(await Team.create({
+            hackathon_id: hackathonId,
+            name: teamName,
+            members: [senderId.toString(), current_user_id.toString()],
+            lead_id: senderId.toString(), // Whoever sent the request leads the new team
+            is_full: false
+          }));
+        }
+      }
+    } catch (error) {
+      if (error.status !== 409) throw error;
+      // The team filled up while this request was pending - it can no longer be accepted
+      request.status = 'cancelled';
+      request.responded_at = new Date();
+      await request.save();
+      return res.status(409).json({ error: error.message });
+    }
+    
+    // Mark request as accepted
+    request.status = 'accepted';
+    request.responded_at = new Date();
+    await request.save();
+    
+    // Reject all other pending requests from the same sender for this hackathon
+    await Request.updateMany(
+      {
+        from_user_id: senderId,
+        hackathon_id: hackathonId,
+        status: 'pending',
+        _id: { $ne: request._id }
+      },
+      { status: 'rejected', responded_at: new Date() }
+    );
+    
+    // Get all team member names for welcome message
+    const teamMembers = await findTeamMembers(team);
+    const memberNames = teamMembers.map(m => m.name || 'Member').join(', ');
+    
+    // Post welcome message from system_bot
+    const welcomeMessage = {
+      senderId: 'system_bot',
+      text: `🎉 Team formed! ${memberNames} are now collaborating. Let's build something amazing together!`,
+      timestamp: new Date()
+    };
+    
+    await postTeamMessage(team._id, welcomeMessage);
+    
+    res.json({
+      success: true,
+      team,
+      message: 'Request accepted and team created/updated'
+    });
+  } catch (error) {
+    console.error('Error accepting request:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /requests/:requestId/decline - Recipient turns down a pending request
+router.post('/requests/:requestId/decline', requireRecipientParam, async (req, res) => {
+  try {
+    const request = req.teamRequest;
+    
+    const transitionError = await checkRequestTransition(request, 'declined');
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
+    }
+
+    if (request.type === 'join') {
+      return res.status(400).json({ error: 'Join requests are decided by a team vote - use /requests/:requestId/vote' });
+    }
+    
+    request.status = 'declined';
+    request.responded_at = new Date();
+    await request.save();
+    
+    console.log(`✅ Request ${request._id} declined`);
+    res.json({
+      success: true,
+      request,
+      message: 'Request declined'
+    });
+  } catch (error) {
+    console.error('Error declining request:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /requests/:requestId/withdraw - Sender takes back a pending request (frees a quota slot)
+router.post('/requests/:requestId/withdraw', requireSenderParam, async (req, res) => {
+  try {
+    const request = req.teamRequest;
+    
+    const transitionError = await checkRequestTransition(request, 'withdrawn');
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
+    }
+    
+    request.status = 'withdrawn';
+    request.responded_at = new Date();
+    await request.save();
+    
+    console.log(`✅ Request ${request._id} withdrawn`);
+    res.json({
+      success: true,
+      request,
+      message: 'Request withdrawn'
+    });
+  } catch (error) {
+    console.error('Error withdrawing request:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/team/:teamId/invites - A team member invites a user to the team
+router.post('/api/team/:teamId/invites', requireTeamMemberParam, async (req, res) => {
+  try {
+    const { to_user_id, message } = req.body;
+    if (!to_user_id) {
+      return res.status(400).json({ error: 'to_user_id is required' });
+    }
+
+    // Loaded and membership-checked by requireTeamMember
+    const invite = await createInvite(req.team, req.user._id, to_user_id, message || '');
+
+    console.log(`✉️ Team ${req.team._id} invited ${to_user_id}`);
+    res.status(201).json({ message: 'Invite sent successfully', request: invite });
+  } catch (error) {
+    console.error('Error sending invite:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /api/team/:teamId/join-requests - Ask to join a team (its members vote on it)
+router.post('/api/team/:teamId/join-requests', requireAuth, async (req, res) => {
+  try {
+    const team = await findTeamById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const joinRequest = await createJoinRequest(team, req.user._id, req.body?.message || '');
+
+    console.log(`🙋 ${req.user._id} asked to join team ${team._id}`);
+    res.status(201).json({ message: 'Join request sent successfully', request: joinRequest });
+  } catch (error) {
+    console.error('Error sending join request:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /requests/:requestId/vote - A member of the target team votes on a join request
+// Body: { vote: 'approve' | 'reject' }
+router.post('/requests/:requestId/vote', requireJoinRequestVoter, async (req, res) => {
+  try {
+    const { vote } = req.body;
+    if (!['approve', 'reject'].includes(vote)) {
+      return res.status(400).json({ error: "vote must be 'approve' or 'reject'" });
+    }
+
+    // Loaded by requireJoinRequestVoter
+    const { request, team } = await castJoinVote(req.teamRequest, req.team, req.user._id, vote);
+
+    console.log(`🗳️ ${req.user._id} voted ${vote} on join request ${request._id} (now ${request.status})`);
+    res.json({ success: true, request, team });
+  } catch (error) {
+    console.error('Error voting on join request:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
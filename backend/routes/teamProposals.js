@@ -0,0 +1,106 @@
+import express from 'express';
+import User from '../models/User.js';
+import TeamProposal from '../models/TeamProposal.js';
+import { requireAuth } from '../middleware/policies.js';
+import { requireOrganizerParam } from '../services/hackathons.js';
+import { proposeTeams, respondToProposal, requireProposalMemberParam } from '../services/teamProposals.js';
+
+const router = express.Router();
+
+// Proposal plus member cards (shape used by the proposal banner)
+async function withMemberDetails(proposals) {
+  const memberIds = [...new Set(proposals.flatMap(p => p.members))];
+  const members = await User.find({ _id: { $in: memberIds } }).select('name role_preference skills tech_stack').lean();
+  const byId = new Map(members.map(m => [String(m._id), m]));
+  return proposals.map(p => ({
+    ...(p.toObject ? p.toObject() : p),
+    memberDetails: p.members.map(id => byId.get(String(id))).filter(Boolean)
+  }));
+}
+
+// POST /hackathons/:hackathonId/team-proposals - Organizer: propose teams for every unteamed user
+router.post('/hackathons/:hackathonId/team-proposals', requireOrganizerParam, async (req, res) => {
+  try {
+    const { hackathonId } = req.params;
+    // Optional - defaults to the hackathon's max_team_size
+    const maxTeamSize = req.body?.max_team_size ?? null;
+
+    if (maxTeamSize !== null && !Number.isInteger(maxTeamSize)) {
+      return res.status(400).json({ error: 'max_team_size must be an integer' });
+    }
+
+    console.log(`🧩 POST /hackathons/:hackathonId/team-proposals - hackathonId: ${hackathonId}, max_team_size: ${maxTeamSize ?? 'default'}`);
+
+    const { proposals, unassigned, superseded } = await proposeTeams(hackathonId, {
+      maxTeamSize,
+      createdBy: String(req.user._id)
+    });
+
+    res.status(201).json({
+      success: true,
+      proposals: await withMemberDetails(proposals),
+      unassigned,
+      superseded
+    });
+  } catch (error) {
+    console.error('❌ Error forming teams:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /hackathons/:hackathonId/team-proposals - Organizer: every proposal for the hackathon
+router.get('/hackathons/:hackathonId/team-proposals', requireOrganizerParam, async (req, res) => {
+  try {
+    const { hackathonId } = req.params;
+    const query = { hackathon_id: hackathonId };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const proposals = await TeamProposal.find(query).sort({ created_at: -1 }).lean();
+    res.json(await withMemberDetails(proposals));
+  } catch (error) {
+    console.error('❌ Error fetching team proposals:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /team-proposals - Pending proposals that include the signed-in user (optional ?hackathonId=)
+router.get('/team-proposals', requireAuth, async (req, res) => {
+  try {
+    const query = { members: String(req.user._id), status: 'pending' };
+    if (req.query.hackathonId) {
+      query.hackathon_id = String(req.query.hackathonId);
+    }
+
+    const proposals = await TeamProposal.find(query).sort({ created_at: -1 }).lean();
+    res.json(await withMemberDetails(proposals));
+  } catch (error) {
+    console.error('❌ Error fetching team proposals:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A proposed member answers ('accepted' | 'rejected'); the last acceptance forms the team
+function answerProposal(decision) {
+  return async (req, res) => {
+    try {
+      // Loaded and membership-checked by requireProposalMember
+      const { proposal, team } = await respondToProposal(req.proposal, req.user._id, decision);
+
+      console.log(`✅ Proposal ${proposal._id}: ${req.user._id} ${decision} (proposal ${proposal.status})`);
+      res.json({ success: true, proposal, team });
+    } catch (error) {
+      console.error(`❌ Error answering team proposal:`, error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+}
+
+// POST /team-proposals/:proposalId/accept - Accept a proposed team
+router.post('/team-proposals/:proposalId/accept', requireProposalMemberParam, answerProposal('accepted'));
+
+// POST /team-proposals/:proposalId/reject - Reject a proposed team (closes it for everyone)
+router.post('/team-proposals/:proposalId/reject', requireProposalMemberParam, answerProposal('rejected'));
+
+export default router;
@@ -0,0 +1,287 @@
+import express from 'express';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import Hackathon from '../models/Hackathon.js';
+import { requireAuth, requireSelf } from '../middleware/policies.js';
+import {
+  findTeamMembers,
+  addTeamMembers,
+  refreshTeamComposition,
+  requireTeamMemberParam,
+  requireTeamLeadParam,
+  teamLeadId,
+  leaveTeam,
+  removeTeamMember,
+  transferTeamLead,
+  dissolveTeam
+} from '../services/teams.js';
+import { findHackathonById, teamSizeLimits } from '../services/hackathons.js';
+import { unreadCounts, pinnedMessages } from '../services/messages.js';
+
+const router = express.Router();
+
+// Team plus its hackathon summary, member cards and pinned chat messages (shape used by the team pages).
+// Carries chat state (read positions, pinned messages, tasks, reminders) - only for the team's own members.
+async function withTeamDetails(team) {
+  const hackathonId = team.hackathon_id;
+  const hackathon = hackathonId ? await Hackathon.findById(hackathonId) : null;
+  const members = await findTeamMembers(team);
+
+  return {
+    ...team.toObject(),
+    lead_id: teamLeadId(team),
+    team_size: teamSizeLimits(hackathon),
+    hackathon: hackathon ? {
+      name: hackathon.name,
+      location: hackathon.location
+    } : null,
+    memberDetails: members.map(m => ({
+      _id: m._id,
+      name: m.name,
+      role_preference: m.role_preference,
+      skills: m.skills,
+      tech_stack: m.tech_stack
+    })),
+    pinned_messages: await pinnedMessages(team)
+  };
+}
+
+// What a hackathon listing shows of a team - enough to decide whether to ask to join, nothing
+// from the team document beyond that (members' profiles and chat state stay with the team)
+function publicTeamSummary(team, hackathon, membersById) {
+  return {
+    _id: team._id,
+    name: team.name,
+    size: team.members.length,
+    team_size: teamSizeLimits(hackathon),
+    needed_roles: team.needed_roles || [],
+    members: team.members
+      .map(id => membersById.get(String(id)))
+      .filter(Boolean)
+      .map(m => ({ name: m.name, skills: m.skills || [] }))
+  };
+}
+
+// GET /api/team/:teamId - Get a single team by ID, members only (chat history: GET /chat/:teamId/messages)
+router.get('/api/team/:teamId', requireTeamMemberParam, async (req, res) => {
+  try {
+    const teamWithDetails = await withTeamDetails(req.team);
+
+    console.log(`✅ Team found: ${req.team._id}`);
+    res.json(teamWithDetails);
+  } catch (error) {
+    console.error('❌ Error fetching team:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/teams/:userId - Get all teams the signed-in user is a member of (with unread_count / unread_mentions)
+router.get('/api/teams/:userId', requireSelf(req => req.params.userId), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    // Find all teams where user is a member
+    // Handle both string IDs and ObjectIds
+    const teams = await Team.find({
+      members: { $in: [userId.toString()] }
+    }).sort({ created_at: -1 });
+
+    // Get hackathon and member details for each team, plus the user's unread chat counts
+    const teamsWithDetails = await Promise.all(teams.map(async team => ({
+      ...await withTeamDetails(team),
+      ...await unreadCounts(team, userId)
+    })));
+
+    res.json(teamsWithDetails);
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /hackathons/:hackathonId/teams - Public summaries of the teams in a hackathon
+// (?open=true: only those with room to join)
+router.get('/hackathons/:hackathonId/teams', requireAuth, async (req, res) => {
+  try {
+    const { hackathonId } = req.params;
+    const query = { hackathon_id: hackathonId, dissolved_at: null, 'members.0': { $exists: true } };
+    if (req.query.open === 'true') {
+      query.is_full = false;
+    }
+
+    const teams = await Team.find(query).select('name members needed_roles').sort({ created_at: 1 });
+    const [hackathon, members] = await Promise.all([
+      findHackathonById(hackathonId),
+      User.find({ _id: { $in: teams.flatMap(team => team.members.map(String)) } }).select('name skills')
+    ]);
+    const membersById = new Map(members.map(m => [String(m._id), m]));
+
+    res.json(teams.map(team => publicTeamSummary(team, hackathon, membersById)));
+  } catch (error) {
+    console.error('Error fetching hackathon teams:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /team/:userId - Get user's team (for current hackathon)
+router.get('/team/:userId', requireSelf(req => req.params.userId), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { hackathonId } = req.query;
+
+    console.log(`🔍 GET /team/:userId - userId: ${userId}, hackathonId: ${hackathonId}`);
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    // Build query - handle string IDs
+    const query = {
+      members: { $in: [userId.toString()] }
+    };
+
+    // If hackathonId is provided, filter by it
+    if (hackathonId) {
+      query.hackathon_id = hackathonId;
+    }
+
+    // Find team where user is a member
+    const team = await Team.findOne(query);
+
+    console.log(`📋 Team found: ${!!team}`);
+
+    if (!team) {
+      console.log(`✅ User ${userId} is not in any team`);
+      return res.status(200).json({ team: null, needed_roles: [] });
+    }
+
+    // Get team members details
+    const members = await User.find({ _id: { $in: team.members } });
+    const hackathon = await findHackathonById(team.hackathon_id);
+
+    console.log(`✅ Team found with ${members.length} members`);
+
+    res.status(200).json({
+      team: {
+        ...team.toObject(),
+        lead_id: teamLeadId(team),
+        members_details: members,
+        team_size: teamSizeLimits(hackathon)
+      },
+      needed_roles: team.needed_roles || []
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /team/:userId:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /team - Create or join team
+router.post('/team', requireSelf(req => req.body.user_id), async (req, res) => {
+  try {
+    const { hackathon_id } = req.body;
+    const user_id = String(req.user._id);
+
+    if (!hackathon_id || !user_id) {
+      return res.status(400).json({ error: 'hackathon_id and user_id are required' });
+    }
+
+    // One team per hackathon: return the user's team here, full or not
+    const existingTeam = await Team.findOne({
+      hackathon_id,
+      members: user_id,
+      dissolved_at: null
+    });
+
+    if (existingTeam) {
+      return res.json(existingTeam);
+    }
+
+    // Create new team or join existing
+    let team = await Team.findOne({
+      hackathon_id,
+      is_full: false,
+      dissolved_at: null
+    });
+
+    // Size limits come from the hackathon; a team that reaches max_team_size is marked full
+    // and its members' pending requests are cancelled
+    if (!team) {
+      team = await refreshTeamComposition(await Team.create({
+        hackathon_id,
+        members: [user_id],
+        lead_id: user_id,
+        is_full: false
+      }));
+    } else {
+      team = await addTeamMembers(team, [user_id]);
+    }
+
+    res.json(team);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /api/team/:teamId/leave - Leave a team (the last member leaving dissolves it)
+router.post('/api/team/:teamId/leave', requireTeamMemberParam, async (req, res) => {
+  try {
+    const { team, dissolved } = await leaveTeam(req.team, req.user._id);
+
+    console.log(`👋 ${req.user._id} left team ${req.team._id}${dissolved ? ' (dissolved)' : ''}`);
+    res.json({ success: true, team, dissolved });
+  } catch (error) {
+    console.error('❌ Error leaving team:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/team/:teamId/members/:userId - Team lead removes a member
+router.delete('/api/team/:teamId/members/:userId', requireTeamLeadParam, async (req, res) => {
+  try {
+    const team = await removeTeamMember(req.team, req.params.userId, req.user._id);
+
+    console.log(`🚪 ${req.user._id} removed ${req.params.userId} from team ${req.team._id}`);
+    res.json({ success: true, team });
+  } catch (error) {
+    console.error('❌ Error removing team member:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /api/team/:teamId/transfer-lead - Team lead hands the lead role to another member
+router.post('/api/team/:teamId/transfer-lead', requireTeamLeadParam, async (req, res) => {
+  try {
+    const { user_id } = req.body;
+    if (!user_id) {
+      return res.status(400).json({ error: 'user_id is required' });
+    }
+
+    const team = await transferTeamLead(req.team, user_id, req.user._id);
+
+    console.log(`👑 Team ${req.team._id} lead transferred to ${user_id}`);
+    res.json({ success: true, team });
+  } catch (error) {
+    console.error('❌ Error transferring team lead:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/team/:teamId - Team lead dissolves the team
+router.delete('/api/team/:teamId', requireTeamLeadParam, async (req, res) => {
+  try {
+    const team = await dissolveTeam(req.team, req.user._id);
+
+    console.log(`🛑 Team ${req.team._id} dissolved by ${req.user._id}`);
+    res.json({ success: true, team, dissolved: true });
+  } catch (error) {
+    console.error('❌ Error dissolving team:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
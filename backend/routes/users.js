@@ -0,0 +1,194 @@
+import express from 'express';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import { requireAuth, requireSelf } from '../middleware/policies.js';
+import { calculateMatchScore } from '../services/matching.js';
+import { invalidateMatchScores } from '../services/matchCache.js';
+import { computeNeededRoles, rolesFilledBy } from '../services/scoring.js';
+import { getTargetComposition } from '../services/hackathons.js';
+
+const router = express.Router();
+
+// GET all users (optionally filtered by hackathon registration)
+router.get('/users', requireAuth, async (req, res) => {
+  const { hackathonId } = req.query;
+  const currentUserId = String(req.user._id);
+
+  try {
+    // Ensure hackathonId is treated as a string (as stored in registered_hackathons array)
+    const hackathonIdString = hackathonId ? String(hackathonId) : null;
+
+    // Build query: filter by hackathon registration if hackathonId is provided
+    // registered_hackathons is an array of strings, so direct equality works
+    const query = hackathonIdString
+      ? {
+        registered_hackathons: hackathonIdString,
+        _id: { $ne: currentUserId }
+      }
+      : {
+        _id: { $ne: currentUserId }
+      };
+
+    if (hackathonIdString) {
+      console.log("🔍 Filtering users for hackathon ID (as string):", hackathonIdString);
+      console.log("📋 Query:", JSON.stringify(query, null, 2));
+    } else {
+      console.log("⚠️ No hackathonId provided, returning all users (excluding current user)");
+    }
+
+    const users = await User.find(query);
+    console.log(`✅ Found ${users.length} users${hackathonIdString ? ` registered for hackathon ${hackathonIdString}` : ' (all users)'}`);
+
+    // Verify filtering worked by checking first few users
+    if (users.length > 0 && hackathonIdString) {
+      console.log("📋 Verification - First 3 users' registered_hackathons:");
+      users.slice(0, 3).forEach((user, i) => {
+        const hasHackathon = user.registered_hackathons?.includes(hackathonIdString);
+        console.log(`   ${i + 1}. ${user.name}: [${user.registered_hackathons?.join(', ') || 'none'}] - Contains hackathonId: ${hasHackathon}`);
+      });
+    }
+
+    if (!hackathonIdString) {
+      return res.json(users);
+    }
+
+    // fills_roles: which of the current user's team gaps (or their own, before they have a team)
+    // each candidate would fill - the matching page highlights those candidates
+    const team = await Team.findOne({ hackathon_id: hackathonIdString, members: currentUserId, dissolved_at: null });
+    const neededRoles = team
+      ? team.needed_roles || []
+      : computeNeededRoles([req.user], await getTargetComposition(hackathonIdString));
+
+    res.json(users.map(user => ({
+      ...user.toObject(),
+      fills_roles: rolesFilledBy(user, neededRoles)
+    })));
+  } catch (err) {
+    console.error('❌ Error fetching users:', err);
+    res.status(500).json({ error: "Server Error" });
+  }
+});
+
+// GET /api/users - Return all users with match scores
+router.get('/api/users', async (req, res) => {
+  try {
+    // For now, we'll use the first user as the "current user"
+    // In production, you'd get this from authentication/session
+    const currentUserId = req.query.currentUserId || null;
+    
+    const allUsers = await User.find({});
+    
+    // If no current user specified, return users without match scores
+    if (!currentUserId) {
+      return res.json(allUsers.map(user => ({
+        ...user.toObject(),
+        matchScore: 5,
+        matchCategory: 'okay'
+      })));
+    }
+    
+    const currentUser = await User.findById(currentUserId);
+    if (!currentUser) {
+      return res.status(404).json({ error: 'Current user not found' });
+    }
+    
+    // Calculate match scores for each user
+    const usersWithScores = await Promise.all(
+      allUsers
+        .filter(user => user._id.toString() !== currentUserId)
+        .map(async (user) => {
+          const matchData = await calculateMatchScore(currentUser, user);
+          return {
+            ...user.toObject(),
+            matchScore: matchData.matchScore,
+            matchCategory: matchData.matchCategory
+          };
+        })
+    );
+    
+    res.json(usersWithScores);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// GET /api/users/:userId - Get a single user by ID
+router.get('/api/users/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    console.log(`📥 GET /api/users/:userId - userId: ${userId}`);
+    
+    // Use EXACT same approach as incoming requests route (lines 1580-1600) that successfully finds users
+    const userIdStr = String(userId);
+    let user = await User.findOne({ _id: userIdStr });
+    
+    if (!user) {
+      user = await User.findById(userIdStr);
+    }
+    
+    if (!user) {
+      user = await User.findOne({ _id: userId });
+    }
+    
+    if (!user) {
+      console.log(`❌ User not found: ${userIdStr}`);
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    console.log(`✅ User found: ${user.name} (${user._id})`);
+    res.json(user);
+  } catch (error) {
+    console.error('❌ Error fetching user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/users/:id - Update user profile (for onboarding save)
+router.put('/api/users/:id', requireSelf(req => req.params.id), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userData, selectedHackathons } = req.body;
+    
+    console.log('💾 Updating user profile for ID:', id);
+    console.log('📋 User data:', userData);
+    console.log('📋 Selected hackathons:', selectedHackathons);
+    
+    if (!userData || !userData.name) {
+      return res.status(400).json({ error: 'User data with name is required' });
+    }
+    
+    // Prepare update data (never let the client overwrite the id or credentials - the email is the login)
+    const { _id, password_hash, email, profile_version, ...profileData } = userData;
+    const updateData = {
+      ...profileData,
+      registered_hackathons: selectedHackathons || []
+    };
+    
+    // Use findByIdAndUpdate to save the form data into the user document
+    const updatedUser = await User.findByIdAndUpdate(
+      id,
+      { $set: updateData, $inc: { profile_version: 1 } },
+      { new: true, runValidators: true }
+    );
+    
+    if (!updatedUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Scores computed from the old profile are stale now
+    await invalidateMatchScores(id);
+    
+    console.log('✅ User profile updated successfully:', updatedUser._id);
+    res.status(200).json({
+      success: true,
+      user: updatedUser,
+      message: 'Profile saved successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating user profile:', error);
+    res.status(500).json({ error: error.message || 'Update failed' });
+  }
+});
+
+export default router;
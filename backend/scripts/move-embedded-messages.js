@@ -0,0 +1,71 @@
+// One-off migration: move chat messages embedded in teams.messages into the messages
+// collection (one document per message, tagged with team_id), then drop the embedded arrays.
+//
+// Usage (from backend/):
+//   node scripts/move-embedded-messages.js --dry-run   # only report what would change
+//   node scripts/move-embedded-messages.js
+//
+// Safe to run more than once. Messages keep their _id, so ones already copied are not duplicated.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function moveTeamMessages(teams, messages, team) {
+  const operations = team.messages.map(message => {
+    const _id = message._id || new mongoose.Types.ObjectId();
+    return {
+      updateOne: {
+        filter: { _id },
+        update: { $setOnInsert: { ...message, _id, team_id: String(team._id) } },
+        upsert: true
+      }
+    };
+  });
+
+  const result = operations.length > 0 ? await messages.bulkWrite(operations, { ordered: false }) : null;
+  await teams.updateOne({ _id: team._id }, { $unset: { messages: '' } });
+  return result?.upsertedCount || 0;
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not set in .env file');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  const teams = mongoose.connection.collection('teams');
+  const messages = mongoose.connection.collection('messages');
+  const filter = { messages: { $exists: true } };
+
+  const teamCount = await teams.countDocuments(filter);
+  const [{ total = 0 } = {}] = await teams.aggregate([
+    { $match: filter },
+    { $group: { _id: null, total: { $sum: { $size: { $ifNull: ['$messages', []] } } } } }
+  ]).toArray();
+  console.log(`📋 teams: ${teamCount} team(s) with embedded messages, ${total} message(s) in total`);
+
+  if (dryRun || teamCount === 0) {
+    await mongoose.disconnect();
+    return;
+  }
+
+  let moved = 0;
+  for await (const team of teams.find(filter, { projection: { messages: 1 } })) {
+    moved += await moveTeamMessages(teams, messages, { ...team, messages: team.messages || [] });
+  }
+  console.log(`✅ messages: copied ${moved} message(s) from ${teamCount} team(s)`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+// One-off migration: collapse the camelCase duplicates on requests and teams into
+// the snake_case fields the server reads (fromUserId -> from_user_id, etc).
+//
+// Usage (from backend/):
+//   node scripts/normalize-field-names.js --dry-run   # only report what would change
+//   node scripts/normalize-field-names.js
+//
+// Safe to run more than once. When both spellings exist the snake_case value wins.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const FIELD_MAPS = {
+  requests: {
+    fromUserId: 'from_user_id',
+    toUserId: 'to_user_id',
+    hackathonId: 'hackathon_id'
+  },
+  teams: {
+    hackathonId: 'hackathon_id'
+  }
+};
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function normalizeCollection(collectionName, fieldMap) {
+  const collection = mongoose.connection.collection(collectionName);
+  const camelFields = Object.keys(fieldMap);
+
+  const filter = { $or: camelFields.map(field => ({ [field]: { $exists: true } })) };
+  const count = await collection.countDocuments(filter);
+  console.log(`📋 ${collectionName}: ${count} document(s) with camelCase fields`);
+
+  if (dryRun || count === 0) {
+    return;
+  }
+
+  // Copy camelCase -> snake_case where snake_case is missing, then drop the camelCase field
+  const setStage = {};
+  for (const [camel, snake] of Object.entries(fieldMap)) {
+    setStage[snake] = { $ifNull: [`$${snake}`, `$${camel}`] };
+  }
+
+  const result = await collection.updateMany(filter, [
+    { $set: setStage },
+    { $unset: camelFields }
+  ]);
+  console.log(`✅ ${collectionName}: normalized ${result.modifiedCount} document(s)`);
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not set in .env file');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  for (const [collectionName, fieldMap] of Object.entries(FIELD_MAPS)) {
+    await normalizeCollection(collectionName, fieldMap);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
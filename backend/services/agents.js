@@ -0,0 +1,94 @@
+import Hackathon from '../models/Hackathon.js';
+import { buildSpecialistPrompt, AGENT_TOOLS } from './ai.js';
+import { getLLM } from './llm/index.js';
+import { createTeamRepository } from './github.js';
+import { findTeamMembers } from './teams.js';
+import { postTeamMessage, recentTeamMessages } from './messages.js';
+
+// The chat's specialist agents (POST /chat/:teamId/ai-advice and the /plan and /agent chat
+// commands). Each answer is posted to the team chat as an ai_bot message; the agents may call
+// createGitHubRepo, which posts its own announcement.
+
+export const SPECIALIST_AGENTS = ['ARCHITECT', 'SCRUM_MASTER', 'DESIGNER'];
+
+/**
+ * Ask a specialist agent (or the default mentor when activeAgent is not one of
+ * SPECIALIST_AGENTS) for advice. prompt is the member's question - without one the agent
+ * gives its standard advice. Resolves to the posted ai_bot message.
+ */
+export async function adviseTeam(team, { prompt = null, activeAgent = null } = {}) {
+  // Get hackathon info
+  const hackathonId = team.hackathon_id;
+  const hackathon = hackathonId ? await Hackathon.findById(hackathonId) : null;
+  const hackathonName = hackathon?.name || 'the hackathon';
+
+  // Get all team members' data
+  const members = await findTeamMembers(team);
+
+  // Build member skills summary
+  const memberSkills = members.map(m => {
+    const skills = (m.skills || []).join(', ') || 'General developer';
+    const tech = (m.tech_stack || []).join(', ') || 'Various technologies';
+    return `${m.name || 'Member'}: ${skills} (${tech})`;
+  }).join('\n');
+
+  // Get recent messages for context (last 10 messages)
+  const recentMessages = (await recentTeamMessages(team._id, 10)).map(msg => {
+    const sender = msg.senderId === 'ai_bot' ? 'AI Mentor' :
+                   members.find(m => m._id.toString() === msg.senderId)?.name || 'User';
+    return `${sender}: ${msg.text}`;
+  }).join('\n');
+
+  // System instruction for the selected specialist agent
+  const systemPrompt = buildSpecialistPrompt(activeAgent, { memberSkills, hackathonName, recentMessages });
+
+  // Create AI prompt
+  const aiPrompt = prompt || systemPrompt;
+
+  const llm = getLLM();
+  console.log(`🤖 Calling ${llm.name} provider with function calling...`);
+
+  // The model may call createGitHubRepo; the repo message is posted by the service
+  const { text: aiResponse, functionCall } = await llm.runWithTools({
+    systemInstruction: systemPrompt,
+    message: aiPrompt,
+    tools: AGENT_TOOLS,
+    handlers: {
+      createGitHubRepo: async (args) => {
+        const repoResult = await createTeamRepository(team, {
+          repoName: args.repoName,
+          description: args.description || null
+        });
+        return {
+          message: `Repository created successfully!`,
+          repository: repoResult.repository,
+          replit_url: repoResult.replit_url
+        };
+      }
+    },
+    task: 'team-advice',
+    input: { prompt, activeAgent, members, hackathonName }
+  });
+
+  console.log(`✅ AI response received (length: ${aiResponse.length})`);
+
+  // If a function was called, the repo is already created and message posted
+  // Just add the AI's response message
+  const aiMessageObject = {
+    senderId: 'ai_bot',
+    text: aiResponse.trim(),
+    timestamp: new Date(),
+    // If function was called, mark it
+    action: functionCall ? 'CREATE_REPO' : null,
+    actionType: functionCall ? 'GITHUB_INIT' : null,
+    github_action: functionCall ? true : false
+  };
+
+  const saved = await postTeamMessage(team._id, aiMessageObject);
+  console.log(`✅ AI message ${saved._id} added to team ${team._id}:`, {
+    senderId: saved.senderId,
+    textLength: saved.text?.length,
+    timestamp: saved.timestamp
+  });
+  return saved;
+}
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import multer from 'multer';
+import sharp from 'sharp';
+import { getStorage } from './storage/index.js';
+import { httpError } from './httpError.js';
+
+// Chat attachments
+// Files come with the chat message as multipart/form-data (field "files"), are checked against
+// the size / type limits and saved through the storage layer under <teamId>/<attachment id>.
+// Images also get a small WebP thumbnail. Clients download them from
+// GET /chat/:teamId/messages/:messageId/attachments/:attachmentId (members only).
+
+export const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const THUMBNAIL_SIZE = 320; // Longest side, in pixels
+const MAX_NAME_LENGTH = 200;
+
+// The browser's content type isn't trusted: images are decoded and documents checked by their first bytes
+const IMAGE_TYPES = { png: 'image/png', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp' };
+const DOCUMENT_TYPES = {
+  'application/pdf': buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+  'text/plain': buffer => !buffer.includes(0),
+  'text/markdown': buffer => !buffer.includes(0)
+};
+
+const parseFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS_PER_MESSAGE }
+}).array('files', MAX_ATTACHMENTS_PER_MESSAGE);
+
+// Parses multipart chat posts - files end up on req.files, other fields on req.body.
+// JSON posts pass through untouched.
+export function uploadAttachments(req, res, next) {
+  parseFiles(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Attachments can be at most ${Math.floor(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB each` });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'files')) {
+      return res.status(400).json({ error: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message` });
+    }
+    res.status(400).json({ error: error.code === 'LIMIT_UNEXPECTED_FILE' ? 'Attach files in the "files" field' : error.message });
+  });
+}
+
+// Browsers send file names as UTF-8 but busboy reads them as latin1
+function cleanFileName(name) {
+  const decoded = Buffer.from(String(name || ''), 'latin1').toString('utf8');
+  const base = decoded.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, '').trim();
+  return (base || 'attachment').slice(0, MAX_NAME_LENGTH);
+}
+
+// The checked content type (and image size) of an uploaded file - throws a 415 for anything else
+async function inspectFile(file) {
+  if (file.mimetype.startsWith('image/')) {
+    const metadata = await sharp(file.buffer).metadata().catch(() => null);
+    const contentType = metadata && IMAGE_TYPES[metadata.format];
+    if (!contentType) {
+      throw httpError(415, `${cleanFileName(file.originalname)} is not a PNG, JPEG, GIF or WebP image`);
+    }
+    return { contentType, width: metadata.width, height: metadata.height };
+  }
+
+  const matches = DOCUMENT_TYPES[file.mimetype];
+  if (!matches || !matches(file.buffer)) {
+    throw httpError(415, `${cleanFileName(file.originalname)}: only images, PDFs and text files can be attached`);
+  }
+  return { contentType: file.mimetype };
+}
+
+/**
+ * Check and store the files uploaded with a team message. Nothing is stored unless every file
+ * passes. Resolves to the attachment entries for Message.attachments.
+ */
+export async function storeAttachments(teamId, files = []) {
+  const inspected = await Promise.all(files.map(inspectFile));
+  const storage = getStorage();
+  const stored = [];
+
+  try {
+    for (const [index, file] of files.entries()) {
+      const { contentType, width, height } = inspected[index];
+      const _id = new mongoose.Types.ObjectId();
+      const key = `${teamId}/${_id}`;
+      await storage.save(key, file.buffer, { contentType });
+
+      const attachment = { _id, name: cleanFileName(file.originalname), content_type: contentType, size: file.size, key };
+      stored.push(attachment);
+      if (width) {
+        attachment.width = width;
+        attachment.height = height;
+        attachment.thumbnail_key = `${key}-thumb.webp`;
+        const thumbnail = await sharp(file.buffer, { animated: false })
+          .rotate()
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .webp()
+          .toBuffer();
+        await storage.save(attachment.thumbnail_key, thumbnail, { contentType: 'image/webp' });
+      }
+    }
+  } catch (error) {
+    // Don't leave half a message's files behind
+    await removeAttachments(stored);
+    throw error;
+  }
+  return stored;
+}
+
+// Delete stored attachments (files and thumbnails) - for a message that didn't get saved.
+// Best effort: a file that can't be removed doesn't hide the error that got us here.
+export async function removeAttachments(attachments = []) {
+  const storage = getStorage();
+  await Promise.all(attachments.flatMap(({ key, thumbnail_key }) => [key, thumbnail_key].filter(Boolean))
+    .map(key => storage.remove(key).catch(() => {})));
+}
+
+// An attachment as the API returns it - storage keys stay on the server
+export function publicAttachment(message, attachment) {
+  const url = `/chat/${message.team_id}/messages/${message._id}/attachments/${attachment._id}`;
+  return {
+    _id: attachment._id,
+    name: attachment.name,
+    content_type: attachment.content_type,
+    size: attachment.size,
+    width: attachment.width,
+    height: attachment.height,
+    url,
+    thumbnail_url: attachment.thumbnail_key ? `${url}?thumbnail=true` : null
+  };
+}
+
+// Resolves to { attachment, stream, contentType } for a message's attachment (or its thumbnail)
+export async function openAttachment(message, attachmentId, { thumbnail = false } = {}) {
+  const attachment = (message.attachments || []).find(entry => String(entry._id) === String(attachmentId));
+  if (!attachment || message.deleted_at) {
+    throw httpError(404, 'Attachment not found');
+  }
+  if (thumbnail && !attachment.thumbnail_key) {
+    throw httpError(404, 'This attachment has no thumbnail');
+  }
+
+  const key = thumbnail ? attachment.thumbnail_key : attachment.key;
+  return {
+    attachment,
+    stream: await getStorage().read(key),
+    contentType: thumbnail ? 'image/webp' : attachment.content_type
+  };
+}
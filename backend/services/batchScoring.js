@@ -0,0 +1,65 @@
+import { getMatchScore, findCachedMatchScores } from './matchCache.js';
+
+// Batch scoring for a hackathon roster (POST /hackathons/:hackathonId/match-scores)
+// Valid cached scores are reported first, then the rest are scored with at most
+// `concurrency` LLM calls in flight. Each result is handed to onEvent as soon as it's ready.
+
+export const DEFAULT_CONCURRENCY = Number(process.env.MATCH_SCORE_CONCURRENCY) || 4;
+
+// Run worker(item) for every item with at most `limit` running at once.
+// Stops picking up new items once isCancelled() returns true.
+export async function forEachWithConcurrency(items, limit, worker, isCancelled = () => false) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !isCancelled()) {
+      const item = items[next];
+      next += 1;
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Score every candidate against user (or the user's team) and report progress through onEvent:
+ *   { type: 'score', candidate_id, result }   - cached or freshly computed
+ *   { type: 'error', candidate_id, error }    - scoring this candidate threw
+ * Resolves to the summary { total, cached, scored, failed: [id], fallback: [id] };
+ * `fallback` lists candidates the rule engine scored because the LLM call failed.
+ */
+export async function scoreRoster({
+  user,
+  candidates,
+  teamMembers = null,
+  mode,
+  concurrency = DEFAULT_CONCURRENCY,
+  onEvent = () => {},
+  isCancelled = () => false
+}) {
+  const summary = { total: candidates.length, cached: 0, scored: 0, failed: [], fallback: [] };
+
+  const { scores, missing } = await findCachedMatchScores(user, candidates, teamMembers, { mode, isCurrentUser: true });
+  for (const [candidateId, result] of Object.entries(scores)) {
+    summary.cached += 1;
+    onEvent({ type: 'score', candidate_id: candidateId, result });
+  }
+
+  const toScore = candidates.filter(candidate => missing.includes(String(candidate._id)));
+  await forEachWithConcurrency(toScore, concurrency, async (candidate) => {
+    const candidateId = String(candidate._id);
+    try {
+      const result = await getMatchScore(user, candidate, teamMembers, { mode, isCurrentUser: true });
+      summary.scored += 1;
+      if (result.fallback) {
+        summary.fallback.push(candidateId);
+      }
+      onEvent({ type: 'score', candidate_id: candidateId, result });
+    } catch (error) {
+      console.error(`❌ Error scoring candidate ${candidateId}:`, error.message);
+      summary.failed.push(candidateId);
+      onEvent({ type: 'error', candidate_id: candidateId, error: error.message });
+    }
+  }, isCancelled);
+
+  return summary;
+}
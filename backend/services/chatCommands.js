@@ -0,0 +1,211 @@
+import { createTeamRepository, isGitHubEnabled } from './github.js';
+import { adviseTeam, SPECIALIST_AGENTS } from './agents.js';
+import { postTeamMessage, publicMessage } from './messages.js';
+import { addTeamTask, completeTeamTask, openTeamTasks, memberNames, describeTask } from './teamTasks.js';
+import { parseDuration, scheduleReminder } from './reminders.js';
+import { httpError } from './httpError.js';
+
+// Slash commands in the team chat (POST /chat/:teamId/commands)
+// The composer sends anything starting with "/<letter>" here instead of posting it. Every
+// command checks its arguments first (a 400 with its usage line when they don't fit), then runs
+// against what the chat already has: GitHub repos, the AI agents, tasks, polls and reminders.
+// A command resolves to { notice, message, agent }: notice is shown only to the member who ran
+// it, message is what it posted to the chat (everyone gets that over the stream as usual), and
+// agent is the specialist the composer should switch to (/agent).
+
+const MAX_POLL_OPTIONS = 10;
+const MAX_POLL_TEXT = 200;
+
+function usageError(command) {
+  return httpError(400, `Usage: ${command.usage}`);
+}
+
+const AGENT_ALIASES = { scrum: 'SCRUM_MASTER', scrummaster: 'SCRUM_MASTER', pm: 'SCRUM_MASTER' };
+
+// Each command: name, usage, description, parse(args) -> params (throws on bad arguments) and
+// run({ team, user }, params) -> { notice, message, agent }
+const COMMANDS = [
+  {
+    name: 'help',
+    usage: '/help [command]',
+    description: 'List the chat commands, or show how to use one',
+    parse: args => ({ name: args.replace(/^\//, '').toLowerCase() || null }),
+    run: (context, { name }) => {
+      if (!name) {
+        return { notice: ['Chat commands:', ...COMMANDS.map(command => `${command.usage} - ${command.description}`)].join('\n') };
+      }
+      const command = findCommand(name);
+      return { notice: `${command.usage} - ${command.description}` };
+    }
+  },
+  {
+    name: 'repo',
+    usage: '/repo [name]',
+    description: 'Create the team\'s GitHub repository and invite every member',
+    parse: (args) => {
+      if (args && !/^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/.test(args)) {
+        throw httpError(400, 'Repository names use letters, numbers, ".", "-" and "_" (no spaces)');
+      }
+      return { repoName: args || null };
+    },
+    run: async ({ team }, { repoName }) => {
+      if (team.github_repo) {
+        throw httpError(409, `This team already has a repository: ${team.github_repo}`);
+      }
+      if (!isGitHubEnabled()) {
+        throw httpError(503, 'GitHub integration not configured. GITHUB_TOKEN not set in .env');
+      }
+      // The service announces the repo in the chat
+      const result = await createTeamRepository(team, { repoName });
+      return { notice: `Repository created: ${result.repository.url}` };
+    }
+  },
+  {
+    name: 'plan',
+    usage: '/plan [focus]',
+    description: 'Ask the AI mentor for a 24-hour execution plan',
+    parse: args => ({ focus: args || null }),
+    run: async ({ team }, { focus }) => ({
+      message: await adviseTeam(team, { prompt: focus ? `Make a step-by-step 24-hour execution plan for the team, focused on: ${focus}` : null })
+    })
+  },
+  {
+    name: 'agent',
+    usage: '/agent <architect|scrum_master|designer> [question]',
+    description: 'Consult a specialist agent (and keep talking to it from the composer)',
+    parse: (args) => {
+      const [name = '', ...rest] = args.split(/\s+/);
+      const key = name.toUpperCase().replace(/-/g, '_');
+      const agent = SPECIALIST_AGENTS.includes(key) ? key : AGENT_ALIASES[name.toLowerCase().replace(/[-_]/g, '')];
+      if (!agent) {
+        throw httpError(400, `Pick an agent: ${SPECIALIST_AGENTS.map(entry => entry.toLowerCase()).join(', ')}`);
+      }
+      return { agent, question: rest.join(' ') || null };
+    },
+    run: async ({ team }, { agent, question }) => ({
+      message: await adviseTeam(team, { prompt: question, activeAgent: agent }),
+      agent
+    })
+  },
+  {
+    name: 'task',
+    usage: '/task add <text> [@assignee] | /task list | /task done <number>',
+    description: 'Keep the team\'s task list',
+    parse: (args) => {
+      const [, action = '', rest = ''] = /^(\S*)\s*([\s\S]*)$/.exec(args);
+      switch (action.toLowerCase()) {
+        case 'add':
+          if (!rest) throw httpError(400, 'Usage: /task add <text> [@assignee]');
+          return { action: 'add', text: rest };
+        case 'list':
+        case '':
+          return { action: 'list' };
+        case 'done': {
+          const number = Number(rest.replace(/^#/, ''));
+          if (!Number.isInteger(number) || number < 1) throw httpError(400, 'Usage: /task done <number>');
+          return { action: 'done', number };
+        }
+        default:
+          throw usageError(findCommand('task'));
+      }
+    },
+    run: async ({ team, user }, { action, text, number }) => {
+      if (action === 'add') {
+        const task = await addTeamTask(team, user, text);
+        return { notice: `Added task #${task.number}` };
+      }
+      if (action === 'done') {
+        await completeTeamTask(team, user, number);
+        return { notice: `Task #${number} is done` };
+      }
+      const tasks = await openTeamTasks(team);
+      if (tasks.length === 0) {
+        return { notice: 'No open tasks - add one with /task add <text>' };
+      }
+      const names = await memberNames(team);
+      return { notice: ['Open tasks:', ...tasks.map(task => describeTask(task, names))].join('\n') };
+    }
+  },
+  {
+    name: 'poll',
+    usage: '/poll <question> | <option> | <option> ...',
+    description: 'Start a poll - everyone on the team gets one vote',
+    parse: (args) => {
+      const [question, ...options] = args.split('|').map(part => part.trim());
+      if (!question || options.length < 2 || options.some(option => !option)) {
+        throw httpError(400, 'Usage: /poll <question> | <option> | <option> (at least two options)');
+      }
+      if (options.length > MAX_POLL_OPTIONS) {
+        throw httpError(400, `A poll can have at most ${MAX_POLL_OPTIONS} options`);
+      }
+      if ([question, ...options].some(part => part.length > MAX_POLL_TEXT)) {
+        throw httpError(400, `Poll questions and options can be at most ${MAX_POLL_TEXT} characters`);
+      }
+      if (new Set(options.map(option => option.toLowerCase())).size < options.length) {
+        throw httpError(400, 'Poll options must be different');
+      }
+      return { question, options };
+    },
+    run: async ({ team, user }, { question, options }) => ({
+      message: await postTeamMessage(team._id, {
+        senderId: String(user._id),
+        text: `📊 ${question}`,
+        poll: { question, options: options.map(text => ({ text, votes: [] })) },
+        timestamp: new Date()
+      })
+    })
+  },
+  {
+    name: 'remind',
+    usage: '/remind <time: 30m, 2h, 1d, 1h30m> <text>',
+    description: 'Post a reminder to the team chat later',
+    parse: (args) => {
+      const [, when = '', text = ''] = /^(\S*)\s*([\s\S]*)$/.exec(args);
+      const delayMs = parseDuration(when);
+      if (delayMs === null || !text) {
+        throw usageError(findCommand('remind'));
+      }
+      return { delayMs, text };
+    },
+    run: async ({ team, user }, { delayMs, text }) => {
+      const reminder = await scheduleReminder(team, user, delayMs, text);
+      return { notice: `⏰ Reminder set for ${reminder.remind_at.toISOString().slice(0, 16).replace('T', ' ')} UTC` };
+    }
+  }
+];
+
+function findCommand(name) {
+  const command = COMMANDS.find(entry => entry.name === name);
+  if (!command) {
+    throw httpError(400, `Unknown command /${name} - type /help for the list (start with a space to send it as a message)`);
+  }
+  return command;
+}
+
+// The commands as GET /chat/:teamId/commands lists them (help text and composer autocompletion)
+export function listChatCommands() {
+  return COMMANDS.map(({ name, usage, description }) => ({ name, usage, description }));
+}
+
+/**
+ * Split "/task add Ship it" into { command, params } - checks the command exists and its
+ * arguments fit. Throws a 400 otherwise.
+ */
+export function parseChatCommand(input) {
+  const match = /^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i.exec(String(input || '').trim());
+  if (!match) {
+    throw httpError(400, 'Commands start with / followed by their name - type /help for the list');
+  }
+  const command = findCommand(match[1].toLowerCase());
+  return { command, params: command.parse((match[2] || '').trim()) };
+}
+
+/**
+ * Run a chat command for user (a member of team). Resolves to
+ * { command, notice, message, agent } with message as the API returns it.
+ */
+export async function runChatCommand(team, user, input) {
+  const { command, params } = parseChatCommand(input);
+  const { notice = null, message = null, agent = null } = await command.run({ team, user }, params);
+  return { command: command.name, notice, message: message && publicMessage(message), agent };
+}
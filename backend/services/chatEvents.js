@@ -0,0 +1,77 @@
+import { EventEmitter } from 'node:events';
+import { randomBytes } from 'node:crypto';
+
+// Live team chat events (GET /chat/:teamId/events)
+// An in-process hub: everything that posts to a team chat publishes here and every open stream
+// for that team receives it. Each team keeps its last REPLAY_LIMIT events so a client that
+// reconnects with the last event id it saw catches up on what it missed; when those events are
+// gone (or the server restarted) it's told to refetch instead.
+//
+// Event ids are '<boot id>-<n>': n counts up from 1 in each process, and the boot id tells a
+// reconnect with an id from before a restart apart from one this process handed out.
+//
+// Event types:
+//   { type: 'message', data: <the saved message, with its _id - and reply_to for thread replies> }
+//   { type: 'message_updated', data: <the whole message after an edit, delete or reaction> }
+//   { type: 'read', data: { user_id, message_id, timestamp, read_at } - a member's new read position }
+//   { type: 'pins_updated', data: [<pinned messages, with pinned_by / pinned_at>] }
+//   { type: 'membership', data: { members: [<user id>, ...] } } - after a member leaves or is
+//     removed, or the team is dissolved (members: [])
+
+export const REPLAY_LIMIT = Number(process.env.CHAT_REPLAY_LIMIT) || 100;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+const BOOT_ID = randomBytes(4).toString('hex');
+
+const history = new Map(); // teamId -> { events: [{ id, type, data }], droppedUpTo: n of the last event evicted }
+let lastEventNumber = 0;
+
+// The n of an event id this process handed out, or null (another boot's id, or not an event id)
+function eventNumber(id) {
+  const [bootId, n, ...rest] = String(id).split('-');
+  const number = Number(n);
+  if (bootId !== BOOT_ID || rest.length > 0 || !Number.isInteger(number) || number < 0) {
+    return null;
+  }
+  return number;
+}
+
+function teamHistory(teamId) {
+  const key = String(teamId);
+  if (!history.has(key)) {
+    history.set(key, { events: [], droppedUpTo: 0 });
+  }
+  return history.get(key);
+}
+
+// Send an event to everyone streaming this team's chat. Returns the event with its id.
+export function publishTeamEvent(teamId, type, data) {
+  const event = { id: `${BOOT_ID}-${++lastEventNumber}`, type, data };
+  const log = teamHistory(teamId);
+  log.events.push(event);
+  if (log.events.length > REPLAY_LIMIT) {
+    log.droppedUpTo = eventNumber(log.events.shift().id);
+  }
+  emitter.emit(String(teamId), event);
+  return event;
+}
+
+// Call listener(event) for every new event for the team - returns the unsubscribe function
+export function subscribeToTeam(teamId, listener) {
+  const key = String(teamId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+}
+
+// Events for the team published after lastId, or null when some of them can't be replayed
+// (already evicted, or lastId comes from before a server restart)
+export function eventsSince(teamId, lastId) {
+  const log = teamHistory(teamId);
+  const last = eventNumber(lastId);
+  if (last === null || last > lastEventNumber || last < log.droppedUpTo) {
+    return null;
+  }
+  return log.events.filter(event => eventNumber(event.id) > last);
+}
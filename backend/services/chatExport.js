@@ -0,0 +1,157 @@
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import { httpError } from './httpError.js';
+
+// Team chat transcripts
+// The whole history (thread replies included) with sender names looked up from the users
+// collection, as Markdown, JSON or plain text. Markdown and text list each thread's replies
+// right under the message that started it; JSON keeps every message in time order with reply_to.
+// Attachments are listed by name only - the files themselves stay in storage.
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  text: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+const BOT_SENDERS = {
+  ai_bot: { name: 'AI Mentor', type: 'ai', label: 'AI' },
+  system_bot: { name: 'System', type: 'system', label: 'SYSTEM' }
+};
+
+// "2026-10-19 14:03 UTC" - the server doesn't know the reader's time zone, so say which one it is
+function formatTime(date) {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Everything a transcript shows for the team, in time order:
+ * { team: { _id, name, hackathon_id }, exported_at, messages: [{ _id, sender_id, sender_name,
+ *   sender_type ('member' | 'ai' | 'system'), timestamp, edited_at, deleted, reply_to, text,
+ *   attachments: [{ name, content_type, size }], reactions: [{ emoji, count }] }] }
+ * Deleted messages keep their place without their text, attachments or reactions.
+ */
+export async function buildTranscript(team) {
+  const messages = await Message.find({ team_id: String(team._id) })
+    .sort({ timestamp: 1, _id: 1 })
+    .lean();
+
+  const userIds = [...new Set(messages.map(message => message.senderId).filter(id => id && !BOT_SENDERS[id]))];
+  const users = await User.find({ _id: { $in: userIds } }).select('name').lean();
+  const names = new Map(users.map(user => [String(user._id), user.name]));
+
+  return {
+    team: { _id: String(team._id), name: team.name || 'Team', hackathon_id: team.hackathon_id || null },
+    exported_at: new Date(),
+    messages: messages.map((message) => {
+      const bot = BOT_SENDERS[message.senderId];
+      const deleted = !!message.deleted_at;
+      const reactions = new Map();
+      (deleted ? [] : message.reactions || []).forEach(({ emoji }) => reactions.set(emoji, (reactions.get(emoji) || 0) + 1));
+      return {
+        _id: String(message._id),
+        sender_id: message.senderId,
+        sender_name: bot ? bot.name : names.get(message.senderId) || 'Former user',
+        sender_type: bot ? bot.type : 'member',
+        timestamp: message.timestamp,
+        edited_at: message.edited_at || null,
+        deleted,
+        reply_to: message.reply_to || null,
+        text: deleted ? '' : message.text || '',
+        attachments: deleted ? [] : (message.attachments || []).map(({ name, content_type, size }) => ({ name, content_type, size })),
+        reactions: [...reactions].map(([emoji, count]) => ({ emoji, count }))
+      };
+    })
+  };
+}
+
+// Messages in reading order: each thread's replies follow the message that started it.
+// Replies whose first message is missing stay where they are.
+function readingOrder(messages) {
+  const ids = new Set(messages.map(message => message._id));
+  const replies = new Map();
+  messages.forEach((message) => {
+    if (message.reply_to && ids.has(message.reply_to)) {
+      replies.set(message.reply_to, [...(replies.get(message.reply_to) || []), message]);
+    }
+  });
+  return messages
+    .filter(message => !message.reply_to || !ids.has(message.reply_to))
+    .flatMap(message => [{ message, isReply: false }, ...(replies.get(message._id) || []).map(reply => ({ message: reply, isReply: true }))]);
+}
+
+function senderLabel(message) {
+  const bot = BOT_SENDERS[message.sender_id];
+  return bot ? `${message.sender_name} [${bot.label}]` : message.sender_name;
+}
+
+function extras(message) {
+  const lines = message.attachments.map(({ name, size }) => `📎 ${name} (${formatSize(size)})`);
+  if (message.reactions.length > 0) {
+    lines.push(message.reactions.map(({ emoji, count }) => `${emoji} ${count}`).join('  '));
+  }
+  return lines;
+}
+
+function renderMarkdown({ team, exported_at, messages }) {
+  const lines = [`# ${team.name} - chat transcript`, '', `Exported ${formatTime(exported_at)} · ${messages.length} messages`];
+
+  readingOrder(messages).forEach(({ message, isReply }) => {
+    const heading = `**${senderLabel(message)}** · ${formatTime(message.timestamp)}${message.edited_at ? ' · _(edited)_' : ''}`;
+    const body = message.deleted ? ['_(message deleted)_'] : [...message.text.split('\n'), ...extras(message).map(line => `- ${line}`)];
+    if (isReply) {
+      // Replies are quoted under the message that started the thread
+      lines.push('', ...[`↳ ${heading}`, '', ...body].map(line => (line ? `> ${line}` : '>')));
+    } else {
+      lines.push('', '---', '', heading, '', ...body);
+    }
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function renderText({ team, exported_at, messages }) {
+  const lines = [`${team.name} - chat transcript`, `Exported ${formatTime(exported_at)}, ${messages.length} messages`, ''];
+
+  readingOrder(messages).forEach(({ message, isReply }) => {
+    const indent = isReply ? '    ' : '';
+    const edited = message.edited_at ? ' (edited)' : '';
+    const [first, ...rest] = message.deleted ? ['(message deleted)'] : message.text.split('\n');
+    lines.push(`${indent}${isReply ? '↳ ' : ''}[${formatTime(message.timestamp)}] ${senderLabel(message)}${edited}: ${first}`.trimEnd());
+    [...rest, ...(message.deleted ? [] : extras(message))].forEach(line => lines.push(`${indent}    ${line}`));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * The transcript rendered as 'markdown', 'json' or 'text'. Throws a 400 for other formats.
+ */
+export function renderTranscript(transcript, format) {
+  if (format === 'markdown') return renderMarkdown(transcript);
+  if (format === 'text') return renderText(transcript);
+  if (format === 'json') return `${JSON.stringify(transcript, null, 2)}\n`;
+  throw httpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+}
+
+/**
+ * Export the team's chat. Resolves to { filename, contentType, body }.
+ */
+export async function exportTeamChat(team, format = 'markdown') {
+  const settings = EXPORT_FORMATS[format];
+  if (!settings) {
+    throw httpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const transcript = await buildTranscript(team);
+  const slug = transcript.team.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'team';
+  return {
+    filename: `${slug}-chat-${transcript.exported_at.toISOString().slice(0, 10)}.${settings.extension}`,
+    contentType: settings.contentType,
+    body: renderTranscript(transcript, format)
+  };
+}
@@ -0,0 +1,159 @@
+import { Octokit } from '@octokit/rest';
+import axios from 'axios';
+import Team from '../models/Team.js';
+import { findTeamMembers } from './teams.js';
+import { postTeamMessage } from './messages.js';
+import { httpError } from './httpError.js';
+
+// Initialize Octokit for GitHub API
+let octokit = null;
+if (process.env.GITHUB_TOKEN) {
+  octokit = new Octokit({
+    auth: process.env.GITHUB_TOKEN
+  });
+  console.log('✅ GitHub integration enabled');
+} else {
+  console.log('⚠️ GITHUB_TOKEN not set - GitHub features disabled');
+}
+
+// Swap the Octokit client (null disables GitHub features) - used by the integration tests
+export function setOctokit(client) {
+  octokit = client;
+}
+
+export function isGitHubEnabled() {
+  return !!octokit;
+}
+
+// Strip "https://github.com/" and trailing slashes from a profile field
+function toGithubUsername(github) {
+  return github.replace(/^https?:\/\/(www\.)?github\.com\//, '').replace(/\/$/, '').trim();
+}
+
+function toRepoName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/-+/g, '-').substring(0, 100);
+}
+
+// Create a repository for the team under the token owner's account, invite every member
+// with a GitHub username, store the repo/Replit links on the team and announce it in chat.
+// Used by POST /github/init and by the createGitHubRepo tool the AI agents can call.
+export async function createTeamRepository(team, { repoName = null, description = null } = {}) {
+  if (!octokit) {
+    throw httpError(503, 'GitHub integration not configured. GITHUB_TOKEN not set in .env');
+  }
+
+  // Get team members with GitHub usernames
+  const members = await findTeamMembers(team);
+  const githubUsernames = members
+    .map(m => m.github)
+    .filter(github => github && github.trim())
+    .map(toGithubUsername);
+
+  if (githubUsernames.length === 0) {
+    throw httpError(400, 'No team members have GitHub usernames configured in their profiles');
+  }
+
+  // Generate repository name
+  const finalRepoName = repoName
+    ? toRepoName(repoName)
+    : `hackathon-${team.name?.toLowerCase().replace(/[^a-z0-9-]/g, '-') || 'project'}-${Date.now()}`;
+
+  // Get the authenticated user (token owner) to create the repo
+  const { data: authUser } = await octokit.users.getAuthenticated();
+  const repoOwner = authUser.login;
+
+  console.log(`📦 Creating repository: ${repoOwner}/${finalRepoName}`);
+
+  // Create repository
+  let repo;
+  try {
+    repo = await octokit.repos.createForAuthenticatedUser({
+      name: finalRepoName,
+      description: description || `Hackathon project: ${team.name || 'Team Project'}`,
+      private: false,
+      auto_init: true // Initialize with README
+    });
+    console.log(`✅ Repository created: ${repo.data.full_name}`);
+  } catch (repoError) {
+    console.error('❌ Error creating repository:', repoError);
+    throw httpError(500, 'Failed to create repository', repoError.message);
+  }
+
+  const repoFullName = repo.data.full_name;
+  const [owner, name] = repoFullName.split('/');
+
+  // Invite team members to the repository
+  const inviteResults = [];
+  for (const username of githubUsernames) {
+    // Skip if it's the repo owner
+    if (username === repoOwner) {
+      inviteResults.push({ username, status: 'owner' });
+      continue;
+    }
+
+    try {
+      await octokit.repos.addCollaborator({
+        owner,
+        repo: name,
+        username,
+        permission: 'push'
+      });
+      inviteResults.push({ username, status: 'invited' });
+      console.log(`✅ Invited ${username} to repository`);
+    } catch (inviteError) {
+      console.log(`⚠️ Could not invite ${username}:`, inviteError.message);
+      inviteResults.push({ username, status: 'failed', error: inviteError.message });
+    }
+  }
+
+  // Generate Replit import URL
+  const replitUrl = `https://replit.com/github/${owner}/${name}`;
+
+  // Update team with repository info
+  await Team.findByIdAndUpdate(
+    team._id,
+    {
+      $set: {
+        github_repo: repoFullName,
+        github_repo_url: repo.data.html_url,
+        replit_url: replitUrl
+      }
+    }
+  );
+
+  // Post a new message in the chat with the GitHub link
+  await postTeamMessage(team._id, {
+    senderId: 'ai_bot',
+    text: `✅ GitHub repository created successfully!\n\n🔗 Repository: ${repoFullName}\n📦 URL: ${repo.data.html_url}\n\nYou can now start pushing code to your repository. The Replit import URL is: ${replitUrl}`,
+    timestamp: new Date()
+  });
+
+  return {
+    success: true,
+    repository: {
+      name: repoFullName,
+      url: repo.data.html_url,
+      clone_url: repo.data.clone_url
+    },
+    replit_url: replitUrl,
+    invites: inviteResults
+  };
+}
+
+// Public repos for a GitHub user, as a JSON string for the onboarding profiler
+export async function fetchGithubData(username) {
+  try {
+    console.log('📋 Fetching GitHub repos for:', username);
+    const response = await axios.get(`https://api.github.com/users/${username}/repos?per_page=100`);
+    const repos = response.data.map(repo => ({
+      name: repo.name,
+      description: repo.description || '',
+      language: repo.language || 'N/A',
+      topics: repo.topics || []
+    }));
+    return JSON.stringify(repos);
+  } catch (error) {
+    console.error('❌ GitHub API error:', error.message);
+    throw new Error('GitHub profile not found or private.');
+  }
+}
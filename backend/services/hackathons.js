@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import Hackathon from '../models/Hackathon.js';
+import { requireHackathonOrganizer } from '../middleware/policies.js';
+import { DEFAULT_TARGET_COMPOSITION, COMPOSITION_ROLES } from './scoring.js';
+
+// Members per team when the hackathon doesn't set min_team_size / max_team_size
+export const DEFAULT_MIN_TEAM_SIZE = Number(process.env.MIN_TEAM_SIZE) || 2;
+export const DEFAULT_MAX_TEAM_SIZE = Number(process.env.MAX_TEAM_SIZE) || 4;
+
+export async function findHackathonById(hackathonId) {
+  if (!hackathonId || !mongoose.Types.ObjectId.isValid(hackathonId)) return null;
+  return Hackathon.findById(hackathonId);
+}
+
+// "Only hackathon organizers" for routes with a :hackathonId param - the hackathon ends up on req.hackathon
+export const requireOrganizerParam = requireHackathonOrganizer(req => findHackathonById(req.params.hackathonId));
+
+// Returns an error message if min/max aren't a usable team size range, otherwise null
+export function validateTeamSizeLimits(min, max) {
+  if (!Number.isInteger(min) || !Number.isInteger(max)) {
+    return 'min_team_size and max_team_size must be integers';
+  }
+  if (min < 1 || max < 2) {
+    return 'min_team_size must be at least 1 and max_team_size at least 2';
+  }
+  if (min > max) {
+    return 'min_team_size cannot be greater than max_team_size';
+  }
+  return null;
+}
+
+// { min, max } members per team for a hackathon document (or null), falling back to the defaults
+export function teamSizeLimits(hackathon) {
+  const min = hackathon?.min_team_size > 0 ? hackathon.min_team_size : DEFAULT_MIN_TEAM_SIZE;
+  const max = hackathon?.max_team_size > 0 ? hackathon.max_team_size : DEFAULT_MAX_TEAM_SIZE;
+  return { min: Math.min(min, max), max };
+}
+
+export async function getTeamSizeLimits(hackathonId) {
+  const hackathon = await findHackathonById(hackathonId);
+  return teamSizeLimits(hackathon);
+}
+
+// Returns an error message if `composition` isn't a usable [{ role, count }] list, otherwise null
+export function validateTargetComposition(composition) {
+  if (!Array.isArray(composition) || composition.length === 0) {
+    return 'target_composition must be a non-empty array of { role, count }';
+  }
+  const seen = new Set();
+  for (const entry of composition) {
+    if (!COMPOSITION_ROLES.includes(entry?.role)) {
+      return `role must be one of: ${COMPOSITION_ROLES.join(', ')}`;
+    }
+    if (!Number.isInteger(entry.count) || entry.count < 1) {
+      return 'count must be a positive integer';
+    }
+    if (seen.has(entry.role)) {
+      return `${entry.role} is listed more than once`;
+    }
+    seen.add(entry.role);
+  }
+  return null;
+}
+
+// [{ role, count }] a team in this hackathon (or null) aims for, falling back to one of each core role
+export function targetComposition(hackathon) {
+  return hackathon?.target_composition?.length > 0
+    ? hackathon.target_composition.map(({ role, count }) => ({ role, count }))
+    : DEFAULT_TARGET_COMPOSITION;
+}
+
+export async function getTargetComposition(hackathonId) {
+  const hackathon = await findHackathonById(hackathonId);
+  return targetComposition(hackathon);
+}
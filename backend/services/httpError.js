@@ -0,0 +1,8 @@
+// Errors services throw for the routes to answer with: routes respond with
+// res.status(error.status || 500).json({ error: error.message }) (plus details when set)
+export function httpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
@@ -0,0 +1,121 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { parseJSONResponse } from './json.js';
+
+// Try these models in order (most common first)
+const MODELS_TO_TRY = [
+  'gemini-2.5-flash',
+  'gemini-2.5-pro',
+  'gemini-1.5-pro',
+  'gemini-pro',
+  'models/gemini-2.5-flash',
+  'models/gemini-2.5-pro',
+  'models/gemini-1.5-pro',
+  'models/gemini-pro'
+];
+
+// Gemini provider. `client` defaults to a GoogleGenerativeAI instance for apiKey;
+// tests pass a stub with the same getGenerativeModel() shape.
+export function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY, client = null } = {}) {
+  const genAI = client || new GoogleGenerativeAI(apiKey || '');
+  let workingModelName = null;
+
+  function getModel(modelName, options = {}) {
+    return genAI.getGenerativeModel({ model: modelName, ...options });
+  }
+
+  // Find the first model this key can use and remember it for the rest of the process
+  async function resolveModelName() {
+    if (workingModelName) {
+      return workingModelName;
+    }
+    if (!client && !apiKey) {
+      throw new Error('GEMINI_API_KEY is not set in environment variables');
+    }
+
+    for (const modelName of MODELS_TO_TRY) {
+      try {
+        console.log(`🔍 Trying model: ${modelName}`);
+        const result = await getModel(modelName).generateContent('test');
+        await result.response;
+        console.log(`✅ Model ${modelName} is available and working!`);
+        workingModelName = modelName;
+        return modelName;
+      } catch (error) {
+        const errorMsg = error.message || error.toString();
+        console.log(`❌ Model ${modelName} failed: ${errorMsg.substring(0, 150)}`);
+        // If it's a 401/403, the API key is invalid
+        if (errorMsg.includes('401') || errorMsg.includes('403') || errorMsg.includes('API_KEY')) {
+          throw new Error('Invalid GEMINI_API_KEY. Please check your API key in the .env file.');
+        }
+      }
+    }
+
+    throw new Error('No working Gemini models found. Your API key may not have access to Gemini models, or the model names have changed. Please verify your GEMINI_API_KEY at https://aistudio.google.com/apikey');
+  }
+
+  async function generateText(prompt, { model } = {}) {
+    const modelName = model || await resolveModelName();
+    const result = await getModel(modelName).generateContent(prompt);
+    const response = await result.response;
+    return response.text().trim();
+  }
+
+  return {
+    name: 'gemini',
+
+    generateText,
+
+    async generateJSON(prompt, options = {}) {
+      return parseJSONResponse(await generateText(prompt, options));
+    },
+
+    // One chat turn with function calling. handlers[name](args) runs the requested tool;
+    // its result (or error) is sent back so the model can phrase the final answer.
+    async runWithTools({ systemInstruction, message, tools, handlers, model }) {
+      const modelName = model || await resolveModelName();
+      const chat = getModel(modelName, { tools: [{ functionDeclarations: tools }] }).startChat({
+        history: [],
+        systemInstruction
+      });
+
+      const { response } = await chat.sendMessage(message);
+      const functionCalls = response.functionCalls() || [];
+      if (functionCalls.length === 0) {
+        return { text: response.text().trim(), functionCall: null };
+      }
+
+      const functionCall = functionCalls[0];
+      console.log(`🔧 AI wants to call function: ${functionCall.name}`);
+      console.log(`📋 Function arguments:`, functionCall.args);
+
+      let toolResponse;
+      try {
+        toolResponse = { success: true, ...(await handlers[functionCall.name](functionCall.args)) };
+      } catch (error) {
+        console.error('❌ Error executing function:', error);
+        toolResponse = { success: false, error: error.message };
+      }
+
+      const followUp = await chat.sendMessage([
+        { functionResponse: { name: functionCall.name, response: toolResponse } }
+      ]);
+      return { text: followUp.response.text().trim(), functionCall };
+    },
+
+    // Call every model once and report which ones answer (GET /test-gemini)
+    async probeModels(modelNames, prompt = 'Say "Hello"') {
+      const results = [];
+      for (const modelName of modelNames) {
+        try {
+          const result = await getModel(modelName).generateContent(prompt);
+          const text = (await result.response).text();
+          results.push({ model: modelName, status: '✅ Working', response: text.substring(0, 50) });
+        } catch (error) {
+          const errorMsg = error.message || error.toString();
+          results.push({ model: modelName, status: '❌ Failed', error: errorMsg.substring(0, 200) });
+        }
+      }
+      return results;
+    }
+  };
+}
@@ -0,0 +1,50 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOfflineProvider } from './offline.js';
+
+// LLM provider layer
+// Every AI feature goes through the active provider:
+//   generateText(prompt, { task, input })            -> string
+//   generateJSON(prompt, { task, input })            -> object
+//   runWithTools({ systemInstruction, message, tools, handlers, task, input })
+//                                                    -> { text, functionCall }
+// `task` and `input` (the structured data the prompt was built from) let the offline
+// provider answer without reading the prompt.
+//
+// LLM_PROVIDER selects the provider: 'gemini', 'offline', or unset to use Gemini when
+// GEMINI_API_KEY is set and the offline provider otherwise.
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  offline: createOfflineProvider
+};
+
+function createProviderFromEnv() {
+  const requested = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (requested && !PROVIDERS[requested]) {
+    console.warn(`⚠️  WARNING: Unknown LLM_PROVIDER "${requested}" - falling back to offline`);
+    return createOfflineProvider();
+  }
+
+  const name = requested || (process.env.GEMINI_API_KEY ? 'gemini' : 'offline');
+  if (name === 'offline') {
+    console.log('🤖 Using the offline LLM provider (set GEMINI_API_KEY or LLM_PROVIDER=gemini for Gemini)');
+  }
+  return PROVIDERS[name]();
+}
+
+let provider = null;
+
+export function getLLM() {
+  if (!provider) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+}
+
+// Replace the active provider (tests install stubs or the offline provider)
+export function setLLMProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+export { createGeminiProvider, createOfflineProvider };
+export { parseJSONResponse } from './json.js';
@@ -0,0 +1,12 @@
+// Pull a JSON object out of a model response that may be wrapped in ```json fences or prose
+export function parseJSONResponse(text) {
+  const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const jsonMatch = cleanedText.match(/\{[\s\S]*\}/);
+  try {
+    return JSON.parse(jsonMatch ? jsonMatch[0] : cleanedText);
+  } catch (parseError) {
+    const error = new Error(`Failed to parse model response: ${parseError.message}. Raw response: ${text.substring(0, 500)}`);
+    error.rawResponse = text;
+    throw error;
+  }
+}
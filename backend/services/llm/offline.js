@@ -0,0 +1,166 @@
+import { scoreMatch } from '../scoring.js';
+
+// Offline provider: deterministic, rule-based stand-ins for every AI feature so the app
+// runs in development and CI without an API key or network. Each call names a `task`
+// and passes the structured `input` the prompt was built from; the prompt text itself
+// is ignored.
+
+const KNOWN_TECH = [
+  'JavaScript', 'TypeScript', 'React', 'React Native', 'Next.js', 'Vue', 'Angular', 'Svelte',
+  'Node.js', 'Express', 'Python', 'Django', 'Flask', 'FastAPI', 'Java', 'Spring', 'Go', 'Rust',
+  'C++', 'C#', 'Swift', 'Kotlin', 'Flutter', 'Unity', 'MongoDB', 'PostgreSQL', 'MySQL',
+  'Firebase', 'GraphQL', 'Docker', 'Kubernetes', 'AWS', 'GCP', 'Azure', 'TensorFlow',
+  'PyTorch', 'Figma', 'Tailwind'
+];
+
+const ROLE_KEYWORDS = {
+  'AI/ML': ['tensorflow', 'pytorch', 'machine learning', 'ml', 'data science'],
+  Mobile: ['swift', 'kotlin', 'flutter', 'react native', 'ios', 'android'],
+  Design: ['figma', 'ui/ux', 'designer', 'design'],
+  DevOps: ['docker', 'kubernetes', 'devops', 'ci/cd'],
+  Frontend: ['react', 'vue', 'angular', 'svelte', 'frontend', 'tailwind'],
+  Backend: ['node.js', 'express', 'django', 'flask', 'fastapi', 'spring', 'backend', 'postgresql', 'mongodb']
+};
+
+const REPO_REQUEST = /\b(repo|repository|workspace|start coding)\b/i;
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function slugify(value) {
+  return normalize(value).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Keyword extraction from resume text or the repo list fetched from GitHub
+function extractProfile({ text }) {
+  const raw = String(text || '');
+  let corpus = raw;
+  try {
+    const repos = JSON.parse(raw);
+    if (Array.isArray(repos)) {
+      corpus = repos.map(r => [r.name, r.description, r.language, ...(r.topics || [])].join(' ')).join('\n');
+    }
+  } catch {
+    // Plain resume text
+  }
+
+  const lower = corpus.toLowerCase();
+  const skills = KNOWN_TECH.filter(tech => lower.includes(tech.toLowerCase()));
+  const role = Object.entries(ROLE_KEYWORDS).find(([, words]) => words.some(word => lower.includes(word)))?.[0] || 'Full Stack';
+  const firstLine = raw.split('\n').map(line => line.trim()).find(Boolean) || '';
+  const name = /^[A-Za-z][A-Za-z .'-]{1,60}$/.test(firstLine.split(/[-|,]/)[0].trim()) ? firstLine.split(/[-|,]/)[0].trim() : '';
+
+  return {
+    name,
+    email: corpus.match(/[\w.+-]+@[\w-]+\.[\w.]+/)?.[0] || '',
+    role_preference: role,
+    skills,
+    tech_stack: skills.slice(0, 10),
+    experience: [],
+    school: '',
+    location: '',
+    github: corpus.match(/github\.com\/([A-Za-z0-9-]+)/i)?.[1] || '',
+    devpost: '',
+    description: skills.length > 0
+      ? `${role} developer working with ${skills.slice(0, 3).join(', ')}. Looking for a hackathon team to build with.`
+      : 'Hackathon participant looking for a team.',
+    num_hackathons: String((lower.match(/hackathon/g) || []).length)
+  };
+}
+
+function roleLines(members) {
+  return members.map(m => {
+    const strengths = [...(m.skills || []), ...(m.tech_stack || [])].slice(0, 2);
+    return `- ${m.name || 'Team Member'}: ${m.role_preference || 'Developer'}${strengths.length ? ` (${strengths.join(', ')})` : ''}`;
+  }).join('\n');
+}
+
+function mentorReply({ members = [], hackathon, message }) {
+  const hackathonName = hackathon?.name || 'the hackathon';
+  return `Here's a quick plan for ${hackathonName} based on your question: "${message}"
+
+**Who does what**
+${roleLines(members)}
+
+**Next steps**
+1. Agree on one problem statement in the next 30 minutes - scope it to a single demo flow.
+2. Split the work along the roles above and set up a shared repo before writing features.
+3. Check in every 3 hours and cut anything that won't be demo-ready by the final 4 hours.
+
+_(Offline mentor - set LLM_PROVIDER=gemini for tailored advice.)_`;
+}
+
+const AGENT_FOCUS = {
+  ARCHITECT: 'Pick one language per tier, keep a single repo with /frontend and /backend, and commit a README with setup steps first.',
+  SCRUM_MASTER: 'Break the project into 3-hour sprints, give every task one owner, and keep the last 4 hours for polish and the demo.',
+  DESIGNER: 'Sketch the main screen first, reuse one Tailwind color palette and spacing scale, and design for the demo laptop resolution.'
+};
+
+function teamAdvice({ activeAgent, members = [], hackathonName = 'the hackathon' }) {
+  const focus = AGENT_FOCUS[activeAgent] || 'Build the smallest version of the idea that shows the core feature end to end.';
+  return `Plan for ${hackathonName}:
+
+**Team**
+${roleLines(members)}
+
+**Focus**
+${focus}
+
+**24-hour outline**
+1. Hours 0-2: choose the idea and split roles.
+2. Hours 2-16: build the core flow.
+3. Hours 16-22: integrate, test and fix.
+4. Hours 22-24: record the demo and write the submission.
+
+_(Offline mentor - set LLM_PROVIDER=gemini for tailored advice.)_`;
+}
+
+const JSON_TASKS = {
+  // Same rules the matching prompt describes, computed locally
+  'match-score': ({ user1, user2, teamMembers }) => scoreMatch(user1, user2, teamMembers),
+  profile: extractProfile
+};
+
+const TEXT_TASKS = {
+  mentor: mentorReply,
+  'team-advice': teamAdvice
+};
+
+export function createOfflineProvider() {
+  return {
+    name: 'offline',
+
+    async generateText(prompt, { task, input = {} } = {}) {
+      const handler = TEXT_TASKS[task];
+      return handler ? handler(input) : 'The AI assistant is running offline.';
+    },
+
+    async generateJSON(prompt, { task, input = {} } = {}) {
+      const handler = JSON_TASKS[task];
+      return handler ? handler(input) : {};
+    },
+
+    // Calls createGitHubRepo when the user's own prompt asks for a repo, otherwise answers like generateText
+    async runWithTools({ tools, handlers, task, input = {} }) {
+      const wantsRepo = tools.some(tool => tool.name === 'createGitHubRepo') && REPO_REQUEST.test(input.prompt || '');
+      if (!wantsRepo) {
+        return { text: await this.generateText(null, { task, input }), functionCall: null };
+      }
+
+      const functionCall = {
+        name: 'createGitHubRepo',
+        args: { repoName: `${slugify(input.hackathonName) || 'hackathon'}-project` }
+      };
+      try {
+        const result = await handlers.createGitHubRepo(functionCall.args);
+        return {
+          text: `Repo created! ${result.repository.url}. You can now launch it in Replit using the [OPEN_WORKSPACE] button.`,
+          functionCall
+        };
+      } catch (error) {
+        return { text: `I couldn't create the repository: ${error.message}`, functionCall };
+      }
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import MatchScore from '../models/MatchScore.js';
+import { calculateMatchScore, getDefaultScoringMode } from './matching.js';
+
+// Match-score cache
+// Scores are stored per (user, candidate, team composition, mode, perspective) and reused while the
+// profile_version of every person involved is unchanged. Saving a profile also deletes the
+// scores that mention that user (invalidateMatchScores).
+
+function teamMemberIds(teamMembers) {
+  return (teamMembers || []).map(m => String(m._id)).sort();
+}
+
+// Cache documents for this user, team composition, mode and perspective (add candidate_id to
+// pick one). isCurrentUser changes the prompt, so first-person scores are kept apart.
+function cacheFilter(user, teamMembers, mode, isCurrentUser) {
+  return {
+    user_id: String(user._id),
+    team_key: teamMemberIds(teamMembers).join(','),
+    mode,
+    is_current_user: !!isCurrentUser
+  };
+}
+
+function versionKey(people) {
+  return people.map(p => `${p._id}@${p.profile_version || 0}`).join(' ');
+}
+
+function scoreVersions(user, candidate, teamMembers) {
+  const team = [...(teamMembers || [])].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+  return versionKey([user, candidate, ...team]);
+}
+
+// Cached score if still valid, otherwise calculateMatchScore + store. Fallback results
+// (the LLM failed) are returned but not stored so the next call retries the provider.
+export async function getMatchScore(user, candidate, teamMembers = null, options = {}) {
+  const mode = options.mode || getDefaultScoringMode();
+  const filter = { ...cacheFilter(user, teamMembers, mode, options.isCurrentUser), candidate_id: String(candidate._id) };
+  const versions = scoreVersions(user, candidate, teamMembers);
+
+  const cached = await MatchScore.findOne(filter).lean();
+  if (cached && cached.versions === versions) {
+    return { ...cached.result, cached: true };
+  }
+
+  const result = await calculateMatchScore(user, candidate, teamMembers, { ...options, mode });
+  if (!result.fallback) {
+    await MatchScore.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          team_member_ids: teamMemberIds(teamMembers),
+          versions,
+          result,
+          computed_at: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+  return { ...result, cached: false };
+}
+
+// Valid cached scores for many candidates in one query - nothing is computed.
+// Returns { scores: { [candidateId]: result }, missing: [candidateId] }
+export async function findCachedMatchScores(user, candidates, teamMembers = null, { mode = getDefaultScoringMode(), isCurrentUser = false } = {}) {
+  const docs = await MatchScore.find({
+    ...cacheFilter(user, teamMembers, mode, isCurrentUser),
+    candidate_id: { $in: candidates.map(c => String(c._id)) }
+  }).lean();
+  const byCandidate = new Map(docs.map(doc => [doc.candidate_id, doc]));
+
+  const scores = {};
+  const missing = [];
+  for (const candidate of candidates) {
+    const id = String(candidate._id);
+    const doc = byCandidate.get(id);
+    if (doc && doc.versions === scoreVersions(user, candidate, teamMembers)) {
+      scores[id] = { ...doc.result, cached: true };
+    } else {
+      missing.push(id);
+    }
+  }
+  return { scores, missing };
+}
+
+// Drop every cached score that involves userId (as the user, the candidate or a team member)
+export async function invalidateMatchScores(userId) {
+  const id = String(userId);
+  const { deletedCount } = await MatchScore.deleteMany({
+    $or: [{ user_id: id }, { candidate_id: id }, { team_member_ids: id }]
+  });
+  return deletedCount;
+}
@@ -0,0 +1,242 @@
+import { getLLM } from './llm/index.js';
+import { scoreMatch } from './scoring.js';
+
+export const SCORING_MODES = ['ai', 'rules'];
+
+// Default mode for POST /match-score; MATCH_SCORING_MODE=rules skips the LLM entirely
+export function getDefaultScoringMode() {
+  const mode = (process.env.MATCH_SCORING_MODE || 'ai').trim().toLowerCase();
+  return SCORING_MODES.includes(mode) ? mode : 'ai';
+}
+
+// AI Matchmaking
+// options.isCurrentUser: user1 is the signed-in user looking for teammates (first-person prompt)
+// options.mode: 'ai' asks the LLM provider and falls back to the rule engine if that fails,
+// 'rules' uses the rule engine (services/scoring.js) directly. Results carry `engine`
+// ('ai' | 'rules') and, from the rule engine, a per-factor `breakdown`.
+export async function calculateMatchScore(user1, user2, teamMembers = null, options = {}) {
+  const mode = options.mode || getDefaultScoringMode();
+  if (mode === 'rules') {
+    return { ...scoreMatch(user1, user2, teamMembers), engine: 'rules' };
+  }
+
+  try {
+    let prompt;
+
+    if (teamMembers && teamMembers.length > 0) {
+      // Team-based matching
+      const teamSkills = teamMembers.map(m => m.skills || []).flat();
+      const teamTechStack = teamMembers.map(m => m.tech_stack || []).flat();
+      const teamExperience = teamMembers.map(m => m.experience || []).flat();
+
+      prompt = `You are a STRICT TECHNICAL RECRUITER evaluating a hackathon team candidate. Be harsh and precise.
+
+EXISTING TEAM:
+- Combined Skills: ${[...new Set(teamSkills)].join(', ') || 'None'}
+- Tech Stack: ${[...new Set(teamTechStack)].join(', ') || 'None'}
+- Experience: ${[...new Set(teamExperience)].join(', ') || 'None'}
+- Team Size: ${teamMembers.length} members
+- Primary Roles: ${teamMembers.map(m => m.role_preference || 'Unspecified').join(', ')}
+
+CANDIDATE USER:
+- Name: ${user2.name || 'Unknown'}
+- Primary Role: ${user2.role_preference || 'Unspecified'}
+- Skills: ${(user2.skills || []).join(', ') || 'None listed'}
+- Tech Stack: ${(user2.tech_stack || []).join(', ') || 'None listed'}
+- Experience: ${(user2.experience || []).join(', ') || 'None listed'}
+
+STRICT EVALUATION RULES:
+
+1. ROLE CHECK (CRITICAL):
+   - If candidate's primary role matches ANY existing team member's role EXACTLY (e.g., both are ONLY "Frontend"), apply -30% penalty for "Skill Redundancy"
+   - Only award points if candidate fills a MISSING role (e.g., team has Frontend/Backend, candidate is Designer = GOOD)
+
+2. STACK SYNERGY (ONLY COMPLEMENTARY):
+   - Award points ONLY for complementary tech stacks:
+     * Node.js (Backend) + React (Frontend) = +40%
+     * Python (Backend) + React (Frontend) = +40%
+     * Unity (Game) + Backend API = +40%
+   - DO NOT award points for overlapping stacks (e.g., both have React = -20%)
+   - If candidate's tech stack perfectly complements team's gaps, award +40%
+
+3. SCORE SCALE (BE STRICT):
+   - 90-100%: "Dream Team" - Perfect full-stack coverage (Frontend + Backend + Design + DevOps/Mobile), NO role overlap, complementary tech stacks
+   - 70-89%: "Strong Match" - 1-2 minor skill overlaps, but fills critical missing role
+   - 40-69%: "Average Match" - Too much overlap OR missing a key role (e.g., no Backend, no Design)
+   - Below 40%: "Weak Match" - Exact same skills/role OR no tech stack provided
+
+4. REASONING FORMAT (REQUIRED):
+   - List exactly ONE "Pros" (what makes this a good match)
+   - List exactly ONE "Major Risk" (what could go wrong)
+
+IMPORTANT: Only return "Strong Match" (score >= 85) or "Good Match" (score >= 60). 
+If the match score is below 60, still return the score but set category to "Good Match".
+
+Respond with ONLY a JSON object (no markdown, no code blocks):
+{
+  "score": <number 0-100>,
+  "reason": "Pros: <exactly one pro>. Major Risk: <exactly one risk>",
+  "category": "<Strong Match|Good Match>",
+  "needed_roles": ["<role1>", "<role2>"]
+}`;
+    } else {
+      // One-on-one matching with Current User logic
+      const isCurrentUser = !!options.isCurrentUser;
+
+      if (isCurrentUser) {
+        // Current User: evaluate the target from the signed-in user's point of view
+        prompt = `You are a STRICT TECHNICAL RECRUITER evaluating a hackathon teammate match. Be harsh and precise.
+
+CURRENT USER (Me):
+- Name: ${user1.name || 'Unknown'}
+- Primary Role: ${user1.role_preference || 'Not specified'}
+- Skills: ${(user1.skills || []).join(', ') || 'None listed'}
+- Tech Stack: ${(user1.tech_stack || []).join(', ') || 'None listed'}
+- Experience: ${(user1.experience || []).join(', ') || 'None listed'}
+- Bio: ${user1.description || user1.bio || 'No bio provided'}
+
+TARGET USER:
+- Name: ${user2.name || 'Unknown'}
+- Primary Role: ${user2.role_preference || 'Not specified'}
+- Skills: ${(user2.skills || []).join(', ') || 'None listed'}
+- Tech Stack: ${(user2.tech_stack || []).join(', ') || 'None listed'}
+- Experience: ${(user2.experience || []).join(', ') || 'None listed'}
+- Bio: ${user2.description || user2.bio || 'No bio provided'}
+
+STRICT EVALUATION RULES:
+
+1. ROLE CHECK (CRITICAL):
+   - If both users have the SAME primary role (e.g., both are ONLY "Frontend"), apply -30% penalty for "Skill Redundancy"
+   - Only award high scores if roles are complementary (e.g., Frontend + Backend, Developer + Designer)
+
+2. STACK SYNERGY (ONLY COMPLEMENTARY):
+   - Award points ONLY for complementary tech stacks:
+     * Unity/Swift (Mobile/VR) + Node.js/Go (Backend) = +40%
+     * Python (Backend) + React (Frontend) = +40%
+     * Unity (Game) + Backend API = +40%
+   - DO NOT award points for overlapping stacks (e.g., both have Unity/Swift = -30% penalty)
+   - If tech stacks perfectly complement each other, award +40%
+
+3. SCORE SCALE (BE STRICT):
+   - 90-100%: "Dream Team" - Perfect full-stack coverage, NO role overlap, complementary tech stacks (e.g., Unity/Swift + Node.js/Go + React + Design)
+   - 70-89%: "Strong Match" - 1-2 minor skill overlaps, but fills critical missing role (e.g., Frontend + Backend)
+   - 40-69%: "Average Match" - Too much overlap OR missing a key role (e.g., both Frontend, no Backend)
+   - Below 40%: "Weak Match" - Exact same skills/role OR no tech stack provided
+
+4. REASONING FORMAT (REQUIRED):
+   - List exactly ONE "Pros" (what makes this a good match)
+   - List exactly ONE "Major Risk" (what could go wrong)
+
+IMPORTANT: Only return "Strong Match" (score >= 85) or "Good Match" (score >= 60). 
+If the match score is below 60, still return the score but set category to "Good Match".
+
+Respond with ONLY a JSON object (no markdown, no code blocks):
+{
+  "score": <number 0-100>,
+  "reason": "Pros: <exactly one pro>. Major Risk: <exactly one risk>",
+  "category": "<Strong Match|Good Match>"
+}`;
+      } else {
+        // Generic matching
+        prompt = `You are a STRICT TECHNICAL RECRUITER evaluating a hackathon teammate match. Be harsh and precise.
+
+USER 1:
+- Name: ${user1.name || 'Unknown'}
+- Primary Role: ${user1.role_preference || 'Not specified'}
+- Skills: ${(user1.skills || []).join(', ') || 'None listed'}
+- Tech Stack: ${(user1.tech_stack || []).join(', ') || 'None listed'}
+- Experience: ${(user1.experience || []).join(', ') || 'None listed'}
+- Bio: ${user1.description || user1.bio || 'No bio provided'}
+
+USER 2:
+- Name: ${user2.name || 'Unknown'}
+- Primary Role: ${user2.role_preference || 'Not specified'}
+- Skills: ${(user2.skills || []).join(', ') || 'None listed'}
+- Tech Stack: ${(user2.tech_stack || []).join(', ') || 'None listed'}
+- Experience: ${(user2.experience || []).join(', ') || 'None listed'}
+- Bio: ${user2.description || user2.bio || 'No bio provided'}
+
+STRICT EVALUATION RULES:
+
+1. ROLE CHECK (CRITICAL):
+   - If both users have the SAME primary role (e.g., both are ONLY "Frontend"), apply -30% penalty for "Skill Redundancy"
+   - Only award high scores if roles are complementary (e.g., Frontend + Backend, Developer + Designer)
+
+2. STACK SYNERGY (ONLY COMPLEMENTARY):
+   - Award points ONLY for complementary tech stacks:
+     * Node.js/Go (Backend) + React/Vue (Frontend) = +40%
+     * Python (Backend) + React (Frontend) = +40%
+     * Unity (Game) + Backend API = +40%
+   - DO NOT award points for overlapping stacks (e.g., both have React = -20%)
+   - If tech stacks perfectly complement each other, award +40%
+
+3. SCORE SCALE (BE STRICT):
+   - 90-100%: "Dream Team" - Perfect full-stack coverage, NO role overlap, complementary tech stacks
+   - 70-89%: "Strong Match" - 1-2 minor skill overlaps, but fills critical missing role
+   - 40-69%: "Average Match" - Too much overlap OR missing a key role (e.g., both Frontend, no Backend)
+   - Below 40%: "Weak Match" - Exact same skills/role OR no tech stack provided
+
+4. REASONING FORMAT (REQUIRED):
+   - List exactly ONE "Pros" (what makes this a good match)
+   - List exactly ONE "Major Risk" (what could go wrong)
+
+IMPORTANT: Only return "Strong Match" (score >= 85) or "Good Match" (score >= 60). 
+If the match score is below 60, still return the score but set category to "Good Match".
+
+Respond with ONLY a JSON object (no markdown, no code blocks):
+{
+  "score": <number 0-100>,
+  "reason": "Pros: <exactly one pro>. Major Risk: <exactly one risk>",
+  "category": "<Strong Match|Good Match>"
+}`;
+      }
+    }
+
+    const llm = getLLM();
+    console.log(`🤖 Calling ${llm.name} provider for match: ${user1.name || user1._id} vs ${user2.name || user2._id}`);
+
+    const matchData = await llm.generateJSON(prompt, {
+      task: 'match-score',
+      input: { user1, user2, teamMembers }
+    });
+    console.log(`✅ Parsed match data:`, matchData);
+
+    // Validate score exists and is a number
+    if (typeof matchData.score !== 'number' && typeof matchData.score !== 'string') {
+      console.error('❌ Invalid score in response:', matchData);
+      throw new Error(`Invalid score format in model response: ${JSON.stringify(matchData)}`);
+    }
+
+    // Validate and normalize score
+    const score = Math.max(0, Math.min(100, parseInt(matchData.score) || 0));
+
+    if (score === 0 && Number(matchData.score) !== 0) {
+      console.error('❌ Score is 0 or missing:', matchData);
+      throw new Error(`Score is missing or invalid in response: ${JSON.stringify(matchData)}`);
+    }
+
+    console.log(`📊 Final match score: ${score}%`);
+
+    // Normalize category to match expected format - only Strong Match or Good Match
+    let category = matchData.category || 'Good Match';
+    if (score >= 85) {
+      category = 'Strong Match';
+    } else {
+      // For scores below 85, always show as "Good Match" (we only display Strong and Good)
+      category = 'Good Match';
+    }
+    
+    return {
+      score: score,
+      reason: matchData.reason || 'Match evaluation completed',
+      category: category,
+      needed_roles: matchData.needed_roles || [],
+      ...(Array.isArray(matchData.breakdown) && { breakdown: matchData.breakdown }),
+      engine: 'ai',
+      provider: llm.name
+    };
+  } catch (error) {
+    console.error('Error calculating match score, falling back to rule engine:', error.message);
+    return { ...scoreMatch(user1, user2, teamMembers), engine: 'rules', fallback: true };
+  }
+}
@@ -0,0 +1,133 @@
+import Message from '../models/Message.js';
+import { httpError } from './httpError.js';
+
+// Search a team's chat history
+// Every search term must appear in the text (case-insensitive, anywhere in a word). "Quoted
+// phrases" count as one term. Results come newest first with a snippet around the first match
+// and the [start, end) offsets of every match inside it - the client highlights those, so no
+// markup is ever built from message text.
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+const MAX_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40; // Characters kept before the first match
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 'deploy "api key"' -> ['deploy', 'api key']
+export function parseSearchTerms(query) {
+  const terms = [...String(query || '').matchAll(/"([^"]+)"|(\S+)/g)]
+    .map(match => (match[1] ?? match[2]).replace(/"/g, '').trim())
+    .filter(Boolean);
+  return [...new Set(terms.map(term => term.toLowerCase()))].slice(0, MAX_TERMS);
+}
+
+// Offsets of every match of any term in text, sorted, overlapping ones merged
+function matchRanges(text, terms) {
+  const ranges = terms.flatMap(term => (
+    [...text.matchAll(new RegExp(escapeRegExp(term), 'giu'))].map(match => [match.index, match.index + match[0].length])
+  ));
+
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged.at(-1);
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+}
+
+// A window of the text around the first match: { snippet, highlights: [[start, end], ...] }
+export function buildSnippet(text, terms) {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const ranges = matchRanges(source, terms);
+
+  let start = ranges.length > 0 ? Math.max(0, ranges[0][0] - SNIPPET_LEAD) : 0;
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    start = space !== -1 && space < ranges[0][0] ? space + 1 : start;
+  }
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${source.slice(start, end)}${end < source.length ? '…' : ''}`;
+  const shift = prefix.length - start;
+  const highlights = ranges
+    .filter(([from, to]) => from < end && to > start)
+    .map(([from, to]) => [Math.max(from, start) + shift, Math.min(to, end) + shift]);
+
+  return { snippet, highlights };
+}
+
+// A plain day ('2026-03-14') as `to` covers the whole day
+function parseDate(value, name, { endOfDay = false } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `${name} must be a date`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+}
+
+/**
+ * Search a team's messages (deleted ones excluded, thread replies included).
+ * Options: q (search terms), sender (a user id or 'ai_bot'), aiOnly (only the AI's messages),
+ * from / to (dates, inclusive), limit, before (a result's message id, for the next page).
+ * Resolves to { results: [{ _id, senderId, timestamp, reply_to, snippet, highlights }], has_more }.
+ */
+export async function searchTeamMessages(teamId, { q = '', sender = null, aiOnly = false, from = null, to = null, limit = DEFAULT_SEARCH_LIMIT, before = null } = {}) {
+  const terms = parseSearchTerms(q);
+  const [fromDate, toDate] = [parseDate(from, 'from'), parseDate(to, 'to', { endOfDay: true })];
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_SEARCH_LIMIT) {
+    throw httpError(400, `limit must be between 1 and ${MAX_SEARCH_LIMIT}`);
+  }
+  if (terms.length === 0 && !sender && !aiOnly && !fromDate && !toDate) {
+    throw httpError(400, 'Give search terms or at least one filter');
+  }
+
+  const conditions = [{ team_id: String(teamId) }, { deleted_at: null }];
+  terms.forEach(term => conditions.push({ text: { $regex: escapeRegExp(term), $options: 'i' } }));
+  if (aiOnly) {
+    conditions.push({ senderId: 'ai_bot' });
+  } else if (sender) {
+    conditions.push({ senderId: String(sender) });
+  }
+  if (fromDate || toDate) {
+    conditions.push({ timestamp: { ...(fromDate && { $gte: fromDate }), ...(toDate && { $lte: toDate }) } });
+  }
+  if (before) {
+    const cursor = await Message.findOne({ _id: before, team_id: String(teamId) }).select('timestamp').catch(() => null);
+    if (!cursor) {
+      throw httpError(400, 'Unknown message cursor');
+    }
+    conditions.push({ $or: [{ timestamp: { $lt: cursor.timestamp } }, { timestamp: cursor.timestamp, _id: { $lt: cursor._id } }] });
+  }
+
+  const found = await Message.find({ $and: conditions })
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .lean();
+
+  return {
+    results: found.slice(0, pageSize).map(message => ({
+      _id: message._id,
+      senderId: message.senderId,
+      timestamp: message.timestamp,
+      reply_to: message.reply_to || null,
+      ...buildSnippet(message.text, terms)
+    })),
+    has_more: found.length > pageSize
+  };
+}
@@ -0,0 +1,322 @@
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import { requireMessageAuthor } from '../middleware/policies.js';
+import { publishTeamEvent } from './chatEvents.js';
+import { httpError } from './httpError.js';
+import { publicAttachment } from './attachments.js';
+
+// Team chat messages (the messages collection)
+// History is read in pages ordered by (timestamp, _id). Cursors are message ids:
+// `before` pages back into older history, `after` catches up on newer messages.
+// Authors can edit their messages; authors and the team lead can delete them (soft delete -
+// the document stays as a placeholder). Any member can react with emoji.
+// Members can @mention each other, and each member's read position is kept on the team
+// (Team.last_read) for unread counts and "seen by".
+// Any message can start a thread: replies point at it with reply_to and stay out of the main
+// history. Members can pin messages to the team (Team.pinned).
+// Polls (Message.poll, started with the /poll chat command) take one vote per member.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+export const MAX_PINNED_MESSAGES = 20;
+
+// The message as the API returns it - deleted messages lose their text, actions and attachments
+export function publicMessage(message) {
+  const plain = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+  if (!plain.deleted_at) {
+    return { ...plain, attachments: (plain.attachments || []).map(attachment => publicAttachment(plain, attachment)) };
+  }
+  const { _id, team_id, senderId, timestamp, deleted_at, deleted_by, reply_to = null, reply_count = 0 } = plain;
+  return { _id, team_id, senderId, timestamp, deleted_at, deleted_by, reply_to, reply_count, text: '', reactions: [], attachments: [] };
+}
+
+// Store a chat message for the team and push it to the team's live chat streams. A reply
+// (message.reply_to set) also bumps its thread's reply_count. Resolves to the saved message.
+export async function postTeamMessage(teamId, message) {
+  const saved = await Message.create({ ...message, team_id: String(teamId) });
+  publishTeamEvent(teamId, 'message', publicMessage(saved));
+  if (saved.reply_to) {
+    const root = await Message.findByIdAndUpdate(saved.reply_to, { $inc: { reply_count: 1 } }, { new: true });
+    if (root) publishUpdate(root);
+  }
+  return saved;
+}
+
+// The message a reply to messageId should point at - replying inside a thread stays in that thread
+export async function findThreadRoot(teamId, messageId) {
+  const parent = await findTeamMessage(teamId, messageId);
+  const root = parent?.reply_to ? await findTeamMessage(teamId, parent.reply_to) : parent;
+  if (!root) {
+    throw httpError(404, 'The message you replied to was not found');
+  }
+  return root;
+}
+
+export async function findTeamMessage(teamId, messageId) {
+  if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) return null;
+  return Message.findOne({ _id: messageId, team_id: String(teamId) });
+}
+
+// For routes with :teamId and :messageId, after requireTeamMemberParam - the message ends up on req.chatMessage
+export const requireMessageAuthorParam = requireMessageAuthor(req => findTeamMessage(req.team._id, req.params.messageId));
+export const requireMessageAuthorOrLeadParam = requireMessageAuthor(
+  req => findTeamMessage(req.team._id, req.params.messageId),
+  { allowTeamLead: true }
+);
+
+// Changed messages go out as 'message_updated' with the whole (public) message
+function publishUpdate(message) {
+  const data = publicMessage(message);
+  publishTeamEvent(message.team_id, 'message_updated', data);
+  return data;
+}
+
+// Members @mentioned in text: "@Alice" (first name) or "@AliceSmith" (full name without spaces),
+// case-insensitive. Words like alice@example.com don't count.
+export async function mentionedMembers(team, text) {
+  const handles = [...String(text || '').matchAll(/(?:^|\s)@([\p{L}\p{N}_-]+)/gu)].map(match => match[1].toLowerCase());
+  if (handles.length === 0) return [];
+
+  const members = await User.find({ _id: { $in: team.members.map(String) } }).select('name');
+  return members
+    .filter(({ name = '' }) => {
+      const full = name.replace(/\s+/g, '').toLowerCase();
+      const first = name.trim().split(/\s+/)[0].toLowerCase();
+      return handles.some(handle => handle === full || handle === first);
+    })
+    .map(member => String(member._id));
+}
+
+// team is needed to work out the @mentions in the new text
+export async function editTeamMessage(message, text, team) {
+  if (message.deleted_at) {
+    throw httpError(400, 'Deleted messages cannot be edited');
+  }
+  if (typeof text !== 'string' || !text.trim()) {
+    throw httpError(400, 'message is required');
+  }
+
+  message.text = text;
+  message.mentions = await mentionedMembers(team, text);
+  message.edited_at = new Date();
+  await message.save();
+  return publishUpdate(message);
+}
+
+// A deleted message is also taken off the team's pinned list
+export async function deleteTeamMessage(message, deletedBy, team) {
+  if (message.deleted_at) {
+    return publicMessage(message);
+  }
+  message.deleted_at = new Date();
+  message.deleted_by = String(deletedBy);
+  await message.save();
+  if ((team.pinned || []).some(pin => pin.message_id === String(message._id))) {
+    await unpinTeamMessage(team, message._id);
+  }
+  return publishUpdate(message);
+}
+
+// A single emoji (with modifiers / ZWJ sequences) - not arbitrary text
+export function isValidReaction(emoji) {
+  return typeof emoji === 'string' && [...emoji].length <= 8 && /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u.test(emoji)
+    && /\p{Extended_Pictographic}/u.test(emoji);
+}
+
+// Add or remove userId's emoji reaction - each user reacts with a given emoji at most once
+export async function setReaction(message, userId, emoji, on) {
+  if (!isValidReaction(emoji)) {
+    throw httpError(400, 'emoji must be a single emoji');
+  }
+  if (message.deleted_at) {
+    throw httpError(400, 'Cannot react to a deleted message');
+  }
+
+  const reaction = { emoji, user_id: String(userId) };
+  const updated = on
+    ? await Message.findOneAndUpdate(
+      { _id: message._id, reactions: { $not: { $elemMatch: reaction } } },
+      { $push: { reactions: reaction } },
+      { new: true }
+    )
+    : await Message.findOneAndUpdate(
+      { _id: message._id, reactions: { $elemMatch: reaction } },
+      { $pull: { reactions: reaction } },
+      { new: true }
+    );
+  // No match means there was nothing to change
+  return updated ? publishUpdate(updated) : publicMessage(await Message.findById(message._id));
+}
+
+// Vote for option (an index into the poll's options) - a new vote replaces the member's
+// previous one, and option null takes it back
+export async function votePoll(message, userId, option) {
+  if (!message.poll || message.deleted_at) {
+    throw httpError(400, 'This message has no poll');
+  }
+  if (option !== null && !(Number.isInteger(option) && option >= 0 && option < message.poll.options.length)) {
+    throw httpError(400, `option must be a number from 0 to ${message.poll.options.length - 1}`);
+  }
+
+  const voter = String(userId);
+  await Message.updateOne({ _id: message._id }, { $pull: { 'poll.options.$[].votes': voter } });
+  if (option !== null) {
+    await Message.updateOne({ _id: message._id }, { $addToSet: { [`poll.options.${option}.votes`]: voter } });
+  }
+  return publishUpdate(await Message.findById(message._id));
+}
+
+// Conditions for messages before ('$lt') or after ('$gt') a message in (timestamp, _id) order
+function orderedFrom({ _id, timestamp }, op) {
+  return [{ timestamp: { [op]: timestamp } }, { timestamp, _id: { [op]: _id } }];
+}
+
+async function findCursor(teamId, cursor) {
+  const found = mongoose.Types.ObjectId.isValid(cursor)
+    ? await Message.findOne({ _id: cursor, team_id: String(teamId) }).select('timestamp')
+    : null;
+  if (!found) {
+    throw httpError(400, 'Unknown message cursor');
+  }
+  return found;
+}
+
+/**
+ * One page of a team's chat history, oldest first - the main history, or with `thread` (the id
+ * of a thread's first message) that thread's replies.
+ * With no cursor: the latest `limit` messages. `before`: the `limit` messages right before that
+ * message. `after`: the `limit` messages right after it.
+ * Resolves to { messages, has_more } - has_more says whether there is more in the direction paged
+ * (older for the latest page and `before`, newer for `after`).
+ */
+export async function listTeamMessages(teamId, { before = null, after = null, limit = DEFAULT_PAGE_SIZE, thread = null } = {}) {
+  if (before && after) {
+    throw httpError(400, 'Use either before or after, not both');
+  }
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw httpError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const query = { team_id: String(teamId), reply_to: thread ? String(thread) : null };
+  const cursor = before || after;
+  if (cursor) {
+    query.$or = orderedFrom(await findCursor(teamId, cursor), before ? '$lt' : '$gt');
+  }
+
+  const direction = after ? 1 : -1;
+  const found = await Message.find(query)
+    .sort({ timestamp: direction, _id: direction })
+    .limit(pageSize + 1)
+    .lean();
+
+  const page = found.slice(0, pageSize).map(publicMessage);
+  return {
+    messages: after ? page : page.reverse(),
+    has_more: found.length > pageSize
+  };
+}
+
+// The last `count` messages that weren't deleted, oldest first - conversation context for the AI mentor
+export async function recentTeamMessages(teamId, count) {
+  const { messages } = await listTeamMessages(teamId, { limit: count });
+  return messages.filter(message => !message.deleted_at);
+}
+
+// Record that userId has read the team chat up to messageId. Read positions only move forward;
+// a new one is pushed to the team's live streams as a 'read' event. Resolves to the user's entry.
+export async function markTeamRead(team, userId, messageId) {
+  const message = await findTeamMessage(team._id, messageId);
+  if (!message) {
+    throw httpError(404, 'Message not found');
+  }
+
+  const uid = String(userId);
+  const current = (team.last_read || []).find(entry => entry.user_id === uid);
+  if (current && !isAfter(message, current)) {
+    return current;
+  }
+
+  const entry = { user_id: uid, message_id: String(message._id), timestamp: message.timestamp, read_at: new Date() };
+  const replaced = await Team.updateOne({ _id: team._id, 'last_read.user_id': uid }, { $set: { 'last_read.$': entry } });
+  if (replaced.matchedCount === 0) {
+    await Team.updateOne({ _id: team._id, 'last_read.user_id': { $ne: uid } }, { $push: { last_read: entry } });
+  }
+  publishTeamEvent(team._id, 'read', entry);
+  return entry;
+}
+
+function isAfter(message, entry) {
+  const [at, readAt] = [message.timestamp.getTime(), new Date(entry.timestamp).getTime()];
+  return at > readAt || (at === readAt && String(message._id) > entry.message_id);
+}
+
+// Messages from others that userId hasn't read yet (deleted ones don't count), and how many of
+// those mention them
+export async function unreadCounts(team, userId) {
+  const uid = String(userId);
+  const query = { team_id: String(team._id), senderId: { $ne: uid }, deleted_at: null };
+  const read = (team.last_read || []).find(entry => entry.user_id === uid);
+  if (read && mongoose.Types.ObjectId.isValid(read.message_id)) {
+    query.$or = orderedFrom({ _id: new mongoose.Types.ObjectId(read.message_id), timestamp: read.timestamp }, '$gt');
+  }
+
+  const [unread, mentions] = await Promise.all([
+    Message.countDocuments(query),
+    Message.countDocuments({ ...query, mentions: uid })
+  ]);
+  return { unread_count: unread, unread_mentions: mentions };
+}
+
+// Pinned messages, in pin order, each with pinned_by / pinned_at
+export async function pinnedMessages(team) {
+  const pins = team.pinned || [];
+  if (pins.length === 0) return [];
+
+  const found = await Message.find({ _id: { $in: pins.map(pin => pin.message_id) } }).lean();
+  const byId = new Map(found.map(message => [String(message._id), message]));
+  return pins
+    .filter(pin => byId.has(pin.message_id))
+    .map(pin => ({ ...publicMessage(byId.get(pin.message_id)), pinned_by: pin.pinned_by, pinned_at: pin.pinned_at }));
+}
+
+// Pin changes go out as 'pins_updated' with the whole list
+async function publishPins(team) {
+  const pins = await pinnedMessages(team);
+  publishTeamEvent(team._id, 'pins_updated', pins);
+  return pins;
+}
+
+// Pin a message to the team (pinning it again changes nothing). Resolves to the pinned list.
+export async function pinTeamMessage(team, message, pinnedBy) {
+  if (message.deleted_at) {
+    throw httpError(400, 'Deleted messages cannot be pinned');
+  }
+
+  const messageId = String(message._id);
+  const updated = await Team.findOneAndUpdate(
+    { _id: team._id, 'pinned.message_id': { $ne: messageId }, [`pinned.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false } },
+    { $push: { pinned: { message_id: messageId, pinned_by: String(pinnedBy), pinned_at: new Date() } } },
+    { new: true }
+  );
+  if (updated) {
+    return publishPins(updated);
+  }
+
+  const current = await Team.findById(team._id);
+  if (current.pinned.some(pin => pin.message_id === messageId)) {
+    return pinnedMessages(current);
+  }
+  throw httpError(409, `At most ${MAX_PINNED_MESSAGES} messages can be pinned - unpin one first`);
+}
+
+export async function unpinTeamMessage(team, messageId) {
+  const updated = await Team.findByIdAndUpdate(
+    team._id,
+    { $pull: { pinned: { message_id: String(messageId) } } },
+    { new: true }
+  );
+  return publishPins(updated);
+}
@@ -0,0 +1,80 @@
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import { postTeamMessage, mentionedMembers } from './messages.js';
+import { httpError } from './httpError.js';
+
+// Chat reminders (/remind 2h submit to Devpost)
+// Pending reminders live on the team (Team.reminders). server.js calls deliverDueReminders()
+// every REMINDER_SWEEP_MS; a due reminder is removed and posted to the chat by system_bot,
+// mentioning whoever set it (and anyone @mentioned in it).
+
+export const REMINDER_SWEEP_MS = 30 * 1000;
+export const MIN_REMINDER_MS = 60 * 1000;
+export const MAX_REMINDER_MS = 7 * 24 * 60 * 60 * 1000;
+export const MAX_PENDING_REMINDERS = 50; // Per team
+const MAX_REMINDER_LENGTH = 200;
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "90m", "2h", "1h30m", "1d" -> milliseconds; null for anything else
+export function parseDuration(text) {
+  const match = /^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?$/i.exec(String(text || '').trim());
+  if (!match || !match.slice(1).some(Boolean)) return null;
+  const [days, hours, minutes] = match.slice(1).map(value => Number(value || 0));
+  return days * UNIT_MS.d + hours * UNIT_MS.h + minutes * UNIT_MS.m;
+}
+
+/**
+ * Remind the team in delayMs. Resolves to the stored reminder.
+ */
+export async function scheduleReminder(team, user, delayMs, text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    throw httpError(400, 'Say what to remind you of: /remind 2h <text>');
+  }
+  if (trimmed.length > MAX_REMINDER_LENGTH) {
+    throw httpError(400, `Reminders can be at most ${MAX_REMINDER_LENGTH} characters`);
+  }
+  if (!(delayMs >= MIN_REMINDER_MS && delayMs <= MAX_REMINDER_MS)) {
+    throw httpError(400, 'Reminders can be set from 1 minute to 7 days ahead');
+  }
+
+  const now = new Date();
+  const reminder = { text: trimmed, remind_at: new Date(now.getTime() + delayMs), created_by: String(user._id), created_at: now };
+  const updated = await Team.findOneAndUpdate(
+    { _id: team._id, [`reminders.${MAX_PENDING_REMINDERS - 1}`]: { $exists: false } },
+    { $push: { reminders: reminder } },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError(400, `A team can have at most ${MAX_PENDING_REMINDERS} pending reminders`);
+  }
+  return updated.reminders.at(-1);
+}
+
+/**
+ * Post every reminder that is due by `now`. Each one is taken off the team before it is
+ * posted, so overlapping sweeps never post it twice. Resolves to how many were posted.
+ */
+export async function deliverDueReminders(now = new Date()) {
+  const teams = await Team.find({ 'reminders.remind_at': { $lte: now } }).select('members reminders');
+  let delivered = 0;
+
+  for (const team of teams) {
+    for (const reminder of team.reminders.filter(entry => entry.remind_at <= now)) {
+      const taken = await Team.updateOne({ _id: team._id, 'reminders._id': reminder._id }, { $pull: { reminders: { _id: reminder._id } } });
+      if (taken.modifiedCount === 0) continue;
+
+      const author = await User.findOne({ _id: reminder.created_by }).select('name');
+      const mentions = [...new Set([reminder.created_by, ...await mentionedMembers(team, reminder.text)])];
+      await postTeamMessage(team._id, {
+        senderId: 'system_bot',
+        text: `⏰ Reminder from ${author?.name || 'a former member'}: ${reminder.text}`,
+        mentions,
+        timestamp: new Date()
+      });
+      delivered += 1;
+    }
+  }
+  return delivered;
+}
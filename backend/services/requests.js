@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import Request from '../models/Request.js';
+import Hackathon from '../models/Hackathon.js';
+import { requireRequestRecipient, requireRequestSender } from '../middleware/policies.js';
+
+// Team request lifecycle
+// 'pending' is the only open status - every other status is final
+const REQUEST_TRANSITIONS = {
+  pending: ['accepted', 'declined', 'withdrawn', 'expired', 'cancelled', 'rejected']
+};
+const REQUEST_ACTIONS = { accepted: 'accept', declined: 'decline', withdrawn: 'withdraw' };
+const DEFAULT_REQUEST_EXPIRY_HOURS = Number(process.env.REQUEST_EXPIRY_HOURS) || 48;
+export const MAX_PENDING_REQUESTS = 5; // Per sender per hackathon
+
+// Request ids may be ObjectIds or plain strings
+export async function findRequestById(requestId) {
+  if (!requestId) return null;
+  let request = null;
+  if (mongoose.Types.ObjectId.isValid(requestId)) {
+    request = await Request.findById(requestId);
+  }
+  return request || Request.findOne({ _id: requestId.toString() });
+}
+
+export const requireRecipientParam = requireRequestRecipient(req => findRequestById(req.params.requestId));
+export const requireSenderParam = requireRequestSender(req => findRequestById(req.params.requestId));
+
+// Returns an error message if the request can't move to nextStatus, otherwise null.
+// A pending request that is past its expiry is marked expired first.
+export async function checkRequestTransition(request, nextStatus) {
+  if (request.status === 'pending' && request.expires_at && request.expires_at <= new Date()) {
+    request.status = 'expired';
+    request.responded_at = new Date();
+    await request.save();
+  }
+
+  if (!(REQUEST_TRANSITIONS[request.status] || []).includes(nextStatus)) {
+    return `Cannot ${REQUEST_ACTIONS[nextStatus] || nextStatus} a request that is ${request.status}`;
+  }
+  return null;
+}
+
+export async function getRequestExpiryDate(hackathonId) {
+  let hours = DEFAULT_REQUEST_EXPIRY_HOURS;
+  if (hackathonId && mongoose.Types.ObjectId.isValid(hackathonId)) {
+    const hackathon = await Hackathon.findById(hackathonId).select('request_expiry_hours');
+    if (hackathon?.request_expiry_hours > 0) {
+      hours = hackathon.request_expiry_hours;
+    }
+  }
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+}
+
+// Mark every overdue pending request as expired so it stops counting toward the 5-request quota
+export async function expireStaleRequests() {
+  const now = new Date();
+  const result = await Request.updateMany(
+    { status: 'pending', expires_at: { $lte: now } },
+    { $set: { status: 'expired', responded_at: now } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`⌛ Expired ${result.modifiedCount} pending request(s)`);
+  }
+}
@@ -0,0 +1,233 @@
+// Rule-based match scoring
+// A deterministic version of the rules the matching prompt gives the model (services/matching.js):
+// role complementarity, complementary tech stacks, and penalties for overlapping stacks/skills.
+// Every factor is reported in `breakdown` so the score can be explained.
+
+// Which part of a project a technology covers
+const TECH_AREAS = {
+  frontend: ['react', 'vue', 'angular', 'svelte', 'next.js', 'html', 'css', 'tailwind', 'javascript', 'typescript'],
+  backend: ['node.js', 'node', 'express', 'python', 'django', 'flask', 'fastapi', 'go', 'java', 'spring', 'ruby', 'rails', 'php', 'c#', '.net', 'rust', 'mongodb', 'postgresql', 'mysql', 'firebase', 'graphql'],
+  mobile: ['swift', 'kotlin', 'flutter', 'react native', 'ios', 'android'],
+  game: ['unity', 'unreal', 'godot', 'c++'],
+  ai: ['tensorflow', 'pytorch', 'scikit-learn', 'pandas', 'numpy', 'opencv', 'langchain'],
+  design: ['figma', 'sketch', 'adobe xd', 'photoshop', 'illustrator', 'ui/ux'],
+  devops: ['docker', 'kubernetes', 'aws', 'gcp', 'azure', 'terraform', 'ci/cd']
+};
+
+// Areas a role_preference stands for
+const ROLE_AREAS = {
+  frontend: ['frontend'],
+  backend: ['backend'],
+  'full stack': ['frontend', 'backend'],
+  mobile: ['mobile'],
+  'ai/ml': ['ai'],
+  devops: ['devops'],
+  design: ['design']
+};
+
+// Client-side areas that need a backend (and vice versa) - "Node.js + React", "Unity + Backend API"
+const CLIENT_AREAS = ['frontend', 'mobile', 'game'];
+
+// Areas a complete hackathon team covers ("Frontend + Backend + Design + DevOps/Mobile")
+const CORE_AREAS = [['frontend'], ['backend'], ['design'], ['devops', 'mobile']];
+const CORE_ROLE_NAMES = ['Frontend', 'Backend', 'Design', 'DevOps'];
+
+// Points per factor. roleRedundant, complementaryStack and sharedTechPenalty are the prompt's
+// own numbers (-30% skill redundancy, +40% complementary stacks, -20% overlapping stacks); the
+// prompt leaves the rest to the model, so those are picked to land its examples in its bands.
+export const SCORING_RULES = {
+  base: 25,
+  roleFillsGap: 20,
+  roleRedundant: -30,
+  complementaryStack: 40,
+  newArea: 20,
+  sharedTechPenalty: -20,
+  sharedTechCap: -40,
+  sharedSkillPenalty: -5,
+  sharedSkillCap: -15,
+  coveragePerArea: 5,
+  noStackCap: 35
+};
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function normalizedSet(values) {
+  return new Set((values || []).map(normalize).filter(Boolean));
+}
+
+function areasForTech(techList) {
+  const areas = new Set();
+  for (const tech of techList) {
+    for (const [area, names] of Object.entries(TECH_AREAS)) {
+      if (names.includes(tech)) {
+        areas.add(area);
+      }
+    }
+  }
+  return areas;
+}
+
+function areasForRole(role) {
+  return ROLE_AREAS[normalize(role)] || [];
+}
+
+// Everything the engine needs to know about one side of the match (a user or a whole team)
+function describeSide(people) {
+  const roles = new Set(people.map(p => normalize(p.role_preference)).filter(Boolean));
+  const stack = new Set(people.flatMap(p => [...normalizedSet(p.tech_stack)]));
+  const skills = new Set(people.flatMap(p => [...normalizedSet(p.skills)]));
+  const areas = areasForTech(stack);
+  for (const role of roles) {
+    areasForRole(role).forEach(area => areas.add(area));
+  }
+  return { roles, stack, skills, areas };
+}
+
+function pairsBackendWithClient(a, b) {
+  const hasClient = areas => CLIENT_AREAS.some(area => areas.has(area));
+  return (a.has('backend') && hasClient(b)) || (b.has('backend') && hasClient(a));
+}
+
+// Penalties are negative, so the cap is the floor
+function capPenalty(count, perItem, cap) {
+  return count === 0 ? 0 : Math.max(cap, count * perItem);
+}
+
+/**
+ * Score `candidate` against `user` (or against `teamMembers` when the user already has a team).
+ * Returns the same shape as calculateMatchScore plus `breakdown`: one entry per factor with
+ * the points it contributed and a short explanation.
+ */
+export function scoreMatch(user, candidate, teamMembers = null) {
+  const existing = describeSide(teamMembers && teamMembers.length > 0 ? teamMembers : [user]);
+  const incoming = describeSide([candidate]);
+  const candidateRole = normalize(candidate.role_preference);
+  const breakdown = [];
+  const add = (factor, points, detail) => breakdown.push({ factor, points, detail });
+
+  add('base', SCORING_RULES.base, 'Starting score');
+
+  // 1. Role check
+  if (!candidateRole) {
+    add('role', 0, 'Candidate has no role preference');
+  } else if (existing.roles.has(candidateRole)) {
+    add('role', SCORING_RULES.roleRedundant, `Skill redundancy: ${candidate.role_preference} is already covered`);
+  } else {
+    add('role', SCORING_RULES.roleFillsGap, `Fills the missing ${candidate.role_preference} role`);
+  }
+
+  // 2. Stack synergy - only complementary stacks earn points
+  const newAreas = [...incoming.areas].filter(area => !existing.areas.has(area));
+  if (newAreas.length > 0 && pairsBackendWithClient(existing.areas, new Set(newAreas))) {
+    add('stack_synergy', SCORING_RULES.complementaryStack, `Complementary stack: adds ${newAreas.join(', ')} to ${[...existing.areas].join(', ') || 'the team'}`);
+  } else if (newAreas.length > 0) {
+    add('stack_synergy', SCORING_RULES.newArea, `Adds ${newAreas.join(', ')} coverage`);
+  } else {
+    add('stack_synergy', 0, 'No new areas covered');
+  }
+
+  // 3. Overlap penalties
+  const sharedTech = [...incoming.stack].filter(tech => existing.stack.has(tech));
+  add('stack_overlap',
+    capPenalty(sharedTech.length, SCORING_RULES.sharedTechPenalty, SCORING_RULES.sharedTechCap),
+    sharedTech.length > 0 ? `Overlapping tech: ${sharedTech.join(', ')}` : 'No overlapping tech');
+
+  const sharedSkills = [...incoming.skills].filter(skill => existing.skills.has(skill) && !incoming.stack.has(skill));
+  add('skill_overlap',
+    capPenalty(sharedSkills.length, SCORING_RULES.sharedSkillPenalty, SCORING_RULES.sharedSkillCap),
+    sharedSkills.length > 0 ? `Overlapping skills: ${sharedSkills.join(', ')}` : 'No overlapping skills');
+
+  // 4. Full-team coverage
+  const combinedAreas = new Set([...existing.areas, ...incoming.areas]);
+  const coveredCore = CORE_AREAS.filter(group => group.some(area => combinedAreas.has(area)));
+  add('coverage', coveredCore.length * SCORING_RULES.coveragePerArea, `Covers ${coveredCore.length} of ${CORE_AREAS.length} core areas`);
+
+  let score = breakdown.reduce((total, entry) => total + entry.points, 0);
+
+  // "No tech stack provided" is always a weak match
+  if (incoming.stack.size === 0 && score > SCORING_RULES.noStackCap) {
+    add('no_stack', SCORING_RULES.noStackCap - score, 'Candidate lists no tech stack');
+    score = SCORING_RULES.noStackCap;
+  }
+
+  score = Math.max(0, Math.min(100, score));
+
+  return {
+    score,
+    reason: `Pros: ${describePro(breakdown)}. Major Risk: ${describeRisk(breakdown)}`,
+    category: score >= 85 ? 'Strong Match' : 'Good Match',
+    needed_roles: neededRolesFor(combinedAreas),
+    breakdown
+  };
+}
+
+function neededRolesFor(areas) {
+  return CORE_AREAS
+    .map((group, index) => (group.some(area => areas.has(area)) ? null : CORE_ROLE_NAMES[index]))
+    .filter(Boolean);
+}
+
+// One of each core role - what a team aims for when the hackathon doesn't set target_composition
+export const DEFAULT_TARGET_COMPOSITION = CORE_ROLE_NAMES.map(role => ({ role, count: 1 }));
+
+// Role names a target composition can ask for (the role_preference options)
+export const COMPOSITION_ROLES = ['Frontend', 'Backend', 'Full Stack', 'Mobile', 'AI/ML', 'DevOps', 'Design'];
+
+// Could this person take a slot for `role` through their role_preference ('Full Stack' counts as
+// Frontend or Backend)...
+function fillsByRole(person, role) {
+  const preference = normalize(person.role_preference);
+  if (!preference) return false;
+  if (preference === normalize(role)) return true;
+  const wanted = areasForRole(role);
+  return wanted.length > 0 && wanted.every(area => areasForRole(preference).includes(area));
+}
+
+// ...or through their tech stack and skills
+function fillsBySkills(person, role) {
+  const covered = areasForTech(new Set([...normalizedSet(person.tech_stack), ...normalizedSet(person.skills)]));
+  return areasForRole(role).some(area => covered.has(area));
+}
+
+/**
+ * Roles from `composition` ([{ role, count }]) that `members` don't fill yet.
+ * Every member takes one slot matching their role_preference first - members with the fewest
+ * options pick first so a Full Stack dev doesn't take the only slot a Frontend dev could fill.
+ * Then each member can cover one more open slot of a different role with their tech stack / skills.
+ * Each missing role is listed once, in composition order.
+ */
+export function computeNeededRoles(members, composition = DEFAULT_TARGET_COMPOSITION) {
+  const slots = composition.flatMap(({ role, count }) => Array.from({ length: count }, () => ({ role, filled: false })));
+  const taken = new Map(); // member -> role they filled by preference
+  const takeSlot = (person, fits) => {
+    const slot = slots.find(s => !s.filled && s.role !== taken.get(person) && fits(person, s.role));
+    if (slot) slot.filled = true;
+    return slot?.role;
+  };
+
+  const optionCount = person => slots.filter(s => fillsByRole(person, s.role)).length;
+  [...members].sort((a, b) => optionCount(a) - optionCount(b)).forEach(person => taken.set(person, takeSlot(person, fillsByRole)));
+  members.forEach(person => takeSlot(person, fillsBySkills));
+
+  return [...new Set(slots.filter(s => !s.filled).map(s => s.role))];
+}
+
+// Which of `neededRoles` the candidate would fill by joining
+export function rolesFilledBy(candidate, neededRoles) {
+  return [...new Set(neededRoles)].filter(role => fillsByRole(candidate, role) || fillsBySkills(candidate, role));
+}
+
+// The factor that helped most / hurt most, phrased for the UI
+function describePro(breakdown) {
+  const best = breakdown
+    .filter(entry => entry.factor !== 'base' && entry.factor !== 'coverage' && entry.points > 0)
+    .sort((a, b) => b.points - a.points)[0];
+  return best ? best.detail : 'Adds another pair of hands';
+}
+
+function describeRisk(breakdown) {
+  const worst = breakdown.filter(entry => entry.points < 0).sort((a, b) => a.points - b.points)[0];
+  return worst ? worst.detail : 'Untested collaboration';
+}
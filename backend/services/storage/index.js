@@ -0,0 +1,42 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createLocalStorage } from './local.js';
+
+// File storage (chat attachments)
+// Every backend stores bytes under a key chosen by the app:
+//   save(key, buffer, { contentType }) -> void
+//   read(key)                          -> readable stream (rejects with status 404 when missing)
+//   remove(key)                        -> void
+// STORAGE_DRIVER selects the backend. Only 'local' (the default) exists so far: files go under
+// UPLOAD_DIR (default backend/uploads). An object storage backend only needs the same three calls.
+
+const DEFAULT_UPLOAD_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'uploads');
+
+const DRIVERS = {
+  local: () => createLocalStorage({ root: process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR })
+};
+
+function createStorageFromEnv() {
+  const requested = (process.env.STORAGE_DRIVER || 'local').trim().toLowerCase();
+  if (!DRIVERS[requested]) {
+    console.warn(`⚠️  WARNING: Unknown STORAGE_DRIVER "${requested}" - falling back to local`);
+    return DRIVERS.local();
+  }
+  return DRIVERS[requested]();
+}
+
+let storage = null;
+
+export function getStorage() {
+  if (!storage) {
+    storage = createStorageFromEnv();
+  }
+  return storage;
+}
+
+// Replace the active storage (tests point it at a temporary directory)
+export function setStorage(nextStorage) {
+  storage = nextStorage;
+}
+
+export { createLocalStorage };
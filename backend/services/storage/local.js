@@ -0,0 +1,42 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { httpError } from '../httpError.js';
+
+// Local disk storage: each key is a file path under `root`
+export function createLocalStorage({ root }) {
+  const base = path.resolve(root);
+
+  // Keys are generated by the app, but never let one point outside the storage directory
+  function fileFor(key) {
+    const file = path.resolve(base, String(key));
+    if (!file.startsWith(base + path.sep)) {
+      throw httpError(400, 'Invalid storage key');
+    }
+    return file;
+  }
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const file = fileFor(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+    },
+
+    async read(key) {
+      const file = fileFor(key);
+      try {
+        await fsp.access(file);
+      } catch {
+        throw httpError(404, 'File not found');
+      }
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fsp.rm(fileFor(key), { force: true });
+    }
+  };
+}
@@ -0,0 +1,100 @@
+import { scoreMatch, computeNeededRoles, DEFAULT_TARGET_COMPOSITION } from './scoring.js';
+import { DEFAULT_MIN_TEAM_SIZE, DEFAULT_MAX_TEAM_SIZE } from './hackathons.js';
+
+// Automatic team formation (POST /hackathons/:hackathonId/team-proposals)
+// Splits a pool of unteamed users into balanced teams using the rule-based match scoring:
+//   1. Make ceil(n / maxTeamSize) teams so sizes differ by at most one - fewer if that would
+//      leave a team below minTeamSize (never a team of one).
+//   2. Seed each team with a user of the rarest roles, so scarce roles are spread out.
+//   3. Among the smallest teams, the best-scoring (team, remaining user) pair is joined next.
+// Deterministic: ties are broken by user id, so the same pool always gives the same teams.
+
+function roleOf(user) {
+  return String(user.role_preference || '').trim().toLowerCase();
+}
+
+function byId(a, b) {
+  return String(a._id).localeCompare(String(b._id));
+}
+
+// Rarest role first; users without a role go last
+function orderByRoleRarity(users) {
+  const counts = new Map();
+  for (const user of users) {
+    counts.set(roleOf(user), (counts.get(roleOf(user)) || 0) + 1);
+  }
+  const rarity = user => (roleOf(user) ? counts.get(roleOf(user)) : Infinity);
+  return [...users].sort((a, b) => rarity(a) - rarity(b) || byId(a, b));
+}
+
+// One seed per team, preferring users whose role no other seed has
+function pickSeeds(ordered, teamCount) {
+  const seeds = [];
+  const seenRoles = new Set();
+  for (const user of ordered) {
+    if (seeds.length < teamCount && !seenRoles.has(roleOf(user))) {
+      seeds.push(user);
+      seenRoles.add(roleOf(user));
+    }
+  }
+  for (const user of ordered) {
+    if (seeds.length < teamCount && !seeds.includes(user)) {
+      seeds.push(user);
+    }
+  }
+  return seeds;
+}
+
+/**
+ * Split `users` into teams of minTeamSize to maxTeamSize members.
+ * Returns { teams: [{ members, score, needed_roles }], unassigned } - needed_roles are the roles
+ * of targetComposition the team is still missing, `score` is the average
+ * score of each pick against the team it joined; `unassigned` holds users left over when
+ * no team has room (or the pool is too small for one team).
+ */
+export function formTeams(users, {
+  minTeamSize = DEFAULT_MIN_TEAM_SIZE,
+  maxTeamSize = DEFAULT_MAX_TEAM_SIZE,
+  targetComposition = DEFAULT_TARGET_COMPOSITION
+} = {}) {
+  const minSize = Math.max(minTeamSize, 2);
+  if (users.length < minSize || maxTeamSize < minSize) {
+    return { teams: [], unassigned: [...users] };
+  }
+
+  const teamCount = Math.min(Math.ceil(users.length / maxTeamSize), Math.floor(users.length / minSize));
+  const ordered = orderByRoleRarity(users);
+  const teams = pickSeeds(ordered, teamCount).map(seed => ({ members: [seed], scores: [] }));
+  const remaining = ordered.filter(user => !teams.some(team => team.members[0] === user));
+
+  while (remaining.length > 0) {
+    const smallestSize = Math.min(...teams.map(team => team.members.length));
+    if (smallestSize >= maxTeamSize) {
+      break; // Every team is full - the pool doesn't split evenly into teams of minTeamSize+
+    }
+
+    // Best (team, candidate) pair among the smallest teams
+    let best = null;
+    for (const team of teams.filter(t => t.members.length === smallestSize)) {
+      for (const candidate of remaining) {
+        const { score } = scoreMatch(team.members[0], candidate, team.members);
+        if (!best || score > best.score || (score === best.score && best.team === team && byId(candidate, best.candidate) < 0)) {
+          best = { team, candidate, score };
+        }
+      }
+    }
+
+    best.team.members.push(best.candidate);
+    best.team.scores.push(best.score);
+    remaining.splice(remaining.indexOf(best.candidate), 1);
+  }
+
+  return {
+    teams: teams.map(team => ({
+      members: team.members,
+      score: Math.round(team.scores.reduce((sum, s) => sum + s, 0) / team.scores.length),
+      needed_roles: computeNeededRoles(team.members, targetComposition)
+    })),
+    unassigned: remaining
+  };
+}
@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import TeamProposal from '../models/TeamProposal.js';
+import { requireProposalMember } from '../middleware/policies.js';
+import { formTeams } from './teamFormation.js';
+import { getTeamSizeLimits, getTargetComposition } from './hackathons.js';
+import { refreshTeamComposition } from './teams.js';
+import { postTeamMessage } from './messages.js';
+import { httpError } from './httpError.js';
+
+// Team proposal lifecycle
+// An organizer runs formation -> one 'pending' proposal per suggested team. Every member
+// accepts or rejects; the first rejection closes it, the last acceptance writes the Team.
+// Running formation again supersedes the proposals that are still pending.
+
+export async function findProposalById(proposalId) {
+  if (!proposalId || !mongoose.Types.ObjectId.isValid(proposalId)) return null;
+  return TeamProposal.findById(proposalId);
+}
+
+export const requireProposalMemberParam = requireProposalMember(req => findProposalById(req.params.proposalId));
+
+// Registered users who aren't on a team for this hackathon yet
+async function findUnteamedUsers(hackathonId) {
+  const teams = await Team.find({ hackathon_id: hackathonId }).select('members').lean();
+  const teamed = teams.flatMap(team => team.members.map(String));
+  return User.find({ registered_hackathons: hackathonId, _id: { $nin: teamed } }).lean();
+}
+
+// Run automatic team formation and store the result as pending proposals. Team sizes stay
+// within the hackathon's min/max; maxTeamSize can only lower the max.
+export async function proposeTeams(hackathonId, { maxTeamSize = null, createdBy = null } = {}) {
+  const limits = await getTeamSizeLimits(hackathonId);
+  if (maxTeamSize !== null && (maxTeamSize < limits.min || maxTeamSize > limits.max)) {
+    throw httpError(400, `max_team_size must be between ${limits.min} and ${limits.max} for this hackathon`);
+  }
+
+  const now = new Date();
+  const superseded = await TeamProposal.updateMany(
+    { hackathon_id: hackathonId, status: 'pending' },
+    { $set: { status: 'superseded', decided_at: now } }
+  );
+
+  const pool = await findUnteamedUsers(hackathonId);
+  const { teams, unassigned } = formTeams(pool, {
+    minTeamSize: limits.min,
+    maxTeamSize: maxTeamSize ?? limits.max,
+    targetComposition: await getTargetComposition(hackathonId)
+  });
+
+  const proposals = await TeamProposal.insertMany(teams.map(team => ({
+    hackathon_id: hackathonId,
+    members: team.members.map(m => String(m._id)),
+    responses: team.members.map(m => ({ user_id: String(m._id), status: 'pending' })),
+    score: team.score,
+    needed_roles: team.needed_roles,
+    created_by: createdBy
+  })));
+
+  console.log(`🧩 Proposed ${proposals.length} team(s) for hackathon ${hackathonId} from ${pool.length} unteamed user(s)`);
+  return {
+    proposals,
+    unassigned: unassigned.map(u => String(u._id)),
+    superseded: superseded.modifiedCount
+  };
+}
+
+// Write an accepted proposal to the Team collection. Fails (and cancels the proposal)
+// if a member joined another team in the meantime or the team no longer fits the size limits.
+async function formProposedTeam(proposal) {
+  const limits = await getTeamSizeLimits(proposal.hackathon_id);
+  if (proposal.members.length > limits.max) {
+    await TeamProposal.updateOne({ _id: proposal._id }, { $set: { status: 'cancelled', decided_at: new Date() } });
+    throw httpError(409, `This hackathon now allows at most ${limits.max} members per team`);
+  }
+
+  const alreadyTeamed = await Team.findOne({ hackathon_id: proposal.hackathon_id, members: { $in: proposal.members } }).lean();
+  if (alreadyTeamed) {
+    await TeamProposal.updateOne({ _id: proposal._id }, { $set: { status: 'cancelled', decided_at: new Date() } });
+    throw httpError(409, 'A member of this proposal has already joined another team');
+  }
+
+  const teamCount = await Team.countDocuments({ hackathon_id: proposal.hackathon_id });
+  const team = await refreshTeamComposition(await Team.create({
+    hackathon_id: proposal.hackathon_id,
+    name: `Team ${teamCount + 1}`,
+    members: proposal.members,
+    lead_id: proposal.members[0], // The formation seed - the member with the rarest role
+    is_full: false
+  }), { limits });
+
+  // Pending requests between these users and anyone else in the hackathon no longer apply
+  await Request.updateMany(
+    {
+      hackathon_id: proposal.hackathon_id,
+      status: 'pending',
+      $or: [{ from_user_id: { $in: proposal.members } }, { to_user_id: { $in: proposal.members } }]
+    },
+    { $set: { status: 'cancelled', responded_at: new Date() } }
+  );
+
+  const members = await User.find({ _id: { $in: proposal.members } }).lean();
+  const memberNames = members.map(m => m.name || 'Member').join(', ');
+  await postTeamMessage(team._id, {
+    senderId: 'system_bot',
+    text: `🎉 Team formed! ${memberNames} accepted the proposed team. Let's build something amazing together!`,
+    timestamp: new Date()
+  });
+  return team;
+}
+
+// Record userId's answer ('accepted' | 'rejected'). Resolves to { proposal, team } where team
+// is set once the last member accepts.
+export async function respondToProposal(proposal, userId, decision) {
+  if (proposal.status !== 'pending') {
+    throw httpError(400, `Cannot respond to a proposal that is ${proposal.status}`);
+  }
+
+  const now = new Date();
+  // Atomic per-member update so simultaneous answers don't overwrite each other
+  let updated = await TeamProposal.findOneAndUpdate(
+    { _id: proposal._id, status: 'pending', 'responses.user_id': String(userId) },
+    { $set: { 'responses.$.status': decision, 'responses.$.responded_at': now } },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError(409, 'This proposal was closed before your answer was recorded');
+  }
+
+  if (decision === 'rejected') {
+    updated = await TeamProposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'pending' },
+      { $set: { status: 'rejected', decided_at: now } },
+      { new: true }
+    ) || updated;
+    return { proposal: updated, team: null };
+  }
+
+  if (!updated.responses.every(response => response.status === 'accepted')) {
+    return { proposal: updated, team: null };
+  }
+
+  // Only the request that flips pending -> accepted creates the team
+  const claimed = await TeamProposal.findOneAndUpdate(
+    { _id: proposal._id, status: 'pending' },
+    { $set: { status: 'accepted', decided_at: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { proposal: await TeamProposal.findById(proposal._id), team: null };
+  }
+
+  const team = await formProposedTeam(claimed);
+  claimed.team_id = String(team._id);
+  await claimed.save();
+  return { proposal: claimed, team };
+}
@@ -0,0 +1,215 @@
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import { requireTeamMember } from '../middleware/policies.js';
+import { MAX_PENDING_REQUESTS, findRequestById, checkRequestTransition, getRequestExpiryDate, expireStaleRequests } from './requests.js';
+import { findTeamById, teamLeadId, addTeamMembers } from './teams.js';
+import { postTeamMessage } from './messages.js';
+import { httpError } from './httpError.js';
+
+// Team-bound requests
+// 'invite': a team member invites a specific user - the invitee accepts or declines.
+// 'join':   a user asks to join a team - its members vote. Any rejection declines the request;
+//           it's accepted once the lead approves or every current member has.
+
+// "Only members of the team a join request targets" for routes with a :requestId param -
+// the request ends up on req.teamRequest, the team on req.team
+export const requireJoinRequestVoter = requireTeamMember(async req => {
+  const request = await findRequestById(req.params.requestId);
+  if (!request || request.type !== 'join') return null;
+  req.teamRequest = request;
+  return findTeamById(request.team_id);
+});
+
+async function userName(userId) {
+  const user = await User.findOne({ _id: String(userId) }).select('name');
+  return user?.name || 'A member';
+}
+
+function findHackathonTeam(hackathonId, userId) {
+  return Team.findOne({ hackathon_id: hackathonId, members: String(userId) });
+}
+
+// Shared checks before a team-bound request is created
+async function checkCanRequest(team, fromUserId, newMemberId) {
+  if (team.dissolved_at) {
+    throw httpError(400, 'This team has been dissolved');
+  }
+  if (team.is_full) {
+    throw httpError(400, 'Team is full');
+  }
+
+  const user = await User.findOne({ _id: String(newMemberId) }).select('_id');
+  if (!user) {
+    throw httpError(404, 'User not found');
+  }
+  if (await findHackathonTeam(team.hackathon_id, newMemberId)) {
+    throw httpError(400, 'That user is already on a team for this hackathon');
+  }
+
+  // Expired requests neither block a new request nor count toward the limit
+  await expireStaleRequests();
+  const requestCount = await Request.countDocuments({
+    from_user_id: String(fromUserId),
+    hackathon_id: team.hackathon_id,
+    status: 'pending'
+  });
+  if (requestCount >= MAX_PENDING_REQUESTS) {
+    throw httpError(400, `Maximum of ${MAX_PENDING_REQUESTS} pending requests allowed`);
+  }
+}
+
+async function createTeamRequest(type, team, fromUserId, toUserId, message) {
+  const existing = await Request.findOne({
+    type,
+    team_id: String(team._id),
+    [type === 'invite' ? 'to_user_id' : 'from_user_id']: String(type === 'invite' ? toUserId : fromUserId),
+    status: 'pending'
+  });
+  if (existing) {
+    throw httpError(400, 'Request already sent');
+  }
+
+  return Request.create({
+    type,
+    from_user_id: String(fromUserId),
+    to_user_id: String(toUserId),
+    team_id: String(team._id),
+    hackathon_id: team.hackathon_id,
+    message,
+    status: 'pending',
+    expires_at: await getRequestExpiryDate(team.hackathon_id)
+  });
+}
+
+// A team member invites toUserId to the team
+export async function createInvite(team, fromUserId, toUserId, message = '') {
+  if (team.members.map(String).includes(String(toUserId))) {
+    throw httpError(400, 'That user is already on this team');
+  }
+  await checkCanRequest(team, fromUserId, toUserId);
+  return createTeamRequest('invite', team, fromUserId, toUserId, message);
+}
+
+// userId asks to join the team - addressed to the current lead, voted on by every member
+export async function createJoinRequest(team, userId, message = '') {
+  if (team.members.map(String).includes(String(userId))) {
+    throw httpError(400, 'You are already on this team');
+  }
+  await checkCanRequest(team, userId, userId);
+  return createTeamRequest('join', team, userId, teamLeadId(team), message);
+}
+
+// Once someone is on a team, their other invites and join requests for the hackathon no longer apply
+async function closeOpenTeamRequestsFor(userId, hackathonId, exceptRequestId) {
+  await Request.updateMany(
+    {
+      _id: { $ne: exceptRequestId },
+      hackathon_id: hackathonId,
+      status: 'pending',
+      $or: [{ type: 'join', from_user_id: String(userId) }, { type: 'invite', to_user_id: String(userId) }]
+    },
+    { $set: { status: 'cancelled', responded_at: new Date() } }
+  );
+}
+
+// Add the new member for an accepted invite/join request. A request that can't be honoured
+// any more (team gone or full, member already teamed) is cancelled.
+async function joinTeamFromRequest(request, team, newMemberId) {
+  const cancel = async (status, message) => {
+    await Request.updateOne({ _id: request._id }, { $set: { status: 'cancelled', responded_at: new Date() } });
+    throw httpError(status, message);
+  };
+
+  if (!team || team.dissolved_at) {
+    await cancel(409, 'This team no longer exists');
+  }
+  const otherTeam = await findHackathonTeam(team.hackathon_id, newMemberId);
+  if (otherTeam && String(otherTeam._id) !== String(team._id)) {
+    await cancel(409, 'Already on another team for this hackathon');
+  }
+
+  let updated;
+  try {
+    updated = await addTeamMembers(team, [newMemberId]);
+  } catch (error) {
+    if (error.status !== 409) throw error;
+    await cancel(409, error.message);
+  }
+
+  await closeOpenTeamRequestsFor(newMemberId, team.hackathon_id, request._id);
+  return updated;
+}
+
+// The invitee accepts
+export async function acceptInvite(request, userId) {
+  const team = await findTeamById(request.team_id);
+  const updated = await joinTeamFromRequest(request, team, userId);
+
+  request.status = 'accepted';
+  request.responded_at = new Date();
+  await request.save();
+
+  const [name, inviter] = [await userName(userId), await userName(request.from_user_id)];
+  await postTeamMessage(updated._id, {
+    senderId: 'system_bot',
+    text: `🎉 ${name} accepted ${inviter}'s invite and joined the team!`,
+    timestamp: new Date()
+  });
+  return { request, team: updated };
+}
+
+// 'accepted' | 'declined' | 'pending' for a join request, counting current members' votes only
+export function tallyJoinVotes(request, team) {
+  const members = team.members.map(String);
+  const votes = new Map(
+    (request.votes || []).filter(v => members.includes(String(v.user_id))).map(v => [String(v.user_id), v.vote])
+  );
+
+  if ([...votes.values()].includes('reject')) return 'declined';
+  if (votes.get(teamLeadId(team)) === 'approve') return 'accepted';
+  if (members.every(id => votes.get(id) === 'approve')) return 'accepted';
+  return 'pending';
+}
+
+// Record a member's vote ('approve' | 'reject') and settle the request once the votes decide it.
+// Resolves to { request, team } where team is set once the requester has joined.
+export async function castJoinVote(request, team, userId, vote) {
+  if (await checkRequestTransition(request, 'accepted')) {
+    throw httpError(400, `Cannot vote on a request that is ${request.status}`);
+  }
+
+  // Replace any earlier vote by this member
+  await Request.updateOne({ _id: request._id, status: 'pending' }, { $pull: { votes: { user_id: String(userId) } } });
+  const voted = await Request.findOneAndUpdate(
+    { _id: request._id, status: 'pending' },
+    { $push: { votes: { user_id: String(userId), vote, voted_at: new Date() } } },
+    { new: true }
+  );
+  if (!voted) {
+    throw httpError(409, 'This request was closed before your vote was recorded');
+  }
+
+  const outcome = tallyJoinVotes(voted, team);
+  if (outcome === 'pending') {
+    return { request: voted, team: null };
+  }
+
+  // Only the vote that flips pending -> accepted/declined settles the request
+  const settled = await Request.findOneAndUpdate(
+    { _id: request._id, status: 'pending' },
+    { $set: { status: outcome, responded_at: new Date() } },
+    { new: true }
+  );
+  if (!settled || outcome === 'declined') {
+    return { request: settled || await Request.findById(request._id), team: null };
+  }
+
+  const updated = await joinTeamFromRequest(settled, team, settled.from_user_id);
+  await postTeamMessage(updated._id, {
+    senderId: 'system_bot',
+    text: `🎉 ${await userName(settled.from_user_id)} joined the team!`,
+    timestamp: new Date()
+  });
+  return { request: settled, team: updated };
+}
@@ -0,0 +1,90 @@
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import { postTeamMessage, mentionedMembers } from './messages.js';
+import { httpError } from './httpError.js';
+
+// The team's task list (Team.tasks), kept from the chat with /task add, /task list and /task done.
+// Tasks are numbered per team (#1, #2, ...); adding and finishing one is announced in the chat.
+
+export const MAX_TASK_LENGTH = 200;
+export const MAX_TASKS = 200; // Per team, done ones included
+
+// "#3 Build the login page → Bob"
+export function describeTask(task, names = new Map()) {
+  const assignee = task.assignee_id ? ` → ${names.get(task.assignee_id) || 'a member'}` : '';
+  return `#${task.number} ${task.text}${assignee}`;
+}
+
+/**
+ * Add a task for the team. The first member @mentioned in the text is its assignee.
+ * Resolves to the new task.
+ */
+export async function addTeamTask(team, user, text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    throw httpError(400, 'Describe the task: /task add <text>');
+  }
+  if (trimmed.length > MAX_TASK_LENGTH) {
+    throw httpError(400, `Tasks can be at most ${MAX_TASK_LENGTH} characters`);
+  }
+
+  const [assigneeId = null] = await mentionedMembers(team, trimmed);
+  // Taking the number and adding the task in one update keeps numbers unique
+  const numbered = await Team.findOneAndUpdate(
+    { _id: team._id, [`tasks.${MAX_TASKS - 1}`]: { $exists: false } },
+    { $inc: { task_count: 1 } },
+    { new: true }
+  );
+  if (!numbered) {
+    throw httpError(400, `A team can keep at most ${MAX_TASKS} tasks`);
+  }
+
+  const task = {
+    number: numbered.task_count,
+    text: trimmed,
+    assignee_id: assigneeId,
+    created_by: String(user._id),
+    created_at: new Date()
+  };
+  await Team.updateOne({ _id: team._id }, { $push: { tasks: task } });
+
+  const names = assigneeId ? await memberNames(team) : new Map();
+  await postTeamMessage(team._id, {
+    senderId: 'system_bot',
+    text: `📝 ${user.name || 'A member'} added task ${describeTask(task, names)}`,
+    timestamp: new Date()
+  });
+  return task;
+}
+
+// Mark task #number done. Throws a 404 when there is no such open task.
+export async function completeTeamTask(team, user, number) {
+  const updated = await Team.findOneAndUpdate(
+    { _id: team._id, tasks: { $elemMatch: { number, done_at: null } } },
+    { $set: { 'tasks.$.done_at': new Date(), 'tasks.$.done_by': String(user._id) } },
+    { new: true }
+  );
+  const task = updated?.tasks.find(entry => entry.number === number);
+  if (!task) {
+    throw httpError(404, `There is no open task #${number}`);
+  }
+
+  await postTeamMessage(team._id, {
+    senderId: 'system_bot',
+    text: `✅ ${user.name || 'A member'} finished task #${task.number} ${task.text}`,
+    timestamp: new Date()
+  });
+  return task;
+}
+
+// The open tasks, oldest first
+export async function openTeamTasks(team) {
+  const fresh = await Team.findById(team._id).select('tasks').lean();
+  return (fresh?.tasks || []).filter(task => !task.done_at);
+}
+
+// Member id -> name, for showing assignees
+export async function memberNames(team) {
+  const members = await User.find({ _id: { $in: team.members.map(String) } }).select('name').lean();
+  return new Map(members.map(member => [String(member._id), member.name]));
+}
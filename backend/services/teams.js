@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import { requireTeamMember, requireTeamLead } from '../middleware/policies.js';
+import { findHackathonById, getTeamSizeLimits, getTargetComposition, teamSizeLimits, targetComposition } from './hackathons.js';
+import { computeNeededRoles } from './scoring.js';
+import { postTeamMessage } from './messages.js';
+import { httpError } from './httpError.js';
+import { publishTeamEvent } from './chatEvents.js';
+
+// Team ids may be ObjectIds or plain strings - try ObjectId first, then the raw string
+export async function findTeamById(teamId) {
+  if (!teamId) return null;
+  let team = null;
+  if (mongoose.Types.ObjectId.isValid(teamId)) {
+    team = await Team.findById(teamId);
+  }
+  return team || Team.findOne({ _id: teamId.toString() });
+}
+
+// Full user documents for everyone on the team
+export function findTeamMembers(team) {
+  return User.find({ _id: { $in: team.members.map(id => id.toString()) } });
+}
+
+// "Only team members" for routes with a :teamId param - the team ends up on req.team
+export const requireTeamMemberParam = requireTeamMember(req => findTeamById(req.params.teamId));
+export const requireTeamLeadParam = requireTeamLead(req => findTeamById(req.params.teamId));
+
+// Teams created before leads existed are led by their first member
+export function teamLeadId(team) {
+  return team.lead_id ? String(team.lead_id) : (team.members[0] ? String(team.members[0]) : null);
+}
+
+// Cancel pending requests sent by or to anyone on the team, and invites/join requests for
+// the team itself (used once the team is full)
+export async function cancelPendingRequestsForTeam(team) {
+  const members = team.members.map(String);
+  const result = await Request.updateMany(
+    {
+      hackathon_id: team.hackathon_id,
+      status: 'pending',
+      $or: [{ from_user_id: { $in: members } }, { to_user_id: { $in: members } }, { team_id: String(team._id) }]
+    },
+    { $set: { status: 'cancelled', responded_at: new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🚫 Cancelled ${result.modifiedCount} pending request(s) for full team ${team._id}`);
+  }
+}
+
+// Recompute is_full from the hackathon's max_team_size; a full team's pending requests are cancelled.
+// Resolves to the (possibly updated) team.
+export async function syncTeamCapacity(team, limits = null) {
+  const { max } = limits || await getTeamSizeLimits(team.hackathon_id);
+  const isFull = team.members.length >= max;
+
+  if (team.is_full !== isFull) {
+    team = await Team.findByIdAndUpdate(team._id, { $set: { is_full: isFull } }, { new: true });
+  }
+  if (isFull) {
+    await cancelPendingRequestsForTeam(team);
+  }
+  return team;
+}
+
+// Add users to a team without going over the hackathon's max_team_size. The update only
+// matches while there is room, so concurrent joins can't overfill the team. Throws a 409 if it's full.
+// needed_roles and is_full are recomputed afterwards.
+export async function addTeamMembers(team, userIds) {
+  const current = team.members.map(String);
+  const newIds = [...new Set(userIds.map(String))].filter(id => !current.includes(id));
+  const limits = await getTeamSizeLimits(team.hackathon_id);
+
+  if (newIds.length === 0) {
+    return syncTeamCapacity(team, limits);
+  }
+  if (current.length + newIds.length > limits.max) {
+    throw httpError(409, 'Team is full');
+  }
+
+  const updated = await Team.findOneAndUpdate(
+    { _id: team._id, [`members.${limits.max - newIds.length}`]: { $exists: false } },
+    { $addToSet: { members: { $each: newIds } } },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError(409, 'Team is full');
+  }
+  return refreshTeamComposition(updated, { limits });
+}
+
+// Recompute needed_roles and is_full for every team in a hackathon (after its team size limits
+// or target composition change)
+export async function syncHackathonTeams(hackathonId) {
+  const hackathon = await findHackathonById(hackathonId);
+  const rules = { limits: teamSizeLimits(hackathon), composition: targetComposition(hackathon) };
+  const teams = await Team.find({ hackathon_id: hackathonId, dissolved_at: null });
+  for (const team of teams) {
+    await refreshTeamComposition(team, rules);
+  }
+}
+
+// Roster changes (leave / remove / transfer lead / dissolve)
+// Each one posts a system_bot message to the team chat and resolves to the updated team.
+
+async function memberName(userId) {
+  const user = await User.findOne({ _id: String(userId) }).select('name');
+  return user?.name || 'A member';
+}
+
+function postSystemMessage(teamId, text) {
+  return postTeamMessage(teamId, { senderId: 'system_bot', text, timestamp: new Date() });
+}
+
+// Recompute needed_roles (against the hackathon's target composition) and is_full after the
+// member list changed. Pass { limits, composition } to skip loading the hackathon.
+export async function refreshTeamComposition(team, { limits = null, composition = null } = {}) {
+  const members = await findTeamMembers(team);
+  const target = composition || await getTargetComposition(team.hackathon_id);
+  const updated = await Team.findByIdAndUpdate(
+    team._id,
+    { $set: { needed_roles: computeNeededRoles(members, target) } },
+    { new: true }
+  );
+  return syncTeamCapacity(updated, limits);
+}
+
+// Tell open chat streams who is still on the team - the ones for anyone else get closed
+function publishRoster(team) {
+  publishTeamEvent(team._id, 'membership', { members: team.members.map(String) });
+}
+
+// Take userId off the team. If they led it, the longest-standing remaining member takes over.
+async function dropMember(team, userId) {
+  const updated = await Team.findOneAndUpdate(
+    { _id: team._id, members: String(userId) },
+    { $pull: { members: String(userId) } },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError(404, 'That user is not a member of this team');
+  }
+  publishRoster(updated);
+
+  if (teamLeadId(team) === String(userId) && updated.members.length > 0) {
+    updated.lead_id = String(updated.members[0]);
+    await updated.save();
+  }
+  return updated;
+}
+
+// Members are moved to former_members so the chat history keeps its authors
+export async function dissolveTeam(team, dissolvedBy) {
+  const name = await memberName(dissolvedBy);
+  await postSystemMessage(team._id, `🛑 ${name} dissolved the team.`);
+
+  const dissolved = await Team.findByIdAndUpdate(
+    team._id,
+    {
+      $set: { members: [], is_full: false, needed_roles: [], dissolved_at: new Date() },
+      $addToSet: { former_members: { $each: team.members.map(String) } }
+    },
+    { new: true }
+  );
+  publishRoster(dissolved);
+  // Invites and join requests for the team can't be accepted any more
+  await Request.updateMany(
+    { team_id: String(team._id), status: 'pending' },
+    { $set: { status: 'cancelled', responded_at: new Date() } }
+  );
+  return dissolved;
+}
+
+// The last member leaving dissolves the team
+export async function leaveTeam(team, userId) {
+  if (team.members.length <= 1) {
+    return { team: await dissolveTeam(team, userId), dissolved: true };
+  }
+
+  const name = await memberName(userId);
+  const updated = await dropMember(team, userId);
+  const leadNote = updated.lead_id && teamLeadId(team) === String(userId)
+    ? ` ${await memberName(updated.lead_id)} is the new team lead.`
+    : '';
+  await postSystemMessage(team._id, `👋 ${name} left the team.${leadNote}`);
+  return { team: await refreshTeamComposition(updated), dissolved: false };
+}
+
+export async function removeTeamMember(team, userId, removedBy) {
+  if (String(userId) === String(removedBy)) {
+    throw httpError(400, 'Use leave to remove yourself from the team');
+  }
+
+  const [name, byName] = [await memberName(userId), await memberName(removedBy)];
+  const updated = await dropMember(team, userId);
+  await postSystemMessage(team._id, `🚪 ${byName} removed ${name} from the team.`);
+  return refreshTeamComposition(updated);
+}
+
+export async function transferTeamLead(team, newLeadId, transferredBy) {
+  if (!team.members.map(String).includes(String(newLeadId))) {
+    throw httpError(400, 'The new lead must be a member of the team');
+  }
+  if (teamLeadId(team) === String(newLeadId)) {
+    throw httpError(400, 'That member already leads the team');
+  }
+
+  const updated = await Team.findByIdAndUpdate(team._id, { $set: { lead_id: String(newLeadId) } }, { new: true });
+  const [name, byName] = [await memberName(newLeadId), await memberName(transferredBy)];
+  await postSystemMessage(team._id, `👑 ${byName} made ${name} the team lead.`);
+  return updated;
+}
@@ -0,0 +1,44 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import app from '../app.js';
+
+// app.js must be importable without connecting to MongoDB or binding a port
+describe('app', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // Route handlers log every request - keep the test output readable
+    mock.method(console, 'log', () => {});
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('answers the root endpoint', async () => {
+    const res = await fetch(`${baseUrl}/`);
+    assert.equal(res.status, 200);
+    assert.match((await res.json()).message, /running/);
+  });
+
+  it('lists routes from every router in /health', async () => {
+    const res = await fetch(`${baseUrl}/health`);
+    const body = await res.json();
+    assert.equal(body.status, 'ok');
+    assert.ok(body.routes.includes('POST /match-score'));
+    assert.ok(body.routes.includes('GET /api/team/:teamId'));
+  });
+
+  it('returns JSON 404s for unknown routes', async () => {
+    const res = await fetch(`${baseUrl}/does-not-exist`);
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'Route not found');
+  });
+
+  it('rejects protected routes without a session before touching the database', async () => {
+    const res = await fetch(`${baseUrl}/api/auth/me`);
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { storeAttachments, removeAttachments, publicAttachment, openAttachment } from '../services/attachments.js';
+import { setStorage, createLocalStorage } from '../services/storage/index.js';
+
+// Multer-style uploaded file
+function file(originalname, mimetype, buffer) {
+  return { originalname, mimetype, buffer, size: buffer.length };
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+describe('chat attachments', () => {
+  let root;
+  let png;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-test-'));
+    setStorage(createLocalStorage({ root }));
+    png = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#39ff14' } }).png().toBuffer();
+  });
+
+  after(() => fs.rm(root, { recursive: true, force: true }));
+
+  it('stores images with a thumbnail', async () => {
+    const [stored] = await storeAttachments('team1', [file('mockup.png', 'image/png', png)]);
+    assert.equal(stored.content_type, 'image/png');
+    assert.deepEqual([stored.width, stored.height], [800, 600]);
+    assert.equal(stored.key, `team1/${stored._id}`);
+
+    const thumbnail = await sharp(await fs.readFile(path.join(root, stored.thumbnail_key))).metadata();
+    assert.equal(thumbnail.format, 'webp');
+    assert.deepEqual([thumbnail.width, thumbnail.height], [320, 240]);
+  });
+
+  it('stores PDFs and text files without a thumbnail', async () => {
+    const stored = await storeAttachments('team1', [
+      file('spec.pdf', 'application/pdf', Buffer.from('%PDF-1.7 ...')),
+      file('notes.md', 'text/markdown', Buffer.from('# Notes'))
+    ]);
+    assert.deepEqual(stored.map(a => [a.name, a.content_type, a.thumbnail_key]), [
+      ['spec.pdf', 'application/pdf', undefined],
+      ['notes.md', 'text/markdown', undefined]
+    ]);
+  });
+
+  it('checks the content, not the claimed type', async () => {
+    await assert.rejects(
+      storeAttachments('team1', [file('evil.png', 'image/png', Buffer.from('<script>alert(1)</script>'))]),
+      { status: 415 }
+    );
+    await assert.rejects(
+      storeAttachments('team1', [file('fake.pdf', 'application/pdf', Buffer.from('MZ binary'))]),
+      { status: 415 }
+    );
+    await assert.rejects(
+      storeAttachments('team1', [file('logo.svg', 'image/svg+xml', Buffer.from('<svg onload="alert(1)"/>'))]),
+      { status: 415 }
+    );
+    await assert.rejects(
+      storeAttachments('team1', [file('tool.exe', 'application/octet-stream', Buffer.from('MZ'))]),
+      { status: 415 }
+    );
+  });
+
+  it('stores nothing when one of the files is rejected', async () => {
+    await assert.rejects(
+      storeAttachments('team2', [file('ok.png', 'image/png', png), file('bad.exe', 'application/x-msdownload', Buffer.from('MZ'))]),
+      { status: 415 }
+    );
+    await assert.rejects(fs.access(path.join(root, 'team2')));
+  });
+
+  it('removes stored files and thumbnails', async () => {
+    const stored = await storeAttachments('team3', [file('ok.png', 'image/png', png), file('a.txt', 'text/plain', Buffer.from('a'))]);
+    await removeAttachments(stored);
+    assert.deepEqual(await fs.readdir(path.join(root, 'team3')), []);
+  });
+
+  it('strips paths from file names', async () => {
+    const [stored] = await storeAttachments('team1', [file('../../etc/passwd.txt', 'text/plain', Buffer.from('hi'))]);
+    assert.equal(stored.name, 'passwd.txt');
+  });
+
+  it('keeps storage keys out of the API and serves stored bytes', async () => {
+    const [stored] = await storeAttachments('team1', [file('mockup.png', 'image/png', png)]);
+    const message = { _id: 'm1', team_id: 'team1', attachments: [stored] };
+
+    const shown = publicAttachment(message, stored);
+    assert.equal(shown.url, `/chat/team1/messages/m1/attachments/${stored._id}`);
+    assert.equal(shown.thumbnail_url, `${shown.url}?thumbnail=true`);
+    assert.equal(shown.key, undefined);
+
+    const original = await openAttachment(message, String(stored._id));
+    assert.equal(original.contentType, 'image/png');
+    assert.deepEqual(await readAll(original.stream), png);
+
+    const thumbnail = await openAttachment(message, String(stored._id), { thumbnail: true });
+    assert.equal(thumbnail.contentType, 'image/webp');
+    thumbnail.stream.destroy();
+
+    await assert.rejects(openAttachment(message, 'nope'), { status: 404 });
+    await assert.rejects(openAttachment({ ...message, deleted_at: new Date() }, String(stored._id)), { status: 404 });
+  });
+
+  it('never reads or writes outside the storage directory', async () => {
+    const storage = createLocalStorage({ root });
+    await assert.rejects(storage.save('../escape.txt', Buffer.from('x')), { status: 400 });
+    await assert.rejects(storage.read('../../etc/passwd'), { status: 400 });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { startTestServer } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+describe('authentication', { skip: harness.skip }, () => {
+  const account = { name: 'Alice', email: 'Alice@Example.com', password: 'correct horse' };
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    await User.createIndexes(); // reset() drops them with the database
+  });
+
+  const signup = (body = account) => harness.request('POST', '/api/auth/signup', { body });
+
+  it('creates an account and returns a session token', async () => {
+    const res = await signup();
+
+    assert.equal(res.status, 201);
+    assert.ok(res.body.token);
+    assert.equal(res.body.user.name, 'Alice');
+    assert.equal(res.body.user.email, 'alice@example.com');
+    assert.equal('password_hash' in res.body.user, false);
+
+    const saved = await User.findById(res.body.user._id).select('+password_hash');
+    assert.ok(saved.password_hash);
+    assert.notEqual(saved.password_hash, account.password);
+  });
+
+  it('rejects a second account with the same email', async () => {
+    await signup();
+    const res = await signup({ ...account, name: 'Other Alice', email: ' alice@example.COM ' });
+
+    assert.equal(res.status, 409);
+    assert.equal(await User.countDocuments(), 1);
+  });
+
+  it('creates one account when two sign-ups for an email race', async () => {
+    const results = await Promise.all([signup(), signup({ ...account, name: 'Alice 2' })]);
+
+    assert.deepEqual(results.map(res => res.status).sort(), [201, 409]);
+    assert.equal(await User.countDocuments(), 1);
+  });
+
+  it('keeps the login email when the profile is saved', async () => {
+    const { body } = await signup();
+
+    const save = await harness.request('POST', '/api/onboarding/save', {
+      token: body.token,
+      body: { userData: { name: 'Alice', email: '' }, selectedHackathons: [] }
+    });
+    assert.equal(save.status, 200);
+
+    const login = await harness.request('POST', '/api/auth/login', {
+      body: { email: 'alice@example.com', password: account.password }
+    });
+    assert.equal(login.status, 200);
+  });
+
+  it('logs in with the right password only', async () => {
+    await signup();
+
+    const ok = await harness.request('POST', '/api/auth/login', {
+      body: { email: 'alice@example.com', password: account.password }
+    });
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.token);
+    assert.equal('password_hash' in ok.body.user, false);
+
+    const wrong = await harness.request('POST', '/api/auth/login', {
+      body: { email: 'alice@example.com', password: 'wrong password' }
+    });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.token, undefined);
+
+    const unknown = await harness.request('POST', '/api/auth/login', {
+      body: { email: 'nobody@example.com', password: account.password }
+    });
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.error, wrong.body.error);
+  });
+
+  it('returns the signed-in user from /api/auth/me', async () => {
+    const { body } = await signup();
+
+    const res = await harness.request('GET', '/api/auth/me', { token: body.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body._id, body.user._id);
+    assert.equal(res.body.email, 'alice@example.com');
+    assert.equal('password_hash' in res.body, false);
+  });
+
+  it('rejects /api/auth/me without a token', async () => {
+    const res = await harness.request('GET', '/api/auth/me');
+
+    assert.equal(res.status, 401);
+  });
+});
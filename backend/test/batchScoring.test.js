@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { forEachWithConcurrency } from '../services/batchScoring.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+describe('forEachWithConcurrency', () => {
+  it('visits every item once', async () => {
+    const seen = [];
+    await forEachWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+      await tick();
+      seen.push(item);
+    });
+    assert.deepEqual(seen.sort(), [1, 2, 3, 4, 5]);
+  });
+
+  it('never runs more than `limit` workers at once', async () => {
+    let running = 0;
+    let peak = 0;
+    await forEachWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await tick();
+      running -= 1;
+    });
+    assert.equal(peak, 3);
+  });
+
+  it('stops picking up items once cancelled', async () => {
+    const seen = [];
+    await forEachWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (item) => {
+      seen.push(item);
+      await tick();
+    }, () => seen.length >= 2);
+    assert.deepEqual(seen, [1, 2]);
+  });
+
+  it('handles an empty list', async () => {
+    await forEachWithConcurrency([], 4, async () => assert.fail('should not run'));
+  });
+});
@@ -0,0 +1,727 @@
+import { describe, it, mock, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import Team from '../models/Team.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import { deliverDueReminders } from '../services/reminders.js';
+import { getStorage, setStorage } from '../services/storage/index.js';
+import { startTestServer, stubGemini, createUser, createHackathon, lastMessage } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+describe('team chat membership', { skip: harness.skip }, () => {
+  let alice;
+  let bob;
+  let outsider;
+  let teamId;
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    outsider = await createUser({ name: 'Eve' });
+    const team = await Team.create({
+      hackathon_id: await createHackathon(),
+      name: 'Team 1',
+      members: [alice.id, bob.id]
+    });
+    teamId = String(team._id);
+  });
+
+  function post(user, body) {
+    return harness.request('POST', `/chat/${teamId}/messages`, { token: user?.token, body });
+  }
+
+  it('lets members post and read messages', async () => {
+    const res = await post(alice, { message: 'hello team' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.senderId, alice.id);
+    assert.ok(res.body._id);
+
+    const list = await harness.request('GET', `/chat/${teamId}/messages`, { token: bob.token });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.messages.map(m => m.text), ['hello team']);
+    assert.equal(list.body.has_more, false);
+  });
+
+  it('rejects non-members without storing the message', async () => {
+    const res = await post(outsider, { message: 'let me in' });
+    assert.equal(res.status, 403);
+    assert.equal(await Message.countDocuments(), 0);
+  });
+
+  it('rejects anonymous posts', async () => {
+    const res = await post(null, { message: 'hi' });
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects posting as another member', async () => {
+    const res = await post(outsider, { message: 'hi', user_id: alice.id });
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 404 for unknown teams', async () => {
+    const res = await harness.request('POST', '/chat/000000000000000000000000/messages', {
+      token: alice.token,
+      body: { message: 'hi' }
+    });
+    assert.equal(res.status, 404);
+  });
+
+  it('requires a message', async () => {
+    const res = await post(alice, {});
+    assert.equal(res.status, 400);
+  });
+
+  it('only answers AI advice for members (stubbed Gemini)', async () => {
+    const prompts = stubGemini('Build a study buddy app.');
+
+    const denied = await harness.request('POST', `/chat/${teamId}/ai-advice`, {
+      token: outsider.token,
+      body: { activeAgent: 'ARCHITECT' }
+    });
+    assert.equal(denied.status, 403);
+    assert.equal(prompts.length, 0);
+
+    const res = await harness.request('POST', `/chat/${teamId}/ai-advice`, {
+      token: alice.token,
+      body: { activeAgent: 'ARCHITECT' }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.senderId, 'ai_bot');
+    assert.equal(res.body.text, 'Build a study buddy app.');
+    assert.equal((await lastMessage(teamId)).senderId, 'ai_bot');
+  });
+
+  describe('editing, deleting and reactions', () => {
+    let messageId;
+
+    beforeEach(async () => {
+      messageId = (await post(bob, { message: 'first draft' })).body._id;
+    });
+
+    function messageUrl(suffix = '') {
+      return `/chat/${teamId}/messages/${messageId}${suffix}`;
+    }
+
+    it('lets the author edit and marks the message edited', async () => {
+      const denied = await harness.request('PUT', messageUrl(), { token: alice.token, body: { message: 'hijacked' } });
+      assert.equal(denied.status, 403);
+
+      const res = await harness.request('PUT', messageUrl(), { token: bob.token, body: { message: 'final version' } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.text, 'final version');
+      assert.ok(res.body.edited_at);
+    });
+
+    it('soft-deletes for the author or the team lead only', async () => {
+      // Alice leads the team (its first member)
+      const res = await harness.request('DELETE', messageUrl(), { token: alice.token });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.deleted_at);
+      assert.equal(res.body.text, '');
+
+      const stored = await Message.findById(messageId);
+      assert.equal(stored.text, 'first draft');
+      assert.equal(stored.deleted_by, alice.id);
+
+      const list = await harness.request('GET', `/chat/${teamId}/messages`, { token: bob.token });
+      assert.equal(list.body.messages[0].text, '');
+
+      const edit = await harness.request('PUT', messageUrl(), { token: bob.token, body: { message: 'undo' } });
+      assert.equal(edit.status, 400);
+    });
+
+    it('does not let other members delete', async () => {
+      const own = (await post(alice, { message: 'mine' })).body._id;
+      const res = await harness.request('DELETE', `/chat/${teamId}/messages/${own}`, { token: bob.token });
+      assert.equal(res.status, 403);
+    });
+
+    it('adds and removes one reaction per member and emoji', async () => {
+      await harness.request('POST', messageUrl('/reactions'), { token: alice.token, body: { emoji: '🎉' } });
+      const twice = await harness.request('POST', messageUrl('/reactions'), { token: alice.token, body: { emoji: '🎉' } });
+      assert.deepEqual(twice.body.reactions, [{ emoji: '🎉', user_id: alice.id }]);
+
+      const removed = await harness.request('DELETE', messageUrl(`/reactions/${encodeURIComponent('🎉')}`), { token: alice.token });
+      assert.deepEqual(removed.body.reactions, []);
+
+      const invalid = await harness.request('POST', messageUrl('/reactions'), { token: alice.token, body: { emoji: '<b>hi</b>' } });
+      assert.equal(invalid.status, 400);
+
+      const outsiderRes = await harness.request('POST', messageUrl('/reactions'), { token: outsider.token, body: { emoji: '👍' } });
+      assert.equal(outsiderRes.status, 403);
+    });
+
+    it('streams changes as message_updated', async () => {
+      const stream = await harness.openEventStream(`/chat/${teamId}/events`, { token: alice.token });
+      try {
+        await stream.next();
+        await harness.request('PUT', messageUrl(), { token: bob.token, body: { message: 'edited live' } });
+        const event = await stream.next();
+        assert.equal(event.event, 'message_updated');
+        assert.equal(event.data._id, messageId);
+        assert.equal(event.data.text, 'edited live');
+      } finally {
+        stream.close();
+      }
+    });
+  });
+
+  describe('mentions and read receipts', () => {
+    function markRead(user, messageId) {
+      return harness.request('POST', `/chat/${teamId}/read`, { token: user.token, body: { message_id: messageId } });
+    }
+
+    async function teamsOf(user) {
+      return (await harness.request('GET', `/api/teams/${user.id}`, { token: user.token })).body;
+    }
+
+    it('records @mentions of members by first or full name', async () => {
+      await User.updateOne({ _id: bob.id }, { $set: { name: 'Bob Stone' } });
+      const res = await post(alice, { message: 'hey @bob and @AliceX, mail bob@example.com, @BobStone again' });
+      assert.deepEqual(res.body.mentions, [bob.id]);
+
+      const plain = await post(alice, { message: 'email me at alice@bob.dev' });
+      assert.deepEqual(plain.body.mentions, []);
+    });
+
+    it('counts unread messages and mentions per team', async () => {
+      await post(alice, { message: 'one' });
+      const second = (await post(alice, { message: '@bob two' })).body;
+      await post(bob, { message: 'my own' });
+
+      let [team] = await teamsOf(bob);
+      assert.equal(team.unread_count, 2);
+      assert.equal(team.unread_mentions, 1);
+
+      assert.equal((await markRead(bob, second._id)).status, 200);
+      [team] = await teamsOf(bob);
+      assert.equal(team.unread_count, 0);
+      assert.equal(team.unread_mentions, 0);
+      assert.deepEqual(team.last_read.map(entry => [entry.user_id, entry.message_id]), [[bob.id, second._id]]);
+    });
+
+    it("keeps each user's unread counts to themselves", async () => {
+      await post(alice, { message: '@bob hi' });
+
+      assert.equal((await harness.request('GET', `/api/teams/${bob.id}`)).status, 401);
+      assert.equal((await harness.request('GET', `/api/teams/${bob.id}`, { token: alice.token })).status, 403);
+    });
+
+    it('never moves the read position back', async () => {
+      const first = (await post(alice, { message: 'one' })).body;
+      const second = (await post(alice, { message: 'two' })).body;
+
+      await markRead(bob, second._id);
+      const res = await markRead(bob, first._id);
+      assert.equal(res.body.message_id, second._id);
+      assert.equal((await Team.findById(teamId)).last_read.length, 1);
+    });
+
+    it('rejects unknown messages and non-members', async () => {
+      const message = (await post(alice, { message: 'one' })).body;
+      assert.equal((await markRead(bob, '000000000000000000000000')).status, 404);
+      assert.equal((await markRead(outsider, message._id)).status, 403);
+    });
+
+    it('streams read positions', async () => {
+      const message = (await post(alice, { message: 'one' })).body;
+      const stream = await harness.openEventStream(`/chat/${teamId}/events`, { token: alice.token });
+      try {
+        await stream.next();
+        await markRead(bob, message._id);
+        const event = await stream.next();
+        assert.equal(event.event, 'read');
+        assert.equal(event.data.user_id, bob.id);
+        assert.equal(event.data.message_id, message._id);
+      } finally {
+        stream.close();
+      }
+    });
+  });
+
+  describe('threads and pins', () => {
+    function replies(user, messageId) {
+      return harness.request('GET', `/chat/${teamId}/messages/${messageId}/replies`, { token: user.token });
+    }
+
+    function pin(user, messageId, method = 'POST') {
+      return harness.request(method, `/chat/${teamId}/messages/${messageId}/pin`, { token: user.token });
+    }
+
+    it('keeps replies in their thread and counts them', async () => {
+      const root = (await post(alice, { message: 'Which idea?' })).body;
+      const reply = (await post(bob, { message: 'Study buddy', reply_to: root._id })).body;
+      assert.equal(reply.reply_to, root._id);
+
+      // Replying to a reply stays in the same thread
+      const nested = (await post(alice, { message: 'Agreed', reply_to: reply._id })).body;
+      assert.equal(nested.reply_to, root._id);
+
+      const main = await harness.request('GET', `/chat/${teamId}/messages`, { token: bob.token });
+      assert.deepEqual(main.body.messages.map(m => m.text), ['Which idea?']);
+      assert.equal(main.body.messages[0].reply_count, 2);
+
+      const thread = await replies(bob, root._id);
+      assert.equal(thread.status, 200);
+      assert.deepEqual(thread.body.messages.map(m => m.text), ['Study buddy', 'Agreed']);
+    });
+
+    it('rejects replies to unknown messages', async () => {
+      const res = await post(alice, { message: 'hm', reply_to: '000000000000000000000000' });
+      assert.equal(res.status, 404);
+      assert.equal((await replies(alice, '000000000000000000000000')).status, 404);
+    });
+
+    it('pins messages to the team', async () => {
+      const decision = (await post(alice, { message: 'Repo name: study-buddy' })).body;
+      const other = (await post(bob, { message: 'ok' })).body;
+
+      const res = await pin(bob, decision._id);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map(m => [m._id, m.pinned_by]), [[decision._id, bob.id]]);
+      await pin(alice, decision._id);
+      await pin(alice, other._id);
+
+      const team = await harness.request('GET', `/api/team/${teamId}`, { token: alice.token });
+      assert.deepEqual(team.body.pinned_messages.map(m => m.text), ['Repo name: study-buddy', 'ok']);
+      assert.equal((await harness.request('GET', `/api/team/${teamId}`, { token: outsider.token })).status, 403);
+      assert.equal((await harness.request('GET', `/api/team/${teamId}`)).status, 401);
+
+      const unpinned = await pin(alice, decision._id, 'DELETE');
+      assert.deepEqual(unpinned.body.map(m => m._id), [other._id]);
+      assert.equal((await pin(outsider, other._id)).status, 403);
+    });
+
+    it('unpins deleted messages and refuses to pin them', async () => {
+      const message = (await post(alice, { message: 'temp' })).body;
+      await pin(alice, message._id);
+      await harness.request('DELETE', `/chat/${teamId}/messages/${message._id}`, { token: alice.token });
+
+      assert.equal((await Team.findById(teamId)).pinned.length, 0);
+      assert.equal((await pin(alice, message._id)).status, 400);
+    });
+
+    it('streams pin changes', async () => {
+      const message = (await post(alice, { message: 'decision' })).body;
+      const stream = await harness.openEventStream(`/chat/${teamId}/events`, { token: bob.token });
+      try {
+        await stream.next();
+        await pin(alice, message._id);
+        const event = await stream.next();
+        assert.equal(event.event, 'pins_updated');
+        assert.deepEqual(event.data.map(m => m._id), [message._id]);
+      } finally {
+        stream.close();
+      }
+    });
+  });
+
+  describe('search', () => {
+    function search(user, query) {
+      return harness.request('GET', `/chat/${teamId}/search?${new URLSearchParams(query)}`, { token: user?.token });
+    }
+
+    it('finds messages with every term and highlights them', async () => {
+      await post(alice, { message: 'The API key is in the vault' });
+      await post(bob, { message: 'which key?' });
+      await Message.create({ team_id: teamId, senderId: 'ai_bot', text: 'Plan: rotate the api KEY weekly', timestamp: new Date() });
+
+      const res = await search(bob, { q: 'api key' });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.results.map(r => r.snippet), ['Plan: rotate the api KEY weekly', 'The API key is in the vault']);
+      const [first] = res.body.results;
+      assert.deepEqual(first.highlights.map(([start, end]) => first.snippet.slice(start, end)), ['api', 'KEY']);
+    });
+
+    it('filters by sender, AI answers and dates', async () => {
+      await Message.create({ team_id: teamId, senderId: alice.id, text: 'old plan', timestamp: new Date('2026-01-10T12:00:00Z') });
+      await Message.create({ team_id: teamId, senderId: bob.id, text: 'new plan', timestamp: new Date('2026-02-10T12:00:00Z') });
+      await Message.create({ team_id: teamId, senderId: 'ai_bot', text: 'AI plan', timestamp: new Date('2026-02-11T12:00:00Z') });
+
+      const texts = async query => (await search(alice, query)).body.results.map(r => r.snippet);
+      assert.deepEqual(await texts({ q: 'plan', sender: alice.id }), ['old plan']);
+      assert.deepEqual(await texts({ q: 'plan', ai_only: 'true' }), ['AI plan']);
+      assert.deepEqual(await texts({ from: '2026-02-01', to: '2026-02-10' }), ['new plan']);
+    });
+
+    it('skips deleted messages and pages with before', async () => {
+      const gone = (await post(alice, { message: 'secret plan' })).body;
+      await harness.request('DELETE', `/chat/${teamId}/messages/${gone._id}`, { token: alice.token });
+      for (const text of ['plan a', 'plan b', 'plan c']) {
+        await post(alice, { message: text });
+      }
+
+      const first = await search(alice, { q: 'plan', limit: 2 });
+      assert.deepEqual(first.body.results.map(r => r.snippet), ['plan c', 'plan b']);
+      assert.equal(first.body.has_more, true);
+
+      const next = await search(alice, { q: 'plan', limit: 2, before: first.body.results[1]._id });
+      assert.deepEqual(next.body.results.map(r => r.snippet), ['plan a']);
+      assert.equal(next.body.has_more, false);
+    });
+
+    it('rejects empty searches, bad dates and non-members', async () => {
+      assert.equal((await search(alice, { q: '  ' })).status, 400);
+      assert.equal((await search(alice, { q: 'x', from: 'someday' })).status, 400);
+      assert.equal((await search(outsider, { q: 'x' })).status, 403);
+    });
+  });
+
+  describe('attachments', () => {
+    let png;
+
+    beforeEach(async () => {
+      png = await sharp({ create: { width: 640, height: 320, channels: 3, background: '#000000' } }).png().toBuffer();
+    });
+
+    function upload(user, fields, files) {
+      return harness.upload(`/chat/${teamId}/messages`, { token: user?.token, fields, files });
+    }
+
+    it('posts a message with files and serves them to members', async () => {
+      const res = await upload(alice, { message: 'mockups attached' }, [
+        { name: 'home.png', type: 'image/png', data: png },
+        { name: 'spec.pdf', type: 'application/pdf', data: Buffer.from('%PDF-1.4 spec') }
+      ]);
+      assert.equal(res.status, 200);
+      const [image, pdf] = res.body.attachments;
+      assert.deepEqual([image.name, image.content_type, image.width], ['home.png', 'image/png', 640]);
+      assert.equal(image.key, undefined);
+      assert.equal(pdf.thumbnail_url, null);
+
+      const thumbnail = await harness.download(image.thumbnail_url, { token: bob.token });
+      assert.equal(thumbnail.status, 200);
+      assert.equal(thumbnail.headers.get('content-type'), 'image/webp');
+      assert.equal((await sharp(thumbnail.data).metadata()).width, 320);
+
+      const download = await harness.download(pdf.url, { token: bob.token });
+      assert.equal(download.data.toString(), '%PDF-1.4 spec');
+      assert.match(download.headers.get('content-disposition'), /^attachment; filename\*=UTF-8''spec\.pdf$/);
+      assert.equal(download.headers.get('x-content-type-options'), 'nosniff');
+
+      assert.equal((await harness.download(pdf.url, { token: outsider.token })).status, 403);
+    });
+
+    it('allows a message with only attachments', async () => {
+      const res = await upload(bob, {}, [{ name: 'notes.txt', type: 'text/plain', data: Buffer.from('todo') }]);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.text, '');
+    });
+
+    it('rejects disallowed files without storing the message', async () => {
+      const res = await upload(alice, { message: 'look' }, [{ name: 'x.html', type: 'text/html', data: Buffer.from('<script></script>') }]);
+      assert.equal(res.status, 415);
+
+      const tooMany = await upload(alice, { message: 'look' }, Array.from({ length: 6 }, (_, i) => (
+        { name: `${i}.txt`, type: 'text/plain', data: Buffer.from('x') }
+      )));
+      assert.equal(tooMany.status, 400);
+      assert.equal(await Message.countDocuments(), 0);
+    });
+
+    it('removes the stored files when the message is not saved', async () => {
+      const storage = getStorage();
+      const saved = [];
+      const removed = [];
+      setStorage({
+        ...storage,
+        save: async (key, ...rest) => { saved.push(key); return storage.save(key, ...rest); },
+        remove: async (key) => { removed.push(key); return storage.remove(key); }
+      });
+      const create = mock.method(Message, 'create', async () => { throw new Error('database unavailable'); });
+      try {
+        const res = await upload(alice, { message: 'mockup' }, [{ name: 'a.png', type: 'image/png', data: png }]);
+        assert.equal(res.status, 500);
+      } finally {
+        create.mock.restore();
+        setStorage(storage);
+      }
+
+      assert.equal(saved.length, 2); // The image and its thumbnail
+      assert.deepEqual(removed.sort(), saved.sort());
+      await assert.rejects(storage.read(saved[0]), { status: 404 });
+    });
+
+    it('rejects uploads from non-members', async () => {
+      const res = await upload(outsider, { message: 'hi' }, [{ name: 'a.txt', type: 'text/plain', data: Buffer.from('x') }]);
+      assert.equal(res.status, 403);
+    });
+
+    it('stops serving files of deleted messages', async () => {
+      const res = await upload(alice, {}, [{ name: 'a.png', type: 'image/png', data: png }]);
+      const [attachment] = res.body.attachments;
+      await harness.request('DELETE', `/chat/${teamId}/messages/${res.body._id}`, { token: alice.token });
+      assert.equal((await harness.download(attachment.url, { token: alice.token })).status, 404);
+    });
+  });
+
+  describe('export', () => {
+    it('exports the chat with sender names and labels in each format', async () => {
+      const root = (await post(alice, { message: 'kickoff at 10' })).body;
+      await post(bob, { message: 'on it', reply_to: root._id });
+      await Message.create({ team_id: teamId, senderId: 'ai_bot', text: 'Plan: ship the MVP', timestamp: new Date() });
+
+      const markdown = await harness.download(`/chat/${teamId}/export`, { token: bob.token });
+      assert.equal(markdown.status, 200);
+      assert.match(markdown.headers.get('content-type'), /^text\/markdown/);
+      assert.match(markdown.headers.get('content-disposition'), /^attachment; filename="team-1-chat-\d{4}-\d{2}-\d{2}\.md"$/);
+      const text = markdown.data.toString('utf8');
+      assert.match(text, /^# Team 1 - chat transcript/);
+      assert.match(text, /\*\*Alice\*\* · .* UTC\n\nkickoff at 10/);
+      assert.match(text, /> ↳ \*\*Bob\*\* · .* UTC\n>\n> on it/);
+      assert.match(text, /\*\*AI Mentor \[AI\]\*\*/);
+
+      const json = await harness.request('GET', `/chat/${teamId}/export?format=json`, { token: alice.token });
+      assert.deepEqual(json.body.messages.map(m => [m.sender_name, m.sender_type, m.reply_to]), [
+        ['Alice', 'member', null],
+        ['Bob', 'member', root._id],
+        ['AI Mentor', 'ai', null]
+      ]);
+
+      const plain = await harness.download(`/chat/${teamId}/export?format=text`, { token: alice.token });
+      assert.match(plain.headers.get('content-disposition'), /\.txt"$/);
+      assert.match(plain.data.toString('utf8'), /\] Alice: kickoff at 10\n {4}↳ \[.*\] Bob: on it/);
+    });
+
+    it('leaves out deleted text and rejects unknown formats and non-members', async () => {
+      const gone = (await post(alice, { message: 'secret plan' })).body;
+      await harness.request('DELETE', `/chat/${teamId}/messages/${gone._id}`, { token: alice.token });
+
+      const json = await harness.request('GET', `/chat/${teamId}/export?format=json`, { token: alice.token });
+      assert.deepEqual(json.body.messages.map(m => [m.deleted, m.text]), [[true, '']]);
+
+      assert.equal((await harness.request('GET', `/chat/${teamId}/export?format=pdf`, { token: alice.token })).status, 400);
+      assert.equal((await harness.request('GET', `/chat/${teamId}/export`, { token: outsider.token })).status, 403);
+    });
+  });
+
+  describe('slash commands', () => {
+    function run(user, input) {
+      return harness.request('POST', `/chat/${teamId}/commands`, { token: user?.token, body: { input } });
+    }
+
+    it('lists the commands for members only', async () => {
+      const res = await harness.request('GET', `/chat/${teamId}/commands`, { token: bob.token });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.some(command => command.name === 'poll' && command.usage.startsWith('/poll')));
+      assert.equal((await harness.request('GET', `/chat/${teamId}/commands`, { token: outsider.token })).status, 403);
+      assert.equal((await run(outsider, '/help')).status, 403);
+    });
+
+    it('answers /help and bad commands only to the caller', async () => {
+      const help = await run(alice, '/help');
+      assert.equal(help.status, 200);
+      assert.match(help.body.notice, /\/remind/);
+      assert.equal(help.body.message, null);
+
+      const unknown = await run(alice, '/deploy');
+      assert.equal(unknown.status, 400);
+      assert.match(unknown.body.error, /Unknown command \/deploy/);
+      assert.equal(await Message.countDocuments(), 0);
+    });
+
+    it('keeps a task list', async () => {
+      const added = await run(alice, '/task add Build the login page @Bob');
+      assert.equal(added.status, 200);
+      assert.equal(added.body.notice, 'Added task #1');
+      assert.equal((await lastMessage(teamId)).text, '📝 Alice added task #1 Build the login page @Bob → Bob');
+      await run(bob, '/task add Record the demo');
+
+      const done = await run(bob, '/task done 1');
+      assert.equal(done.status, 200);
+      assert.match((await lastMessage(teamId)).text, /^✅ Bob finished task #1/);
+      assert.equal((await run(bob, '/task done 1')).status, 404);
+
+      const list = await run(alice, '/task list');
+      assert.equal(list.body.notice, 'Open tasks:\n#2 Record the demo');
+    });
+
+    it('starts polls that take one vote per member', async () => {
+      const res = await run(alice, '/poll Which stack? | React | Vue');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message.senderId, alice.id);
+      assert.deepEqual(res.body.message.poll.options.map(o => o.text), ['React', 'Vue']);
+
+      const voteUrl = `/chat/${teamId}/messages/${res.body.message._id}/poll/vote`;
+      await harness.request('POST', voteUrl, { token: bob.token, body: { option: 0 } });
+      const moved = await harness.request('POST', voteUrl, { token: bob.token, body: { option: 1 } });
+      assert.deepEqual(moved.body.poll.options.map(o => o.votes), [[], [bob.id]]);
+
+      const taken = await harness.request('DELETE', voteUrl, { token: bob.token });
+      assert.deepEqual(taken.body.poll.options.map(o => o.votes), [[], []]);
+      assert.equal((await harness.request('POST', voteUrl, { token: bob.token, body: { option: 5 } })).status, 400);
+    });
+
+    it('runs /plan and /agent through the AI agents (stubbed Gemini)', async () => {
+      const prompts = stubGemini('Ship the MVP by hour 16.');
+
+      const plan = await run(alice, '/plan the demo');
+      assert.equal(plan.status, 200);
+      assert.equal(plan.body.message.senderId, 'ai_bot');
+      assert.equal(plan.body.message.text, 'Ship the MVP by hour 16.');
+      assert.match(String(prompts.at(-1)), /the demo/);
+
+      const agent = await run(alice, '/agent designer');
+      assert.equal(agent.body.agent, 'DESIGNER');
+      assert.equal((await run(alice, '/agent janitor')).status, 400);
+    });
+
+    it('refuses /repo when the team already has one', async () => {
+      await Team.updateOne({ _id: teamId }, { $set: { github_repo: 'octo/team-1' } });
+      const res = await run(alice, '/repo team-1');
+      assert.equal(res.status, 409);
+      assert.match(res.body.error, /octo\/team-1/);
+    });
+
+    it('posts reminders once they are due', async () => {
+      const res = await run(alice, '/remind 2h submit to Devpost, @Bob');
+      assert.equal(res.status, 200);
+      assert.match(res.body.notice, /^⏰ Reminder set for/);
+
+      assert.equal(await deliverDueReminders(new Date()), 0);
+      assert.equal(await deliverDueReminders(new Date(Date.now() + 3 * 60 * 60 * 1000)), 1);
+      const posted = await lastMessage(teamId);
+      assert.equal(posted.text, '⏰ Reminder from Alice: submit to Devpost, @Bob');
+      assert.deepEqual([...posted.mentions].sort(), [alice.id, bob.id].sort());
+      assert.equal((await Team.findById(teamId)).reminders.length, 0);
+
+      assert.equal((await run(alice, '/remind 8d too late')).status, 400);
+    });
+  });
+
+  describe('history pages', () => {
+    let ids;
+
+    beforeEach(async () => {
+      const start = Date.parse('2026-01-01T10:00:00Z');
+      const saved = await Message.insertMany([0, 1, 2, 3, 4].map(n => ({
+        team_id: teamId,
+        senderId: alice.id,
+        text: `message ${n}`,
+        timestamp: new Date(start + n * 1000)
+      })));
+      ids = saved.map(m => String(m._id));
+    });
+
+    function page(query) {
+      return harness.request('GET', `/chat/${teamId}/messages?${query}`, { token: bob.token });
+    }
+
+    it('returns the latest messages first page, oldest first', async () => {
+      const res = await page('limit=2');
+      assert.deepEqual(res.body.messages.map(m => m.text), ['message 3', 'message 4']);
+      assert.equal(res.body.has_more, true);
+    });
+
+    it('pages back with before and forward with after', async () => {
+      const older = await page(`limit=2&before=${ids[3]}`);
+      assert.deepEqual(older.body.messages.map(m => m.text), ['message 1', 'message 2']);
+      assert.equal(older.body.has_more, true);
+
+      const oldest = await page(`limit=2&before=${ids[1]}`);
+      assert.deepEqual(oldest.body.messages.map(m => m.text), ['message 0']);
+      assert.equal(oldest.body.has_more, false);
+
+      const newer = await page(`limit=3&after=${ids[1]}`);
+      assert.deepEqual(newer.body.messages.map(m => m.text), ['message 2', 'message 3', 'message 4']);
+      assert.equal(newer.body.has_more, false);
+    });
+
+    it('rejects unknown cursors, two cursors and bad limits', async () => {
+      assert.equal((await page('before=not-an-id')).status, 400);
+      assert.equal((await page('before=000000000000000000000000')).status, 400);
+      assert.equal((await page(`before=${ids[1]}&after=${ids[0]}`)).status, 400);
+      assert.equal((await page('limit=0')).status, 400);
+    });
+
+    it('only shows history to members', async () => {
+      const res = await harness.request('GET', `/chat/${teamId}/messages`, { token: outsider.token });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('live events', () => {
+    function openStream(user, options = {}) {
+      return harness.openEventStream(`/chat/${teamId}/events`, { token: user?.token, ...options });
+    }
+
+    it('pushes new messages to every member streaming the chat', async () => {
+      const stream = await openStream(bob);
+      try {
+        assert.equal(stream.status, 200);
+        assert.equal((await stream.next()).event, 'ready');
+
+        const sent = await post(alice, { message: 'pushed' });
+        const event = await stream.next();
+        assert.equal(event.event, 'message');
+        assert.equal(event.data._id, sent.body._id);
+        assert.equal(event.data.text, 'pushed');
+      } finally {
+        stream.close();
+      }
+    });
+
+    it('replays what a reconnecting client missed', async () => {
+      const first = await openStream(bob);
+      await first.next();
+      await post(alice, { message: 'one' });
+      const seen = await first.next();
+      first.close();
+
+      await post(alice, { message: 'two' });
+      await post(alice, { message: 'three' });
+
+      const resumed = await openStream(bob, { lastEventId: seen.id });
+      try {
+        assert.equal((await resumed.next()).event, 'ready');
+        assert.deepEqual([(await resumed.next()).data.text, (await resumed.next()).data.text], ['two', 'three']);
+      } finally {
+        resumed.close();
+      }
+    });
+
+    it('asks the client to refetch when it cannot replay', async () => {
+      const stream = await openStream(bob, { lastEventId: 'earlier-boot-1' });
+      try {
+        await stream.next();
+        assert.equal((await stream.next()).event, 'resync');
+      } finally {
+        stream.close();
+      }
+    });
+
+    it("closes a member's stream once they are removed from the team", async () => {
+      const removed = await openStream(bob);
+      const staying = await openStream(alice);
+      try {
+        await removed.next();
+        await staying.next();
+
+        const res = await harness.request('DELETE', `/api/team/${teamId}/members/${bob.id}`, { token: alice.token });
+        assert.equal(res.status, 200);
+
+        assert.deepEqual(await removed.next(), { id: (await staying.next()).id, event: 'membership', data: { members: [alice.id] } });
+        assert.equal(await removed.next(), null);
+        assert.match((await staying.next()).data.text, /removed Bob/);
+      } finally {
+        removed.close();
+        staying.close();
+      }
+    });
+
+    it('only streams to members', async () => {
+      const denied = await openStream(outsider);
+      denied.close();
+      assert.equal(denied.status, 403);
+
+      const anonymous = await openStream(null);
+      anonymous.close();
+      assert.equal(anonymous.status, 401);
+    });
+  });
+});
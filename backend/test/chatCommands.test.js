@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChatCommand, listChatCommands } from '../services/chatCommands.js';
+import { parseDuration } from '../services/reminders.js';
+
+function parsed(input) {
+  const { command, params } = parseChatCommand(input);
+  return { name: command.name, params };
+}
+
+describe('parseChatCommand', () => {
+  it('parses each command\'s arguments', () => {
+    assert.deepEqual(parsed('/repo study-buddy'), { name: 'repo', params: { repoName: 'study-buddy' } });
+    assert.deepEqual(parsed('/PLAN'), { name: 'plan', params: { focus: null } });
+    assert.deepEqual(parsed('/agent Scrum-Master how do we split the work?'), {
+      name: 'agent',
+      params: { agent: 'SCRUM_MASTER', question: 'how do we split the work?' }
+    });
+    assert.deepEqual(parsed('/task add Build login @Bob'), { name: 'task', params: { action: 'add', text: 'Build login @Bob' } });
+    assert.deepEqual(parsed('/task done #3'), { name: 'task', params: { action: 'done', number: 3 } });
+    assert.deepEqual(parsed('/task'), { name: 'task', params: { action: 'list' } });
+    assert.deepEqual(parsed('/poll Which stack? | React | Vue'), {
+      name: 'poll',
+      params: { question: 'Which stack?', options: ['React', 'Vue'] }
+    });
+    assert.deepEqual(parsed('/remind 1h30m submit to Devpost'), {
+      name: 'remind',
+      params: { delayMs: 90 * 60 * 1000, text: 'submit to Devpost' }
+    });
+  });
+
+  it('rejects unknown commands and bad arguments with a 400', () => {
+    for (const input of [
+      '/deploy now',
+      'no slash',
+      '/repo my repo',
+      '/agent janitor',
+      '/task done soon',
+      '/task remove 1',
+      '/poll Only one | option',
+      '/poll Dupes | A | a',
+      '/remind later call mom',
+      '/remind 2h'
+    ]) {
+      assert.throws(() => parseChatCommand(input), { status: 400 }, input);
+    }
+  });
+
+  it('lists usage and help text for autocompletion', () => {
+    const names = listChatCommands().map(command => command.name);
+    assert.deepEqual(names, ['help', 'repo', 'plan', 'agent', 'task', 'poll', 'remind']);
+    assert.ok(listChatCommands().every(command => command.usage.startsWith(`/${command.name}`) && command.description));
+  });
+});
+
+describe('parseDuration', () => {
+  it('reads minutes, hours and days', () => {
+    assert.equal(parseDuration('30m'), 30 * 60 * 1000);
+    assert.equal(parseDuration('2H'), 2 * 60 * 60 * 1000);
+    assert.equal(parseDuration('1d2h'), 26 * 60 * 60 * 1000);
+  });
+
+  it('returns null for anything else', () => {
+    for (const text of ['', '2', 'h', '2x', '1m2h', 'soon']) {
+      assert.equal(parseDuration(text), null, text);
+    }
+  });
+});
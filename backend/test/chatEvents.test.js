@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { publishTeamEvent, subscribeToTeam, eventsSince, REPLAY_LIMIT } from '../services/chatEvents.js';
+
+// The same boot's id n steps away from id
+const shiftId = (id, by) => id.replace(/\d+$/, n => String(Number(n) + by));
+
+describe('chat events', () => {
+  it('delivers events to subscribers of the same team only', () => {
+    const received = [];
+    const unsubscribe = subscribeToTeam('team-a', event => received.push(event));
+
+    publishTeamEvent('team-a', 'message', { text: 'hi' });
+    publishTeamEvent('team-b', 'message', { text: 'elsewhere' });
+    unsubscribe();
+    publishTeamEvent('team-a', 'message', { text: 'after unsubscribe' });
+
+    assert.deepEqual(received.map(e => e.data.text), ['hi']);
+  });
+
+  it('replays events after a given id', () => {
+    const first = publishTeamEvent('team-c', 'message', { text: 'one' });
+    publishTeamEvent('team-d', 'message', { text: 'other team' });
+    const second = publishTeamEvent('team-c', 'message', { text: 'two' });
+
+    assert.deepEqual(eventsSince('team-c', first.id), [second]);
+    assert.deepEqual(eventsSince('team-c', second.id), []);
+  });
+
+  it('refuses to replay evicted or unknown events', () => {
+    const first = publishTeamEvent('team-e', 'message', { n: 0 });
+    for (let n = 1; n <= REPLAY_LIMIT; n++) {
+      publishTeamEvent('team-e', 'message', { n });
+    }
+
+    assert.equal(eventsSince('team-e', shiftId(first.id, -1)), null);
+    assert.equal(eventsSince('team-e', first.id).length, REPLAY_LIMIT);
+    assert.equal(eventsSince('team-e', shiftId(first.id, REPLAY_LIMIT + 1)), null);
+    assert.equal(eventsSince('team-e', 'not-an-id'), null);
+  });
+
+  it('refuses to replay ids from before a restart, even when the number is in range', () => {
+    const first = publishTeamEvent('team-f', 'message', { text: 'one' });
+    publishTeamEvent('team-f', 'message', { text: 'two' });
+    const [, n] = first.id.split('-');
+
+    assert.equal(eventsSince('team-f', first.id).length, 1);
+    assert.equal(eventsSince('team-f', `earlier-${n}`), null);
+    assert.equal(eventsSince('team-f', n), null);
+  });
+});
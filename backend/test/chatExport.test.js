@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTranscript } from '../services/chatExport.js';
+
+function message(fields) {
+  return {
+    sender_type: 'member',
+    edited_at: null,
+    deleted: false,
+    reply_to: null,
+    attachments: [],
+    reactions: [],
+    ...fields
+  };
+}
+
+const transcript = {
+  team: { _id: 't1', name: 'Team 1', hackathon_id: 'h1' },
+  exported_at: new Date('2026-03-01T18:00:00Z'),
+  messages: [
+    message({ _id: 'm1', sender_id: 'u1', sender_name: 'Ada', timestamp: new Date('2026-03-01T09:00:00Z'), text: 'Kickoff\nat 10', reactions: [{ emoji: '👍', count: 2 }] }),
+    message({ _id: 'm2', sender_id: 'ai_bot', sender_name: 'AI Mentor', sender_type: 'ai', timestamp: new Date('2026-03-01T09:05:00Z'), text: 'Plan: ship the MVP' }),
+    message({ _id: 'm3', sender_id: 'u2', sender_name: 'Grace', timestamp: new Date('2026-03-01T09:10:00Z'), text: 'on it', reply_to: 'm1', edited_at: new Date('2026-03-01T09:11:00Z') }),
+    message({ _id: 'm4', sender_id: 'u2', sender_name: 'Grace', timestamp: new Date('2026-03-01T09:20:00Z'), text: '', attachments: [{ name: 'mockup.png', content_type: 'image/png', size: 2048 }] }),
+    message({ _id: 'm5', sender_id: 'system_bot', sender_name: 'System', sender_type: 'system', timestamp: new Date('2026-03-01T09:30:00Z'), text: '', deleted: true })
+  ]
+};
+
+describe('renderTranscript', () => {
+  it('renders plain text with replies under their thread', () => {
+    assert.equal(renderTranscript(transcript, 'text'), [
+      'Team 1 - chat transcript',
+      'Exported 2026-03-01 18:00 UTC, 5 messages',
+      '',
+      '[2026-03-01 09:00 UTC] Ada: Kickoff',
+      '    at 10',
+      '    👍 2',
+      '    ↳ [2026-03-01 09:10 UTC] Grace (edited): on it',
+      '[2026-03-01 09:05 UTC] AI Mentor [AI]: Plan: ship the MVP',
+      '[2026-03-01 09:20 UTC] Grace:',
+      '    📎 mockup.png (2 KB)',
+      '[2026-03-01 09:30 UTC] System [SYSTEM]: (message deleted)',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders Markdown with labelled senders and quoted replies', () => {
+    const markdown = renderTranscript(transcript, 'markdown');
+    assert.ok(markdown.startsWith('# Team 1 - chat transcript\n\nExported 2026-03-01 18:00 UTC · 5 messages\n'));
+    assert.ok(markdown.includes('**Ada** · 2026-03-01 09:00 UTC\n\nKickoff\nat 10\n- 👍 2\n'));
+    assert.ok(markdown.includes('> ↳ **Grace** · 2026-03-01 09:10 UTC · _(edited)_\n>\n> on it\n'));
+    assert.ok(markdown.includes('**AI Mentor [AI]** · 2026-03-01 09:05 UTC'));
+    assert.ok(markdown.includes('- 📎 mockup.png (2 KB)'));
+    assert.ok(markdown.includes('**System [SYSTEM]** · 2026-03-01 09:30 UTC\n\n_(message deleted)_'));
+  });
+
+  it('renders JSON in time order', () => {
+    const parsed = JSON.parse(renderTranscript(transcript, 'json'));
+    assert.deepEqual(parsed.messages.map(m => m._id), ['m1', 'm2', 'm3', 'm4', 'm5']);
+    assert.equal(parsed.exported_at, '2026-03-01T18:00:00.000Z');
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => renderTranscript(transcript, 'pdf'), { status: 400 });
+  });
+});
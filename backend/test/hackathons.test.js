@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  teamSizeLimits,
+  validateTeamSizeLimits,
+  targetComposition,
+  validateTargetComposition,
+  DEFAULT_MIN_TEAM_SIZE,
+  DEFAULT_MAX_TEAM_SIZE
+} from '../services/hackathons.js';
+import { DEFAULT_TARGET_COMPOSITION } from '../services/scoring.js';
+
+describe('teamSizeLimits', () => {
+  it('falls back to the defaults', () => {
+    assert.deepEqual(teamSizeLimits(null), { min: DEFAULT_MIN_TEAM_SIZE, max: DEFAULT_MAX_TEAM_SIZE });
+    assert.deepEqual(teamSizeLimits({ name: 'No limits' }), { min: DEFAULT_MIN_TEAM_SIZE, max: DEFAULT_MAX_TEAM_SIZE });
+  });
+
+  it("uses the hackathon's own limits", () => {
+    assert.deepEqual(teamSizeLimits({ min_team_size: 3, max_team_size: 5 }), { min: 3, max: 5 });
+  });
+
+  it('never reports a min above the max', () => {
+    assert.deepEqual(teamSizeLimits({ min_team_size: 3, max_team_size: 2 }), { min: 2, max: 2 });
+  });
+});
+
+describe('validateTeamSizeLimits', () => {
+  it('accepts a usable range', () => {
+    assert.equal(validateTeamSizeLimits(2, 4), null);
+    assert.equal(validateTeamSizeLimits(1, 2), null);
+  });
+
+  it('rejects non-integers, teams of one and inverted ranges', () => {
+    assert.match(validateTeamSizeLimits(2, 4.5), /integers/);
+    assert.match(validateTeamSizeLimits('2', 4), /integers/);
+    assert.match(validateTeamSizeLimits(0, 4), /at least/);
+    assert.match(validateTeamSizeLimits(1, 1), /at least/);
+    assert.match(validateTeamSizeLimits(5, 4), /greater than/);
+  });
+});
+
+describe('targetComposition', () => {
+  it('falls back to one of each core role', () => {
+    assert.deepEqual(targetComposition(null), DEFAULT_TARGET_COMPOSITION);
+    assert.deepEqual(targetComposition({ target_composition: [] }), DEFAULT_TARGET_COMPOSITION);
+  });
+
+  it("uses the hackathon's own composition", () => {
+    const composition = [{ role: 'Backend', count: 2 }, { role: 'AI/ML', count: 1 }];
+    assert.deepEqual(targetComposition({ target_composition: composition }), composition);
+  });
+});
+
+describe('validateTargetComposition', () => {
+  it('accepts known roles with positive counts', () => {
+    assert.equal(validateTargetComposition([{ role: 'Frontend', count: 1 }, { role: 'Full Stack', count: 2 }]), null);
+  });
+
+  it('rejects empty lists, unknown roles, bad counts and duplicates', () => {
+    assert.match(validateTargetComposition([]), /non-empty/);
+    assert.match(validateTargetComposition('Frontend'), /non-empty/);
+    assert.match(validateTargetComposition([{ role: 'Wizard', count: 1 }]), /role must be one of/);
+    assert.match(validateTargetComposition([{ role: 'Backend', count: 0 }]), /positive integer/);
+    assert.match(validateTargetComposition([{ role: 'Backend', count: 1.5 }]), /positive integer/);
+    assert.match(validateTargetComposition([{ role: 'Backend', count: 1 }, { role: 'Backend', count: 2 }]), /more than once/);
+  });
+});
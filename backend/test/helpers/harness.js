@@ -0,0 +1,229 @@
+import { mock } from 'node:test';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import app from '../../app.js';
+import User from '../../models/User.js';
+import Message from '../../models/Message.js';
+import Hackathon from '../../models/Hackathon.js';
+import { signToken } from '../../middleware/auth.js';
+import { setLLMProvider, createGeminiProvider, createOfflineProvider } from '../../services/llm/index.js';
+import { setOctokit } from '../../services/github.js';
+import { setStorage, createLocalStorage } from '../../services/storage/index.js';
+
+// Integration test harness: boots app.js against an in-memory MongoDB on a random port.
+// The LLM provider and Octokit are replaced with stubs so tests never touch the network, and
+// attachments are stored in a temporary directory.
+//
+// If mongod can't be started (e.g. the binary download is blocked) startTestServer() throws,
+// so the suites fail instead of passing without running. With SKIP_DB_TESTS=1 it returns
+// { skip: reason } instead and suites pass it to describe() so the skip is reported.
+
+// Gemini stub: installs a Gemini provider whose generateContent/sendMessage calls
+// all answer with responseText
+export function stubGemini(responseText = '{}', { functionCalls = [] } = {}) {
+  const calls = [];
+  const response = {
+    text: () => responseText,
+    functionCalls: () => functionCalls
+  };
+  const model = {
+    generateContent: async (prompt) => {
+      calls.push(prompt);
+      return { response };
+    },
+    startChat: () => ({
+      sendMessage: async (message) => {
+        calls.push(message);
+        return { response };
+      }
+    })
+  };
+  setLLMProvider(createGeminiProvider({ client: { getGenerativeModel: () => model } }));
+  return calls;
+}
+
+// Octokit stub covering the calls made by services/github.js
+export function stubOctokit({ owner = 'hackconnect-bot' } = {}) {
+  const calls = { created: [], invited: [] };
+  setOctokit({
+    users: {
+      getAuthenticated: async () => ({ data: { login: owner } })
+    },
+    repos: {
+      createForAuthenticatedUser: async ({ name }) => {
+        calls.created.push(name);
+        return {
+          data: {
+            full_name: `${owner}/${name}`,
+            html_url: `https://github.com/${owner}/${name}`,
+            clone_url: `https://github.com/${owner}/${name}.git`
+          }
+        };
+      },
+      addCollaborator: async ({ username }) => {
+        calls.invited.push(username);
+      }
+    }
+  });
+  return calls;
+}
+
+export async function startTestServer() {
+  let mongo;
+  try {
+    mongo = await MongoMemoryServer.create();
+  } catch (error) {
+    if (process.env.SKIP_DB_TESTS === '1') {
+      return { skip: `in-memory MongoDB unavailable: ${error.message}` };
+    }
+    throw new Error(`in-memory MongoDB unavailable (set SKIP_DB_TESTS=1 to skip the integration suites): ${error.message}`);
+  }
+
+  // Route handlers log every request - keep the test output readable
+  const quiet = mock.method(console, 'log', () => {});
+
+  await mongoose.connect(mongo.getUri());
+  setLLMProvider(createOfflineProvider());
+  stubOctokit();
+  const uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'chat-uploads-'));
+  setStorage(createLocalStorage({ root: uploadDir }));
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    skip: false,
+
+    // JSON request helper - resolves to { status, body }
+    async request(method, path, { token, body } = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      const res = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await res.text();
+      return { status: res.status, body: text ? JSON.parse(text) : null };
+    },
+
+    // multipart/form-data POST - files are [{ name, type, data }]. Resolves to { status, body }.
+    async upload(path, { token, fields = {}, files = [] } = {}) {
+      const form = new FormData();
+      Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+      files.forEach(({ name, type, data }) => form.append('files', new Blob([data], { type }), name));
+      const res = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        body: form
+      });
+      const text = await res.text();
+      return { status: res.status, body: text ? JSON.parse(text) : null };
+    },
+
+    // GET raw bytes - resolves to { status, headers, data (Buffer) }
+    async download(path, { token } = {}) {
+      const res = await fetch(`${baseUrl}${path}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      return { status: res.status, headers: res.headers, data: Buffer.from(await res.arrayBuffer()) };
+    },
+
+    // Same as request() for newline-delimited JSON responses - resolves to { status, events }
+    async requestStream(method, path, { token, body } = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      const res = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await res.text();
+      return { status: res.status, events: text.split('\n').filter(Boolean).map(line => JSON.parse(line)) };
+    },
+
+    // Open a Server-Sent Events stream - next() resolves to the next { id, event, data }
+    // (null once the stream ends); close() aborts it
+    async openEventStream(path, { token, lastEventId } = {}) {
+      const controller = new AbortController();
+      const headers = {};
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      if (lastEventId !== undefined) {
+        headers['Last-Event-ID'] = String(lastEventId);
+      }
+      const res = await fetch(`${baseUrl}${path}`, { headers, signal: controller.signal });
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      async function next() {
+        while (true) {
+          const end = buffer.indexOf('\n\n');
+          if (end !== -1) {
+            const fields = {};
+            for (const line of buffer.slice(0, end).split('\n')) {
+              const colon = line.indexOf(':');
+              if (colon > 0) fields[line.slice(0, colon)] = line.slice(colon + 1).trimStart();
+            }
+            buffer = buffer.slice(end + 2);
+            if (!fields.event) continue; // retry: and heartbeat comments
+            return { id: fields.id || null, event: fields.event, data: JSON.parse(fields.data) };
+          }
+          const { done, value } = await reader.read();
+          if (done) return null;
+          buffer += decoder.decode(value, { stream: true });
+        }
+      }
+
+      return { status: res.status, next, close: () => controller.abort() };
+    },
+
+    // Empty every collection and restore the default stubs between tests
+    async reset() {
+      await mongoose.connection.db.dropDatabase();
+      setLLMProvider(createOfflineProvider());
+      stubOctokit();
+    },
+
+    async stop() {
+      await new Promise(resolve => server.close(resolve));
+      await mongoose.disconnect();
+      await mongo.stop();
+      await fs.rm(uploadDir, { recursive: true, force: true });
+      quiet.mock.restore();
+    }
+  };
+}
+
+let userCounter = 0;
+
+// Create a user with a string _id (like the real collection) and a session token
+export async function createUser(fields = {}) {
+  userCounter += 1;
+  const user = await User.create({
+    _id: new mongoose.Types.ObjectId().toString(),
+    name: `Test User ${userCounter}`,
+    email: `user${userCounter}@example.com`,
+    registered_hackathons: [],
+    ...fields
+  });
+  return { user, id: String(user._id), token: signToken(user) };
+}
+
+export async function createHackathon(fields = {}) {
+  const hackathon = await Hackathon.create({ name: 'Test Hackathon', ...fields });
+  return String(hackathon._id);
+}
+
+// The newest chat message posted to a team
+export function lastMessage(teamId) {
+  return Message.findOne({ team_id: String(teamId) }).sort({ timestamp: -1, _id: -1 });
+}
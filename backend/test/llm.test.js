@@ -0,0 +1,199 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLLM, setLLMProvider, createGeminiProvider, createOfflineProvider, parseJSONResponse } from '../services/llm/index.js';
+import { AGENT_TOOLS } from '../services/ai.js';
+
+const frontend = { _id: 'u1', name: 'Ada', role_preference: 'Frontend', tech_stack: ['React', 'Tailwind'] };
+const backend = { _id: 'u2', name: 'Linus', role_preference: 'Backend', tech_stack: ['Node.js', 'MongoDB'] };
+const otherFrontend = { _id: 'u3', name: 'Grace', role_preference: 'Frontend', tech_stack: ['React'] };
+
+// Fake GoogleGenerativeAI client: replies are consumed in order by generateContent/sendMessage
+function fakeClient(replies) {
+  const sent = [];
+  const next = () => {
+    const reply = replies.shift();
+    return {
+      response: {
+        text: () => reply.text || '',
+        functionCalls: () => reply.functionCalls || []
+      }
+    };
+  };
+  return {
+    sent,
+    client: {
+      getGenerativeModel: () => ({
+        generateContent: async (prompt) => {
+          sent.push(prompt);
+          return next();
+        },
+        startChat: () => ({
+          sendMessage: async (message) => {
+            sent.push(message);
+            return next();
+          }
+        })
+      })
+    }
+  };
+}
+
+describe('parseJSONResponse', () => {
+  it('strips markdown fences and surrounding text', () => {
+    assert.deepEqual(parseJSONResponse('Sure!\n```json\n{"score": 80}\n```'), { score: 80 });
+  });
+
+  it('keeps the raw response on parse errors', () => {
+    assert.throws(() => parseJSONResponse('not json'), error => error.rawResponse === 'not json');
+  });
+});
+
+describe('offline provider', () => {
+  const llm = createOfflineProvider();
+
+  it('scores the same pair the same way every time', async () => {
+    const input = { user1: frontend, user2: backend, teamMembers: null };
+    const first = await llm.generateJSON('ignored', { task: 'match-score', input });
+    const second = await llm.generateJSON('a different prompt', { task: 'match-score', input });
+    assert.deepEqual(first, second);
+    assert.ok(first.score >= 5 && first.score <= 100);
+    assert.match(first.reason, /Pros: .*Major Risk: /);
+  });
+
+  it('prefers a complementary role over a duplicate one', async () => {
+    const complementary = await llm.generateJSON('', { task: 'match-score', input: { user1: frontend, user2: backend } });
+    const duplicate = await llm.generateJSON('', { task: 'match-score', input: { user1: frontend, user2: otherFrontend } });
+    assert.ok(complementary.score > duplicate.score);
+  });
+
+  it('extracts a profile from resume text', async () => {
+    const profile = await llm.generateJSON('', {
+      task: 'profile',
+      input: { text: 'Alice Liddell - engineer\nalice@example.com\nBuilt APIs with Node.js, Express and PostgreSQL' }
+    });
+    assert.equal(profile.name, 'Alice Liddell');
+    assert.equal(profile.email, 'alice@example.com');
+    assert.equal(profile.role_preference, 'Backend');
+    assert.deepEqual(profile.skills, ['Node.js', 'Express', 'PostgreSQL']);
+  });
+
+  it('only calls createGitHubRepo when the user asks for a repo', async () => {
+    const created = [];
+    const handlers = {
+      createGitHubRepo: async (args) => {
+        created.push(args.repoName);
+        return { repository: { url: `https://github.com/bot/${args.repoName}` } };
+      }
+    };
+    const input = { activeAgent: 'ARCHITECT', members: [frontend], hackathonName: 'HackMIT 2025' };
+
+    const advice = await llm.runWithTools({ tools: AGENT_TOOLS, handlers, task: 'team-advice', input });
+    assert.equal(advice.functionCall, null);
+    assert.match(advice.text, /Plan for HackMIT 2025/);
+    assert.equal(created.length, 0);
+
+    const repo = await llm.runWithTools({
+      tools: AGENT_TOOLS,
+      handlers,
+      task: 'team-advice',
+      input: { ...input, prompt: 'Please create a repo for us' }
+    });
+    assert.deepEqual(created, ['hackmit-2025-project']);
+    assert.equal(repo.functionCall.name, 'createGitHubRepo');
+    assert.match(repo.text, /https:\/\/github\.com\/bot\/hackmit-2025-project/);
+  });
+});
+
+describe('gemini provider', () => {
+  it('parses JSON answers', async () => {
+    const { client } = fakeClient([{ text: 'ok' }, { text: '```json\n{"score": 72}\n```' }]);
+    const llm = createGeminiProvider({ client });
+    assert.deepEqual(await llm.generateJSON('score these two'), { score: 72 });
+  });
+
+  it('runs the requested tool and sends its result back to the model', async () => {
+    const { client, sent } = fakeClient([
+      { text: 'ok' },
+      { functionCalls: [{ name: 'createGitHubRepo', args: { repoName: 'demo' } }] },
+      { text: 'Repo created!' }
+    ]);
+    const llm = createGeminiProvider({ client });
+    const result = await llm.runWithTools({
+      systemInstruction: 'system',
+      message: 'make a repo',
+      tools: AGENT_TOOLS,
+      handlers: { createGitHubRepo: async ({ repoName }) => ({ repository: { name: repoName } }) }
+    });
+
+    assert.equal(result.text, 'Repo created!');
+    assert.equal(result.functionCall.name, 'createGitHubRepo');
+    assert.deepEqual(sent.at(-1), [
+      { functionResponse: { name: 'createGitHubRepo', response: { success: true, repository: { name: 'demo' } } } }
+    ]);
+  });
+
+  it('reports tool errors to the model instead of throwing', async () => {
+    const { client, sent } = fakeClient([
+      { text: 'ok' },
+      { functionCalls: [{ name: 'createGitHubRepo', args: {} }] },
+      { text: 'GitHub is not configured.' }
+    ]);
+    const llm = createGeminiProvider({ client });
+    const result = await llm.runWithTools({
+      message: 'make a repo',
+      tools: AGENT_TOOLS,
+      handlers: { createGitHubRepo: async () => { throw new Error('GITHUB_TOKEN not set'); } }
+    });
+
+    assert.equal(result.text, 'GitHub is not configured.');
+    assert.deepEqual(sent.at(-1)[0].functionResponse.response, { success: false, error: 'GITHUB_TOKEN not set' });
+  });
+});
+
+describe('provider selection', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    saved.LLM_PROVIDER = process.env.LLM_PROVIDER;
+    saved.GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    setLLMProvider(null);
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+    setLLMProvider(null);
+    mock.restoreAll();
+  });
+
+  it('uses the offline provider when no API key is set', () => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.GEMINI_API_KEY;
+    assert.equal(getLLM().name, 'offline');
+  });
+
+  it('uses Gemini when an API key is set', () => {
+    delete process.env.LLM_PROVIDER;
+    process.env.GEMINI_API_KEY = 'test-key';
+    assert.equal(getLLM().name, 'gemini');
+  });
+
+  it('lets LLM_PROVIDER force the offline provider', () => {
+    process.env.LLM_PROVIDER = 'offline';
+    process.env.GEMINI_API_KEY = 'test-key';
+    assert.equal(getLLM().name, 'offline');
+  });
+
+  it('falls back to offline for unknown providers', () => {
+    process.env.LLM_PROVIDER = 'gpt-banana';
+    assert.equal(getLLM().name, 'offline');
+    assert.equal(console.warn.mock.calls.length, 1);
+  });
+});
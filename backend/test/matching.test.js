@@ -0,0 +1,179 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import MatchScore from '../models/MatchScore.js';
+import Team from '../models/Team.js';
+import { setLLMProvider, createOfflineProvider } from '../services/llm/index.js';
+import { startTestServer, createUser, createHackathon } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+// Offline provider that counts how often it's asked to score
+function countingProvider() {
+  const offline = createOfflineProvider();
+  const provider = {
+    name: 'counting',
+    calls: 0,
+    async generateJSON(prompt, options) {
+      provider.calls += 1;
+      return offline.generateJSON(prompt, options);
+    }
+  };
+  setLLMProvider(provider);
+  return provider;
+}
+
+describe('matching', { skip: harness.skip }, () => {
+  let alice;
+  let bob;
+  let carol;
+  let hackathonId;
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    hackathonId = await createHackathon();
+    alice = await createUser({ name: 'Alice', role_preference: 'Frontend', tech_stack: ['React'], registered_hackathons: [hackathonId] });
+    bob = await createUser({ name: 'Bob', role_preference: 'Backend', tech_stack: ['Node.js'], registered_hackathons: [hackathonId] });
+    carol = await createUser({ name: 'Carol', role_preference: 'Design', tech_stack: ['Figma'], registered_hackathons: [hackathonId] });
+  });
+
+  describe('match-score cache', () => {
+    function score(user, candidate, body = {}) {
+      return harness.request('POST', '/match-score', {
+        token: user.token,
+        body: { user1_id: user.id, user2_id: candidate.id, ...body }
+      });
+    }
+
+    it('returns rule-engine scores with a breakdown in rules mode', async () => {
+      const res = await score(alice, bob, { mode: 'rules' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.engine, 'rules');
+      assert.ok(res.body.breakdown.length > 0);
+    });
+
+    it('rejects unknown modes', async () => {
+      const res = await score(alice, bob, { mode: 'vibes' });
+      assert.equal(res.status, 400);
+    });
+
+    it('reuses a stored score until a profile changes', async () => {
+      const provider = countingProvider();
+
+      const first = await score(alice, bob);
+      const second = await score(alice, bob);
+      assert.equal(first.body.cached, false);
+      assert.equal(second.body.cached, true);
+      assert.equal(second.body.score, first.body.score);
+      assert.equal(provider.calls, 1);
+
+      const update = await harness.request('PUT', `/api/users/${bob.id}`, {
+        token: bob.token,
+        body: { userData: { name: 'Bob', role_preference: 'Frontend', tech_stack: ['React'] }, selectedHackathons: [hackathonId] }
+      });
+      assert.equal(update.status, 200);
+      assert.equal(await MatchScore.countDocuments({ candidate_id: bob.id }), 0);
+
+      const third = await score(alice, bob);
+      assert.equal(third.body.cached, false);
+      assert.ok(third.body.score < first.body.score);
+      assert.equal(provider.calls, 2);
+    });
+
+    it('keys scores by team composition', async () => {
+      const provider = countingProvider();
+
+      await score(alice, carol);
+      const withTeam = await score(alice, carol, { team_member_ids: [alice.id, bob.id] });
+      assert.equal(withTeam.body.cached, false);
+      assert.equal(provider.calls, 2);
+    });
+
+    it('keys scores by perspective', async () => {
+      const provider = countingProvider();
+
+      await score(alice, bob);
+      const asBob = await harness.request('POST', '/match-score', {
+        token: bob.token,
+        body: { user1_id: alice.id, user2_id: bob.id }
+      });
+      assert.equal(asBob.body.cached, false);
+      assert.equal(provider.calls, 2);
+      assert.equal((await score(alice, bob)).body.cached, true);
+    });
+
+    it('requires a signed-in user to score', async () => {
+      const res = await harness.request('POST', '/match-score', { body: { user1_id: alice.id, user2_id: bob.id } });
+      assert.equal(res.status, 401);
+      assert.equal(await MatchScore.countDocuments(), 0);
+    });
+
+    it('does not store fallback scores', async () => {
+      setLLMProvider({ name: 'broken', generateJSON: async () => { throw new Error('quota exceeded'); } });
+
+      const res = await score(alice, bob);
+      assert.equal(res.body.fallback, true);
+      assert.equal(await MatchScore.countDocuments(), 0);
+    });
+
+    it('returns cached scores for the hackathon roster in one response', async () => {
+      setLLMProvider(createOfflineProvider());
+      await Team.create({ hackathon_id: hackathonId, name: 'Team 1', members: [alice.id] });
+      await score(alice, bob, { team_member_ids: [alice.id] });
+
+      const res = await harness.request('GET', `/hackathons/${hackathonId}/match-scores`, { token: alice.token });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.team_member_ids, [alice.id]);
+      assert.deepEqual(Object.keys(res.body.scores), [bob.id]);
+      assert.equal(res.body.scores[bob.id].cached, true);
+      assert.deepEqual(res.body.missing, [carol.id]);
+    });
+
+    it('requires a signed-in user for the roster endpoint', async () => {
+      const res = await harness.request('GET', `/hackathons/${hackathonId}/match-scores`);
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('batch roster scoring', () => {
+    function scoreRoster(user, body = {}) {
+      return harness.requestStream('POST', `/hackathons/${hackathonId}/match-scores`, { token: user.token, body });
+    }
+
+    it('streams a score for every registered user, then a summary', async () => {
+      const res = await scoreRoster(alice);
+      assert.equal(res.status, 200);
+
+      const [start, ...rest] = res.events;
+      const done = rest.pop();
+      assert.equal(start.type, 'start');
+      assert.equal(start.total, 2);
+      assert.deepEqual(rest.map(e => e.candidate_id).sort(), [bob.id, carol.id].sort());
+      assert.ok(rest.every(e => e.type === 'score' && typeof e.result.score === 'number'));
+      assert.deepEqual(done, { type: 'done', total: 2, cached: 0, scored: 2, failed: [], fallback: [] });
+    });
+
+    it('reports cached scores on the next run', async () => {
+      await scoreRoster(alice);
+      const res = await scoreRoster(alice);
+      const done = res.events.at(-1);
+      assert.equal(done.cached, 2);
+      assert.equal(done.scored, 0);
+    });
+
+    it('lists candidates the LLM failed on as fallback', async () => {
+      setLLMProvider({ name: 'broken', generateJSON: async () => { throw new Error('quota exceeded'); } });
+      const res = await scoreRoster(alice);
+      assert.deepEqual(res.events.at(-1).fallback.sort(), [bob.id, carol.id].sort());
+    });
+
+    it('rejects unknown modes before streaming', async () => {
+      const res = await harness.request('POST', `/hackathons/${hackathonId}/match-scores`, {
+        token: alice.token,
+        body: { mode: 'vibes' }
+      });
+      assert.equal(res.status, 400);
+    });
+  });
+});
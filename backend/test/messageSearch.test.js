@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchTerms, buildSnippet } from '../services/messageSearch.js';
+
+function highlighted({ snippet, highlights }) {
+  return highlights.map(([start, end]) => snippet.slice(start, end));
+}
+
+describe('parseSearchTerms', () => {
+  it('splits words and keeps quoted phrases together', () => {
+    assert.deepEqual(parseSearchTerms('deploy "API key"  plan'), ['deploy', 'api key', 'plan']);
+  });
+
+  it('drops duplicates and empty quotes', () => {
+    assert.deepEqual(parseSearchTerms('Plan plan "" "'), ['plan']);
+    assert.deepEqual(parseSearchTerms(''), []);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('highlights every match, case-insensitively', () => {
+    const result = buildSnippet('Rotate the API key before the demo - the api key is in .env', ['api key']);
+    assert.equal(result.snippet, 'Rotate the API key before the demo - the api key is in .env');
+    assert.deepEqual(highlighted(result), ['API key', 'api key']);
+  });
+
+  it('cuts long text around the first match', () => {
+    const text = `${'lorem '.repeat(40)}the plan is to ship the MVP${' ipsum'.repeat(40)}`;
+    const result = buildSnippet(text, ['plan']);
+    assert.ok(result.snippet.startsWith('…'));
+    assert.ok(result.snippet.endsWith('…'));
+    assert.ok(result.snippet.length <= 162);
+    assert.deepEqual(highlighted(result), ['plan']);
+  });
+
+  it('merges overlapping matches', () => {
+    const result = buildSnippet('database', ['data', 'tab']);
+    assert.deepEqual(result.highlights, [[0, 5]]);
+  });
+
+  it('treats terms as text, not patterns', () => {
+    assert.deepEqual(highlighted(buildSnippet('is it a.b or axb?', ['a.b'])), ['a.b']);
+  });
+
+  it('starts at the beginning without terms', () => {
+    assert.deepEqual(buildSnippet('  just\nfilters ', []), { snippet: 'just filters', highlights: [] });
+  });
+});
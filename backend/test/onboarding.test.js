@@ -0,0 +1,88 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { startTestServer, stubGemini, createUser } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+describe('onboarding', { skip: harness.skip }, () => {
+  let alice;
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    alice = await createUser({ name: 'Alice' });
+  });
+
+  const profile = {
+    name: 'Alice Liddell',
+    role_preference: 'Backend',
+    skills: ['Node.js', 'MongoDB'],
+    tech_stack: ['Express'],
+    github: 'alice'
+  };
+
+  it("saves the signed-in user's profile and hackathons", async () => {
+    const res = await harness.request('POST', '/api/onboarding/save', {
+      token: alice.token,
+      body: { userData: profile, selectedHackathons: ['hack-1', 'hack-2'] }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.userId, alice.id);
+
+    const saved = await User.findById(alice.id);
+    assert.equal(saved.name, 'Alice Liddell');
+    assert.deepEqual([...saved.skills], ['Node.js', 'MongoDB']);
+    assert.deepEqual([...saved.registered_hackathons], ['hack-1', 'hack-2']);
+  });
+
+  it('cannot overwrite the id or password hash', async () => {
+    const res = await harness.request('POST', '/api/onboarding/save', {
+      token: alice.token,
+      body: { userData: { ...profile, _id: 'someone-else', password_hash: 'x' } }
+    });
+
+    assert.equal(res.status, 200);
+    const saved = await User.findById(alice.id).select('+password_hash');
+    assert.equal(saved.name, 'Alice Liddell');
+    assert.equal(saved.password_hash, undefined);
+    assert.equal(await User.countDocuments({ _id: 'someone-else' }), 0);
+  });
+
+  it('requires a name', async () => {
+    const res = await harness.request('POST', '/api/onboarding/save', {
+      token: alice.token,
+      body: { userData: { skills: ['Go'] } }
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it('requires a session', async () => {
+    const res = await harness.request('POST', '/api/onboarding/save', { body: { userData: profile } });
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects saving someone else's profile via PUT /api/users/:id", async () => {
+    const bob = await createUser();
+    const res = await harness.request('PUT', `/api/users/${bob.id}`, {
+      token: alice.token,
+      body: { userData: profile }
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it('extracts a profile from resume text (stubbed Gemini)', async () => {
+    stubGemini('```json\n{"name":"Alice Liddell","role_preference":"Backend","skills":["Node.js"]}\n```');
+
+    const res = await harness.request('POST', '/api/onboarding/analyze', {
+      token: alice.token,
+      body: { resumeText: 'Alice Liddell - backend engineer, Node.js' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, 'Alice Liddell');
+    assert.deepEqual(res.body.skills, ['Node.js']);
+  });
+});
@@ -0,0 +1,292 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  requireAuth,
+  requireSelf,
+  requireTeamMember,
+  requireTeamLead,
+  requireRequestRecipient,
+  requireRequestSender,
+  requireHackathonOrganizer,
+  requireProposalMember,
+  requireMessageAuthor
+} from '../middleware/policies.js';
+
+// Minimal stand-ins for Express req/res
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Run a middleware and report whether it called next()
+async function run(middleware, req) {
+  const res = mockRes();
+  let nextCalled = false;
+  let nextError = null;
+  await middleware(req, res, (error) => {
+    nextCalled = true;
+    nextError = error || null;
+  });
+  return { res, nextCalled, nextError };
+}
+
+const alice = { _id: 'user-alice' };
+const team = { _id: 'team-1', members: ['user-alice', 'user-bob'] };
+
+describe('requireAuth', () => {
+  it('rejects anonymous requests with 401', async () => {
+    const { res, nextCalled } = await run(requireAuth, { user: null });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'Authentication required');
+  });
+
+  it('passes signed-in users through', async () => {
+    const { nextCalled } = await run(requireAuth, { user: alice });
+    assert.equal(nextCalled, true);
+  });
+});
+
+describe('requireSelf (only yourself)', () => {
+  const policy = requireSelf(req => req.params.id);
+
+  it('rejects anonymous requests with 401', async () => {
+    const { res, nextCalled } = await run(policy, { user: null, params: { id: 'user-alice' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('allows acting on your own id', async () => {
+    const { nextCalled } = await run(policy, { user: alice, params: { id: 'user-alice' } });
+    assert.equal(nextCalled, true);
+  });
+
+  it('rejects acting on someone else with 403', async () => {
+    const { res, nextCalled } = await run(policy, { user: alice, params: { id: 'user-bob' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('allows a missing id so the route can fall back to the session user', async () => {
+    const bodyPolicy = requireSelf(req => req.body.user_id);
+    const { nextCalled } = await run(bodyPolicy, { user: alice, body: {} });
+    assert.equal(nextCalled, true);
+  });
+});
+
+describe('requireTeamMember (only team members)', () => {
+  const policy = requireTeamMember(async req => (req.params.teamId === team._id ? team : null));
+
+  it('rejects anonymous requests with 401', async () => {
+    const { res, nextCalled } = await run(policy, { user: null, params: { teamId: 'team-1' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('returns 404 for unknown teams', async () => {
+    const { res, nextCalled } = await run(policy, { user: alice, params: { teamId: 'team-404' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('rejects non-members with 403', async () => {
+    const { res, nextCalled } = await run(policy, { user: { _id: 'user-eve' }, params: { teamId: 'team-1' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('lets members through and exposes the team on req.team', async () => {
+    const req = { user: alice, params: { teamId: 'team-1' } };
+    const { nextCalled } = await run(policy, req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.team, team);
+  });
+
+  it('forwards loader errors to next()', async () => {
+    const failing = requireTeamMember(async () => { throw new Error('db down'); });
+    const { nextCalled, nextError } = await run(failing, { user: alice, params: {} });
+    assert.equal(nextCalled, true);
+    assert.equal(nextError.message, 'db down');
+  });
+});
+
+describe('requireTeamLead (only the team lead)', () => {
+  const ledTeam = { _id: 'team-2', lead_id: 'user-bob', members: ['user-alice', 'user-bob'] };
+  const teams = { 'team-1': team, 'team-2': ledTeam };
+  const policy = requireTeamLead(async req => teams[req.params.teamId] || null);
+
+  it('returns 404 for unknown teams', async () => {
+    const { res } = await run(policy, { user: alice, params: { teamId: 'missing' } });
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('rejects members who are not the lead with 403', async () => {
+    const { res, nextCalled } = await run(policy, { user: alice, params: { teamId: 'team-2' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('lets the lead through', async () => {
+    const req = { user: { _id: 'user-bob' }, params: { teamId: 'team-2' } };
+    const { nextCalled } = await run(policy, req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.team, ledTeam);
+  });
+
+  it('treats the first member as the lead of teams without a lead_id', async () => {
+    const { nextCalled } = await run(policy, { user: alice, params: { teamId: 'team-1' } });
+    assert.equal(nextCalled, true);
+  });
+});
+
+describe('requireRequestRecipient (only the request recipient)', () => {
+  const requests = {
+    'req-1': { _id: 'req-1', from_user_id: 'user-bob', to_user_id: 'user-alice', status: 'pending' }
+  };
+  const policy = requireRequestRecipient(async req => requests[req.params.requestId] || null);
+
+  it('rejects anonymous requests with 401', async () => {
+    const { res, nextCalled } = await run(policy, { user: null, params: { requestId: 'req-1' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('returns 404 for unknown requests', async () => {
+    const { res } = await run(policy, { user: alice, params: { requestId: 'missing' } });
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('rejects the sender with 403', async () => {
+    const { res, nextCalled } = await run(policy, { user: { _id: 'user-bob' }, params: { requestId: 'req-1' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('lets the recipient through', async () => {
+    const req = { user: alice, params: { requestId: 'req-1' } };
+    const { nextCalled } = await run(policy, req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.teamRequest, requests['req-1']);
+  });
+});
+
+describe('requireRequestSender (only the request sender)', () => {
+  const request = { _id: 'req-1', from_user_id: 'user-alice', to_user_id: 'user-bob', status: 'pending' };
+  const policy = requireRequestSender(async req => (req.params.requestId === 'req-1' ? request : null));
+
+  it('rejects anonymous requests with 401', async () => {
+    const { res } = await run(policy, { user: null, params: { requestId: 'req-1' } });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('returns 404 for unknown requests', async () => {
+    const { res } = await run(policy, { user: alice, params: { requestId: 'missing' } });
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('rejects the recipient with 403', async () => {
+    const { res, nextCalled } = await run(policy, { user: { _id: 'user-bob' }, params: { requestId: 'req-1' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('lets the sender through', async () => {
+    const req = { user: alice, params: { requestId: 'req-1' } };
+    const { nextCalled } = await run(policy, req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.teamRequest, request);
+  });
+});
+
+describe('requireHackathonOrganizer (only hackathon organizers)', () => {
+  const hackathon = { _id: 'hack-1', organizers: ['user-alice'] };
+  const policy = requireHackathonOrganizer(async req => (req.params.hackathonId === 'hack-1' ? hackathon : null));
+
+  it('rejects anonymous requests with 401', async () => {
+    const { res } = await run(policy, { user: null, params: { hackathonId: 'hack-1' } });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('returns 404 for unknown hackathons', async () => {
+    const { res } = await run(policy, { user: alice, params: { hackathonId: 'missing' } });
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('rejects participants with 403', async () => {
+    const { res, nextCalled } = await run(policy, { user: { _id: 'user-bob' }, params: { hackathonId: 'hack-1' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('lets organizers through and exposes the hackathon on req.hackathon', async () => {
+    const req = { user: alice, params: { hackathonId: 'hack-1' } };
+    const { nextCalled } = await run(policy, req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.hackathon, hackathon);
+  });
+});
+
+describe('requireProposalMember (only proposed members)', () => {
+  const proposal = { _id: 'prop-1', members: ['user-alice', 'user-bob'] };
+  const policy = requireProposalMember(async req => (req.params.proposalId === 'prop-1' ? proposal : null));
+
+  it('returns 404 for unknown proposals', async () => {
+    const { res } = await run(policy, { user: alice, params: { proposalId: 'missing' } });
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('rejects users outside the proposal with 403', async () => {
+    const { res } = await run(policy, { user: { _id: 'user-carol' }, params: { proposalId: 'prop-1' } });
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('lets proposed members through', async () => {
+    const req = { user: alice, params: { proposalId: 'prop-1' } };
+    const { nextCalled } = await run(policy, req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.proposal, proposal);
+  });
+});
+
+describe('requireMessageAuthor (only the message author)', () => {
+  const message = { _id: 'msg-1', senderId: 'user-bob', text: 'hi' };
+  const team = { _id: 'team-1', members: ['user-alice', 'user-bob'], lead_id: 'user-alice' };
+  const loadMessage = async req => (req.params.messageId === 'msg-1' ? message : null);
+  const authorOnly = requireMessageAuthor(loadMessage);
+  const authorOrLead = requireMessageAuthor(loadMessage, { allowTeamLead: true });
+
+  it('rejects anonymous requests with 401', async () => {
+    const { res } = await run(authorOnly, { params: { messageId: 'msg-1' } });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('returns 404 for unknown messages', async () => {
+    const { res } = await run(authorOnly, { user: { _id: 'user-bob' }, team, params: { messageId: 'missing' } });
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('lets the author through and exposes the message on req.chatMessage', async () => {
+    const req = { user: { _id: 'user-bob' }, team, params: { messageId: 'msg-1' } };
+    const { nextCalled } = await run(authorOnly, req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.chatMessage, message);
+  });
+
+  it('only lets the team lead act on other messages when allowed', async () => {
+    const { res } = await run(authorOnly, { user: alice, team, params: { messageId: 'msg-1' } });
+    assert.equal(res.statusCode, 403);
+
+    const { nextCalled } = await run(authorOrLead, { user: alice, team, params: { messageId: 'msg-1' } });
+    assert.equal(nextCalled, true);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Request from '../models/Request.js';
+import { startTestServer, createUser, createHackathon } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+describe('POST /requests', { skip: harness.skip }, () => {
+  let sender;
+  let hackathonId;
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    sender = await createUser();
+    hackathonId = await createHackathon();
+  });
+
+  function sendRequest(to, extra = {}) {
+    return harness.request('POST', '/requests', {
+      token: sender.token,
+      body: { to_user_id: to.id, hackathon_id: hackathonId, message: 'Team up?', ...extra }
+    });
+  }
+
+  it('requires a session', async () => {
+    const recipient = await createUser();
+    const res = await harness.request('POST', '/requests', { body: { to_user_id: recipient.id } });
+    assert.equal(res.status, 401);
+  });
+
+  it('creates a pending request from the signed-in user with an expiry', async () => {
+    const recipient = await createUser();
+    const res = await sendRequest(recipient);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.request.from_user_id, sender.id);
+    assert.equal(res.body.request.to_user_id, recipient.id);
+    assert.equal(res.body.request.status, 'pending');
+    assert.ok(new Date(res.body.request.expires_at) > new Date());
+  });
+
+  it('rejects a spoofed from_user_id', async () => {
+    const recipient = await createUser();
+    const other = await createUser();
+    const res = await sendRequest(recipient, { from_user_id: other.id });
+    assert.equal(res.status, 403);
+    assert.equal(await Request.countDocuments(), 0);
+  });
+
+  it('rejects a second pending request to the same person', async () => {
+    const recipient = await createUser();
+    await sendRequest(recipient);
+    const res = await sendRequest(recipient);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Request already sent');
+  });
+
+  it('rejects requests to yourself and to unknown users', async () => {
+    const self = await sendRequest(sender);
+    assert.equal(self.status, 400);
+
+    const unknown = await sendRequest({ id: 'no-such-user' });
+    assert.equal(unknown.status, 404);
+  });
+
+  it('caps pending requests at 5 per hackathon', async () => {
+    for (let i = 0; i < 5; i++) {
+      const res = await sendRequest(await createUser());
+      assert.equal(res.status, 201);
+    }
+
+    const sixth = await sendRequest(await createUser());
+    assert.equal(sixth.status, 400);
+    assert.match(sixth.body.error, /Maximum of 5 pending requests/);
+
+    // The limit is per hackathon
+    const otherHackathon = await sendRequest(await createUser(), { hackathon_id: await createHackathon() });
+    assert.equal(otherHackathon.status, 201);
+  });
+
+  it('frees a slot when a request is withdrawn or expires', async () => {
+    const sent = [];
+    for (let i = 0; i < 5; i++) {
+      sent.push((await sendRequest(await createUser())).body.request);
+    }
+
+    const withdraw = await harness.request('POST', `/requests/${sent[0]._id}/withdraw`, { token: sender.token });
+    assert.equal(withdraw.status, 200);
+    assert.equal((await sendRequest(await createUser())).status, 201);
+
+    await Request.updateOne({ _id: sent[1]._id }, { expires_at: new Date(Date.now() - 1000) });
+    assert.equal((await sendRequest(await createUser())).status, 201);
+    assert.equal((await Request.findById(sent[1]._id)).status, 'expired');
+  });
+
+  it('reports the pending count', async () => {
+    await sendRequest(await createUser());
+    await sendRequest(await createUser());
+
+    const res = await harness.request('GET', `/api/requests/${sender.id}`, { token: sender.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.requestCount, 2);
+    assert.equal(res.body.maxRequests, 5);
+  });
+
+  it("keeps each user's sent and incoming requests to themselves", async () => {
+    const recipient = await createUser();
+    await sendRequest(recipient);
+
+    for (const path of [`/api/requests/${sender.id}`, `/api/requests/incoming/${recipient.id}`]) {
+      assert.equal((await harness.request('GET', path)).status, 401);
+      assert.equal((await harness.request('GET', path, { token: (await createUser()).token })).status, 403);
+    }
+
+    const incoming = await harness.request('GET', `/api/requests/incoming/${recipient.id}`, { token: recipient.token });
+    assert.equal(incoming.status, 200);
+    assert.equal(incoming.body.length, 1);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreMatch, computeNeededRoles, rolesFilledBy } from '../services/scoring.js';
+import { calculateMatchScore } from '../services/matching.js';
+import { setLLMProvider, createOfflineProvider } from '../services/llm/index.js';
+
+const reactDev = { _id: 'u1', name: 'Ada', role_preference: 'Frontend', tech_stack: ['React', 'Tailwind'], skills: ['UI'] };
+const nodeDev = { _id: 'u2', name: 'Linus', role_preference: 'Backend', tech_stack: ['Node.js', 'MongoDB'], skills: ['APIs'] };
+const otherReactDev = { _id: 'u3', name: 'Grace', role_preference: 'Frontend', tech_stack: ['React'], skills: ['UI'] };
+const designer = { _id: 'u4', name: 'Dieter', role_preference: 'Design', tech_stack: ['Figma'], skills: [] };
+const noStack = { _id: 'u5', name: 'Sam', role_preference: 'Backend', tech_stack: [], skills: [] };
+
+function points(result, factor) {
+  return result.breakdown.find(entry => entry.factor === factor)?.points;
+}
+
+describe('scoreMatch', () => {
+  it('is deterministic', () => {
+    assert.deepEqual(scoreMatch(reactDev, nodeDev), scoreMatch(reactDev, nodeDev));
+  });
+
+  it('adds up the breakdown to the score', () => {
+    const result = scoreMatch(reactDev, nodeDev);
+    const total = result.breakdown.reduce((sum, entry) => sum + entry.points, 0);
+    assert.equal(result.score, total);
+  });
+
+  it('rewards a complementary role and stack', () => {
+    const result = scoreMatch(reactDev, nodeDev);
+    assert.equal(points(result, 'role'), 20);
+    assert.equal(points(result, 'stack_synergy'), 40); // The prompt's +40% for complementary stacks
+    assert.equal(points(result, 'stack_overlap'), 0);
+    assert.equal(result.score, 95);
+    assert.equal(result.category, 'Strong Match');
+    assert.match(result.reason, /^Pros: .+\. Major Risk: .+$/);
+  });
+
+  it('penalizes a redundant role and overlapping stack', () => {
+    const result = scoreMatch(reactDev, otherReactDev);
+    assert.equal(points(result, 'role'), -30); // The prompt's -30% for skill redundancy
+    assert.equal(points(result, 'stack_overlap'), -20); // and -20% for overlapping stacks
+    assert.equal(points(result, 'skill_overlap'), -5);
+    assert.equal(result.score, 0);
+    assert.equal(result.category, 'Good Match');
+    assert.match(result.reason, /Skill redundancy/);
+  });
+
+  it('caps candidates without a tech stack', () => {
+    const result = scoreMatch(reactDev, noStack);
+    assert.equal(result.score, 35);
+    assert.equal(points(result, 'no_stack'), -60);
+  });
+
+  it('scores against the whole team and reports the roles still missing', () => {
+    const result = scoreMatch(reactDev, designer, [reactDev, nodeDev]);
+    assert.equal(points(result, 'role'), 20);
+    assert.equal(points(result, 'stack_synergy'), 20);
+    assert.equal(result.score, 80);
+    assert.deepEqual(result.needed_roles, ['DevOps']);
+  });
+});
+
+describe('computeNeededRoles', () => {
+  const fullStack = { _id: 'u6', role_preference: 'Full Stack', tech_stack: ['React', 'Node.js'], skills: [] };
+
+  it('lists the default core roles nobody fills', () => {
+    assert.deepEqual(computeNeededRoles([]), ['Frontend', 'Backend', 'Design', 'DevOps']);
+    assert.deepEqual(computeNeededRoles([reactDev, nodeDev]), ['Design', 'DevOps']);
+  });
+
+  it('counts each slot of the target composition', () => {
+    const composition = [{ role: 'Frontend', count: 2 }, { role: 'Backend', count: 1 }];
+    assert.deepEqual(computeNeededRoles([reactDev, nodeDev], composition), ['Frontend']);
+    assert.deepEqual(computeNeededRoles([reactDev, otherReactDev, nodeDev], composition), []);
+  });
+
+  it('lets a Full Stack member fill either side without blocking a specialist', () => {
+    const composition = [{ role: 'Frontend', count: 1 }, { role: 'Backend', count: 1 }];
+    assert.deepEqual(computeNeededRoles([fullStack, otherReactDev], composition), []);
+    assert.deepEqual(computeNeededRoles([fullStack], composition), []);
+  });
+
+  it('covers an open role with tech stack and skills, one extra role per member', () => {
+    const dockerDev = { _id: 'u7', role_preference: 'Backend', tech_stack: ['Node.js', 'Docker', 'Figma'], skills: [] };
+    assert.deepEqual(computeNeededRoles([dockerDev]), ['Frontend', 'DevOps']);
+  });
+});
+
+describe('rolesFilledBy', () => {
+  it('returns the needed roles a candidate covers by role or stack', () => {
+    assert.deepEqual(rolesFilledBy(nodeDev, ['Frontend', 'Backend', 'Design']), ['Backend']);
+    assert.deepEqual(rolesFilledBy(designer, ['Design', 'DevOps']), ['Design']);
+    assert.deepEqual(rolesFilledBy(noStack, ['Design']), []);
+  });
+});
+
+describe('calculateMatchScore modes', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  after(() => {
+    setLLMProvider(null);
+    mock.restoreAll();
+  });
+
+  it('uses the rule engine directly in rules mode', async () => {
+    setLLMProvider({
+      name: 'unused',
+      generateJSON: async () => { throw new Error('should not be called'); }
+    });
+    const result = await calculateMatchScore(reactDev, nodeDev, null, { mode: 'rules' });
+    assert.equal(result.engine, 'rules');
+    assert.equal(result.fallback, undefined);
+    assert.deepEqual(result.breakdown, scoreMatch(reactDev, nodeDev).breakdown);
+  });
+
+  it('falls back to the rule engine when the provider fails', async () => {
+    setLLMProvider({
+      name: 'broken',
+      generateJSON: async () => { throw new Error('quota exceeded'); }
+    });
+    const result = await calculateMatchScore(reactDev, nodeDev, null, { mode: 'ai' });
+    assert.equal(result.engine, 'rules');
+    assert.equal(result.fallback, true);
+    assert.equal(result.score, scoreMatch(reactDev, nodeDev).score);
+  });
+
+  it('falls back when the provider returns no score', async () => {
+    setLLMProvider({ name: 'empty', generateJSON: async () => ({ reason: 'n/a' }) });
+    const result = await calculateMatchScore(reactDev, otherReactDev, null, { mode: 'ai' });
+    assert.equal(result.fallback, true);
+  });
+
+  it('passes through provider answers in ai mode', async () => {
+    setLLMProvider(createOfflineProvider());
+    const result = await calculateMatchScore(reactDev, otherReactDev, null, { mode: 'ai' });
+    assert.equal(result.engine, 'ai');
+    assert.equal(result.provider, 'offline');
+    assert.equal(result.score, scoreMatch(reactDev, otherReactDev).score);
+    assert.ok(Array.isArray(result.breakdown));
+  });
+});
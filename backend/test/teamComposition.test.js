@@ -0,0 +1,64 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Team from '../models/Team.js';
+import { startTestServer, createUser, createHackathon } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+describe('team composition', { skip: harness.skip }, () => {
+  let organizer;
+  let alice;
+  let bob;
+  let hackathonId;
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    organizer = await createUser({ name: 'Olga' });
+    hackathonId = await createHackathon({ organizers: [organizer.id] });
+    alice = await createUser({ name: 'Alice', role_preference: 'Frontend', tech_stack: ['React'], registered_hackathons: [hackathonId] });
+    bob = await createUser({ name: 'Bob', role_preference: 'Backend', tech_stack: ['Node.js'], registered_hackathons: [hackathonId] });
+  });
+
+  function setComposition(user, target_composition) {
+    return harness.request('PUT', `/hackathons/${hackathonId}/team-composition`, { token: user.token, body: { target_composition } });
+  }
+
+  it('persists needed_roles against the default composition when a team forms', async () => {
+    const sent = await harness.request('POST', '/requests', {
+      token: alice.token,
+      body: { to_user_id: bob.id, hackathon_id: hackathonId }
+    });
+    await harness.request('POST', `/requests/${sent.body.request._id}/accept`, { token: bob.token, body: {} });
+
+    assert.deepEqual((await Team.findOne()).needed_roles, ['Design', 'DevOps']);
+  });
+
+  it('lets organizers set the composition and recomputes every team', async () => {
+    await Team.create({ hackathon_id: hackathonId, name: 'Team 1', members: [alice.id, bob.id], needed_roles: [] });
+
+    const res = await setComposition(organizer, [{ role: 'Frontend', count: 1 }, { role: 'Backend', count: 2 }]);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.target_composition, [{ role: 'Frontend', count: 1 }, { role: 'Backend', count: 2 }]);
+    assert.deepEqual((await Team.findOne()).needed_roles, ['Backend']);
+  });
+
+  it('only lets organizers set a valid composition', async () => {
+    assert.equal((await setComposition(alice, [{ role: 'Backend', count: 1 }])).status, 403);
+    assert.equal((await setComposition(organizer, [{ role: 'Wizard', count: 1 }])).status, 400);
+  });
+
+  it("flags candidates who fill the current user's team gaps", async () => {
+    const designer = await createUser({ name: 'Dieter', role_preference: 'Design', tech_stack: ['Figma'], registered_hackathons: [hackathonId] });
+    await Team.create({ hackathon_id: hackathonId, name: 'Team 1', members: [alice.id], needed_roles: ['Backend', 'Design'] });
+
+    const res = await harness.request('GET', `/users?hackathonId=${hackathonId}`, { token: alice.token });
+
+    assert.equal(res.status, 200);
+    const fills = Object.fromEntries(res.body.map(user => [user._id, user.fills_roles]));
+    assert.deepEqual(fills[bob.id], ['Backend']);
+    assert.deepEqual(fills[designer.id], ['Design']);
+  });
+});
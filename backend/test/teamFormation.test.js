@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formTeams } from '../services/teamFormation.js';
+
+function user(id, role, techStack) {
+  return { _id: id, name: id, role_preference: role, tech_stack: techStack, skills: [] };
+}
+
+const pool = [
+  user('u1', 'Frontend', ['React']),
+  user('u2', 'Frontend', ['React', 'Tailwind']),
+  user('u3', 'Backend', ['Node.js']),
+  user('u4', 'Backend', ['Python', 'Django']),
+  user('u5', 'Design', ['Figma']),
+  user('u6', 'Design', ['Figma']),
+  user('u7', 'Frontend', ['Vue']),
+  user('u8', 'Backend', ['Go'])
+];
+
+const ids = team => team.members.map(m => m._id).sort();
+const roles = team => team.members.map(m => m.role_preference).sort();
+
+describe('formTeams', () => {
+  it('places everyone in teams whose sizes differ by at most one', () => {
+    const { teams, unassigned } = formTeams(pool.slice(0, 7), { maxTeamSize: 4 });
+    assert.equal(unassigned.length, 0);
+    assert.deepEqual(teams.map(t => t.members.length).sort(), [3, 4]);
+  });
+
+  it('spreads roles across teams instead of stacking them', () => {
+    const { teams } = formTeams(pool, { maxTeamSize: 4 });
+    assert.equal(teams.length, 2);
+    for (const team of teams) {
+      assert.ok(roles(team).includes('Design'), `expected a designer in ${ids(team)}`);
+      assert.ok(roles(team).includes('Backend'), `expected a backend dev in ${ids(team)}`);
+      assert.ok(roles(team).includes('Frontend'), `expected a frontend dev in ${ids(team)}`);
+    }
+  });
+
+  it('is deterministic regardless of input order', () => {
+    const first = formTeams(pool).teams.map(ids);
+    const second = formTeams([...pool].reverse()).teams.map(ids);
+    assert.deepEqual(second, first);
+  });
+
+  it('reports a score and the roles each team still needs', () => {
+    const { teams } = formTeams(pool.slice(0, 2), { maxTeamSize: 4 });
+    assert.equal(teams.length, 1);
+    assert.equal(typeof teams[0].score, 'number');
+    assert.ok(teams[0].needed_roles.includes('Backend'));
+  });
+
+  it('leaves the odd user out when every team is full', () => {
+    const { teams, unassigned } = formTeams(pool.slice(0, 5), { maxTeamSize: 2 });
+    assert.equal(teams.length, 2);
+    assert.equal(unassigned.length, 1);
+  });
+
+  it('never proposes a team below minTeamSize', () => {
+    const { teams, unassigned } = formTeams(pool.slice(0, 7), { minTeamSize: 3, maxTeamSize: 3 });
+    assert.deepEqual(teams.map(t => t.members.length), [3, 3]);
+    assert.equal(unassigned.length, 1);
+  });
+
+  it('does not make a team of one', () => {
+    const { teams, unassigned } = formTeams(pool.slice(0, 1));
+    assert.deepEqual(teams, []);
+    assert.equal(unassigned.length, 1);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Team from '../models/Team.js';
+import Request from '../models/Request.js';
+import TeamProposal from '../models/TeamProposal.js';
+import { startTestServer, createUser, createHackathon, lastMessage } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+describe('team proposals', { skip: harness.skip }, () => {
+  let organizer;
+  let alice;
+  let bob;
+  let hackathonId;
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    organizer = await createUser({ name: 'Olga' });
+    hackathonId = await createHackathon({ organizers: [organizer.id] });
+    alice = await createUser({ name: 'Alice', role_preference: 'Frontend', tech_stack: ['React'], registered_hackathons: [hackathonId] });
+    bob = await createUser({ name: 'Bob', role_preference: 'Backend', tech_stack: ['Node.js'], registered_hackathons: [hackathonId] });
+  });
+
+  function formTeams(user = organizer, body = {}) {
+    return harness.request('POST', `/hackathons/${hackathonId}/team-proposals`, { token: user.token, body });
+  }
+
+  function answer(user, proposalId, action) {
+    return harness.request('POST', `/team-proposals/${proposalId}/${action}`, { token: user.token });
+  }
+
+  it('only lets organizers form teams', async () => {
+    const res = await formTeams(alice);
+    assert.equal(res.status, 403);
+    assert.equal(await TeamProposal.countDocuments(), 0);
+  });
+
+  it('rejects an invalid max_team_size', async () => {
+    const res = await formTeams(organizer, { max_team_size: 1 });
+    assert.equal(res.status, 400);
+  });
+
+  it('proposes a team for the unteamed participants', async () => {
+    const res = await formTeams();
+    assert.equal(res.status, 201);
+    assert.equal(res.body.proposals.length, 1);
+    assert.deepEqual(res.body.proposals[0].members.sort(), [alice.id, bob.id].sort());
+
+    const mine = await harness.request('GET', `/team-proposals?hackathonId=${hackathonId}`, { token: alice.token });
+    assert.equal(mine.body.length, 1);
+    assert.equal(mine.body[0].memberDetails.length, 2);
+  });
+
+  it('forms the team once every member accepts and cancels their pending requests', async () => {
+    await Request.create({ from_user_id: alice.id, to_user_id: bob.id, hackathon_id: hackathonId, status: 'pending' });
+    const { body } = await formTeams();
+    const proposalId = body.proposals[0]._id;
+
+    const first = await answer(alice, proposalId, 'accept');
+    assert.equal(first.body.team, null);
+    assert.equal(await Team.countDocuments(), 0);
+
+    const second = await answer(bob, proposalId, 'accept');
+    assert.equal(second.status, 200);
+    assert.equal(second.body.proposal.status, 'accepted');
+    assert.deepEqual(second.body.team.members.sort(), [alice.id, bob.id].sort());
+    assert.equal((await lastMessage(second.body.team._id)).senderId, 'system_bot');
+    assert.equal((await Request.findOne()).status, 'cancelled');
+  });
+
+  it('closes the proposal when a member rejects it', async () => {
+    const { body } = await formTeams();
+    const proposalId = body.proposals[0]._id;
+
+    const res = await answer(alice, proposalId, 'reject');
+    assert.equal(res.body.proposal.status, 'rejected');
+
+    const late = await answer(bob, proposalId, 'accept');
+    assert.equal(late.status, 400);
+    assert.equal(await Team.countDocuments(), 0);
+  });
+
+  it('only lets proposed members answer', async () => {
+    const { body } = await formTeams();
+    const res = await answer(organizer, body.proposals[0]._id, 'accept');
+    assert.equal(res.status, 403);
+  });
+
+  it('supersedes pending proposals when formation runs again', async () => {
+    const first = await formTeams();
+    const second = await formTeams();
+    assert.equal(second.body.superseded, 1);
+    assert.equal((await TeamProposal.findById(first.body.proposals[0]._id)).status, 'superseded');
+  });
+});
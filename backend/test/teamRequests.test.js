@@ -0,0 +1,159 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Request from '../models/Request.js';
+import Team from '../models/Team.js';
+import { tallyJoinVotes } from '../services/teamRequests.js';
+import { startTestServer, createUser, createHackathon, lastMessage } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+describe('tallyJoinVotes', () => {
+  const team = { members: ['lead', 'm1', 'm2'], lead_id: 'lead' };
+  const votes = (...entries) => ({ votes: entries.map(([user_id, vote]) => ({ user_id, vote })) });
+
+  it('waits until the votes decide', () => {
+    assert.equal(tallyJoinVotes(votes(), team), 'pending');
+    assert.equal(tallyJoinVotes(votes(['m1', 'approve']), team), 'pending');
+  });
+
+  it('accepts on the lead approving or on every member approving', () => {
+    assert.equal(tallyJoinVotes(votes(['lead', 'approve']), team), 'accepted');
+    assert.equal(tallyJoinVotes(votes(['m1', 'approve'], ['m2', 'approve']), { ...team, members: ['m1', 'm2'], lead_id: 'gone' }), 'accepted');
+  });
+
+  it('declines on any rejection', () => {
+    assert.equal(tallyJoinVotes(votes(['lead', 'approve'], ['m2', 'reject']), team), 'declined');
+  });
+
+  it('ignores votes from people who left the team', () => {
+    assert.equal(tallyJoinVotes(votes(['former', 'reject']), team), 'pending');
+  });
+});
+
+describe('team invites and join requests', { skip: harness.skip }, () => {
+  let alice;
+  let bob;
+  let carol;
+  let hackathonId;
+  let teamId;
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    hackathonId = await createHackathon();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    carol = await createUser({ name: 'Carol' });
+    const team = await Team.create({ hackathon_id: hackathonId, name: 'Team 1', members: [alice.id, bob.id], lead_id: alice.id });
+    teamId = String(team._id);
+  });
+
+  function invite(from, to) {
+    return harness.request('POST', `/api/team/${teamId}/invites`, { token: from.token, body: { to_user_id: to.id } });
+  }
+
+  function askToJoin(user) {
+    return harness.request('POST', `/api/team/${teamId}/join-requests`, { token: user.token, body: { message: 'Room for one more?' } });
+  }
+
+  function vote(user, requestId, value) {
+    return harness.request('POST', `/requests/${requestId}/vote`, { token: user.token, body: { vote: value } });
+  }
+
+  it('lets a team member invite a user, who joins by accepting', async () => {
+    const sent = await invite(bob, carol);
+    assert.equal(sent.status, 201);
+    assert.equal(sent.body.request.type, 'invite');
+    assert.equal(sent.body.request.team_id, teamId);
+
+    const incoming = await harness.request('GET', `/api/requests/incoming/${carol.id}`, { token: carol.token });
+    assert.equal(incoming.body[0].team.name, 'Team 1');
+
+    const res = await harness.request('POST', `/requests/${sent.body.request._id}/accept`, { token: carol.token, body: {} });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.team.members.includes(carol.id));
+    assert.match((await lastMessage(res.body.team._id)).text, /Carol accepted Bob's invite/);
+  });
+
+  it('only lets team members invite', async () => {
+    const dave = await createUser();
+    const res = await invite(carol, dave);
+    assert.equal(res.status, 403);
+  });
+
+  it('shows join requests to every member and adds the user once all approve', async () => {
+    const sent = await askToJoin(carol);
+    assert.equal(sent.status, 201);
+    assert.equal(sent.body.request.to_user_id, alice.id);
+
+    const bobsIncoming = await harness.request('GET', `/api/requests/incoming/${bob.id}`, { token: bob.token });
+    assert.equal(bobsIncoming.body.length, 1);
+    assert.equal(bobsIncoming.body[0].type, 'join');
+
+    const first = await vote(bob, sent.body.request._id, 'approve');
+    assert.equal(first.body.request.status, 'pending');
+    assert.equal(first.body.team, null);
+
+    const second = await vote(alice, sent.body.request._id, 'approve');
+    assert.equal(second.body.request.status, 'accepted');
+    assert.deepEqual(second.body.team.members, [alice.id, bob.id, carol.id]);
+  });
+
+  it('declines a join request on any rejection', async () => {
+    const sent = await askToJoin(carol);
+    const res = await vote(bob, sent.body.request._id, 'reject');
+    assert.equal(res.body.request.status, 'declined');
+    assert.equal((await Team.findById(teamId)).members.length, 2);
+  });
+
+  it('only lets team members vote, and not through accept', async () => {
+    const dave = await createUser();
+    const sent = await askToJoin(carol);
+
+    assert.equal((await vote(dave, sent.body.request._id, 'approve')).status, 403);
+    const viaAccept = await harness.request('POST', `/requests/${sent.body.request._id}/accept`, { token: alice.token, body: {} });
+    assert.equal(viaAccept.status, 400);
+  });
+
+  it('refuses invites and join requests for users already on a team', async () => {
+    assert.equal((await askToJoin(bob)).status, 400);
+
+    const dave = await createUser();
+    await Team.create({ hackathon_id: hackathonId, name: 'Team 2', members: [dave.id] });
+    assert.equal((await invite(alice, dave)).status, 400);
+  });
+
+  it("cancels the new member's other invites once they join a team", async () => {
+    const other = await Team.create({ hackathon_id: hackathonId, name: 'Team 2', members: [(await createUser()).id] });
+    const otherInvite = await Request.create({
+      type: 'invite', from_user_id: other.members[0], to_user_id: carol.id, team_id: String(other._id), hackathon_id: hackathonId, status: 'pending'
+    });
+    const sent = await invite(alice, carol);
+
+    await harness.request('POST', `/requests/${sent.body.request._id}/accept`, { token: carol.token, body: {} });
+
+    assert.equal((await Request.findById(otherInvite._id)).status, 'cancelled');
+  });
+
+  it('does not merge two existing teams through a user request', async () => {
+    const dave = await createUser();
+    await Team.create({ hackathon_id: hackathonId, name: 'Team 2', members: [dave.id] });
+    const request = await Request.create({ from_user_id: dave.id, to_user_id: alice.id, hackathon_id: hackathonId, status: 'pending' });
+
+    const res = await harness.request('POST', `/requests/${request._id}/accept`, { token: alice.token, body: {} });
+    assert.equal(res.status, 409);
+  });
+
+  it('lists open teams to signed-in users as public summaries only', async () => {
+    const anonymous = await harness.request('GET', `/hackathons/${hackathonId}/teams?open=true`);
+    assert.equal(anonymous.status, 401);
+
+    const res = await harness.request('GET', `/hackathons/${hackathonId}/teams?open=true`, { token: carol.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.deepEqual(Object.keys(res.body[0]).sort(), ['_id', 'members', 'name', 'needed_roles', 'size', 'team_size']);
+    assert.equal(res.body[0].size, 2);
+    assert.deepEqual(res.body[0].members.map(member => Object.keys(member).sort()), [['name', 'skills'], ['name', 'skills']]);
+  });
+});
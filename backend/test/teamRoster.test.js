@@ -0,0 +1,93 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Team from '../models/Team.js';
+import { startTestServer, createUser, createHackathon, lastMessage } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+describe('team roster changes', { skip: harness.skip }, () => {
+  let alice;
+  let bob;
+  let carol;
+  let teamId;
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    const hackathonId = await createHackathon({ max_team_size: 3 });
+    alice = await createUser({ name: 'Alice', role_preference: 'Frontend', tech_stack: ['React'] });
+    bob = await createUser({ name: 'Bob', role_preference: 'Backend', tech_stack: ['Node.js'] });
+    carol = await createUser({ name: 'Carol', role_preference: 'Design', tech_stack: ['Figma'] });
+    const team = await Team.create({
+      hackathon_id: hackathonId,
+      name: 'Team 1',
+      members: [alice.id, bob.id, carol.id],
+      lead_id: alice.id,
+      is_full: true
+    });
+    teamId = String(team._id);
+  });
+
+  it('lets a member leave and recomputes needed_roles and is_full', async () => {
+    const res = await harness.request('POST', `/api/team/${teamId}/leave`, { token: bob.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dissolved, false);
+    assert.deepEqual(res.body.team.members, [alice.id, carol.id]);
+    assert.equal(res.body.team.is_full, false);
+    assert.ok(res.body.team.needed_roles.includes('Backend'));
+    const message = await lastMessage(teamId);
+    assert.equal(message.senderId, 'system_bot');
+    assert.match(message.text, /Bob left/);
+  });
+
+  it('passes the lead on when the lead leaves', async () => {
+    const res = await harness.request('POST', `/api/team/${teamId}/leave`, { token: alice.token });
+    assert.equal(res.body.team.lead_id, bob.id);
+    assert.match((await lastMessage(teamId)).text, /Bob is the new team lead/);
+  });
+
+  it('only lets the lead remove members', async () => {
+    const denied = await harness.request('DELETE', `/api/team/${teamId}/members/${carol.id}`, { token: bob.token });
+    assert.equal(denied.status, 403);
+
+    const res = await harness.request('DELETE', `/api/team/${teamId}/members/${carol.id}`, { token: alice.token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.team.members, [alice.id, bob.id]);
+    assert.match((await lastMessage(teamId)).text, /Alice removed Carol/);
+  });
+
+  it('transfers the lead to another member only', async () => {
+    const outsider = await createUser();
+    const invalid = await harness.request('POST', `/api/team/${teamId}/transfer-lead`, {
+      token: alice.token,
+      body: { user_id: outsider.id }
+    });
+    assert.equal(invalid.status, 400);
+
+    const res = await harness.request('POST', `/api/team/${teamId}/transfer-lead`, {
+      token: alice.token,
+      body: { user_id: carol.id }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.team.lead_id, carol.id);
+
+    const formerLead = await harness.request('DELETE', `/api/team/${teamId}/members/${bob.id}`, { token: alice.token });
+    assert.equal(formerLead.status, 403);
+  });
+
+  it('dissolves the team, keeping its history', async () => {
+    const res = await harness.request('DELETE', `/api/team/${teamId}`, { token: alice.token });
+
+    assert.equal(res.status, 200);
+    const team = await Team.findById(teamId);
+    assert.deepEqual(team.members, []);
+    assert.deepEqual([...team.former_members].sort(), [alice.id, bob.id, carol.id].sort());
+    assert.ok(team.dissolved_at);
+    assert.match((await lastMessage(teamId)).text, /Alice dissolved the team/);
+
+    const teams = await harness.request('GET', `/api/teams/${bob.id}`, { token: bob.token });
+    assert.deepEqual(teams.body, []);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Request from '../models/Request.js';
+import Team from '../models/Team.js';
+import { startTestServer, createUser, createHackathon } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+describe('team size limits', { skip: harness.skip }, () => {
+  let organizer;
+  let alice;
+  let bob;
+  let carol;
+  let hackathonId;
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    organizer = await createUser({ name: 'Olga' });
+    hackathonId = await createHackathon({ organizers: [organizer.id], max_team_size: 3 });
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    carol = await createUser({ name: 'Carol' });
+  });
+
+  function sendRequest(from, to) {
+    return harness.request('POST', '/requests', {
+      token: from.token,
+      body: { to_user_id: to.id, hackathon_id: hackathonId }
+    });
+  }
+
+  function accept(requestId, user) {
+    return harness.request('POST', `/requests/${requestId}/accept`, { token: user.token, body: {} });
+  }
+
+  function setTeamSize(user, body) {
+    return harness.request('PUT', `/hackathons/${hackathonId}/team-size`, { token: user.token, body });
+  }
+
+  it('marks the team full at max_team_size and cancels its pending requests', async () => {
+    const dave = await createUser();
+    await accept((await sendRequest(alice, bob)).body.request._id, bob);
+    const pending = (await sendRequest(dave, alice)).body.request;
+
+    const res = await accept((await sendRequest(carol, bob)).body.request._id, bob);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.team.members.length, 3);
+    assert.equal(res.body.team.is_full, true);
+    assert.equal((await Request.findById(pending._id)).status, 'cancelled');
+  });
+
+  it('refuses new requests to or from a full team', async () => {
+    const dave = await createUser();
+    await Team.create({ hackathon_id: hackathonId, name: 'Team 1', members: [alice.id, bob.id, carol.id], is_full: true });
+
+    const toFull = await sendRequest(dave, alice);
+    const fromFull = await sendRequest(alice, dave);
+
+    assert.equal(toFull.status, 400);
+    assert.equal(fromFull.status, 400);
+    assert.equal(await Request.countDocuments(), 0);
+  });
+
+  it('cancels a request that can no longer be accepted because the team is full', async () => {
+    await Team.create({ hackathon_id: hackathonId, name: 'Team 1', members: [alice.id, bob.id, carol.id] });
+    const dave = await createUser();
+    const request = await Request.create({ from_user_id: dave.id, to_user_id: alice.id, hackathon_id: hackathonId, status: 'pending' });
+
+    const res = await accept(request._id, alice);
+
+    assert.equal(res.status, 409);
+    assert.equal((await Request.findById(request._id)).status, 'cancelled');
+    assert.equal((await Team.findOne()).members.length, 3);
+  });
+
+  it('lets organizers change the limits and recomputes is_full', async () => {
+    await Team.create({ hackathon_id: hackathonId, name: 'Team 1', members: [alice.id, bob.id] });
+
+    const denied = await setTeamSize(alice, { max_team_size: 2 });
+    assert.equal(denied.status, 403);
+
+    const invalid = await setTeamSize(organizer, { min_team_size: 4, max_team_size: 3 });
+    assert.equal(invalid.status, 400);
+
+    const res = await setTeamSize(organizer, { max_team_size: 2 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { success: true, min_team_size: 2, max_team_size: 2 });
+    assert.equal((await Team.findOne()).is_full, true);
+  });
+
+  it("returns the user's team in this hackathon from POST /team, even when it is full", async () => {
+    const full = await Team.create({ hackathon_id: hackathonId, name: 'Team 1', members: [alice.id, bob.id, carol.id], is_full: true });
+    const otherHackathonId = await createHackathon();
+    await Team.create({ hackathon_id: otherHackathonId, name: 'Team 1', members: [alice.id], is_full: false });
+
+    const res = await harness.request('POST', '/team', { token: alice.token, body: { hackathon_id: hackathonId, user_id: alice.id } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body._id, String(full._id));
+    assert.equal(await Team.countDocuments({ hackathon_id: hackathonId }), 1);
+  });
+
+  it('reports the limits with the hackathon and the team', async () => {
+    await accept((await sendRequest(alice, bob)).body.request._id, bob);
+
+    const hackathons = await harness.request('GET', '/hackathons');
+    assert.equal(hackathons.body[0].max_team_size, 3);
+    assert.equal(hackathons.body[0].min_team_size, 2);
+
+    const team = await harness.request('GET', `/team/${alice.id}?hackathonId=${hackathonId}`, { token: alice.token });
+    assert.deepEqual(team.body.team.team_size, { min: 2, max: 3 });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Request from '../models/Request.js';
+import Team from '../models/Team.js';
+import { startTestServer, stubOctokit, createUser, createHackathon, lastMessage } from './helpers/harness.js';
+
+const harness = await startTestServer();
+
+describe('accepting a request forms a team', { skip: harness.skip }, () => {
+  let alice;
+  let bob;
+  let hackathonId;
+
+  after(() => harness.stop());
+
+  beforeEach(async () => {
+    await harness.reset();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    hackathonId = await createHackathon();
+  });
+
+  async function sendRequest(from, to) {
+    const res = await harness.request('POST', '/requests', {
+      token: from.token,
+      body: { to_user_id: to.id, hackathon_id: hackathonId }
+    });
+    return res.body.request;
+  }
+
+  function accept(requestId, user) {
+    return harness.request('POST', `/requests/${requestId}/accept`, { token: user.token, body: {} });
+  }
+
+  it('creates a team with both users and a welcome message', async () => {
+    const request = await sendRequest(alice, bob);
+    const res = await accept(request._id, bob);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.team.name, 'Team 1');
+    assert.equal(res.body.team.hackathon_id, hackathonId);
+    assert.deepEqual([...res.body.team.members].sort(), [alice.id, bob.id].sort());
+
+    const welcome = await lastMessage(res.body.team._id);
+    assert.equal(welcome.senderId, 'system_bot');
+    assert.match(welcome.text, /Alice/);
+    assert.match(welcome.text, /Bob/);
+
+    assert.equal((await Request.findById(request._id)).status, 'accepted');
+  });
+
+  it("rejects the sender's other pending requests for the hackathon", async () => {
+    const carol = await createUser();
+    const accepted = await sendRequest(alice, bob);
+    const other = await sendRequest(alice, carol);
+
+    await accept(accepted._id, bob);
+
+    assert.equal((await Request.findById(other._id)).status, 'rejected');
+  });
+
+  it('adds the sender to the team the recipient is already on', async () => {
+    const carol = await createUser();
+    await accept((await sendRequest(alice, bob))._id, bob);
+
+    const res = await accept((await sendRequest(carol, bob))._id, bob);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.team.members.length, 3);
+    assert.ok(res.body.team.members.includes(carol.id));
+    assert.equal(await Team.countDocuments(), 1);
+  });
+
+  it('only lets the recipient accept', async () => {
+    const request = await sendRequest(alice, bob);
+    const res = await accept(request._id, alice);
+
+    assert.equal(res.status, 403);
+    assert.equal(await Team.countDocuments(), 0);
+  });
+
+  it('cannot accept a request twice', async () => {
+    const request = await sendRequest(alice, bob);
+    await accept(request._id, bob);
+    const res = await accept(request._id, bob);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Cannot accept a request that is accepted');
+  });
+
+  it('lets team members create the team repository with a stubbed Octokit', async () => {
+    await alice.user.updateOne({ github: 'https://github.com/alice' });
+    await bob.user.updateOne({ github: 'bob' });
+    const { body } = await accept((await sendRequest(alice, bob))._id, bob);
+    const github = stubOctokit();
+
+    const outsider = await createUser();
+    const denied = await harness.request('POST', '/github/init', {
+      token: outsider.token,
+      body: { teamId: body.team._id, projectName: 'Demo App' }
+    });
+    assert.equal(denied.status, 403);
+
+    const res = await harness.request('POST', '/github/init', {
+      token: alice.token,
+      body: { teamId: body.team._id, projectName: 'Demo App' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.repository.name, 'hackconnect-bot/demo-app');
+    assert.deepEqual(github.invited.sort(), ['alice', 'bob']);
+
+    const team = await Team.findById(body.team._id);
+    assert.equal(team.github_repo, 'hackconnect-bot/demo-app');
+    assert.equal((await lastMessage(team._id)).senderId, 'ai_bot');
+  });
+});
@@ -1,18 +1,24 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { AuthProvider } from './context/AuthContext';
+import RequireAuth from './components/RequireAuth';
+import LoginPage from './pages/LoginPage';
 import LandingPage from './pages/LandingPage';
 import HackathonList from './pages/HackathonList';
 import MatchingPage from './pages/MatchingPage';
 
 function App() {
   return (
-    <Router>
-      <Routes>
-        <Route path="/" element={<LandingPage />} />
-        <Route path="/hackathons" element={<HackathonList />} />
-        <Route path="/matching/:hackathonId" element={<MatchingPage />} />
-      </Routes>
-    </Router>
+    <AuthProvider>
+      <Router>
+        <Routes>
+          <Route path="/login" element={<LoginPage />} />
+          <Route path="/" element={<RequireAuth><LandingPage /></RequireAuth>} />
+          <Route path="/hackathons" element={<RequireAuth><HackathonList /></RequireAuth>} />
+          <Route path="/matching/:hackathonId" element={<RequireAuth><MatchingPage /></RequireAuth>} />
+        </Routes>
+      </Router>
+    </AuthProvider>
   );
 }
 
@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
+import ChatMarkdown from './ChatMarkdown';
 
 const AIMentorPanel = ({ team, currentUserId, isOpen, onClose }) => {
   const [messages, setMessages] = useState([]);
@@ -48,7 +49,7 @@ const AIMentorPanel = ({ team, currentUserId, isOpen, onClose }) => {
         message: messageToSend,
         teamContext: {
           members: team.members || [],
-          hackathonId: team.hackathonId || team.hackathon_id,
+          hackathonId: team.hackathon_id,
           memberDetails: team.memberDetails || []
         }
       });
@@ -181,7 +182,9 @@ const AIMentorPanel = ({ team, currentUserId, isOpen, onClose }) => {
                         )}
                       </>
                     )}
-                    <div className="whitespace-pre-wrap break-words text-sm leading-relaxed">{msg.text}</div>
+                    <div className="break-words text-sm leading-relaxed">
+                      {isUser ? <div className="whitespace-pre-wrap">{msg.text}</div> : <ChatMarkdown text={msg.text} />}
+                    </div>
                     <div className="text-xs text-white/30 mt-2">
                       {msg.timestamp ? new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''}
                     </div>
@@ -0,0 +1,34 @@
+import Markdown from 'react-markdown';
+import { markdownOptions } from '../utils/markdown';
+
+// Styles for the elements markdownOptions allows
+const components = {
+  h1: ({ node, ...props }) => <h1 className="text-lg font-bold mb-2 text-green-200 mt-3" {...props} />,
+  h2: ({ node, ...props }) => <h2 className="text-base font-bold mb-2 text-green-200 mt-3" {...props} />,
+  h3: ({ node, ...props }) => <h3 className="text-sm font-bold mb-1 text-green-200 mt-3" {...props} />,
+  p: ({ node, ...props }) => <p className="mb-2 last:mb-0" {...props} />,
+  strong: ({ node, ...props }) => <strong className="font-bold text-green-200" {...props} />,
+  em: ({ node, ...props }) => <em className="italic text-green-200" {...props} />,
+  ul: ({ node, ...props }) => <ul className="list-disc ml-5 mb-2 space-y-1" {...props} />,
+  ol: ({ node, ...props }) => <ol className="list-decimal ml-5 mb-2 space-y-1" {...props} />,
+  blockquote: ({ node, ...props }) => <blockquote className="border-l-2 border-[#39ff14]/50 pl-3 mb-2 text-white/70" {...props} />,
+  code: ({ node, ...props }) => <code className="bg-green-900/30 px-1 py-0.5 rounded text-green-200 text-xs" {...props} />,
+  pre: ({ node, ...props }) => (
+    <pre className="bg-black/60 border border-green-400/30 p-3 mb-2 overflow-x-auto text-xs [&>code]:bg-transparent [&>code]:p-0" {...props} />
+  ),
+  a: ({ node, ...props }) => (
+    <a className="underline text-[#39ff14] hover:text-green-200" target="_blank" rel="noopener noreferrer nofollow" {...props} />
+  )
+};
+
+// Markdown for chat and mentor messages - see utils/markdown.js for what is (not) rendered
+const ChatMarkdown = ({ text }) => {
+  if (!text) return null;
+  return (
+    <div className="break-words">
+      <Markdown {...markdownOptions} components={components}>{text}</Markdown>
+    </div>
+  );
+};
+
+export default ChatMarkdown;
@@ -1,128 +1,341 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import axios from 'axios';
+import TeamRoster from './TeamRoster';
+import MessageReactions from './MessageReactions';
+import ChatMarkdown from './ChatMarkdown';
+import ThreadPanel from './ThreadPanel';
+import ChatSearch from './ChatSearch';
+import MessageAttachments from './MessageAttachments';
+import ChatPoll from './ChatPoll';
+import { useAuth } from '../context/AuthContext';
 
-// Simple markdown renderer (fallback if react-markdown is not installed)
-const SimpleMarkdown = ({ text }) => {
-  if (!text) return null;
-  
-  // Split by lines and process
-  const lines = text.split('\n');
-  const elements = [];
-  let currentList = null;
-  
-  lines.forEach((line, index) => {
-    const trimmed = line.trim();
-    
-    // Headers
-    if (trimmed.startsWith('### ')) {
-      elements.push(
-        <h3 key={index} className="text-sm font-bold mb-1 text-green-200 mt-3">
-          {trimmed.substring(4)}
-        </h3>
-      );
-    } else if (trimmed.startsWith('## ')) {
-      elements.push(
-        <h2 key={index} className="text-base font-bold mb-2 text-green-200 mt-3">
-          {trimmed.substring(3)}
-        </h2>
-      );
-    } else if (trimmed.startsWith('# ')) {
-      elements.push(
-        <h1 key={index} className="text-lg font-bold mb-2 text-green-200 mt-3">
-          {trimmed.substring(2)}
-        </h1>
-      );
-    }
-    // Bullet points
-    else if (trimmed.startsWith('- ') || trimmed.startsWith('* ')) {
-      if (!currentList) {
-        currentList = [];
-      }
-      currentList.push(
-        <li key={index} className="text-green-300 ml-4">
-          {trimmed.substring(2)}
-        </li>
-      );
-    }
-    // Numbered lists
-    else if (/^\d+\.\s/.test(trimmed)) {
-      if (!currentList) {
-        currentList = [];
-      }
-      currentList.push(
-        <li key={index} className="text-green-300 ml-4">
-          {trimmed.replace(/^\d+\.\s/, '')}
-        </li>
-      );
-    }
-    // Regular paragraph
-    else if (trimmed) {
-      if (currentList) {
-        elements.push(
-          <ul key={`list-${index}`} className="list-disc list-inside mb-2 space-y-1 text-green-300">
-            {currentList}
-          </ul>
-        );
-        currentList = null;
-      }
-      // Process bold and italic
-      let processedLine = trimmed;
-      processedLine = processedLine.replace(/\*\*(.+?)\*\*/g, '<strong class="font-bold text-green-200">$1</strong>');
-      processedLine = processedLine.replace(/\*(.+?)\*/g, '<em class="italic text-green-200">$1</em>');
-      processedLine = processedLine.replace(/`(.+?)`/g, '<code class="bg-green-900/30 px-1 py-0.5 rounded text-green-200 text-xs">$1</code>');
-      
-      elements.push(
-        <p key={index} className="mb-2 text-green-300" dangerouslySetInnerHTML={{ __html: processedLine }} />
-      );
-    } else {
-      // Empty line - close list if open
-      if (currentList) {
-        elements.push(
-          <ul key={`list-${index}`} className="list-disc list-inside mb-2 space-y-1 text-green-300">
-            {currentList}
-          </ul>
-        );
-        currentList = null;
-      }
+// Live chat: the panel streams GET /chat/:teamId/events and only polls the team as a fallback
+const POLL_INTERVAL_MS = 3000;
+const PAGE_SIZE = 50; // Messages per history page
+const MAX_PAGE_SIZE = 200; // Page size when loading history up to a search result
+const MAX_ATTACHMENTS = 5; // Per message - the server also limits size and type
+const ATTACHMENT_TYPES = 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/markdown,.md';
+const COMMAND_PATTERN = /^\/[a-z]/i; // Composer text like this runs a slash command instead of posting
+const LOAD_OLDER_THRESHOLD_PX = 80; // Scrolling this close to the top loads the previous page
+const STREAM_FAILURES_BEFORE_POLLING = 3;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// Split a Server-Sent Events frame ("event: message\ndata: {...}") into its fields
+const parseEventFrame = (frame) => {
+  const fields = {};
+  frame.split('\n').forEach((line) => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      fields[line.slice(0, colon)] = line.slice(colon + 1).trimStart();
     }
   });
-  
-  // Close any open list
-  if (currentList) {
-    elements.push(
-      <ul key="list-final" className="list-disc list-inside mb-2 space-y-1 text-green-300">
-        {currentList}
-      </ul>
-    );
-  }
-  
-  return <div>{elements}</div>;
+  return fields;
 };
 
-const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
+const ChatPanel = ({ team, currentUserId, currentUserName, onClose, onLeaveTeam }) => {
+  const { token } = useAuth();
   const [teamData, setTeamData] = useState(team);
+  const [connection, setConnection] = useState('connecting'); // connecting | live | reconnecting | polling
   const [newMessage, setNewMessage] = useState('');
+  const [pendingFiles, setPendingFiles] = useState([]); // Attachments for the next message
+  const fileInputRef = useRef(null);
+  const [commands, setCommands] = useState([]); // Slash commands for autocompletion - GET /chat/:teamId/commands
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+  const [commandNotice, setCommandNotice] = useState(null); // { text, error } - command output only this user sees
   const [loading, setLoading] = useState(false);
   const [aiLoading, setAiLoading] = useState(false);
   const [teamName, setTeamName] = useState(team?.name || 'Team Chat');
   const [isEditingName, setIsEditingName] = useState(false);
   const [activeAgent, setActiveAgent] = useState(null); // ARCHITECT, SCRUM_MASTER, DESIGNER, or null
   const [isAgentMenuOpen, setIsAgentMenuOpen] = useState(false); // Dropdown menu state
+  const [showRoster, setShowRoster] = useState(false);
+  const [editingId, setEditingId] = useState(null); // Own message being edited inline
+  const [editText, setEditText] = useState('');
+  const [readReceipts, setReadReceipts] = useState({}); // user_id -> { message_id, ... } - how far each member has read
+  const reportedReadRef = useRef(null); // Last message id this panel marked read
+  const [pinned, setPinned] = useState(team?.pinned_messages || []);
+  const [showPinned, setShowPinned] = useState(true);
+  const [threadRoot, setThreadRoot] = useState(null); // Message whose thread is open
+  const [threadReplies, setThreadReplies] = useState([]);
+  const threadRootRef = useRef(null); // Read by the stream handler
+  threadRootRef.current = threadRoot;
+  const [showSearch, setShowSearch] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [jumpTarget, setJumpTarget] = useState(null); // { id, inThread } - message to scroll to once loaded
+  const [highlightedId, setHighlightedId] = useState(null);
   const messagesEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
   const [isUserAtBottom, setIsUserAtBottom] = useState(true);
   const [shouldAutoScroll, setShouldAutoScroll] = useState(true);
 
-  // Get messages from teamData.messages array
-  const messages = teamData?.messages || [];
+  // Loaded chat history, oldest first - the latest page, plus older pages as the user scrolls up
+  const [messages, setMessages] = useState([]);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const historyRef = useRef({ messages: [], hasOlder: false, loadingOlder: false });
+  historyRef.current = { messages, hasOlder, loadingOlder };
+  const scrollAnchorRef = useRef(null); // Scroll position to keep while older messages are prepended
+
+  const messagesUrl = `http://localhost:3000/chat/${team?._id}/messages`;
+
+  // Add messages unless the stream (or the POST response) already delivered them
+  const addMessages = (incoming) => {
+    setMessages(prev => {
+      const known = new Set(prev.map(m => m._id));
+      const fresh = incoming.filter(m => !known.has(m._id));
+      return fresh.length > 0 ? [...prev, ...fresh] : prev;
+    });
+  };
+  const addMessage = (message) => addMessages([message]);
+
+  // Swap in an edited, deleted or reacted-to message (wherever it is shown)
+  const replaceMessage = (updated) => {
+    const swap = prev => prev.map(m => (m._id === updated._id ? updated : m));
+    setMessages(swap);
+    setThreadReplies(swap);
+    setThreadRoot(prev => (prev?._id === updated._id ? updated : prev));
+  };
+
+  // Replies go to the open thread only - the main history shows their count
+  const addThreadReply = (reply) => {
+    if (threadRootRef.current?._id !== reply.reply_to) return;
+    setThreadReplies(prev => (prev.some(m => m._id === reply._id) ? prev : [...prev, reply]));
+  };
+
+  const openThread = async (msg) => {
+    setThreadRoot(msg);
+    setThreadReplies([]);
+    try {
+      const response = await axios.get(`${messagesUrl}/${msg._id}/replies`, { params: { limit: 200 } });
+      setThreadReplies(response.data.messages || []);
+    } catch (error) {
+      console.error('Error fetching replies:', error);
+    }
+  };
+
+  const fetchLatestMessages = async () => {
+    try {
+      const response = await axios.get(messagesUrl, { params: { limit: PAGE_SIZE } });
+      setMessages(response.data.messages || []);
+      setHasOlder(!!response.data.has_more);
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+    }
+  };
+
+  // Catch up after the last loaded message (polling fallback)
+  const fetchNewMessages = async () => {
+    const last = historyRef.current.messages.at(-1);
+    if (!last) return fetchLatestMessages();
+    try {
+      const response = await axios.get(messagesUrl, { params: { after: last._id, limit: PAGE_SIZE } });
+      if (response.data.has_more) {
+        return fetchLatestMessages(); // Too far behind - start again from the latest page
+      }
+      addMessages(response.data.messages || []);
+    } catch (error) {
+      console.error('Error fetching new messages:', error);
+    }
+  };
+
+  const loadOlderMessages = async () => {
+    const { messages: loaded, hasOlder: more, loadingOlder: busy } = historyRef.current;
+    const container = messagesContainerRef.current;
+    if (!more || busy || loaded.length === 0 || !container) return;
+
+    setLoadingOlder(true);
+    try {
+      const response = await axios.get(messagesUrl, { params: { before: loaded[0]._id, limit: PAGE_SIZE } });
+      scrollAnchorRef.current = { height: container.scrollHeight, top: container.scrollTop };
+      setMessages(prev => {
+        const known = new Set(prev.map(m => m._id));
+        return [...(response.data.messages || []).filter(m => !known.has(m._id)), ...prev];
+      });
+      setHasOlder(!!response.data.has_more);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Search results can be far back - load older pages until the message (or, for a thread
+  // reply, the thread it belongs to) is in the history, then scroll to it
+  const jumpToMessage = async (result) => {
+    const targetId = result.reply_to || result._id;
+    const { messages: loaded, hasOlder: more } = historyRef.current;
+    const older = [];
+    let hasMore = more;
+    let oldestId = loaded[0]?._id;
+    try {
+      while (hasMore && oldestId && ![...older, ...loaded].some(m => m._id === targetId)) {
+        const response = await axios.get(messagesUrl, { params: { before: oldestId, limit: MAX_PAGE_SIZE } });
+        const page = response.data.messages || [];
+        older.unshift(...page);
+        oldestId = page[0]?._id;
+        hasMore = !!response.data.has_more;
+      }
+    } catch (error) {
+      console.error('Error loading history for search result:', error);
+    }
+
+    if (older.length > 0) {
+      setMessages(prev => {
+        const known = new Set(prev.map(m => m._id));
+        return [...older.filter(m => !known.has(m._id)), ...prev];
+      });
+      setHasOlder(hasMore);
+    }
+    setJumpTarget({ id: targetId, inThread: !!result.reply_to });
+  };
+
+  useEffect(() => {
+    if (!jumpTarget) return;
+    const element = document.getElementById(`chat-message-${jumpTarget.id}`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setHighlightedId(jumpTarget.id);
+      setTimeout(() => setHighlightedId(null), 2500);
+      if (jumpTarget.inThread) {
+        openThread(messages.find(m => m._id === jumpTarget.id));
+      }
+    }
+    setJumpTarget(null);
+  }, [jumpTarget, messages]);
 
+  // Keep the view still while older messages are prepended above it
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    const anchor = scrollAnchorRef.current;
+    if (container && anchor) {
+      container.scrollTop = container.scrollHeight - anchor.height + anchor.top;
+      scrollAnchorRef.current = null;
+    }
+  }, [messages[0]?._id]);
+
+  // New messages, AI answers and system_bot events are pushed over Server-Sent Events, read with
+  // fetch so the bearer token can be sent. A dropped stream reconnects with backoff and resumes
+  // from the last event id; after a few failures in a row the panel polls until a stream works again.
   useEffect(() => {
-    if (team?._id) {
-      fetchTeamData();
-      // Poll for team data every 3 seconds
-      const interval = setInterval(fetchTeamData, 3000);
-      return () => clearInterval(interval);
+    if (!team?._id) return;
+
+    let stopped = false;
+    let controller = null;
+    let lastEventId = null;
+    let failures = 0;
+    let retryTimer = null;
+    let pollTimer = null;
+
+    const startPolling = () => {
+      if (!pollTimer) {
+        pollTimer = setInterval(() => {
+          fetchTeamData();
+          fetchNewMessages();
+        }, POLL_INTERVAL_MS);
+      }
+      setConnection('polling');
+    };
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    const handleEvent = (type, data) => {
+      if (type === 'ready') {
+        failures = 0;
+        stopPolling();
+        setConnection('live');
+      } else if (type === 'resync') {
+        fetchLatestMessages(); // Missed more than the server could replay
+      } else if (type === 'membership' && !data.members.includes(currentUserId)) {
+        // Removed from the team (or it was dissolved) - the server has closed the stream
+        stopped = true;
+        stopPolling();
+        if (onLeaveTeam) {
+          onLeaveTeam(team._id);
+        } else {
+          onClose();
+        }
+      } else if (type === 'message' && data.reply_to) {
+        addThreadReply(data);
+      } else if (type === 'message') {
+        addMessage(data);
+        // Roster changes and repo creation are announced by system_bot - refresh the rest of the team
+        if (data.senderId === 'system_bot') {
+          fetchTeamData();
+        }
+      } else if (type === 'message_updated') {
+        replaceMessage(data);
+      } else if (type === 'pins_updated') {
+        setPinned(data);
+      } else if (type === 'read') {
+        setReadReceipts(prev => ({ ...prev, [data.user_id]: data }));
+      }
+    };
+
+    const connect = async () => {
+      controller = new AbortController();
+      try {
+        const query = lastEventId ? `?last_event_id=${lastEventId}` : '';
+        const response = await fetch(`http://localhost:3000/chat/${team._id}/events${query}`, {
+          headers: { Accept: 'text/event-stream', Authorization: `Bearer ${token}` },
+          signal: controller.signal
+        });
+        if (!response.ok || !response.body) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const frames = buffer.split('\n\n');
+          buffer = frames.pop();
+          frames.map(parseEventFrame).forEach((fields) => {
+            if (fields.id) lastEventId = fields.id;
+            if (fields.event) handleEvent(fields.event, JSON.parse(fields.data));
+          });
+        }
+      } catch (error) {
+        if (stopped) return;
+        console.error('Chat stream error:', error.message);
+      }
+      if (stopped) return;
+
+      failures += 1;
+      if (failures >= STREAM_FAILURES_BEFORE_POLLING) {
+        startPolling();
+      } else {
+        setConnection('reconnecting');
+      }
+      retryTimer = setTimeout(connect, Math.min(MAX_RECONNECT_DELAY_MS, 1000 * 2 ** failures));
+    };
+
+    fetchTeamData();
+    fetchLatestMessages();
+    if (typeof ReadableStream === 'undefined') {
+      startPolling();
+    } else {
+      connect();
     }
+
+    return () => {
+      stopped = true;
+      controller?.abort();
+      clearTimeout(retryTimer);
+      stopPolling();
+    };
+  }, [team?._id, token]);
+
+  useEffect(() => {
+    if (!team?._id) return;
+    axios.get(`http://localhost:3000/chat/${team._id}/commands`)
+      .then(response => setCommands(response.data))
+      .catch(error => console.error('Error fetching chat commands:', error));
   }, [team?._id]);
 
   // Check if user is at bottom of scroll
@@ -142,6 +355,9 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
     const handleScroll = () => {
       const atBottom = checkIfAtBottom();
       setIsUserAtBottom(atBottom);
+      if (container.scrollTop < LOAD_OLDER_THRESHOLD_PX) {
+        loadOlderMessages();
+      }
     };
 
     container.addEventListener('scroll', handleScroll);
@@ -151,13 +367,14 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
     return () => container.removeEventListener('scroll', handleScroll);
   }, [messages.length]); // Re-check when messages change
 
-  // Track previous message count to detect new messages
-  const prevMessageCountRef = useRef(messages.length);
+  // Track the newest message to detect new messages (older pages are prepended, not appended)
+  const lastMessageId = messages.at(-1)?._id;
+  const prevLastMessageIdRef = useRef(lastMessageId);
 
   // Only auto-scroll if user is at bottom OR if they just sent a message
   useEffect(() => {
-    const messageCountChanged = messages.length !== prevMessageCountRef.current;
-    prevMessageCountRef.current = messages.length;
+    const messageCountChanged = lastMessageId !== prevLastMessageIdRef.current;
+    prevLastMessageIdRef.current = lastMessageId;
 
     if (messages.length === 0) {
       // Always scroll to bottom if no messages
@@ -179,7 +396,38 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
         }
       }
     }
-  }, [messages.length, shouldAutoScroll]);
+  }, [lastMessageId, shouldAutoScroll]);
+
+  // Pinned messages come with the team, later changes arrive as 'pins_updated' events
+  useEffect(() => {
+    if (teamData?.pinned_messages) {
+      setPinned(teamData.pinned_messages);
+    }
+  }, [teamData?.pinned_messages]);
+
+  // Read positions come with the team, later moves arrive as 'read' events
+  useEffect(() => {
+    if (teamData?.last_read) {
+      setReadReceipts(Object.fromEntries(teamData.last_read.map(entry => [entry.user_id, entry])));
+    }
+  }, [teamData?.last_read]);
+
+  // Mark the chat read once the newest message is on screen
+  useEffect(() => {
+    if (!team?._id || !lastMessageId || !isUserAtBottom || document.hidden) return;
+    if (reportedReadRef.current === lastMessageId || readReceipts[currentUserId]?.message_id === lastMessageId) return;
+    reportedReadRef.current = lastMessageId;
+    axios.post(`http://localhost:3000/chat/${team._id}/read`, { message_id: lastMessageId })
+      .then(response => setReadReceipts(prev => ({ ...prev, [currentUserId]: response.data })))
+      .catch(error => console.error('Error marking chat read:', error));
+  }, [lastMessageId, isUserAtBottom]);
+
+  // Other members whose read position is the newest message
+  const seenBy = (teamData?.memberDetails || []).filter(member => (
+    member._id !== currentUserId
+    && member._id !== messages.at(-1)?.senderId
+    && readReceipts[member._id]?.message_id === lastMessageId
+  ));
 
   const scrollToBottom = () => {
     if (messagesEndRef.current) {
@@ -191,7 +439,6 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
     if (!team?._id) return;
     
     try {
-      // Fetch team data which includes messages array
       const response = await axios.get(`http://localhost:3000/api/team/${team._id}`);
       if (response.data) {
         setTeamData(response.data);
@@ -201,8 +448,41 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
     }
   };
 
+  const addFiles = (fileList) => {
+    const picked = [...fileList];
+    setPendingFiles(prev => {
+      const next = [...prev, ...picked];
+      if (next.length > MAX_ATTACHMENTS) {
+        alert(`At most ${MAX_ATTACHMENTS} attachments per message`);
+      }
+      return next.slice(0, MAX_ATTACHMENTS);
+    });
+  };
+
+  // Slash commands are parsed and run by the server; their notice is shown only here
+  const runCommand = async () => {
+    setLoading(true);
+    setShouldAutoScroll(true);
+    try {
+      const response = await axios.post(`http://localhost:3000/chat/${team._id}/commands`, { input: newMessage.trim() });
+      const { notice, message, agent } = response.data;
+      setNewMessage('');
+      setCommandNotice(notice ? { text: notice, error: false } : null);
+      if (message) addMessage(message);
+      if (agent) setActiveAgent(agent);
+    } catch (error) {
+      console.error('Error running command:', error);
+      setCommandNotice({ text: error.response?.data?.error || error.message, error: true });
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const sendMessage = async () => {
-    if (!newMessage.trim() || !team?._id) {
+    if (COMMAND_PATTERN.test(newMessage) && team?._id) {
+      return runCommand();
+    }
+    if ((!newMessage.trim() && pendingFiles.length === 0) || !team?._id) {
       console.error('Cannot send: missing message or team ID', { hasMessage: !!newMessage.trim(), hasTeam: !!team?._id });
       return;
     }
@@ -211,14 +491,22 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
     setShouldAutoScroll(true); // Force scroll when user sends a message
     try {
       console.log('📤 Sending message:', { teamId: team._id, userId: currentUserId, userName: currentUserName });
-      const response = await axios.post(`http://localhost:3000/chat/${team._id}/messages`, {
+      const fields = {
         user_id: currentUserId,
         user_name: currentUserName,
         message: newMessage.trim()
-      });
+      };
+      let body = fields;
+      if (pendingFiles.length > 0) {
+        body = new FormData();
+        Object.entries(fields).forEach(([key, value]) => body.append(key, value));
+        pendingFiles.forEach(file => body.append('files', file));
+      }
+      const response = await axios.post(`http://localhost:3000/chat/${team._id}/messages`, body);
       console.log('✅ Message sent successfully:', response.data);
       setNewMessage('');
-      fetchTeamData(); // Refresh team data to get updated messages
+      setPendingFiles([]);
+      addMessage(response.data);
     } catch (error) {
       console.error('❌ Error sending message:', error);
       console.error('❌ Error response:', error.response?.data);
@@ -229,6 +517,99 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
     }
   };
 
+  const startEditing = (msg) => {
+    setEditingId(msg._id);
+    setEditText(msg.text);
+  };
+
+  const saveEdit = async () => {
+    if (!editText.trim()) return;
+    try {
+      const response = await axios.put(`${messagesUrl}/${editingId}`, { message: editText.trim() });
+      replaceMessage(response.data);
+      setEditingId(null);
+    } catch (error) {
+      console.error('Error editing message:', error);
+      alert(`Error: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const deleteMessage = async (msg) => {
+    if (!window.confirm('Delete this message?')) return;
+    try {
+      const response = await axios.delete(`${messagesUrl}/${msg._id}`);
+      replaceMessage(response.data);
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      alert(`Error: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const togglePin = async (msg, on) => {
+    try {
+      const response = on
+        ? await axios.post(`${messagesUrl}/${msg._id}/pin`)
+        : await axios.delete(`${messagesUrl}/${msg._id}/pin`);
+      setPinned(response.data);
+    } catch (error) {
+      console.error('Error updating pins:', error);
+      alert(`Error: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  // Download the whole chat as a transcript (GET /chat/:teamId/export)
+  const exportChat = async (format) => {
+    setShowExport(false);
+    setExporting(true);
+    try {
+      const response = await axios.get(`http://localhost:3000/chat/${team._id}/export`, {
+        params: { format },
+        responseType: 'blob'
+      });
+      const filename = response.headers['content-disposition']?.match(/filename="([^"]+)"/)?.[1] || `chat.${format}`;
+      const objectUrl = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+    } catch (error) {
+      console.error('Error exporting chat:', error);
+      alert('Failed to export the chat');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const senderNameOf = (senderId) => {
+    if (senderId === 'ai_bot') return 'SYSTEM ADVISOR';
+    if (senderId === 'system_bot') return 'SYSTEM';
+    if (senderId === currentUserId) return 'You';
+    return teamData?.memberDetails?.find(m => m._id?.toString() === senderId)?.name || 'User';
+  };
+
+  const toggleReaction = async (msg, emoji, on) => {
+    try {
+      const response = on
+        ? await axios.post(`${messagesUrl}/${msg._id}/reactions`, { emoji })
+        : await axios.delete(`${messagesUrl}/${msg._id}/reactions/${encodeURIComponent(emoji)}`);
+      replaceMessage(response.data);
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+    }
+  };
+
+  const votePoll = async (msg, option) => {
+    try {
+      const response = option === null
+        ? await axios.delete(`${messagesUrl}/${msg._id}/poll/vote`)
+        : await axios.post(`${messagesUrl}/${msg._id}/poll/vote`, { option });
+      replaceMessage(response.data);
+    } catch (error) {
+      console.error('Error voting:', error);
+    }
+  };
+
   const askAI = async () => {
     if (!team?._id) return;
     
@@ -250,7 +631,9 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
       }
       
       setNewMessage('');
-      fetchTeamData(); // Refresh team data to show AI response
+      if (connection !== 'live') {
+        fetchNewMessages(); // Otherwise the AI response arrives over the stream
+      }
     } catch (error) {
       console.error('Error getting AI advice:', error);
       alert('Failed to get AI advice');
@@ -269,9 +652,12 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
         projectName: projectName
       });
       
-      // The backend now automatically posts a message with the GitHub link
-      // Just refresh to show the new message
-      fetchTeamData();
+      // The backend now automatically posts a message with the GitHub link - it arrives over
+      // the stream, which also refreshes the team
+      if (connection !== 'live') {
+        fetchTeamData();
+        fetchNewMessages();
+      }
     } catch (error) {
       console.error('Error initializing GitHub:', error);
       alert('Failed to initialize GitHub repository: ' + (error.response?.data?.error || error.message));
@@ -296,6 +682,30 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
     }
   };
 
+  const isLead = (teamData?.lead_id || teamData?.members?.[0]) === currentUserId;
+
+  // Autocompletion while the command name is typed, then its usage line as a hint
+  const typedCommand = /^\/(\w*)$/.exec(newMessage)?.[1]?.toLowerCase();
+  const suggestions = typedCommand === undefined ? [] : commands.filter(command => command.name.startsWith(typedCommand));
+  const commandHint = commands.find(command => command.name === /^\/(\w+)\s/.exec(newMessage)?.[1]?.toLowerCase());
+
+  const completeCommand = (command) => {
+    setNewMessage(`/${command.name} `);
+    setSuggestionIndex(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      completeCommand(suggestions[Math.min(suggestionIndex, suggestions.length - 1)]);
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSuggestionIndex(index => (index + step + suggestions.length) % suggestions.length);
+    }
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -346,9 +756,46 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
                 {teamName}
               </h3>
             )}
-            <p className="text-xs text-[#39ff14]/70 pixel-text">
-              // MEMBERS: {team?.members?.length || 0}/4
-            </p>
+            <button
+              onClick={() => setShowRoster(!showRoster)}
+              className="text-xs text-[#39ff14]/70 hover:text-[#39ff14] pixel-text"
+            >
+              // MEMBERS: {teamData?.members?.length ?? team?.members?.length ?? 0}/{teamData?.team_size?.max || 4} {showRoster ? '▲' : '▼'}
+            </button>
+            <button
+              onClick={() => setShowSearch(!showSearch)}
+              className="ml-3 text-xs text-[#39ff14]/70 hover:text-[#39ff14] pixel-text font-bold"
+            >
+              SEARCH()
+            </button>
+            <span className="relative ml-3">
+              <button
+                onClick={() => setShowExport(!showExport)}
+                disabled={exporting}
+                className="text-xs text-[#39ff14]/70 hover:text-[#39ff14] pixel-text font-bold disabled:opacity-50"
+              >
+                {exporting ? '// EXPORTING...' : 'EXPORT()'}
+              </button>
+              {showExport && (
+                <div className="absolute left-0 top-full mt-1 z-50 flex flex-col bg-black border-2 border-[#39ff14]/50 pixel-text text-xs">
+                  {[['markdown', 'MARKDOWN (.md)'], ['json', 'JSON (.json)'], ['text', 'PLAIN_TEXT (.txt)']].map(([format, label]) => (
+                    <button
+                      key={format}
+                      onClick={() => exportChat(format)}
+                      className="px-3 py-2 text-left text-[#39ff14]/80 hover:bg-[#39ff14]/10 hover:text-[#39ff14] whitespace-nowrap"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </span>
+            <span
+              className={`ml-3 text-xs pixel-text ${connection === 'live' ? 'text-[#39ff14]' : 'text-yellow-400/80'}`}
+              title={connection === 'polling' ? 'Live updates unavailable - refreshing every few seconds' : undefined}
+            >
+              {connection === 'live' ? '● LIVE' : connection === 'polling' ? '○ POLLING' : connection === 'reconnecting' ? '○ RECONNECTING...' : '○ CONNECTING...'}
+            </span>
           </div>
           <button
             onClick={onClose}
@@ -359,12 +806,61 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
           </button>
         </div>
 
+      {showRoster && (
+        <TeamRoster
+          team={teamData}
+          currentUserId={currentUserId}
+          onChanged={fetchTeamData}
+          onLeft={(teamId) => (onLeaveTeam ? onLeaveTeam(teamId) : onClose())}
+        />
+      )}
+
+      {showSearch && (
+        <ChatSearch
+          teamId={team._id}
+          members={teamData?.memberDetails}
+          senderName={senderNameOf}
+          onJump={jumpToMessage}
+          onClose={() => setShowSearch(false)}
+        />
+      )}
+
+      {/* Pinned messages - decisions that shouldn't get buried */}
+      {pinned.length > 0 && (
+        <div className="px-4 py-2 border-b-2 border-[#39ff14]/50 bg-black/50 pixel-text text-xs">
+          <button onClick={() => setShowPinned(!showPinned)} className="text-[#39ff14] font-bold hover:text-green-200">
+            // PINNED ({pinned.length}) {showPinned ? '▲' : '▼'}
+          </button>
+          {showPinned && (
+            <div className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+              {pinned.map((msg) => (
+                <div key={msg._id} className="flex items-start justify-between gap-2 text-white/80">
+                  <span className="break-words min-w-0">
+                    <span className="text-[#39ff14]/70 font-bold">{senderNameOf(msg.senderId)}: </span>
+                    {msg.text.length > 140 ? `${msg.text.slice(0, 140)}...` : msg.text}
+                  </span>
+                  <button onClick={() => togglePin(msg, false)} className="shrink-0 text-white/40 hover:text-red-400 font-bold">
+                    UNPIN()
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex-1 flex min-h-0">
       {/* Messages Container */}
       <div
         ref={messagesContainerRef}
         className="flex-1 overflow-y-auto p-6 space-y-4"
         style={{ maxHeight: 'calc(100vh - 200px)' }}
       >
+        {hasOlder && (
+          <div className="text-center text-xs text-white/40 pixel-text">
+            {loadingOlder ? '// LOADING_OLDER_MESSAGES...' : '// SCROLL_UP_FOR_OLDER_MESSAGES'}
+          </div>
+        )}
         {messages.length === 0 ? (
           <div className="text-center text-white/50 pixel-text text-sm py-8">
             // NO_MESSAGES_YET
@@ -375,6 +871,10 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
           messages.map((msg, index) => {
             const isCurrentUser = msg.senderId === currentUserId;
             const isAI = msg.senderId === 'ai_bot';
+            const isDeleted = !!msg.deleted_at;
+            const isEditing = editingId === msg._id;
+            const mentionsMe = !isDeleted && (msg.mentions || []).includes(currentUserId);
+            const isPinned = pinned.some(p => p._id === msg._id);
             
             // Get sender name for non-AI messages
             let senderName = 'User';
@@ -385,8 +885,11 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
             
             return (
               <div
-                key={`${msg.senderId}-${msg.timestamp}-${index}`}
-                className={`flex ${isCurrentUser ? 'justify-end' : 'justify-start'} mb-4`}
+                key={msg._id || `${msg.senderId}-${msg.timestamp}-${index}`}
+                id={msg._id ? `chat-message-${msg._id}` : undefined}
+                className={`flex ${isCurrentUser ? 'justify-end' : 'justify-start'} mb-4 transition-all ${
+                  highlightedId === msg._id ? 'ring-2 ring-[#39ff14] ring-offset-4 ring-offset-black' : ''
+                }`}
               >
                 <div
                   className={`max-w-[75%] px-4 py-3 rounded-lg pixel-text ${
@@ -394,12 +897,15 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
                       ? 'bg-green-900/20 border border-green-400 text-green-300 w-full shadow-[0_0_10px_rgba(74,222,128,0.5)]'
                       : isCurrentUser
                       ? 'bg-[#39ff14]/30 text-white border-2 border-[#39ff14]/50'
+                      : mentionsMe
+                      ? 'bg-yellow-400/10 text-white border-2 border-yellow-400/70'
                       : 'bg-black/50 text-white/80 border-2 border-[#39ff14]/30'
                   }`}
                 >
                   {!isCurrentUser && !isAI && (
                     <div className="text-xs text-[#39ff14]/70 mb-2 font-bold">
                       {senderName}
+                      {mentionsMe && <span className="text-yellow-400"> // @YOU</span>}
                     </div>
                   )}
                   {isAI && (
@@ -409,18 +915,42 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
                   )}
                   <div 
                     className={`break-words text-sm leading-relaxed ${
-                      isAI ? 'max-h-96 overflow-y-auto' : 'whitespace-pre-wrap'
+                      isAI ? 'max-h-96 overflow-y-auto' : ''
                     }`}
                   >
-                    {isAI ? (
-                      <SimpleMarkdown text={msg.text} />
+                    {isDeleted ? (
+                      <div className="text-white/40 italic">// MESSAGE_DELETED</div>
+                    ) : isEditing ? (
+                      <div>
+                        <textarea
+                          value={editText}
+                          onChange={(e) => setEditText(e.target.value)}
+                          className="w-full bg-black/50 border-2 border-[#39ff14]/50 px-2 py-1 text-white text-sm pixel-text focus:outline-none focus:border-[#39ff14] resize-none"
+                          rows={3}
+                          autoFocus
+                        />
+                        <div className="flex gap-2 mt-2 text-xs font-bold">
+                          <button onClick={saveEdit} className="px-2 py-1 border border-[#39ff14]/50 text-[#39ff14] hover:bg-[#39ff14]/10">
+                            SAVE()
+                          </button>
+                          <button onClick={() => setEditingId(null)} className="px-2 py-1 border border-white/30 text-white/60 hover:bg-white/10">
+                            CANCEL()
+                          </button>
+                        </div>
+                      </div>
                     ) : (
-                      <div className="whitespace-pre-wrap">{msg.text}</div>
+                      <ChatMarkdown text={msg.text} />
                     )}
                   </div>
                   
+                  {!isDeleted && <MessageAttachments attachments={msg.attachments} />}
+
+                  {!isDeleted && msg.poll && (
+                    <ChatPoll poll={msg.poll} currentUserId={currentUserId} onVote={(option) => votePoll(msg, option)} />
+                  )}
+
                   {/* GitHub Action Button - Show if action is CREATE_REPO or actionType is GITHUB_INIT */}
-                  {isAI && (msg.action === 'CREATE_REPO' || msg.actionType === 'GITHUB_INIT' || msg.github_action) && !teamData?.github_repo_url && (
+                  {isAI && !isDeleted && (msg.action === 'CREATE_REPO' || msg.actionType === 'GITHUB_INIT' || msg.github_action) && !teamData?.github_repo_url && (
                     <div className="mt-4 pt-3 border-t border-green-400/30">
                       <button
                         onClick={() => initializeGitHub(msg.repoName || msg.project_name)}
@@ -448,17 +978,66 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
                     </div>
                   )}
                   
-                  <div className="text-xs text-white/30 mt-2">
-                    {msg.timestamp ? new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''}
+                  {!isDeleted && msg._id && (
+                    <MessageReactions
+                      reactions={msg.reactions}
+                      currentUserId={currentUserId}
+                      onToggle={(emoji, on) => toggleReaction(msg, emoji, on)}
+                    />
+                  )}
+
+                  <div className="flex items-center gap-3 text-xs text-white/30 mt-2">
+                    <span>
+                      {msg.timestamp ? new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''}
+                      {msg.edited_at && !isDeleted && ' (edited)'}
+                    </span>
+                    {!isDeleted && !isEditing && msg._id && (
+                      <span className="flex gap-2 font-bold">
+                        {isCurrentUser && (
+                          <button onClick={() => startEditing(msg)} className="hover:text-[#39ff14]">EDIT()</button>
+                        )}
+                        {(isCurrentUser || isLead) && (
+                          <button onClick={() => deleteMessage(msg)} className="hover:text-red-400">DELETE()</button>
+                        )}
+                        <button onClick={() => openThread(msg)} className="hover:text-[#39ff14]">REPLY()</button>
+                        {isPinned ? (
+                          <button onClick={() => togglePin(msg, false)} className="text-[#39ff14]/70 hover:text-[#39ff14]">UNPIN()</button>
+                        ) : (
+                          <button onClick={() => togglePin(msg, true)} className="hover:text-[#39ff14]">PIN()</button>
+                        )}
+                      </span>
+                    )}
+                    {msg.reply_count > 0 && (
+                      <button onClick={() => openThread(msg)} className="text-[#39ff14]/80 hover:text-[#39ff14] font-bold">
+                        ↳ {msg.reply_count} {msg.reply_count === 1 ? 'REPLY' : 'REPLIES'}
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
             );
           })
         )}
+        {seenBy.length > 0 && (
+          <div className="text-right text-xs text-white/40 pixel-text -mt-2">
+            // SEEN_BY: {seenBy.map(member => member.name?.split(' ')[0] || 'Member').join(', ')}
+          </div>
+        )}
         <div ref={messagesEndRef} />
       </div>
 
+      {threadRoot && (
+        <ThreadPanel
+          teamId={team._id}
+          root={threadRoot}
+          replies={threadReplies}
+          senderName={senderNameOf}
+          onReplyPosted={addThreadReply}
+          onClose={() => setThreadRoot(null)}
+        />
+      )}
+      </div>
+
       {/* Input Area */}
       <div className="p-6 border-t-2 border-[#39ff14]/50 bg-black/50 relative">
         {/* Active Agent Display */}
@@ -548,18 +1127,92 @@ const ChatPanel = ({ team, currentUserId, currentUserName, onClose }) => {
             // Type your message or ask AI for project ideas, execution plans, and team advice
           </div>
         </div>
+        {commandNotice && (
+          <div
+            className={`flex items-start gap-2 mb-2 px-3 py-2 border pixel-text text-xs whitespace-pre-wrap ${
+              commandNotice.error ? 'border-red-500/60 text-red-400' : 'border-[#39ff14]/50 text-[#39ff14]/90'
+            }`}
+          >
+            <span className="flex-1">{commandNotice.text}</span>
+            <button onClick={() => setCommandNotice(null)} className="text-white/50 hover:text-[#39ff14] font-bold" title="Dismiss">
+              ×
+            </button>
+          </div>
+        )}
+        {suggestions.length > 0 && (
+          <div className="mb-2 border-2 border-[#39ff14]/50 bg-black/90 pixel-text text-xs">
+            {suggestions.map((command, index) => (
+              <button
+                key={command.name}
+                onClick={() => completeCommand(command)}
+                className={`w-full flex justify-between gap-4 px-3 py-1 text-left ${
+                  index === Math.min(suggestionIndex, suggestions.length - 1) ? 'bg-[#39ff14]/20 text-[#39ff14]' : 'text-white/70 hover:bg-[#39ff14]/10'
+                }`}
+              >
+                <span className="font-bold">{command.usage}</span>
+                <span className="text-white/40">{command.description}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        {commandHint && (
+          <div className="mb-2 text-xs text-[#39ff14]/70 pixel-text">// {commandHint.usage}</div>
+        )}
+        {pendingFiles.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-2 pixel-text text-xs">
+            {pendingFiles.map((file, index) => (
+              <span key={`${file.name}-${index}`} className="flex items-center gap-1 px-2 py-1 bg-black/50 border border-[#39ff14]/50 text-[#39ff14]">
+                📎 {file.name}
+                <button
+                  onClick={() => setPendingFiles(prev => prev.filter((_, i) => i !== index))}
+                  className="ml-1 text-white/50 hover:text-red-400 font-bold"
+                  title="Remove attachment"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
         <div className="flex gap-3">
           <textarea
             value={newMessage}
             onChange={(e) => setNewMessage(e.target.value)}
+            onKeyDown={handleKeyDown}
             onKeyPress={handleKeyPress}
-            placeholder="TYPE_MESSAGE() or ask AI for help..."
+            onPaste={(e) => {
+              // Pasted screenshots become attachments
+              if (e.clipboardData.files.length > 0) {
+                e.preventDefault();
+                addFiles(e.clipboardData.files);
+              }
+            }}
+            placeholder="TYPE_MESSAGE(), ask AI for help, or / for commands..."
             rows={3}
             className="flex-1 bg-black/50 border-2 border-[#39ff14]/50 px-4 py-3 text-white placeholder:text-white/30 focus:outline-none focus:border-[#39ff14] resize-none pixel-text text-sm"
           />
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={ATTACHMENT_TYPES}
+            className="hidden"
+            onChange={(e) => {
+              addFiles(e.target.files);
+              e.target.value = '';
+            }}
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={loading || pendingFiles.length >= MAX_ATTACHMENTS}
+            className="px-3 py-3 bg-black/50 border-2 border-[#39ff14]/50 text-[#39ff14] hover:bg-[#39ff14]/10 hover:border-[#39ff14] transition-all pixel-text text-sm font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Attach images, PDFs or text files"
+          >
+            📎
+          </button>
           <button
             onClick={sendMessage}
-            disabled={loading || !newMessage.trim()}
+            disabled={loading || (!newMessage.trim() && pendingFiles.length === 0)}
             className="px-6 py-3 bg-[#39ff14] text-black border-2 border-[#39ff14] font-bold transition-all duration-200 code-glow hover:bg-[#39ff14]/90 disabled:bg-gray-600 disabled:border-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed pixel-text text-sm"
           >
             {loading ? '// SENDING...' : 'SEND()'}
@@ -0,0 +1,32 @@
+// Poll started with /poll - one bar per option; clicking an option votes for it (or takes the
+// vote back if it is already yours)
+const ChatPoll = ({ poll, currentUserId, onVote }) => {
+  const total = poll.options.reduce((sum, option) => sum + option.votes.length, 0);
+
+  return (
+    <div className="mt-2 space-y-1 pixel-text text-xs">
+      {poll.options.map((option, index) => {
+        const mine = option.votes.includes(currentUserId);
+        const share = total > 0 ? Math.round((option.votes.length / total) * 100) : 0;
+        return (
+          <button
+            key={index}
+            onClick={() => onVote(mine ? null : index)}
+            className={`relative w-full text-left px-3 py-2 border overflow-hidden transition-all ${
+              mine ? 'border-[#39ff14] text-[#39ff14]' : 'border-[#39ff14]/30 text-white/80 hover:border-[#39ff14]/60'
+            }`}
+          >
+            <span className="absolute inset-y-0 left-0 bg-[#39ff14]/15" style={{ width: `${share}%` }} />
+            <span className="relative flex justify-between gap-3">
+              <span>{mine ? '● ' : '○ '}{option.text}</span>
+              <span className="text-white/50">{option.votes.length} ({share}%)</span>
+            </span>
+          </button>
+        );
+      })}
+      <div className="text-white/40">// {total} {total === 1 ? 'VOTE' : 'VOTES'}</div>
+    </div>
+  );
+};
+
+export default ChatPoll;
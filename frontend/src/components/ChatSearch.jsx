@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import axios from 'axios';
+
+// Snippet with the matched ranges the server reported wrapped in <mark> - built as React
+// elements, never as HTML
+const HighlightedSnippet = ({ snippet, highlights = [] }) => {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(([start, end]) => {
+    if (start > position) parts.push(snippet.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-[#39ff14]/30 text-[#39ff14]">
+        {snippet.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(snippet.slice(position));
+  return <span>{parts}</span>;
+};
+
+// Search box for the team chat (GET /chat/:teamId/search) - picking a result jumps to it
+const ChatSearch = ({ teamId, members = [], senderName, onJump, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [sender, setSender] = useState('');
+  const [aiOnly, setAiOnly] = useState(false);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [results, setResults] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [searching, setSearching] = useState(false);
+
+  const runSearch = async (before = null) => {
+    setSearching(true);
+    try {
+      const params = { q: query.trim() || undefined, sender: sender || undefined, from: from || undefined, to: to || undefined };
+      if (aiOnly) params.ai_only = 'true';
+      if (before) params.before = before;
+      const response = await axios.get(`http://localhost:3000/chat/${teamId}/search`, { params });
+      setResults(prev => (before ? [...prev, ...response.data.results] : response.data.results));
+      setHasMore(!!response.data.has_more);
+    } catch (error) {
+      console.error('Error searching chat:', error);
+      alert(`Search failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const inputClass = 'bg-black/50 border-2 border-[#39ff14]/50 px-2 py-1 text-white text-xs pixel-text focus:outline-none focus:border-[#39ff14]';
+
+  return (
+    <div className="p-4 border-b-2 border-[#39ff14]/50 bg-black/50 pixel-text text-xs">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          runSearch();
+        }}
+        className="space-y-2"
+      >
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder='// Search messages ("exact phrase" works)'
+            className={`${inputClass} flex-1`}
+            autoFocus
+          />
+          <button
+            type="submit"
+            disabled={searching}
+            className="px-3 py-1 bg-[#39ff14]/20 border-2 border-[#39ff14] text-[#39ff14] hover:bg-[#39ff14]/30 font-bold disabled:opacity-50"
+          >
+            {searching ? '// SEARCHING...' : 'SEARCH()'}
+          </button>
+          <button type="button" onClick={onClose} className="px-2 text-white/50 hover:text-[#39ff14] text-lg font-bold">
+            ×
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-white/60">
+          <select value={sender} onChange={(e) => setSender(e.target.value)} disabled={aiOnly} className={inputClass}>
+            <option value="">ANYONE</option>
+            {members.map((member) => (
+              <option key={member._id} value={member._id}>{member.name || 'Member'}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={aiOnly} onChange={(e) => setAiOnly(e.target.checked)} />
+            AI_ONLY
+          </label>
+          <label className="flex items-center gap-1">
+            FROM <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+          </label>
+          <label className="flex items-center gap-1">
+            TO <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+          </label>
+        </div>
+      </form>
+
+      {results && (
+        <div className="mt-3 max-h-64 overflow-y-auto space-y-2">
+          {results.length === 0 && <div className="text-white/50">// NO_MATCHES</div>}
+          {results.map((result) => (
+            <button
+              key={result._id}
+              onClick={() => onJump(result)}
+              className="w-full text-left p-2 bg-black/50 border border-[#39ff14]/30 hover:border-[#39ff14] transition-all"
+            >
+              <div className="flex justify-between text-[#39ff14]/70 font-bold mb-1">
+                <span>{senderName(result.senderId)}{result.reply_to && <span className="text-white/40"> // IN_THREAD</span>}</span>
+                <span className="text-white/40">{new Date(result.timestamp).toLocaleString()}</span>
+              </div>
+              <div className="text-white/80 break-words">
+                <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+              </div>
+            </button>
+          ))}
+          {hasMore && (
+            <button
+              onClick={() => runSearch(results.at(-1)._id)}
+              disabled={searching}
+              className="w-full py-1 text-[#39ff14]/70 hover:text-[#39ff14] font-bold"
+            >
+              MORE_RESULTS()
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChatSearch;
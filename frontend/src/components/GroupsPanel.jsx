@@ -1,27 +1,55 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 
-const GroupsPanel = ({ currentUserId, onSelectTeam, selectedTeamId, onClose }) => {
+const UNREAD_REFRESH_MS = 15000; // Unread badges are refreshed this often while the panel is open
+
+const GroupsPanel = ({ currentUserId, onSelectTeam, selectedTeamId, onClose, onLeaveTeam }) => {
   const [teams, setTeams] = useState([]);
   const [loading, setLoading] = useState(true);
+  const selectedTeamIdRef = useRef(selectedTeamId); // Read by the refresh timer
+  selectedTeamIdRef.current = selectedTeamId;
 
   useEffect(() => {
     fetchTeams();
+    const timer = setInterval(() => fetchTeams({ quiet: true }), UNREAD_REFRESH_MS);
+    return () => clearInterval(timer);
   }, [currentUserId]);
 
-  const fetchTeams = async () => {
+  // Opening a team's chat reads it
+  useEffect(() => {
+    setTeams(prev => prev.map(t => (t._id === selectedTeamId ? { ...t, unread_count: 0, unread_mentions: 0 } : t)));
+  }, [selectedTeamId]);
+
+  const fetchTeams = async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       const response = await axios.get(`http://localhost:3000/api/teams/${currentUserId}`);
-      setTeams(response.data || []);
+      // The open chat marks itself read - don't flash a badge for it in between
+      setTeams((response.data || []).map(t => (t._id === selectedTeamIdRef.current ? { ...t, unread_count: 0, unread_mentions: 0 } : t)));
     } catch (error) {
       console.error('Error fetching teams:', error);
-      setTeams([]);
+      if (!quiet) setTeams([]);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleLeave = async (e, team) => {
+    e.stopPropagation(); // Don't open the chat
+    const lastMember = (team.members?.length || 0) <= 1;
+    if (!window.confirm(lastMember ? 'You are the last member - leaving dissolves the team. Continue?' : `Leave ${team.name || 'this team'}?`)) {
+      return;
+    }
+    try {
+      await axios.post(`http://localhost:3000/api/team/${team._id}/leave`);
+      setTeams(prev => prev.filter(t => t._id !== team._id));
+      onLeaveTeam?.(team._id);
+    } catch (error) {
+      console.error('Error leaving team:', error);
+      alert(`Error leaving team: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
   return (
     <div className="fixed left-0 top-0 h-full w-80 bg-[#0a0a0a] border-r-2 border-[#39ff14]/50 z-50 flex flex-col code-bg">
       {/* Header */}
@@ -68,9 +96,21 @@ const GroupsPanel = ({ currentUserId, onSelectTeam, selectedTeamId, onClose }) =
                     <h4 className="text-white font-bold pixel-text text-sm code-glow">
                       {team.name || `Team ${team._id.slice(-4)}`}
                     </h4>
-                    {isSelected && (
-                      <span className="text-[#39ff14] text-xs pixel-text">→</span>
-                    )}
+                    <div className="flex items-center gap-2">
+                      {team.unread_count > 0 && !isSelected && (
+                        <span
+                          className={`px-2 py-0.5 text-xs pixel-text font-bold ${
+                            team.unread_mentions > 0 ? 'bg-yellow-400 text-black' : 'bg-[#39ff14] text-black'
+                          }`}
+                          title={team.unread_mentions > 0 ? `${team.unread_mentions} unread mention(s)` : 'Unread messages'}
+                        >
+                          {team.unread_mentions > 0 && '@ '}{team.unread_count > 99 ? '99+' : team.unread_count}
+                        </span>
+                      )}
+                      {isSelected && (
+                        <span className="text-[#39ff14] text-xs pixel-text">→</span>
+                      )}
+                    </div>
                   </div>
                   
                   {team.hackathon && (
@@ -81,13 +121,24 @@ const GroupsPanel = ({ currentUserId, onSelectTeam, selectedTeamId, onClose }) =
                   
                   <div className="flex items-center gap-2 mt-2">
                     <span className="text-xs text-white/60 pixel-text">
-                      MEMBERS: <span className="text-[#39ff14]">{team.members?.length || 0}/4</span>
+                      MEMBERS: <span className="text-[#39ff14]">{team.members?.length || 0}/{team.team_size?.max || 4}</span>
                     </span>
                     {team.is_full && (
                       <span className="text-xs text-[#39ff14] pixel-text font-bold">
                         // FULL
                       </span>
                     )}
+                    {team.lead_id === currentUserId && (
+                      <span className="text-xs text-[#39ff14] pixel-text font-bold">
+                        // LEAD
+                      </span>
+                    )}
+                    <button
+                      onClick={(e) => handleLeave(e, team)}
+                      className="ml-auto text-xs text-red-400/70 hover:text-red-400 pixel-text font-bold"
+                    >
+                      LEAVE()
+                    </button>
                   </div>
                   
                   {team.memberDetails && team.memberDetails.length > 0 && (
@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// Attachment URLs need the bearer token, so files are fetched with axios and shown through
+// object URLs rather than linked directly
+const API_URL = 'http://localhost:3000';
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
+
+const fetchBlob = async (url) => {
+  const response = await axios.get(`${API_URL}${url}`, { responseType: 'blob' });
+  return response.data;
+};
+
+// Open images in a new tab, save everything else under its original name
+const openAttachment = async (attachment) => {
+  try {
+    const objectUrl = URL.createObjectURL(await fetchBlob(attachment.url));
+    if (attachment.content_type.startsWith('image/')) {
+      window.open(objectUrl, '_blank', 'noopener');
+    } else {
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = attachment.name;
+      link.click();
+    }
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    alert('Failed to download the attachment');
+  }
+};
+
+const Thumbnail = ({ attachment }) => {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    fetchBlob(attachment.thumbnail_url)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch(error => console.error('Error loading thumbnail:', error));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment.thumbnail_url]);
+
+  return (
+    <button onClick={() => openAttachment(attachment)} className="block border border-[#39ff14]/30 hover:border-[#39ff14] transition-all" title={attachment.name}>
+      {src ? (
+        <img src={src} alt={attachment.name} className="max-h-40 max-w-full" />
+      ) : (
+        <div className="w-40 h-24 flex items-center justify-center text-xs text-white/40">// LOADING...</div>
+      )}
+    </button>
+  );
+};
+
+// Image thumbnails and download links under a chat message
+const MessageAttachments = ({ attachments = [] }) => {
+  if (attachments.length === 0) return null;
+
+  return (
+    <div className="mt-2 flex flex-wrap gap-2">
+      {attachments.map((attachment) => (
+        attachment.thumbnail_url ? (
+          <Thumbnail key={attachment._id} attachment={attachment} />
+        ) : (
+          <button
+            key={attachment._id}
+            onClick={() => openAttachment(attachment)}
+            className="px-3 py-2 bg-black/50 border border-[#39ff14]/30 hover:border-[#39ff14] text-xs text-[#39ff14] transition-all text-left"
+          >
+            📎 {attachment.name} <span className="text-white/40">({formatSize(attachment.size)})</span>
+          </button>
+        )
+      ))}
+    </div>
+  );
+};
+
+export default MessageAttachments;
@@ -0,0 +1,60 @@
+import { useState } from 'react';
+
+const REACTION_PALETTE = ['👍', '🎉', '❤️', '😂', '🚀', '👀'];
+
+// Emoji chips under a chat message - one per emoji with its count; the current user's own
+// reactions are highlighted and clicking a chip toggles it
+const MessageReactions = ({ reactions = [], currentUserId, onToggle }) => {
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+
+  const counts = new Map();
+  reactions.forEach(({ emoji, user_id }) => {
+    const entry = counts.get(emoji) || { count: 0, mine: false };
+    entry.count += 1;
+    entry.mine = entry.mine || user_id === currentUserId;
+    counts.set(emoji, entry);
+  });
+
+  const pick = (emoji) => {
+    setIsPickerOpen(false);
+    onToggle(emoji, !counts.get(emoji)?.mine);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 mt-2">
+      {[...counts.entries()].map(([emoji, { count, mine }]) => (
+        <button
+          key={emoji}
+          onClick={() => onToggle(emoji, !mine)}
+          className={`px-2 py-0.5 text-xs border transition-all ${
+            mine
+              ? 'bg-[#39ff14]/20 border-[#39ff14] text-[#39ff14]'
+              : 'bg-black/50 border-[#39ff14]/30 text-white/70 hover:border-[#39ff14]/60'
+          }`}
+        >
+          {emoji} {count}
+        </button>
+      ))}
+      <div className="relative">
+        <button
+          onClick={() => setIsPickerOpen(!isPickerOpen)}
+          className="px-2 py-0.5 text-xs border border-[#39ff14]/30 text-[#39ff14]/60 hover:text-[#39ff14] hover:border-[#39ff14]/60 transition-all"
+          title="Add reaction"
+        >
+          +
+        </button>
+        {isPickerOpen && (
+          <div className="absolute bottom-full left-0 mb-1 flex gap-1 p-1 bg-black/90 border-2 border-[#39ff14]/50 z-10">
+            {REACTION_PALETTE.map((emoji) => (
+              <button key={emoji} onClick={() => pick(emoji)} className="px-1 hover:bg-[#39ff14]/20">
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MessageReactions;
@@ -0,0 +1,53 @@
+import React from 'react';
+
+// Teams in this hackathon that still have room - ask to join one instead of forming a new team
+const OpenTeams = ({ teams, pendingTeamIds = [], onRequestJoin }) => {
+  if (!teams || teams.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-8 code-bg p-6 border-2 border-[#39ff14]/50">
+      <h2 className="text-xl font-bold text-white mb-4 pixel-text code-glow">// OPEN_TEAMS:</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {teams.map((team) => {
+          const requested = pendingTeamIds.includes(team._id);
+          return (
+            <div key={team._id} className="p-4 bg-black/50 border border-[#39ff14]/30 pixel-text">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-white font-bold text-sm code-glow">{team.name || 'Team'}</h3>
+                <span className="text-xs text-white/60">
+                  {team.size || 0}/{team.team_size?.max || 4}
+                </span>
+              </div>
+              <div className="flex flex-wrap gap-1 mb-2">
+                {(team.members || []).map((member, index) => (
+                  <span
+                    key={index}
+                    className="text-xs px-2 py-0.5 bg-[#39ff14]/10 border border-[#39ff14]/30 text-[#39ff14]"
+                  >
+                    {member.name?.split(' ')[0] || 'Member'}{member.skills?.length > 0 ? ` · ${member.skills.slice(0, 2).join(', ')}` : ''}
+                  </span>
+                ))}
+              </div>
+              {team.needed_roles?.length > 0 && (
+                <p className="text-xs text-white/60 mb-3">
+                  // NEEDS: <span className="text-[#39ff14]">{team.needed_roles.join(', ')}</span>
+                </p>
+              )}
+              <button
+                onClick={() => onRequestJoin(team)}
+                disabled={requested}
+                className="w-full px-3 py-2 bg-[#39ff14]/20 border-2 border-[#39ff14] text-[#39ff14] hover:bg-[#39ff14]/30 transition-all duration-200 text-xs font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {requested ? '// REQUEST_SENT' : 'REQUEST_TO_JOIN()'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default OpenTeams;
@@ -4,6 +4,7 @@ const RequestsPanel = ({
   incomingRequests, 
   onAccept, 
   onDecline, 
+  onVote,
   onClose,
   hackathons = [],
   onViewProfile
@@ -54,7 +55,7 @@ const RequestsPanel = ({
           ) : (
             incomingRequests.map((request) => {
               // Backend returns user object under from_user_id
-              const sender = request.from_user_id || request.fromUserId;
+              const sender = request.from_user_id;
               console.log('👤 [RequestsPanel] Raw sender data:', sender);
               console.log('👤 [RequestsPanel] Sender type:', typeof sender);
               console.log('👤 [RequestsPanel] Full request:', request);
@@ -71,8 +72,11 @@ const RequestsPanel = ({
               const senderDevpost = senderData?.devpost || '';
               const senderBio = senderData?.bio || '';
               const senderExperience = senderData?.experience || [];
-              const hackathonId = request.hackathon_id || request.hackathonId;
+              const hackathonId = request.hackathon_id;
               const hackathonName = getHackathonName(hackathonId);
+              // 'user' (team up with me), 'invite' (join my team) or 'join' (let me join your team)
+              const requestType = request.type || 'user';
+              const teamName = request.team?.name || 'a team';
               
               console.log('👤 [RequestsPanel] Processed sender data:', {
                 requestId: request._id,
@@ -100,6 +104,17 @@ const RequestsPanel = ({
                         <p className="text-[#39ff14]/70 pixel-text text-xs mb-1">
                           // {hackathonName}
                         </p>
+                        {requestType === 'invite' && (
+                          <p className="text-white pixel-text text-xs mb-1">
+                            // INVITES_YOU_TO: <span className="text-[#39ff14]">{teamName}</span>
+                          </p>
+                        )}
+                        {requestType === 'join' && (
+                          <p className="text-white pixel-text text-xs mb-1">
+                            // WANTS_TO_JOIN: <span className="text-[#39ff14]">{teamName}</span>
+                            {' '}({(request.votes || []).filter(v => v.vote === 'approve').length}/{request.team?.member_count || 0} approved)
+                          </p>
+                        )}
                         {senderSchool && (
                           <p className="text-white/60 pixel-text text-xs">
                             🏫 {senderSchool}
@@ -151,30 +166,53 @@ const RequestsPanel = ({
                     </div>
                   )}
 
-                  {/* Action Buttons */}
-                  <div className="flex gap-2">
-                    <button
-                      onClick={async () => {
-                        console.log('🎯 [RequestsPanel] ACCEPT button clicked for request:', request._id);
-                        try {
-                          await onAccept(request._id);
-                        } catch (error) {
-                          console.error('❌ [RequestsPanel] Error in onAccept:', error);
-                        }
-                      }}
-                      className="flex-1 px-3 py-2 bg-[#39ff14]/20 border-2 border-[#39ff14] text-[#39ff14] hover:bg-[#39ff14]/30 hover:border-[#39ff14] transition-all duration-200 pixel-text text-xs font-bold relative overflow-hidden group disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                      <span className="relative z-10">ACCEPT()</span>
-                      <div className="absolute inset-0 bg-[#39ff14]/5 opacity-0 group-hover:opacity-100 transition-opacity duration-200"></div>
-                    </button>
-                    <button
-                      onClick={() => onDecline(request._id)}
-                      className="flex-1 px-3 py-2 bg-black/50 border-2 border-red-500/50 text-red-400 hover:bg-red-500/10 hover:border-red-500 transition-all duration-200 pixel-text text-xs font-bold relative overflow-hidden group"
-                    >
-                      <span className="relative z-10">DECLINE()</span>
-                      <div className="absolute inset-0 bg-red-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-200"></div>
-                    </button>
-                  </div>
+                  {/* Action Buttons - join requests are voted on by the whole team */}
+                  {requestType === 'join' ? (
+                    request.my_vote ? (
+                      <p className="text-white/60 pixel-text text-xs">
+                        // YOU_VOTED: <span className="text-[#39ff14]">{request.my_vote.toUpperCase()}</span> - waiting for teammates
+                      </p>
+                    ) : (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => onVote(request._id, 'approve')}
+                          className="flex-1 px-3 py-2 bg-[#39ff14]/20 border-2 border-[#39ff14] text-[#39ff14] hover:bg-[#39ff14]/30 transition-all duration-200 pixel-text text-xs font-bold"
+                        >
+                          APPROVE()
+                        </button>
+                        <button
+                          onClick={() => onVote(request._id, 'reject')}
+                          className="flex-1 px-3 py-2 bg-black/50 border-2 border-red-500/50 text-red-400 hover:bg-red-500/10 hover:border-red-500 transition-all duration-200 pixel-text text-xs font-bold"
+                        >
+                          REJECT()
+                        </button>
+                      </div>
+                    )
+                  ) : (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={async () => {
+                          console.log('🎯 [RequestsPanel] ACCEPT button clicked for request:', request._id);
+                          try {
+                            await onAccept(request._id);
+                          } catch (error) {
+                            console.error('❌ [RequestsPanel] Error in onAccept:', error);
+                          }
+                        }}
+                        className="flex-1 px-3 py-2 bg-[#39ff14]/20 border-2 border-[#39ff14] text-[#39ff14] hover:bg-[#39ff14]/30 hover:border-[#39ff14] transition-all duration-200 pixel-text text-xs font-bold relative overflow-hidden group disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <span className="relative z-10">ACCEPT()</span>
+                        <div className="absolute inset-0 bg-[#39ff14]/5 opacity-0 group-hover:opacity-100 transition-opacity duration-200"></div>
+                      </button>
+                      <button
+                        onClick={() => onDecline(request._id)}
+                        className="flex-1 px-3 py-2 bg-black/50 border-2 border-red-500/50 text-red-400 hover:bg-red-500/10 hover:border-red-500 transition-all duration-200 pixel-text text-xs font-bold relative overflow-hidden group"
+                      >
+                        <span className="relative z-10">DECLINE()</span>
+                        <div className="absolute inset-0 bg-red-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-200"></div>
+                      </button>
+                    </div>
+                  )}
                 </div>
               );
             })
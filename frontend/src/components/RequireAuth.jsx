@@ -0,0 +1,27 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const RequireAuth = ({ children }) => {
+  const { user, loading } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-[#0a0a0a] flex justify-center items-center">
+        <div className="flex flex-col items-center code-bg p-12">
+          <div className="text-[#39ff14] text-sm mb-4 pixel-text">// LOADING...</div>
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-[#39ff14]/20 border-t-[#39ff14] mb-4 code-glow"></div>
+          <p className="text-white/80 font-bold pixel-text">RESTORING_SESSION()</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
@@ -0,0 +1,71 @@
+import React from 'react';
+
+// Teams suggested by automatic team formation - every member accepts or rejects
+const TeamProposals = ({ proposals, currentUserId, onAccept, onReject }) => {
+  if (!proposals || proposals.length === 0) {
+    return null;
+  }
+
+  const responseFor = (proposal, userId) =>
+    proposal.responses?.find(r => r.user_id === userId)?.status || 'pending';
+
+  return (
+    <div className="mb-8 code-bg p-6 border-2 border-[#39ff14]/50">
+      <h2 className="text-xl font-bold text-white mb-1 pixel-text code-glow">// PROPOSED_TEAM:</h2>
+      <p className="text-xs text-white/60 pixel-text mb-4">
+        The organizers suggested a team for you. It is formed once everyone accepts.
+      </p>
+
+      {proposals.map((proposal) => {
+        const myResponse = responseFor(proposal, currentUserId);
+        return (
+          <div key={proposal._id} className="mb-4 last:mb-0">
+            <div className="flex flex-wrap gap-3 mb-3">
+              {(proposal.memberDetails || []).map((member) => {
+                const status = responseFor(proposal, member._id);
+                return (
+                  <div key={member._id} className="px-3 py-2 bg-black/50 border border-[#39ff14]/30 pixel-text">
+                    <p className="text-white text-sm font-bold">{member.name || 'Member'}</p>
+                    <p className="text-[#39ff14]/70 text-xs">{member.role_preference || 'Developer'}</p>
+                    <p className={`text-xs ${status === 'accepted' ? 'text-[#39ff14]' : status === 'rejected' ? 'text-red-400' : 'text-white/40'}`}>
+                      {status.toUpperCase()}
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="flex items-center justify-between gap-4">
+              <p className="text-white/60 text-xs pixel-text">
+                // MATCH_SCORE: <span className="text-[#39ff14]">{proposal.score ?? '-'}%</span>
+                {proposal.needed_roles?.length > 0 && (
+                  <> // STILL_NEEDS: <span className="text-[#39ff14]">{proposal.needed_roles.join(', ')}</span></>
+                )}
+              </p>
+              {myResponse === 'pending' ? (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => onAccept(proposal._id)}
+                    className="px-4 py-2 bg-[#39ff14]/20 border-2 border-[#39ff14] text-[#39ff14] hover:bg-[#39ff14]/30 transition-all duration-200 pixel-text text-xs font-bold"
+                  >
+                    ACCEPT()
+                  </button>
+                  <button
+                    onClick={() => onReject(proposal._id)}
+                    className="px-4 py-2 bg-black/50 border-2 border-red-500/50 text-red-400 hover:bg-red-500/10 hover:border-red-500 transition-all duration-200 pixel-text text-xs font-bold"
+                  >
+                    REJECT()
+                  </button>
+                </div>
+              ) : (
+                <p className="text-white/60 text-xs pixel-text">// WAITING_FOR_TEAMMATES...</p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TeamProposals;
@@ -0,0 +1,111 @@
+import axios from 'axios';
+
+// Member list for the team chat - everyone can leave; the team lead can remove members,
+// hand over the lead role and dissolve the team
+const TeamRoster = ({ team, currentUserId, onChanged, onLeft }) => {
+  if (!team?._id) return null;
+
+  const isLead = team.lead_id === currentUserId;
+  const members = team.memberDetails || [];
+
+  const run = async (request, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) {
+      return null;
+    }
+    try {
+      const response = await request();
+      return response.data;
+    } catch (error) {
+      console.error('Error updating team:', error);
+      alert(`Error: ${error.response?.data?.error || error.message}`);
+      return null;
+    }
+  };
+
+  const handleLeave = async () => {
+    const data = await run(
+      () => axios.post(`http://localhost:3000/api/team/${team._id}/leave`),
+      members.length <= 1 ? 'You are the last member - leaving dissolves the team. Continue?' : 'Leave this team?'
+    );
+    if (data) onLeft?.(team._id);
+  };
+
+  const handleDissolve = async () => {
+    const data = await run(
+      () => axios.delete(`http://localhost:3000/api/team/${team._id}`),
+      'Dissolve this team for everyone?'
+    );
+    if (data) onLeft?.(team._id);
+  };
+
+  const handleRemove = async (member) => {
+    const data = await run(
+      () => axios.delete(`http://localhost:3000/api/team/${team._id}/members/${member._id}`),
+      `Remove ${member.name || 'this member'} from the team?`
+    );
+    if (data) onChanged?.();
+  };
+
+  const handleMakeLead = async (member) => {
+    const data = await run(
+      () => axios.post(`http://localhost:3000/api/team/${team._id}/transfer-lead`, { user_id: member._id }),
+      `Make ${member.name || 'this member'} the team lead?`
+    );
+    if (data) onChanged?.();
+  };
+
+  return (
+    <div className="p-4 border-b-2 border-[#39ff14]/50 bg-black/50">
+      <div className="space-y-2 mb-3">
+        {members.map((member) => {
+          const isMemberLead = member._id === team.lead_id;
+          const isSelf = member._id === currentUserId;
+          return (
+            <div key={member._id} className="flex items-center justify-between gap-2 pixel-text text-xs">
+              <span className="text-white">
+                {member.name || 'Member'}
+                {isSelf && <span className="text-white/40"> (you)</span>}
+                {isMemberLead && <span className="text-[#39ff14] font-bold"> // LEAD</span>}
+              </span>
+              {isLead && !isSelf && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleMakeLead(member)}
+                    className="px-2 py-1 border border-[#39ff14]/50 text-[#39ff14] hover:bg-[#39ff14]/10 transition-all font-bold"
+                  >
+                    MAKE_LEAD()
+                  </button>
+                  <button
+                    onClick={() => handleRemove(member)}
+                    className="px-2 py-1 border border-red-500/50 text-red-400 hover:bg-red-500/10 transition-all font-bold"
+                  >
+                    REMOVE()
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          onClick={handleLeave}
+          className="px-3 py-1 bg-black/50 border-2 border-red-500/50 text-red-400 hover:bg-red-500/10 hover:border-red-500 transition-all pixel-text text-xs font-bold"
+        >
+          LEAVE_TEAM()
+        </button>
+        {isLead && (
+          <button
+            onClick={handleDissolve}
+            className="px-3 py-1 bg-black/50 border-2 border-red-500/50 text-red-400 hover:bg-red-500/10 hover:border-red-500 transition-all pixel-text text-xs font-bold"
+          >
+            DISSOLVE_TEAM()
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TeamRoster;
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import axios from 'axios';
+import ChatMarkdown from './ChatMarkdown';
+import MessageAttachments from './MessageAttachments';
+
+// Replies to one chat message - shown next to the main history. ChatPanel loads the replies and
+// keeps them up to date from the stream; this only renders them and posts new ones.
+const ThreadPanel = ({ teamId, root, replies, senderName, onReplyPosted, onClose }) => {
+  const [reply, setReply] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const sendReply = async () => {
+    if (!reply.trim()) return;
+    setSending(true);
+    try {
+      const response = await axios.post(`http://localhost:3000/chat/${teamId}/messages`, {
+        message: reply.trim(),
+        reply_to: root._id
+      });
+      setReply('');
+      onReplyPosted(response.data);
+    } catch (error) {
+      console.error('Error posting reply:', error);
+      alert(`Failed to send reply: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const renderMessage = (msg) => (
+    <div key={msg._id} className="px-3 py-2 bg-black/50 border border-[#39ff14]/30 pixel-text">
+      <div className="text-xs text-[#39ff14]/70 mb-1 font-bold">{senderName(msg.senderId)}</div>
+      <div className="text-sm text-white/80 leading-relaxed">
+        {msg.deleted_at ? (
+          <div className="text-white/40 italic">// MESSAGE_DELETED</div>
+        ) : (
+          <>
+            <ChatMarkdown text={msg.text} />
+            <MessageAttachments attachments={msg.attachments} />
+          </>
+        )}
+      </div>
+      <div className="text-xs text-white/30 mt-1">
+        {msg.timestamp ? new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''}
+        {msg.edited_at && !msg.deleted_at && ' (edited)'}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="w-96 flex flex-col border-l-2 border-[#39ff14]/50 bg-black/70">
+      <div className="p-4 border-b-2 border-[#39ff14]/50 flex items-center justify-between">
+        <h4 className="text-sm font-bold text-white pixel-text code-glow">// THREAD</h4>
+        <button onClick={onClose} className="text-white/50 hover:text-[#39ff14] transition-colors text-xl font-bold pixel-text">
+          ×
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {renderMessage(root)}
+        <div className="text-xs text-white/40 pixel-text">
+          // {replies.length} {replies.length === 1 ? 'REPLY' : 'REPLIES'}
+        </div>
+        {replies.map(renderMessage)}
+      </div>
+
+      <div className="p-4 border-t-2 border-[#39ff14]/50 flex gap-2">
+        <textarea
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              sendReply();
+            }
+          }}
+          placeholder="// Reply in thread..."
+          rows={2}
+          className="flex-1 bg-black/50 border-2 border-[#39ff14]/50 px-2 py-1 text-white text-sm pixel-text focus:outline-none focus:border-[#39ff14] resize-none"
+        />
+        <button
+          onClick={sendReply}
+          disabled={sending || !reply.trim()}
+          className="px-3 py-2 bg-[#39ff14]/20 border-2 border-[#39ff14] text-[#39ff14] hover:bg-[#39ff14]/30 transition-all pixel-text text-xs font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          REPLY()
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ThreadPanel;
@@ -0,0 +1,83 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import axios from 'axios';
+
+const TOKEN_KEY = 'hackconnect_token';
+
+const AuthContext = createContext(null);
+
+// Attach (or clear) the bearer token on every axios request
+const setAuthHeader = (token) => {
+  if (token) {
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  } else {
+    delete axios.defaults.headers.common['Authorization'];
+  }
+};
+
+export const AuthProvider = ({ children }) => {
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(!!token);
+
+  // Set synchronously so child effects that fire on first render are authenticated
+  setAuthHeader(token);
+
+  useEffect(() => {
+    if (token) {
+      localStorage.setItem(TOKEN_KEY, token);
+      refreshUser();
+    } else {
+      localStorage.removeItem(TOKEN_KEY);
+      setUser(null);
+      setLoading(false);
+    }
+  }, [token]);
+
+  const refreshUser = async () => {
+    try {
+      const response = await axios.get('http://localhost:3000/api/auth/me');
+      setUser(response.data);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching signed-in user:', error);
+      if (error.response?.status === 401) {
+        setToken(null);
+      }
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const login = async (email, password) => {
+    const response = await axios.post('http://localhost:3000/api/auth/login', { email, password });
+    setUser(response.data.user);
+    setToken(response.data.token);
+    return response.data.user;
+  };
+
+  const signup = async (name, email, password) => {
+    const response = await axios.post('http://localhost:3000/api/auth/signup', { name, email, password });
+    setUser(response.data.user);
+    setToken(response.data.token);
+    return response.data.user;
+  };
+
+  const logout = () => {
+    setToken(null);
+  };
+
+  return (
+    <AuthContext.Provider value={{ user, token, loading, login, signup, logout, refreshUser, setUser }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside an AuthProvider');
+  }
+  return context;
+};
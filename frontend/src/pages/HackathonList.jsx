@@ -5,6 +5,7 @@ import HackathonCard from '../components/HackathonCard';
 import GroupsPanel from '../components/GroupsPanel';
 import ChatPanel from '../components/ChatPanel';
 import AIMentorPanel from '../components/AIMentorPanel';
+import { useAuth } from '../context/AuthContext';
 
 const HackathonList = () => {
   const [hackathons, setHackathons] = useState([]);
@@ -12,37 +13,34 @@ const HackathonList = () => {
   const [error, setError] = useState(null);
   const [showRegistrationModal, setShowRegistrationModal] = useState(false);
   const [selectedHackathon, setSelectedHackathon] = useState(null);
-  const [currentUser, setCurrentUser] = useState(null);
   const [showProfileMenu, setShowProfileMenu] = useState(false);
   const [showGroupsPanel, setShowGroupsPanel] = useState(false);
   const [selectedTeam, setSelectedTeam] = useState(null);
   const [showChat, setShowChat] = useState(false);
   const [showAIMentor, setShowAIMentor] = useState(false);
-  const [currentUserName, setCurrentUserName] = useState('');
   const navigate = useNavigate();
-  const CURRENT_USER_ID = '6958c084d6d4ea1f109dad70'; // Hardcoded current user ID
+  const { user: currentUser, setUser: setCurrentUser, logout } = useAuth();
+  const currentUserId = currentUser?._id;
+  const currentUserName = currentUser?.name || 'User';
 
   useEffect(() => {
     fetchHackathons();
-    fetchCurrentUser();
   }, []);
 
-  const fetchCurrentUser = async () => {
-    try {
-      const response = await axios.get(`http://localhost:3000/api/users/${CURRENT_USER_ID}`);
-      setCurrentUser(response.data);
-      setCurrentUserName(response.data?.name || 'User');
-    } catch (err) {
-      console.error('Error fetching current user:', err);
-    }
-  };
-
   const handleSelectTeam = (team) => {
     setSelectedTeam(team);
     setShowChat(true);
     setShowGroupsPanel(false);
   };
 
+  // After leaving or dissolving a team - close its chat if it was open
+  const handleLeaveTeam = (teamId) => {
+    if (selectedTeam?._id === teamId) {
+      setShowChat(false);
+      setSelectedTeam(null);
+    }
+  };
+
   const fetchHackathons = async () => {
     try {
       setLoading(true);
@@ -120,7 +118,7 @@ const HackathonList = () => {
       // Add hackathon to user's registered_hackathons
       const updatedHackathons = [...(currentUser?.registered_hackathons || []), hackathonId];
       
-      await axios.put(`http://localhost:3000/api/users/${CURRENT_USER_ID}`, {
+      await axios.put(`http://localhost:3000/api/users/${currentUserId}`, {
         userData: currentUser,
         selectedHackathons: updatedHackathons
       });
@@ -213,9 +211,9 @@ const HackathonList = () => {
               </button>
               <button
                 onClick={() => {
-                  // Logout logic - for now just navigate to landing
-                  navigate('/');
                   setShowProfileMenu(false);
+                  logout();
+                  navigate('/login');
                 }}
                 className="w-full text-left px-4 py-2 text-white hover:bg-[#39ff14]/20 hover:text-[#39ff14] transition-all pixel-text text-xs border-t-2 border-[#39ff14]/30"
               >
@@ -345,10 +343,11 @@ const HackathonList = () => {
       {/* Groups Panel */}
       {showGroupsPanel && (
         <GroupsPanel
-          currentUserId={CURRENT_USER_ID}
+          currentUserId={currentUserId}
           onSelectTeam={handleSelectTeam}
           selectedTeamId={selectedTeam?._id}
           onClose={() => setShowGroupsPanel(false)}
+          onLeaveTeam={handleLeaveTeam}
         />
       )}
 
@@ -356,12 +355,13 @@ const HackathonList = () => {
       {showChat && selectedTeam && (
         <ChatPanel
           team={selectedTeam}
-          currentUserId={CURRENT_USER_ID}
+          currentUserId={currentUserId}
           currentUserName={currentUserName}
           onClose={() => {
             setShowChat(false);
             setSelectedTeam(null);
           }}
+          onLeaveTeam={handleLeaveTeam}
         />
       )}
     </div>
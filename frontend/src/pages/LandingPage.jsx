@@ -1,9 +1,11 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
 
 export default function LandingPage() {
   const navigate = useNavigate();
+  const { user, setUser } = useAuth();
   const [step, setStep] = useState('start');
   const [inputType, setInputType] = useState('github');
   const [githubUrl, setGithubUrl] = useState('');
@@ -125,13 +127,13 @@ export default function LandingPage() {
     setStep('saving');
 
     try {
-      const userId = '6958c084d6d4ea1f109dad70';
-      const response = await axios.put(`http://localhost:3000/api/users/${userId}`, {
+      const response = await axios.put(`http://localhost:3000/api/users/${user._id}`, {
         userData,
         selectedHackathons
       });
 
       if (response.data.success || response.status === 200) {
+        setUser(response.data.user);
         navigate('/hackathons');
       }
     } catch (err) {
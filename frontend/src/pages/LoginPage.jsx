@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { useNavigate, useLocation, Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+export default function LoginPage() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, login, signup } = useAuth();
+  const [mode, setMode] = useState('login');
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  if (user) {
+    return <Navigate to={location.state?.from || '/hackathons'} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      if (mode === 'signup') {
+        await signup(name, email, password);
+        // New accounts go through the AI profiler first
+        navigate('/', { replace: true });
+      } else {
+        await login(email, password);
+        navigate(location.state?.from || '/hackathons', { replace: true });
+      }
+    } catch (err) {
+      console.error('Error authenticating:', err);
+      setError(err.response?.data?.error || 'Authentication failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName = "w-full bg-black/50 border-2 border-[#39ff14]/50 px-4 py-3 text-white placeholder:text-white/30 focus:outline-none focus:border-[#39ff14] focus:bg-black/70 transition-all duration-200 pixel-text";
+
+  return (
+    <div className="min-h-screen bg-[#0a0a0a] text-white relative overflow-hidden">
+      {/* Green glow effect */}
+      <div className="absolute inset-0 pointer-events-none">
+        <div className="absolute top-0 left-0 w-full h-full bg-gradient-to-br from-[#39ff14]/5 via-transparent to-transparent"></div>
+        <div className="absolute bottom-0 right-0 w-96 h-96 bg-[#39ff14]/5 rounded-full blur-3xl"></div>
+      </div>
+
+      <div className="max-w-6xl mx-auto px-8 py-16 relative z-10">
+        <div className="text-center mb-16">
+          <div className="text-4xl font-bold mb-4 text-[#39ff14] pixel-text code-glow">
+            HackConnect
+          </div>
+          <p className="text-lg text-white/80 max-w-2xl mx-auto pixel-text">
+            // {mode === 'signup' ? 'CREATE_ACCOUNT()' : 'AUTHENTICATE()'}
+          </p>
+        </div>
+
+        <div className="max-w-md mx-auto">
+          <form onSubmit={handleSubmit} className="code-bg p-8 border-2 border-[#39ff14]/50 space-y-6">
+            {mode === 'signup' && (
+              <div>
+                <label className="block text-xs text-[#39ff14] mb-2 pixel-text">// NAME: STRING</label>
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+            )}
+
+            <div>
+              <label className="block text-xs text-[#39ff14] mb-2 pixel-text">// EMAIL: STRING</label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className={inputClassName}
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-xs text-[#39ff14] mb-2 pixel-text">// PASSWORD: STRING</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                minLength={mode === 'signup' ? 8 : undefined}
+                className={inputClassName}
+                required
+              />
+            </div>
+
+            {error && (
+              <div className="p-4 bg-red-900/30 border-2 border-red-500 text-red-400 pixel-text">
+                // ERROR: {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-[#39ff14] text-black py-4 border-2 border-[#39ff14] font-bold disabled:bg-gray-600 disabled:border-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed transition-all duration-200 code-glow hover:bg-[#39ff14]/90 pixel-text text-lg"
+            >
+              {loading ? '// PROCESSING...' : mode === 'signup' ? 'SIGN_UP()' : 'LOG_IN()'}
+            </button>
+
+            <button
+              type="button"
+              onClick={() => {
+                setMode(mode === 'signup' ? 'login' : 'signup');
+                setError('');
+              }}
+              className="w-full text-sm text-[#39ff14] hover:text-[#39ff14]/80 font-bold pixel-text"
+            >
+              {mode === 'signup' ? '// HAVE_AN_ACCOUNT? LOG_IN()' : '// NEW_HERE? SIGN_UP()'}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
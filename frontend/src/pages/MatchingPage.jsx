@@ -5,10 +5,16 @@ import ChatPanel from '../components/ChatPanel';
 import GroupsPanel from '../components/GroupsPanel';
 import AIMentorPanel from '../components/AIMentorPanel';
 import RequestsPanel from '../components/RequestsPanel';
+import TeamProposals from '../components/TeamProposals';
+import OpenTeams from '../components/OpenTeams';
+import { useAuth } from '../context/AuthContext';
 
 export default function MatchingPage() {
   const { hackathonId } = useParams();
   const navigate = useNavigate();
+  const { user: currentUser, token, logout } = useAuth();
+  const currentUserId = currentUser?._id;
+  const currentUserName = currentUser?.name || 'User';
   const [users, setUsers] = useState([]);
   const [filteredUsers, setFilteredUsers] = useState([]);
   const [filters, setFilters] = useState({
@@ -28,13 +34,11 @@ export default function MatchingPage() {
   const [showMessageModal, setShowMessageModal] = useState(false);
   const [showProfileModal, setShowProfileModal] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
-  const CURRENT_USER_ID = '6958c084d6d4ea1f109dad70'; // Hardcoded current user ID
   const [team, setTeam] = useState(null);
   const [neededRoles, setNeededRoles] = useState([]);
   const [matchScores, setMatchScores] = useState({});
   const [calculatingScores, setCalculatingScores] = useState(new Set());
   const [showChat, setShowChat] = useState(false);
-  const [currentUserName, setCurrentUserName] = useState('');
   const [incomingRequests, setIncomingRequests] = useState([]);
   const [showRequestsModal, setShowRequestsModal] = useState(false);
   const [showGroupsPanel, setShowGroupsPanel] = useState(false);
@@ -43,19 +47,23 @@ export default function MatchingPage() {
   const [showProfileMenu, setShowProfileMenu] = useState(false);
   const [showRequestsPanel, setShowRequestsPanel] = useState(false);
   const [hackathons, setHackathons] = useState([]);
+  const [teamProposals, setTeamProposals] = useState([]);
+  const [formingTeams, setFormingTeams] = useState(false);
+  const [openTeams, setOpenTeams] = useState([]);
+  const [joinRequestedTeamIds, setJoinRequestedTeamIds] = useState([]);
 
   useEffect(() => {
     fetchUsers();
     fetchTeam();
-    fetchCurrentUser();
     fetchIncomingRequests();
     fetchHackathons();
+    fetchTeamProposals();
   }, [hackathonId]); // Re-fetch when hackathonId changes
 
   const fetchIncomingRequests = async () => {
     try {
-      console.log('📥 [REQUESTS] Fetching incoming requests for user:', CURRENT_USER_ID);
-      const response = await axios.get(`http://localhost:3000/api/requests/incoming/${CURRENT_USER_ID}`);
+      console.log('📥 [REQUESTS] Fetching incoming requests for user:', currentUserId);
+      const response = await axios.get(`http://localhost:3000/api/requests/incoming/${currentUserId}`);
       console.log('✅ [REQUESTS] Incoming requests response:', response.data);
       console.log('✅ [REQUESTS] Response length:', response.data?.length || 0);
       setIncomingRequests(response.data || []);
@@ -72,7 +80,7 @@ export default function MatchingPage() {
     try {
       console.log('🎉 [ACCEPT] Accepting request:', requestId);
       const response = await axios.post(`http://localhost:3000/requests/${requestId}/accept`, {
-        current_user_id: CURRENT_USER_ID
+        current_user_id: currentUserId
       });
       
       console.log('✅ [ACCEPT] Request accepted, response:', response.data);
@@ -174,13 +182,13 @@ export default function MatchingPage() {
     setShowGroupsPanel(false);
   };
 
-  const fetchCurrentUser = async () => {
-    try {
-      const response = await axios.get(`http://localhost:3000/api/users/${CURRENT_USER_ID}`);
-      setCurrentUserName(response.data?.name || 'User');
-    } catch (err) {
-      console.error('Error fetching current user:', err);
+  // After leaving or dissolving a team - close its chat if it was open
+  const handleLeaveTeam = (teamId) => {
+    if (selectedTeam?._id === teamId) {
+      setShowChat(false);
+      setSelectedTeam(null);
     }
+    fetchTeam();
   };
 
   const fetchHackathons = async () => {
@@ -192,10 +200,55 @@ export default function MatchingPage() {
     }
   };
 
+  const fetchTeamProposals = async () => {
+    try {
+      const response = await axios.get('http://localhost:3000/team-proposals', {
+        params: { hackathonId: hackathonId || undefined }
+      });
+      setTeamProposals(response.data || []);
+    } catch (error) {
+      console.error('Error fetching team proposals:', error);
+      setTeamProposals([]);
+    }
+  };
+
+  const handleProposalResponse = async (proposalId, action) => {
+    try {
+      const response = await axios.post(`http://localhost:3000/team-proposals/${proposalId}/${action}`);
+      if (response.data.team) {
+        setSelectedTeam(response.data.team);
+        setShowChat(true);
+      }
+    } catch (error) {
+      console.error(`Error on team proposal ${action}:`, error);
+      alert(`Error: ${error.response?.data?.error || error.message}`);
+    }
+    await fetchTeamProposals();
+    await fetchTeam();
+  };
+
+  // Organizers only: propose teams for everyone registered who isn't on a team yet
+  const handleFormTeams = async () => {
+    if (!window.confirm('Propose teams for every unteamed participant? Pending proposals will be replaced.')) {
+      return;
+    }
+    setFormingTeams(true);
+    try {
+      const response = await axios.post(`http://localhost:3000/hackathons/${hackathonId}/team-proposals`, {});
+      const { proposals, unassigned } = response.data;
+      alert(`Proposed ${proposals.length} team(s).${unassigned.length ? ` ${unassigned.length} participant(s) could not be placed.` : ''}`);
+      await fetchTeamProposals();
+    } catch (error) {
+      console.error('Error forming teams:', error);
+      alert(`Error forming teams: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setFormingTeams(false);
+    }
+  };
+
   const handleDeclineRequest = async (requestId) => {
     try {
-      // TODO: Implement decline endpoint if needed
-      // For now, just refresh the requests
+      await axios.post(`http://localhost:3000/requests/${requestId}/decline`);
       await fetchIncomingRequests();
     } catch (error) {
       console.error('Error declining request:', error);
@@ -242,56 +295,127 @@ export default function MatchingPage() {
 
   const fetchTeam = async () => {
     try {
-      const response = await axios.get(`http://localhost:3000/team/${CURRENT_USER_ID}`);
-      if (response.data.team) {
-        setTeam(response.data.team);
-        setNeededRoles(response.data.needed_roles || []);
-      }
+      const response = await axios.get(`http://localhost:3000/team/${currentUserId}`, {
+        params: { hackathonId: hackathonId || undefined }
+      });
+      setTeam(response.data.team || null);
+      setNeededRoles(response.data.needed_roles || []);
     } catch (error) {
       console.error('Error fetching team:', error);
     }
   };
 
-  const calculateMatchScores = async () => {
-    if (users.length === 0) return;
+  // Without a team, offer the hackathon's teams that still have room
+  useEffect(() => {
+    if (hackathonId && !team) {
+      fetchOpenTeams();
+    } else {
+      setOpenTeams([]);
+    }
+  }, [hackathonId, team?._id]);
 
-    const teamMemberIds = team?.members || [];
-    const calculating = new Set();
+  const fetchOpenTeams = async () => {
+    try {
+      const response = await axios.get(`http://localhost:3000/hackathons/${hackathonId}/teams`, {
+        params: { open: true }
+      });
+      setOpenTeams(response.data || []);
+    } catch (error) {
+      console.error('Error fetching open teams:', error);
+      setOpenTeams([]);
+    }
+  };
 
-    // Calculate scores for all users (current user is hardcoded)
-    const scorePromises = users
-      .filter(user => user._id !== CURRENT_USER_ID)
-      .map(async (user) => {
-        calculating.add(user._id);
-        setCalculatingScores(new Set(calculating));
+  const handleRequestJoin = async (openTeam) => {
+    try {
+      await axios.post(`http://localhost:3000/api/team/${openTeam._id}/join-requests`, {
+        message: `Hi ${openTeam.name || 'team'}! I would like to join you for the hackathon.`
+      });
+      setJoinRequestedTeamIds(prev => [...prev, openTeam._id]);
+      alert('Join request sent - the team will vote on it.');
+    } catch (error) {
+      alert('Error sending join request: ' + (error.response?.data?.error || error.message));
+    }
+  };
 
-        try {
-          const response = await axios.post('http://localhost:3000/match-score', {
-            user1_id: CURRENT_USER_ID,
-            user2_id: user._id,
-            team_member_ids: teamMemberIds,
-            hackathon_id: hackathonId
-          });
+  // Team members vote on requests to join their team
+  const handleVoteRequest = async (requestId, vote) => {
+    try {
+      const response = await axios.post(`http://localhost:3000/requests/${requestId}/vote`, { vote });
+      if (response.data.team) {
+        alert('Your team has a new member!');
+        await fetchTeam();
+      }
+    } catch (error) {
+      console.error('Error voting on join request:', error);
+      alert('Error voting: ' + (error.response?.data?.error || error.message));
+    }
+    await fetchIncomingRequests();
+  };
 
-          const matchData = response.data;
-          setMatchScores(prev => ({ ...prev, [user._id]: matchData }));
-          return { userId: user._id, data: matchData };
-        } catch (error) {
-          console.error(`Error calculating score for ${user._id}:`, error);
-          const fallbackData = {
-            score: 50,
-            reason: 'Score calculation failed',
-            category: 'Good Match'
-          };
-          setMatchScores(prev => ({ ...prev, [user._id]: fallbackData }));
-          return { userId: user._id, data: fallbackData };
-        } finally {
-          calculating.delete(user._id);
-          setCalculatingScores(new Set(calculating));
-        }
+  // Scores for the whole roster come from one streamed request (newline-delimited JSON):
+  // cached scores arrive first, the rest as the server finishes them
+  const calculateMatchScores = async () => {
+    if (users.length === 0 || !hackathonId) return;
+
+    const calculating = new Set(users.map(user => user._id));
+    setCalculatingScores(new Set(calculating));
+
+    const markFailed = (userId) => {
+      setMatchScores(prev => ({
+        ...prev,
+        [userId]: { score: 50, reason: 'Score calculation failed', category: 'Good Match' }
+      }));
+    };
+
+    const handleEvent = (event) => {
+      if (event.type === 'score') {
+        setMatchScores(prev => ({ ...prev, [event.candidate_id]: event.result }));
+      } else if (event.type === 'error') {
+        console.error(`Error calculating score for ${event.candidate_id}:`, event.error);
+        markFailed(event.candidate_id);
+      } else if (event.type === 'done') {
+        console.log('✅ Match scoring finished:', event);
+      }
+      if (event.candidate_id) {
+        calculating.delete(event.candidate_id);
+        setCalculatingScores(new Set(calculating));
+      }
+    };
+
+    try {
+      const response = await fetch(`http://localhost:3000/hackathons/${hackathonId}/match-scores`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({})
       });
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP ${response.status}`);
+      }
 
-    await Promise.all(scorePromises);
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.filter(Boolean).forEach(line => handleEvent(JSON.parse(line)));
+      }
+      if (buffer.trim()) {
+        handleEvent(JSON.parse(buffer));
+      }
+    } catch (error) {
+      console.error('Error calculating match scores:', error);
+      calculating.forEach(markFailed);
+    } finally {
+      setCalculatingScores(new Set());
+    }
   };
 
   const applyFilters = () => {
@@ -363,12 +487,20 @@ export default function MatchingPage() {
     if (!selectedUserId) return;
 
     try {
-      await axios.post('http://localhost:3000/request', {
-        from_user_id: CURRENT_USER_ID,
-        to_user_id: selectedUserId,
-        message: requestMessage || 'Hello, I would like to team up with you for the hackathon!',
-        hackathon_id: hackathonId
-      });
+      if (team) {
+        // Already on a team - invite them to it
+        await axios.post(`http://localhost:3000/api/team/${team._id}/invites`, {
+          to_user_id: selectedUserId,
+          message: requestMessage || `Hello, we would like you to join ${team.name || 'our team'} for the hackathon!`
+        });
+      } else {
+        await axios.post('http://localhost:3000/requests', {
+          from_user_id: currentUserId,
+          to_user_id: selectedUserId,
+          message: requestMessage || 'Hello, I would like to team up with you for the hackathon!',
+          hackathon_id: hackathonId
+        });
+      }
       setRequestsSent(prev => prev + 1);
       setShowMessageModal(false);
       setRequestMessage('');
@@ -454,6 +586,10 @@ export default function MatchingPage() {
     </div>
   );
 
+  // Organizers of the selected hackathon can run automatic team formation
+  const isOrganizer = !!hackathonId && !!hackathons
+    .find(h => h.id === hackathonId)?.organizers?.includes(currentUserId);
+
   if (loading) {
     return (
       <div className="min-h-screen bg-[#0a0a0a] flex justify-center items-center">
@@ -548,8 +684,9 @@ export default function MatchingPage() {
               </button>
               <button
                 onClick={() => {
-                  navigate('/');
                   setShowProfileMenu(false);
+                  logout();
+                  navigate('/login');
                 }}
                 className="w-full text-left px-4 py-2 text-white hover:bg-[#39ff14]/20 hover:text-[#39ff14] transition-all pixel-text text-xs border-t-2 border-[#39ff14]/30"
               >
@@ -599,16 +736,44 @@ export default function MatchingPage() {
                 {incomingRequests.length}
               </span>
             </button>
+            {isOrganizer && (
+              <button
+                onClick={handleFormTeams}
+                disabled={formingTeams}
+                className="code-bg px-4 py-2 border-2 border-[#39ff14]/50 text-[#39ff14] hover:bg-[#39ff14]/10 transition-all pixel-text font-bold text-sm disabled:opacity-50"
+              >
+                {formingTeams ? 'FORMING_TEAMS...' : 'FORM_TEAMS()'}
+              </button>
+            )}
             {team && (
               <div className="code-bg px-4 py-2 border-2 border-[#39ff14]/50">
                 <p className="text-white/80 text-sm font-bold pixel-text">
-                  // TEAM_MEMBERS: <span className="text-[#39ff14]">{team.members.length}/4</span>
+                  // TEAM_MEMBERS: <span className="text-[#39ff14]">{team.members.length}/{team.team_size?.max || 4}</span>
                 </p>
               </div>
             )}
           </div>
         </div>
 
+        {/* Teams proposed by the organizers */}
+        {!team && (
+          <TeamProposals
+            proposals={teamProposals}
+            currentUserId={currentUserId}
+            onAccept={(proposalId) => handleProposalResponse(proposalId, 'accept')}
+            onReject={(proposalId) => handleProposalResponse(proposalId, 'reject')}
+          />
+        )}
+
+        {/* Teams with room to join */}
+        {!team && (
+          <OpenTeams
+            teams={openTeams}
+            pendingTeamIds={joinRequestedTeamIds}
+            onRequestJoin={handleRequestJoin}
+          />
+        )}
+
         {/* Your Team Needs Section */}
         {neededRoles.length > 0 && (
           <div className="mb-8 code-bg p-6 border-2 border-[#39ff14]/50">
@@ -752,7 +917,7 @@ export default function MatchingPage() {
             </div>
           ) : (
             filteredUsers
-              .filter(user => user._id !== CURRENT_USER_ID)
+              .filter(user => user._id !== currentUserId)
               .sort((a, b) => {
                 const scoreA = matchScores[a._id]?.score || 0;
                 const scoreB = matchScores[b._id]?.score || 0;
@@ -766,6 +931,8 @@ export default function MatchingPage() {
                 const topTechStack = (user.tech_stack || []).slice(0, 3);
                 const bio = user.description || `${user.skills?.slice(0, 3).join(', ') || 'Developer'} with experience in ${user.experience?.slice(0, 2).join(' and ') || 'hackathons'}`;
                 const bioPreview = bio.length > 100 ? bio.substring(0, 100) + '...' : bio;
+                // Gaps in the team's target composition this candidate would fill
+                const fillsRoles = (user.fills_roles || []).filter(role => neededRoles.length === 0 || neededRoles.includes(role));
 
                 return (
                   <div
@@ -773,7 +940,7 @@ export default function MatchingPage() {
                     onClick={() => handleCardClick(user)}
                     className={`flex items-center gap-6 p-6 hover:bg-black/20 transition-all duration-200 cursor-pointer ${
                       index < filteredUsers.length - 1 ? 'border-b-2 border-[#39ff14]/30' : ''
-                    }`}
+                    } ${fillsRoles.length > 0 ? 'border-l-4 border-l-[#39ff14] bg-[#39ff14]/5' : ''}`}
                   >
                     {/* Left: Avatar and Name */}
                     <div className="flex-shrink-0">
@@ -801,6 +968,11 @@ export default function MatchingPage() {
                             </span>
                           )}
                         </div>
+                        {fillsRoles.length > 0 && (
+                          <p className="text-xs text-[#39ff14] font-bold pixel-text mt-1">
+                            // FILLS_GAP: {fillsRoles.join(', ')}
+                          </p>
+                        )}
                       </div>
                       
                       {/* Middle: Bio Preview (2 lines) */}
@@ -899,6 +1071,21 @@ export default function MatchingPage() {
                     <p className="text-white/80 text-sm mb-2">
                       {matchScores[selectedUser._id].reason}
                     </p>
+                    {/* Per-factor breakdown from the rule-based scoring engine */}
+                    {matchScores[selectedUser._id].breakdown && (
+                      <ul className="text-xs text-white/60 space-y-1 pixel-text">
+                        {matchScores[selectedUser._id].breakdown
+                          .filter((entry) => entry.points !== 0)
+                          .map((entry) => (
+                            <li key={entry.factor} className="flex justify-between gap-4">
+                              <span>{entry.detail}</span>
+                              <span className={entry.points > 0 ? 'text-[#39ff14]' : 'text-red-400'}>
+                                {entry.points > 0 ? `+${entry.points}` : entry.points}
+                              </span>
+                            </li>
+                          ))}
+                      </ul>
+                    )}
                   </div>
                 </div>
               )}
@@ -1013,7 +1200,7 @@ export default function MatchingPage() {
                   disabled={requestsSent >= 5}
                   className="w-full bg-[#39ff14] text-black py-3 border-2 border-[#39ff14] font-bold transition-all duration-200 code-glow hover:bg-[#39ff14]/90 disabled:bg-gray-600 disabled:border-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed pixel-text"
                 >
-                  {requestsSent >= 5 ? '// REQUEST_LIMIT_REACHED' : 'SEND_REQUEST()'}
+                  {requestsSent >= 5 ? '// REQUEST_LIMIT_REACHED' : team ? 'INVITE_TO_TEAM()' : 'SEND_REQUEST()'}
                 </button>
               </div>
               <div className="mt-4 text-right text-xs text-white/50 pixel-text">
@@ -1041,7 +1228,7 @@ export default function MatchingPage() {
                   onClick={sendRequest}
                   className="flex-1 bg-[#39ff14] text-black py-2 border-2 border-[#39ff14] font-bold transition-all duration-200 code-glow hover:bg-[#39ff14]/90 pixel-text"
                 >
-                  SEND_REQUEST()
+                  {team ? 'INVITE_TO_TEAM()' : 'SEND_REQUEST()'}
                 </button>
                 <button
                   onClick={() => {
@@ -1074,9 +1261,9 @@ export default function MatchingPage() {
                 <p className="text-white/40 text-xs pixel-text">
                   // DEBUG: Check console for request fetch logs
                   <br />
-                  // User ID: {CURRENT_USER_ID}
+                  // User ID: {currentUserId}
                   <br />
-                  // Looking for: toUserId or to_user_id = {CURRENT_USER_ID}
+                  // Looking for: to_user_id = {currentUserId}
                 </p>
               </div>
             ) : (
@@ -1100,10 +1287,10 @@ export default function MatchingPage() {
                           )}
                         </div>
                         <button
-                          onClick={() => handleAcceptRequest(request._id)}
+                          onClick={() => (request.type === 'join' ? handleVoteRequest(request._id, 'approve') : handleAcceptRequest(request._id))}
                           className="bg-[#39ff14] text-black px-4 py-2 border-2 border-[#39ff14] font-bold transition-all duration-200 code-glow hover:bg-[#39ff14]/90 pixel-text text-sm"
                         >
-                          ACCEPT()
+                          {request.type === 'join' ? 'APPROVE()' : 'ACCEPT()'}
                         </button>
                       </div>
                       {request.message && (
@@ -1142,10 +1329,11 @@ export default function MatchingPage() {
       {/* Groups Panel */}
       {showGroupsPanel && (
         <GroupsPanel
-          currentUserId={CURRENT_USER_ID}
+          currentUserId={currentUserId}
           onSelectTeam={handleSelectTeam}
           selectedTeamId={selectedTeam?._id}
           onClose={() => setShowGroupsPanel(false)}
+          onLeaveTeam={handleLeaveTeam}
         />
       )}
 
@@ -1155,6 +1343,7 @@ export default function MatchingPage() {
           incomingRequests={incomingRequests}
           onAccept={handleAcceptRequest}
           onDecline={handleDeclineRequest}
+          onVote={handleVoteRequest}
           onClose={() => setShowRequestsPanel(false)}
           hackathons={hackathons}
           onViewProfile={(user) => {
@@ -1169,12 +1358,13 @@ export default function MatchingPage() {
       {showChat && selectedTeam && (
         <ChatPanel
           team={selectedTeam}
-          currentUserId={CURRENT_USER_ID}
+          currentUserId={currentUserId}
           currentUserName={currentUserName}
           onClose={() => {
             setShowChat(false);
             setSelectedTeam(null);
           }}
+          onLeaveTeam={handleLeaveTeam}
         />
       )}
 
@@ -1182,7 +1372,7 @@ export default function MatchingPage() {
       {selectedTeam && (
         <AIMentorPanel
           team={selectedTeam}
-          currentUserId={CURRENT_USER_ID}
+          currentUserId={currentUserId}
           isOpen={showAIMentor}
           onClose={() => setShowAIMentor(!showAIMentor)}
         />
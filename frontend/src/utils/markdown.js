@@ -0,0 +1,65 @@
+import { defaultUrlTransform } from 'react-markdown';
+
+// Markdown settings for chat and mentor messages. Anything a teammate or the model writes goes
+// through react-markdown, which builds React elements instead of an HTML string, so:
+// - raw HTML is never parsed - it's shown as the text that was typed
+// - only the elements listed below are rendered (no images, iframes, forms, ...)
+// - links keep http(s)/mailto and relative URLs only - javascript:, data: and the like are dropped
+
+export const ALLOWED_ELEMENTS = [
+  'p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'a', 'blockquote', 'hr',
+  'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+];
+
+const SAFE_PROTOCOL = /^(https?|mailto)$/i;
+
+export function safeUrl(url) {
+  const value = defaultUrlTransform(String(url || '').trim());
+  const colon = value.search(/[:/?#]/);
+  if (colon !== -1 && value[colon] === ':' && !SAFE_PROTOCOL.test(value.slice(0, colon))) {
+    return '';
+  }
+  return value;
+}
+
+// Apply fn to every node in the tree, children first
+function walk(node, fn) {
+  (node.children || []).forEach(child => walk(child, fn));
+  fn(node);
+}
+
+const PHRASING_PARENTS = ['paragraph', 'heading', 'emphasis', 'strong', 'delete', 'link'];
+
+// remark plugin: raw HTML becomes plain text - inline HTML stays in its paragraph, an HTML
+// block becomes a paragraph of its own
+export function rawHtmlAsText() {
+  return (tree) => walk(tree, (node) => {
+    if (!node.children) return;
+    node.children = node.children.map((child) => {
+      if (child.type !== 'html') return child;
+      const text = { type: 'text', value: child.value };
+      return PHRASING_PARENTS.includes(node.type) ? text : { type: 'paragraph', children: [text] };
+    });
+  });
+}
+
+// remark plugin: a single newline is a line break, like in any chat box
+export function newlinesAsBreaks() {
+  return (tree) => walk(tree, (node) => {
+    if (!node.children) return;
+    node.children = node.children.flatMap((child) => {
+      if (child.type !== 'text' || !child.value.includes('\n')) return [child];
+      return child.value.split('\n').flatMap((value, index) => (
+        index === 0 ? [{ type: 'text', value }] : [{ type: 'break' }, { type: 'text', value }]
+      ));
+    });
+  });
+}
+
+// Props for <Markdown> (react-markdown) shared by every message renderer
+export const markdownOptions = {
+  remarkPlugins: [rawHtmlAsText, newlinesAsBreaks],
+  allowedElements: ALLOWED_ELEMENTS,
+  unwrapDisallowed: true,
+  urlTransform: safeUrl
+};
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createElement } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import Markdown from 'react-markdown';
+import { markdownOptions, safeUrl } from '../src/utils/markdown.js';
+
+function render(text) {
+  return renderToStaticMarkup(createElement(Markdown, markdownOptions, text));
+}
+
+describe('chat markdown injection', () => {
+  it('shows script tags as text', () => {
+    const html = render('hi <script>alert(1)</script>');
+    assert.doesNotMatch(html, /<script/i);
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  });
+
+  it('shows HTML blocks as text', () => {
+    const html = render('<div onclick="steal()">click</div>\n\nafter');
+    assert.doesNotMatch(html, /<div/);
+    assert.match(html, /<p>&lt;div onclick=&quot;steal\(\)&quot;&gt;click&lt;\/div&gt;<\/p>/);
+  });
+
+  it('never renders event handler attributes', () => {
+    const html = render('<img src=x onerror="alert(1)"> and <a href="#" onmouseover="alert(1)">x</a>');
+    assert.doesNotMatch(html, /<img|<a /i);
+    assert.doesNotMatch(html, /<[^>]*\son\w+=/i);
+  });
+
+  it('drops javascript: and data: links', () => {
+    const html = render('[a](javascript:alert(1)) [b](JaVaScRiPt:alert(1)) [c](data:text/html;base64,PHNjcmlwdD4=)');
+    assert.doesNotMatch(html, /javascript:|data:/i);
+    assert.equal(html.match(/<a /g).length, 3);
+    assert.doesNotMatch(html, /href="[^"]+"/);
+  });
+
+  it('does not render images', () => {
+    const html = render('![tracker](https://example.com/pixel.png)');
+    assert.doesNotMatch(html, /<img/);
+  });
+
+  it('keeps markdown inside code as literal text', () => {
+    const html = render('```\n<script>alert(1)</script>\n```');
+    assert.match(html, /<pre><code>&lt;script&gt;alert\(1\)&lt;\/script&gt;\n<\/code><\/pre>/);
+  });
+});
+
+describe('chat markdown formatting', () => {
+  it('renders fenced code blocks with their language', () => {
+    const html = render('```js\nconst a = 1;\n```');
+    assert.match(html, /<pre><code class="language-js">const a = 1;\n<\/code><\/pre>/);
+  });
+
+  it('renders safe links', () => {
+    assert.match(render('[docs](https://example.com/a?b=1)'), /<a href="https:\/\/example.com\/a\?b=1">docs<\/a>/);
+    assert.match(render('<https://example.com>'), /<a href="https:\/\/example.com">https:\/\/example.com<\/a>/);
+  });
+
+  it('renders nested lists', () => {
+    const html = render('- one\n  - one.a\n  - one.b\n- two\n\n1. first\n2. second');
+    assert.match(html, /<ul>\n<li>one\n<ul>\n<li>one.a<\/li>\n<li>one.b<\/li>\n<\/ul>\n<\/li>\n<li>two<\/li>\n<\/ul>/);
+    assert.match(html, /<ol>\n<li>first<\/li>\n<li>second<\/li>\n<\/ol>/);
+  });
+
+  it('keeps single line breaks', () => {
+    assert.equal(render('line one\nline two'), '<p>line one<br/>\nline two</p>');
+  });
+});
+
+describe('safeUrl', () => {
+  it('allows http(s), mailto and relative URLs', () => {
+    assert.equal(safeUrl('https://example.com'), 'https://example.com');
+    assert.equal(safeUrl('mailto:team@example.com'), 'mailto:team@example.com');
+    assert.equal(safeUrl('/hackathons'), '/hackathons');
+  });
+
+  it('drops other protocols', () => {
+    assert.equal(safeUrl('javascript:alert(1)'), '');
+    assert.equal(safeUrl('  javascript:alert(1)'), '');
+    assert.equal(safeUrl('vbscript:msgbox'), '');
+    assert.equal(safeUrl('irc://example.com'), '');
+  });
+});